@@ -3,10 +3,17 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { SocketProvider } from './contexts/SocketContext';
+import { MetricsProvider } from './contexts/MetricsContext';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import DashboardPage from './pages/DashboardPage';
 import DevicesPage from './pages/DevicesPage';
+import GroupsPage from './pages/GroupsPage';
+import GroupDetailPage from './pages/GroupDetailPage';
+import LocationsPage from './pages/LocationsPage';
+import DeadLettersPage from './pages/DeadLettersPage';
+import AlertsPage from './pages/AlertsPage';
+import SilencesPage from './pages/SilencesPage';
 import Layout from './components/Layout';
 import LoadingSpinner from './components/LoadingSpinner';
 import './App.css';
@@ -37,77 +44,157 @@ function App() {
   return (
     <div className="App">
       <AuthProvider>
-        <Router>
-          <Routes>
-            {/* Public Routes */}
-            <Route 
-              path="/login" 
-              element={
-                <PublicRoute>
-                  <LoginPage />
-                </PublicRoute>
-              } 
-            />
+        <MetricsProvider>
+          <Router>
+            <Routes>
+              {/* Public Routes */}
+              <Route 
+                path="/login" 
+                element={
+                  <PublicRoute>
+                    <LoginPage />
+                  </PublicRoute>
+                } 
+              />
             
-            <Route 
-              path="/register" 
-              element={
-                <PublicRoute>
-                  <RegisterPage />
-                </PublicRoute>
-              } 
-            />
+              <Route 
+                path="/register" 
+                element={
+                  <PublicRoute>
+                    <RegisterPage />
+                  </PublicRoute>
+                } 
+              />
             
-            {/* Protected Routes */}
-            <Route 
-              path="/dashboard" 
-              element={
-                <ProtectedRoute>
-                  <SocketProvider>
-                    <Layout>
-                      <DashboardPage />
-                    </Layout>
-                  </SocketProvider>
-                </ProtectedRoute>
-              } 
-            />
+              {/* Protected Routes */}
+              <Route 
+                path="/dashboard" 
+                element={
+                  <ProtectedRoute>
+                    <SocketProvider>
+                      <Layout>
+                        <DashboardPage />
+                      </Layout>
+                    </SocketProvider>
+                  </ProtectedRoute>
+                } 
+              />
             
-            <Route 
-              path="/devices" 
-              element={
-                <ProtectedRoute>
-                  <SocketProvider>
-                    <Layout>
-                      <DevicesPage />
-                    </Layout>
-                  </SocketProvider>
-                </ProtectedRoute>
-              } 
-            />
+              <Route 
+                path="/devices" 
+                element={
+                  <ProtectedRoute>
+                    <SocketProvider>
+                      <Layout>
+                        <DevicesPage />
+                      </Layout>
+                    </SocketProvider>
+                  </ProtectedRoute>
+                } 
+              />
             
-            {/* Default redirect */}
-            <Route path="/" element={<Navigate to="/dashboard" replace />} />
+              <Route 
+                path="/groups" 
+                element={
+                  <ProtectedRoute>
+                    <SocketProvider>
+                      <Layout>
+                        <GroupsPage />
+                      </Layout>
+                    </SocketProvider>
+                  </ProtectedRoute>
+                } 
+              />
+
+              <Route 
+                path="/groups/:id" 
+                element={
+                  <ProtectedRoute>
+                    <SocketProvider>
+                      <Layout>
+                        <GroupDetailPage />
+                      </Layout>
+                    </SocketProvider>
+                  </ProtectedRoute>
+                } 
+              />
+
+              <Route 
+                path="/locations" 
+                element={
+                  <ProtectedRoute>
+                    <SocketProvider>
+                      <Layout>
+                        <LocationsPage />
+                      </Layout>
+                    </SocketProvider>
+                  </ProtectedRoute>
+                } 
+              />
+            
+              <Route 
+                path="/alerts" 
+                element={
+                  <ProtectedRoute>
+                    <SocketProvider>
+                      <Layout>
+                        <AlertsPage />
+                      </Layout>
+                    </SocketProvider>
+                  </ProtectedRoute>
+                } 
+              />
+
+              <Route 
+                path="/silences" 
+                element={
+                  <ProtectedRoute>
+                    <SocketProvider>
+                      <Layout>
+                        <SilencesPage />
+                      </Layout>
+                    </SocketProvider>
+                  </ProtectedRoute>
+                } 
+              />
+
+              <Route 
+                path="/dead-letters" 
+                element={
+                  <ProtectedRoute>
+                    <SocketProvider>
+                      <Layout>
+                        <DeadLettersPage />
+                      </Layout>
+                    </SocketProvider>
+                  </ProtectedRoute>
+                } 
+              />
+
+              {/* Default redirect */}
+              <Route path="/" element={<Navigate to="/dashboard" replace />} />
             
-            {/* 404 Route */}
-            <Route 
-              path="*" 
-              element={
-                <div className="min-h-screen flex items-center justify-center bg-gray-50">
-                  <div className="text-center">
-                    <h1 className="text-4xl font-bold text-gray-900 mb-4">404</h1>
-                    <p className="text-gray-600 mb-8">Page not found</p>
-                    <a 
-                      href="/dashboard" 
-                      className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-                    >
-                      Go to Dashboard
-                    </a>
+              {/* 404 Route */}
+              <Route 
+                path="*" 
+                element={
+                  <div className="min-h-screen flex items-center justify-center bg-gray-50">
+                    <div className="text-center">
+                      <h1 className="text-4xl font-bold text-gray-900 mb-4">404</h1>
+                      <p className="text-gray-600 mb-8">Page not found</p>
+                      <a 
+                        href="/dashboard" 
+                        className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                      >
+                        Go to Dashboard
+                      </a>
+                    </div>
                   </div>
-                </div>
-              } 
-            />
-          </Routes>
-        </Router>
+                } 
+              />
+            </Routes>
+          </Router>
+        </MetricsProvider>
         
         {/* Toast Notifications */}
         <Toaster
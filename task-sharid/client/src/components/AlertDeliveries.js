@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { Webhook, Mail, CheckCircle, XCircle, Clock } from 'lucide-react';
+import { alertsAPI } from '../services/api';
+import { format } from 'date-fns';
+
+const CHANNEL_ICONS = {
+  webhook: Webhook,
+  email: Mail
+};
+
+const STATUS_STYLES = {
+  pending: { icon: Clock, label: 'Retrying', className: 'bg-yellow-100 text-yellow-800' },
+  delivered: { icon: CheckCircle, label: 'Delivered', className: 'bg-green-100 text-green-800' },
+  failed: { icon: XCircle, label: 'Failed', className: 'bg-red-100 text-red-800' }
+};
+
+// Notification deliveries of one alert with every attempt
+const AlertDeliveries = ({ alertId }) => {
+  const [deliveries, setDeliveries] = useState(null);
+
+  useEffect(() => {
+    const fetchDeliveries = async () => {
+      try {
+        const response = await alertsAPI.getAlertDeliveries(alertId);
+        if (response.success) {
+          setDeliveries(response.data.deliveries);
+        }
+      } catch (err) {
+        console.error('Error fetching alert deliveries:', err);
+        setDeliveries([]);
+      }
+    };
+
+    fetchDeliveries();
+  }, [alertId]);
+
+  if (deliveries === null) {
+    return <p className="text-xs text-gray-500">Loading notifications…</p>;
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-gray-500">No notifications were sent for this alert</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {deliveries.map(delivery => {
+        const ChannelIcon = CHANNEL_ICONS[delivery.channelType] || Webhook;
+        const { icon: StatusIcon, label, className } = STATUS_STYLES[delivery.status] || STATUS_STYLES.pending;
+
+        return (
+          <div key={delivery.id} className="text-xs border border-gray-200 rounded-lg p-2 bg-white">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-2 min-w-0">
+                <ChannelIcon className="h-4 w-4 text-gray-500 flex-shrink-0" />
+                <span className="font-medium text-gray-900">{delivery.channelName}</span>
+                <span className="text-gray-500 truncate">{delivery.target}</span>
+                <span className="text-gray-500">
+                  · {delivery.event}{delivery.event === 'escalation' && ` ${delivery.escalationLevel}`}
+                </span>
+              </div>
+              <span className={`inline-flex items-center px-2 py-1 rounded-full font-medium ${className}`}>
+                <StatusIcon className="h-3 w-3 mr-1" />
+                {label}
+              </span>
+            </div>
+            <ul className="mt-1 space-y-0.5 text-gray-600">
+              {delivery.attempts.map((attempt, index) => (
+                <li key={index}>
+                  {format(new Date(attempt.at), 'MMM dd, HH:mm:ss')}
+                  {' · '}
+                  {attempt.success ? 'ok' : attempt.error}
+                  {attempt.statusCode && ` (HTTP ${attempt.statusCode})`}
+                  {` · ${attempt.durationMs} ms`}
+                </li>
+              ))}
+            </ul>
+            {delivery.status === 'pending' && delivery.nextAttemptAt && (
+              <p className="text-gray-500">Next attempt {format(new Date(delivery.nextAttemptAt), 'HH:mm:ss')}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AlertDeliveries;
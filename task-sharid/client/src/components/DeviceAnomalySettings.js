@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { Save, RotateCcw } from 'lucide-react';
+import { devicesAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useMetrics } from '../contexts/MetricsContext';
+
+const METHODS = [
+  { value: 'ewma', label: 'Rolling average (EWMA)' },
+  { value: 'seasonal', label: 'Seasonal (per hour of day)' }
+];
+
+// Anomaly detection settings of a device and what its baselines learned so
+// far. Only admins can change them.
+const DeviceAnomalySettings = ({ device }) => {
+  const { user } = useAuth();
+  const { formatMetric } = useMetrics();
+  const isAdmin = user?.role === 'admin';
+
+  const [settings, setSettings] = useState(null);
+  const [baselines, setBaselines] = useState([]);
+  const [minSamples, setMinSamples] = useState(0);
+  const [metrics, setMetrics] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const response = await devicesAPI.getAnomalySettings(device.uid);
+      if (response.success) {
+        setSettings(response.data.anomalyDetection);
+        setMetrics(response.data.anomalyDetection.metrics.join(', '));
+        setBaselines(response.data.baselines);
+        setMinSamples(response.data.minSamples);
+      }
+    } catch (err) {
+      console.error('Error fetching anomaly settings:', err);
+    }
+  }, [device.uid]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await devicesAPI.updateAnomalySettings(device.uid, {
+        enabled: settings.enabled,
+        method: settings.method,
+        zScore: settings.zScore,
+        metrics
+      });
+      if (response.success) {
+        toast.success('Anomaly detection updated');
+        setSettings(response.data.anomalyDetection);
+      }
+    } catch (err) {
+      console.error('Error updating anomaly settings:', err);
+      toast.error(err.response?.data?.message || 'Failed to update anomaly detection');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Forget everything learned about this device? Detection restarts from scratch.')) return;
+
+    try {
+      await devicesAPI.resetAnomalyBaselines(device.uid);
+      toast.success('Anomaly baselines reset');
+      setBaselines([]);
+    } catch (err) {
+      console.error('Error resetting anomaly baselines:', err);
+      toast.error(err.response?.data?.message || 'Failed to reset baselines');
+    }
+  };
+
+  if (!settings) return null;
+
+  return (
+    <div>
+      <form onSubmit={handleSave} className="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-4 items-end">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+            disabled={!isAdmin}
+          />
+          <span>Enabled</span>
+        </label>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Method</label>
+          <select
+            value={settings.method}
+            onChange={(e) => setSettings({ ...settings, method: e.target.value })}
+            className="input"
+            disabled={!isAdmin}
+          >
+            {METHODS.map(method => (
+              <option key={method.value} value={method.value}>{method.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">z-score threshold</label>
+          <input
+            type="number"
+            min="1"
+            step="0.5"
+            value={settings.zScore}
+            onChange={(e) => setSettings({ ...settings, zScore: e.target.value })}
+            className="input"
+            disabled={!isAdmin}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Metrics</label>
+          <input
+            type="text"
+            value={metrics}
+            onChange={(e) => setMetrics(e.target.value)}
+            placeholder="All numeric metrics"
+            className="input"
+            disabled={!isAdmin}
+          />
+        </div>
+        {isAdmin && (
+          <div className="sm:col-span-4 flex justify-end space-x-3">
+            <button type="button" onClick={handleReset} className="btn btn-secondary">
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Reset baselines
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              <Save className="h-4 w-4 mr-2" />
+              Save
+            </button>
+          </div>
+        )}
+      </form>
+
+      {baselines.length === 0 ? (
+        <p className="text-sm text-gray-500">No baselines learned yet</p>
+      ) : (
+        <div className="space-y-2">
+          {baselines.map(baseline => (
+            <div key={baseline.metric} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+              <span className="font-medium text-gray-900">{baseline.metric}</span>
+              <span className="text-gray-600">
+                {formatMetric(baseline.metric, baseline.overall.mean)} ± {baseline.overall.stdDev.toFixed(2)}
+                <span className="text-gray-400 ml-2">
+                  {baseline.overall.count < minSamples
+                    ? `learning (${baseline.overall.count}/${minSamples})`
+                    : `${baseline.overall.count} readings`}
+                </span>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeviceAnomalySettings;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { Send, Clock, CheckCircle, XCircle, AlertTriangle, Loader } from 'lucide-react';
+import { devicesAPI } from '../services/api';
+import { useSocket } from '../contexts/SocketContext';
+import { format } from 'date-fns';
+
+const STATUS_STYLES = {
+  pending: { icon: Loader, label: 'Pending', className: 'bg-gray-100 text-gray-700' },
+  sent: { icon: Clock, label: 'Sent', className: 'bg-blue-100 text-blue-800' },
+  acked: { icon: CheckCircle, label: 'Acknowledged', className: 'bg-green-100 text-green-800' },
+  failed: { icon: XCircle, label: 'Failed', className: 'bg-red-100 text-red-800' },
+  timed_out: { icon: AlertTriangle, label: 'Timed out', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+const CommandStatus = ({ status }) => {
+  const { icon: Icon, label, className } = STATUS_STYLES[status] || STATUS_STYLES.pending;
+  return (
+    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${className}`}>
+      <Icon className="h-3 w-3 mr-1" />
+      {label}
+    </span>
+  );
+};
+
+// Send commands to a device and follow their status live (command:update)
+const DeviceCommands = ({ device }) => {
+  const [commands, setCommands] = useState([]);
+  const [command, setCommand] = useState('');
+  const [params, setParams] = useState('');
+  const [sending, setSending] = useState(false);
+  const { socket } = useSocket();
+
+  const fetchCommands = useCallback(async () => {
+    try {
+      const response = await devicesAPI.getDeviceCommands(device.uid, { limit: 10 });
+      if (response.success) {
+        setCommands(response.data.commands);
+      }
+    } catch (err) {
+      console.error('Error fetching device commands:', err);
+    }
+  }, [device.uid]);
+
+  useEffect(() => {
+    fetchCommands();
+  }, [fetchCommands]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUpdate = (update) => {
+      if (update.deviceId !== device.uid) return;
+      setCommands(prev => {
+        const exists = prev.some(item => item.id === update.id);
+        return exists
+          ? prev.map(item => item.id === update.id ? update : item)
+          : [update, ...prev].slice(0, 10);
+      });
+    };
+
+    socket.on('command:update', handleUpdate);
+    return () => socket.off('command:update', handleUpdate);
+  }, [socket, device.uid]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let parsedParams = {};
+    if (params.trim()) {
+      try {
+        parsedParams = JSON.parse(params);
+      } catch (err) {
+        toast.error('Params must be valid JSON');
+        return;
+      }
+    }
+
+    try {
+      setSending(true);
+      const response = await devicesAPI.sendCommand(device.uid, {
+        command: command.trim(),
+        params: parsedParams
+      });
+
+      const sent = response.data.command;
+      setCommands(prev => [sent, ...prev.filter(item => item.id !== sent.id)].slice(0, 10));
+
+      if (response.success) {
+        toast.success(`Command "${sent.command}" sent`);
+        setCommand('');
+        setParams('');
+      } else {
+        toast.error(response.message || 'Failed to send command');
+      }
+    } catch (err) {
+      console.error('Error sending command:', err);
+      toast.error(err.response?.data?.message || 'Failed to send command');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-3 mb-4">
+        <input
+          type="text"
+          value={command}
+          onChange={(e) => setCommand(e.target.value)}
+          placeholder="Command (e.g. reboot)"
+          className="input sm:w-48"
+          required
+        />
+        <input
+          type="text"
+          value={params}
+          onChange={(e) => setParams(e.target.value)}
+          placeholder='Params JSON (e.g. {"interval": 60})'
+          className="input flex-1 font-mono text-sm"
+        />
+        <button type="submit" className="btn btn-primary" disabled={sending || !command.trim()}>
+          <Send className="h-4 w-4 mr-2" />
+          Send
+        </button>
+      </form>
+
+      {commands.length === 0 ? (
+        <p className="text-sm text-gray-500">No commands sent yet</p>
+      ) : (
+        <div className="space-y-2">
+          {commands.map((item) => (
+            <div key={item.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="font-mono text-sm text-gray-900">{item.command}</span>
+                  {item.params && Object.keys(item.params).length > 0 && (
+                    <span className="font-mono text-xs text-gray-500 truncate">{JSON.stringify(item.params)}</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {format(new Date(item.createdAt), 'MMM dd, HH:mm:ss')}
+                  {item.error && <span className="text-red-600 ml-2">{item.error}</span>}
+                  {item.status === 'acked' && item.response !== undefined && (
+                    <span className="font-mono ml-2">{JSON.stringify(item.response)}</span>
+                  )}
+                </div>
+              </div>
+              <CommandStatus status={item.status} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeviceCommands;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search } from 'lucide-react';
+import { devicesAPI } from '../services/api';
+
+const MAX_SUGGESTIONS = 8;
+const OPERATOR = /(?:>=|<=|!=|=|>|<|:)$/;
+
+const quoteValue = (value) => (/[\s()"]/.test(value) ? `"${value.replace(/(["\\])/g, '\\$1')}"` : value);
+
+// Start of the term being typed: after the last space or parenthesis outside quotes
+const termStart = (text) => {
+  let start = 0;
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '"') quoted = !quoted;
+    else if (!quoted && /[\s()]/.test(text[i])) start = i + 1;
+  }
+  return start;
+};
+
+// Text a key suggestion inserts, up to where its value starts
+const keyText = (item) => (item.type === 'field' ? `${item.key}:` : `${item.key}=`);
+
+// Values for `key:`, `tag:key=` or `meta:key<op>`, otherwise matching keys
+const getSuggestions = (term, keys) => {
+  const valueMatch = /^((?:tag|meta):[^=!<>]+(?:>=|<=|!=|=|>|<)|[a-zA-Z]+:)(.*)$/.exec(term);
+  if (valueMatch) {
+    const [, prefix, partial] = valueMatch;
+    const keyName = prefix.replace(OPERATOR, '').toLowerCase();
+    const key = keys.find(item => item.key.toLowerCase() === keyName);
+    if (key) {
+      const typed = partial.replace(/^"/, '').toLowerCase();
+      return key.values
+        .filter(value => value.toLowerCase().startsWith(typed))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(value => ({ label: value, hint: key.label || key.key, text: `${prefix}${quoteValue(value)} ` }));
+    }
+  }
+
+  const typed = term.toLowerCase();
+  return keys
+    .filter(item => item.key.toLowerCase().startsWith(typed))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(item => ({
+      label: item.key,
+      hint: item.type === 'metadata' ? `${item.label} (${item.valueType})` : item.type,
+      text: keyText(item)
+    }));
+};
+
+// Search box for device filter expressions (`tag:floor=3 AND status:offline`)
+// with autocomplete for the known keys and values
+const DeviceFilterInput = ({ value, onChange, error }) => {
+  const [keys, setKeys] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    devicesAPI.getFilterKeys()
+      .then(response => {
+        if (response.success) setKeys(response.data.keys);
+      })
+      .catch(err => console.error('Error fetching filter keys:', err));
+  }, []);
+
+  const start = termStart(value);
+  const suggestions = open ? getSuggestions(value.slice(start), keys) : [];
+
+  const applySuggestion = (suggestion) => {
+    onChange(value.slice(0, start) + suggestion.text);
+    setHighlighted(0);
+    inputRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(prev => (prev - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="flex-1">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          ref={inputRef}
+          type="text"
+          placeholder="Search or filter, e.g. tag:floor=3 AND status:offline"
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setOpen(true);
+            setHighlighted(0);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          className={`input pl-10 ${error ? 'border-red-300' : ''}`}
+        />
+        {suggestions.length > 0 && (
+          <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1">
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={suggestion.text}
+                // Keep focus in the input; click would fire after blur
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  applySuggestion(suggestion);
+                }}
+                className={`flex items-center justify-between px-3 py-2 text-sm cursor-pointer ${
+                  index === highlighted ? 'bg-gray-100' : 'hover:bg-gray-50'
+                }`}
+              >
+                <span className="font-mono text-gray-900">{suggestion.label}</span>
+                <span className="text-xs text-gray-500">{suggestion.hint}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default DeviceFilterInput;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { X } from 'lucide-react';
+import { deviceGroupsAPI } from '../services/api';
+import DeviceFilterInput from './DeviceFilterInput';
+
+const toForm = (group) => ({
+  name: group?.name || '',
+  description: group?.description || '',
+  type: group?.type || 'static',
+  deviceIds: (group?.deviceIds || []).join(', '),
+  filter: group?.filter || ''
+});
+
+// Modal to create a device group, or edit `group`
+const DeviceGroupForm = ({ group, onClose, onSaved }) => {
+  const [form, setForm] = useState(() => toForm(group));
+  const [saving, setSaving] = useState(false);
+
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const groupData = {
+      name: form.name,
+      description: form.description,
+      type: form.type,
+      ...(form.type === 'static' ? { deviceIds: form.deviceIds } : { filter: form.filter })
+    };
+
+    try {
+      setSaving(true);
+      const response = group
+        ? await deviceGroupsAPI.updateGroup(group.id, groupData)
+        : await deviceGroupsAPI.createGroup(groupData);
+      toast.success(response.message);
+      onSaved(response.data.group);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save group');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-hidden">
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-900">{group ? 'Edit Group' : 'New Group'}</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input name="name" value={form.name} onChange={handleFieldChange} placeholder="North building" className="input w-full" required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Membership</label>
+              <select name="type" value={form.type} onChange={handleFieldChange} className="input w-full">
+                <option value="static">Fixed list</option>
+                <option value="dynamic">Filter</option>
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description <span className="font-normal text-gray-500">(optional)</span></label>
+            <input name="description" value={form.description} onChange={handleFieldChange} className="input w-full" />
+          </div>
+
+          {form.type === 'static' ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Devices <span className="font-normal text-gray-500">(UIDs, comma separated)</span></label>
+              <textarea name="deviceIds" value={form.deviceIds} onChange={handleFieldChange} rows={3} className="input w-full font-mono text-sm" />
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Filter</label>
+              <DeviceFilterInput
+                value={form.filter}
+                onChange={(value) => setForm(prev => ({ ...prev, filter: value }))}
+              />
+              <p className="mt-1 text-xs text-gray-500">Devices matching the filter are members, including ones added or tagged later.</p>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-2 pt-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>{group ? 'Save' : 'Create'}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceGroupForm;
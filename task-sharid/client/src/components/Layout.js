@@ -12,7 +12,12 @@ import {
   X,
   Wifi,
   WifiOff,
-  User
+  User,
+  Inbox,
+  Bell,
+  BellOff,
+  Layers,
+  MapPin
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -34,8 +39,39 @@ const Layout = ({ children }) => {
       href: '/devices',
       icon: Cpu,
       current: location.pathname === '/devices'
+    },
+    {
+      name: 'Groups',
+      href: '/groups',
+      icon: Layers,
+      current: location.pathname.startsWith('/groups')
+    },
+    {
+      name: 'Locations',
+      href: '/locations',
+      icon: MapPin,
+      current: location.pathname === '/locations'
+    },
+    {
+      name: 'Alerts',
+      href: '/alerts',
+      icon: Bell,
+      current: location.pathname === '/alerts'
+    },
+    {
+      name: 'Silences',
+      href: '/silences',
+      icon: BellOff,
+      current: location.pathname === '/silences'
+    },
+    {
+      name: 'Dead Letters',
+      href: '/dead-letters',
+      icon: Inbox,
+      current: location.pathname === '/dead-letters',
+      adminOnly: true
     }
-  ];
+  ].filter(item => !item.adminOnly || user?.role === 'admin');
 
   const handleLogout = async () => {
     await logout();
@@ -0,0 +1,129 @@
+import React from 'react';
+import {
+  Thermometer,
+  Droplets,
+  Droplet,
+  CloudDrizzle,
+  ThermometerSun,
+  Wind,
+  Cloud,
+  FlaskConical,
+  Volume2,
+  Gauge,
+  Activity
+} from 'lucide-react';
+import { useMetrics } from '../contexts/MetricsContext';
+
+// Icon and colour per metric; unknown metrics fall back to a generic icon
+const METRIC_STYLES = {
+  temperature: { icon: Thermometer, color: 'red' },
+  humidity: { icon: Droplets, color: 'blue' },
+  pm25: { icon: Wind, color: 'gray' },
+  co2: { icon: Cloud, color: 'green' },
+  voc: { icon: FlaskConical, color: 'purple' },
+  noise: { icon: Volume2, color: 'yellow' },
+  pressure: { icon: Gauge, color: 'blue' },
+  dewPoint: { icon: CloudDrizzle, color: 'blue' },
+  heatIndex: { icon: ThermometerSun, color: 'red' },
+  absoluteHumidity: { icon: Droplet, color: 'blue' }
+};
+
+const getMetricStyle = (name) => METRIC_STYLES[name] || { icon: Activity, color: 'gray' };
+
+export const MetricIcon = ({ name, className = 'h-4 w-4' }) => {
+  const { icon: Icon, color } = getMetricStyle(name);
+  return <Icon className={`${className} text-${color}-500`} />;
+};
+
+// Dark text on the light bands (yellow, green), white on the rest
+const getReadableTextColor = (hex) => {
+  const [r, g, b] = [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? '#111827' : '#FFFFFF';
+};
+
+// AQI value and category in the scale's colour band
+export const AqiBadge = ({ aqi, className = 'text-xs' }) => (
+  <span
+    className={`inline-flex items-center px-2 py-0.5 rounded-full font-medium whitespace-nowrap ${className}`}
+    style={{ backgroundColor: aqi.color, color: getReadableTextColor(aqi.color) }}
+    title={`AQI ${aqi.value} (${aqi.scale}), PM2.5 average ${aqi.concentration} µg/m³`}
+  >
+    AQI {aqi.value} · {aqi.category}
+  </span>
+);
+
+// The AQI badge replaces the PM2.5 value when the reading has one
+const MetricValue = ({ name, value, aqi }) => {
+  const { formatMetric } = useMetrics();
+  if (aqi && name === 'pm25') return <AqiBadge aqi={aqi} />;
+  return formatMetric(name, value);
+};
+
+// Compact inline list: icon + value per metric
+// `highlight` lists metric names to mark, e.g. the anomalous ones
+export const MetricInlineList = ({ deviceType, data, aqi, highlight = [], size = 'h-4 w-4', className = 'flex items-center space-x-6', valueClassName = 'text-sm font-medium' }) => {
+  const { getReadingMetrics } = useMetrics();
+
+  return (
+    <div className={className}>
+      {getReadingMetrics(deviceType, data).map(metric => (
+        <div key={metric.name} className="flex items-center space-x-2" title={metric.label}>
+          <MetricIcon name={metric.name} className={size} />
+          <span className={`${valueClassName} ${highlight.includes(metric.name) ? 'text-red-600' : ''}`}>
+            <MetricValue name={metric.name} value={data[metric.name]} aqi={aqi} />
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Small centred tiles used on device cards
+export const MetricTiles = ({ deviceType, data, aqi }) => {
+  const { getReadingMetrics } = useMetrics();
+  const metrics = getReadingMetrics(deviceType, data);
+
+  return (
+    <div className={`grid grid-cols-${Math.min(metrics.length, 3) || 1} gap-4 mb-4`}>
+      {metrics.map(metric => (
+        <div key={metric.name} className="text-center">
+          <div className="flex items-center justify-center mb-1">
+            <MetricIcon name={metric.name} />
+          </div>
+          <p className="text-lg font-semibold text-gray-900">
+            <MetricValue name={metric.name} value={data[metric.name]} aqi={aqi} />
+          </p>
+          <p className="text-xs text-gray-500">{metric.label}</p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Large cards used in the device detail modal
+export const MetricCards = ({ deviceType, data, aqi }) => {
+  const { getReadingMetrics } = useMetrics();
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {getReadingMetrics(deviceType, data).map(metric => {
+        const { color } = getMetricStyle(metric.name);
+        return (
+          <div key={metric.name} className="card">
+            <div className="flex items-center space-x-3">
+              <div className={`p-2 bg-${color}-100 rounded-lg`}>
+                <MetricIcon name={metric.name} className="h-6 w-6" />
+              </div>
+              <div>
+                <p className="text-2xl font-bold text-gray-900">
+                  <MetricValue name={metric.name} value={data[metric.name]} aqi={aqi} />
+                </p>
+                <p className="text-sm text-gray-600">{metric.label}</p>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { Webhook, Mail, Send, Bell, BellOff, Trash2, X } from 'lucide-react';
+import { notificationsAPI } from '../services/api';
+
+const EMPTY_CHANNEL = {
+  name: '',
+  type: 'webhook',
+  url: '',
+  secret: '',
+  headers: '',
+  template: '',
+  to: '',
+  subject: ''
+};
+
+const TEMPLATE_PLACEHOLDER = '{"text": "{{alert.message}}", "severity": "{{alert.severity}}"}';
+
+// "Name: value" lines to a header object
+const parseHeaders = (text) => Object.fromEntries(
+  text.split('\n')
+    .map(line => line.split(':'))
+    .filter(parts => parts.length > 1 && parts[0].trim())
+    .map(([name, ...value]) => [name.trim(), value.join(':').trim()])
+);
+
+// Webhook and email channels alerts are delivered to (admin)
+const NotificationChannels = ({ channels, onChange }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_CHANNEL);
+  const [testing, setTesting] = useState(null);
+
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const channelData = { name: form.name, type: form.type };
+    if (form.type === 'webhook') {
+      channelData.webhook = {
+        url: form.url,
+        secret: form.secret,
+        headers: parseHeaders(form.headers),
+        template: form.template
+      };
+    } else {
+      channelData.email = { to: form.to, subject: form.subject };
+    }
+
+    try {
+      const response = await notificationsAPI.createChannel(channelData);
+      toast.success(response.message);
+      setForm(EMPTY_CHANNEL);
+      setShowForm(false);
+      onChange();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create channel');
+    }
+  };
+
+  const handleTest = async (channel) => {
+    try {
+      setTesting(channel.id);
+      const response = await notificationsAPI.testChannel(channel.id);
+      toast.success(response.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to test channel');
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  const handleToggle = async (channel) => {
+    try {
+      await notificationsAPI.updateChannel(channel.id, { enabled: !channel.enabled });
+      onChange();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update channel');
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    if (!window.confirm(`Delete channel "${channel.name}"? It is removed from every rule.`)) return;
+
+    try {
+      const response = await notificationsAPI.deleteChannel(channel.id);
+      toast.success(response.message);
+      onChange();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete channel');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end">
+        <button onClick={() => setShowForm(true)} className="btn btn-primary">
+          New Channel
+        </button>
+      </div>
+
+      {channels.length === 0 ? (
+        <div className="text-center py-12">
+          <Send className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No notification channels</h3>
+          <p className="text-gray-600">Add a webhook or email channel and attach it to alert rules</p>
+        </div>
+      ) : (
+        <div className="card space-y-3">
+          {channels.map(channel => {
+            const Icon = channel.type === 'email' ? Mail : Webhook;
+            return (
+              <div key={channel.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center space-x-3 min-w-0">
+                  <div className="p-2 rounded-lg bg-blue-100 text-blue-600">
+                    <Icon className="h-4 w-4" />
+                  </div>
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900">
+                      {channel.name}
+                      {!channel.enabled && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">disabled</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-600 truncate">
+                      {channel.type === 'email' ? channel.email.to.join(', ') : channel.webhook.url}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button onClick={() => handleTest(channel)} className="btn btn-secondary" disabled={testing === channel.id}>
+                    {testing === channel.id ? 'Sending…' : 'Test'}
+                  </button>
+                  <button onClick={() => handleToggle(channel)} className="btn btn-secondary" title={channel.enabled ? 'Disable' : 'Enable'}>
+                    {channel.enabled ? <BellOff className="h-4 w-4" /> : <Bell className="h-4 w-4" />}
+                  </button>
+                  <button onClick={() => handleDelete(channel)} className="btn btn-secondary" title="Delete">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* New Channel Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-hidden">
+            <div className="flex items-center justify-between p-6 border-b">
+              <h2 className="text-xl font-semibold text-gray-900">New Notification Channel</h2>
+              <button onClick={() => setShowForm(false)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleCreate} className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input name="name" value={form.name} onChange={handleFieldChange} className="input w-full" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select name="type" value={form.type} onChange={handleFieldChange} className="input w-full">
+                    <option value="webhook">Webhook</option>
+                    <option value="email">Email</option>
+                  </select>
+                </div>
+              </div>
+
+              {form.type === 'webhook' ? (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">URL</label>
+                    <input name="url" type="url" value={form.url} onChange={handleFieldChange} className="input w-full" required />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Signing secret <span className="font-normal text-gray-500">(optional, HMAC-SHA256)</span>
+                    </label>
+                    <input name="secret" value={form.secret} onChange={handleFieldChange} className="input w-full" autoComplete="off" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Headers <span className="font-normal text-gray-500">(one "Name: value" per line)</span>
+                    </label>
+                    <textarea name="headers" value={form.headers} onChange={handleFieldChange} rows={2} className="input w-full font-mono text-sm" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Body template <span className="font-normal text-gray-500">(JSON, empty sends the full event)</span>
+                    </label>
+                    <textarea
+                      name="template"
+                      value={form.template}
+                      onChange={handleFieldChange}
+                      rows={4}
+                      placeholder={TEMPLATE_PLACEHOLDER}
+                      className="input w-full font-mono text-sm"
+                    />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Recipients <span className="font-normal text-gray-500">(comma separated)</span>
+                    </label>
+                    <input name="to" value={form.to} onChange={handleFieldChange} className="input w-full" required />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+                    <input
+                      name="subject"
+                      value={form.subject}
+                      onChange={handleFieldChange}
+                      placeholder="[{{alert.severity}}] {{alert.ruleName}} on {{alert.deviceId}}"
+                      className="input w-full"
+                    />
+                  </div>
+                </>
+              )}
+
+              <div className="flex justify-end space-x-2 pt-2">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
+                <button type="submit" className="btn btn-primary">Create Channel</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationChannels;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { Download, X } from 'lucide-react';
+import { telemetryAPI } from '../services/api';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'ndjson', label: 'NDJSON' },
+  { value: 'xlsx', label: 'Excel (XLSX)' }
+];
+
+const POLL_INTERVAL_MS = 2000;
+
+const EMPTY_FORM = {
+  format: 'csv',
+  from: '',
+  to: '',
+  metrics: '',
+  location: '',
+  deviceType: '',
+  background: false
+};
+
+const saveFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Error responses of blob requests arrive as a Blob too
+const errorMessage = async (err) => {
+  const data = err.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message;
+    } catch (parseError) {
+      return null;
+    }
+  }
+  return data?.message;
+};
+
+// "Export" button and dialog for telemetry of one device, or of all devices
+// matching a location and type. Large exports run in the background; the
+// dialog follows the job until its file can be downloaded.
+const TelemetryExport = ({ device }) => {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [exporting, setExporting] = useState(false);
+  const [job, setJob] = useState(null);
+
+  const jobId = job?.id;
+  const jobPending = job?.status === 'pending' || job?.status === 'running';
+
+  useEffect(() => {
+    if (!jobPending) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await telemetryAPI.getExportJob(jobId);
+        if (response.success) setJob(response.data.job);
+      } catch (err) {
+        console.error('Error fetching export job:', err);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [jobId, jobPending, job]);
+
+  const handleFieldChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const close = () => {
+    setOpen(false);
+    setJob(null);
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+
+    const params = { format: form.format };
+    if (device) {
+      params.deviceIds = device.uid;
+    } else {
+      if (form.location) params.location = form.location;
+      if (form.deviceType) params.deviceType = form.deviceType;
+    }
+    if (form.from) params.from = new Date(form.from).toISOString();
+    if (form.to) params.to = new Date(form.to).toISOString();
+    if (form.metrics.trim()) params.metrics = form.metrics;
+    if (form.background) params.async = true;
+
+    try {
+      setExporting(true);
+      const result = await telemetryAPI.exportTelemetry(params);
+      if (result.job) {
+        setJob(result.job);
+        toast.success('Export started in the background');
+      } else {
+        const name = device ? `telemetry-${device.uid}` : 'telemetry';
+        saveFile(result.file, `${name}-${new Date().toISOString().slice(0, 10)}.${form.format}`);
+        close();
+      }
+    } catch (err) {
+      console.error('Error exporting telemetry:', err);
+      toast.error(await errorMessage(err) || 'Failed to export telemetry');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <button onClick={() => setOpen(true)} className="btn btn-secondary" title="Export telemetry">
+        <Download className="h-4 w-4 mr-2" />
+        Export
+      </button>
+
+      {open && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-hidden">
+            <div className="flex items-center justify-between p-6 border-b">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">Export Telemetry</h2>
+                <p className="text-gray-600">{device ? device.name : 'All matching devices'}</p>
+              </div>
+              <button onClick={close} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {job ? (
+              <div className="p-6 space-y-4">
+                {jobPending && (
+                  <p className="text-gray-700">Preparing your export… You can close this dialog, the file stays available for a while.</p>
+                )}
+                {job.status === 'completed' && (
+                  <>
+                    <p className="text-gray-700">{job.rows.toLocaleString()} readings exported.</p>
+                    <a
+                      href={telemetryAPI.getExportDownloadUrl(job.downloadUrl)}
+                      className="btn btn-primary inline-flex"
+                    >
+                      <Download className="h-4 w-4 mr-2" />
+                      Download
+                    </a>
+                  </>
+                )}
+                {job.status === 'failed' && (
+                  <p className="text-red-600">Export failed: {job.error}</p>
+                )}
+                <div className="flex justify-end">
+                  <button onClick={close} className="btn btn-secondary">Close</button>
+                </div>
+              </div>
+            ) : (
+              <form onSubmit={handleExport} className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+                  <select name="format" value={form.format} onChange={handleFieldChange} className="input w-full">
+                    {FORMATS.map(format => (
+                      <option key={format.value} value={format.value}>{format.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {!device && (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                      <input name="location" value={form.location} onChange={handleFieldChange} placeholder="Any" className="input w-full" />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Device type</label>
+                      <input name="deviceType" value={form.deviceType} onChange={handleFieldChange} placeholder="Any" className="input w-full" />
+                    </div>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                    <input name="from" type="datetime-local" value={form.from} onChange={handleFieldChange} className="input w-full" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                    <input name="to" type="datetime-local" value={form.to} onChange={handleFieldChange} className="input w-full" />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Metrics <span className="font-normal text-gray-500">(comma separated)</span>
+                  </label>
+                  <input name="metrics" value={form.metrics} onChange={handleFieldChange} placeholder="All reported metrics" className="input w-full" />
+                </div>
+
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input name="background" type="checkbox" checked={form.background} onChange={handleFieldChange} />
+                  <span>Prepare in the background and download when ready</span>
+                </label>
+
+                <div className="flex justify-end space-x-2 pt-2">
+                  <button type="button" onClick={close} className="btn btn-secondary">Cancel</button>
+                  <button type="submit" className="btn btn-primary" disabled={exporting}>
+                    <Download className="h-4 w-4 mr-2" />
+                    {exporting ? 'Exporting…' : 'Export'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default TelemetryExport;
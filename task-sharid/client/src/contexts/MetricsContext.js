@@ -0,0 +1,81 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { metricsAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+
+const MetricsContext = createContext();
+
+// Units that sit directly against the value (21.5°C, 40%)
+const ATTACHED_UNITS = ['°C', '°F', '%'];
+
+export const useMetrics = () => {
+  const context = useContext(MetricsContext);
+  if (!context) {
+    throw new Error('useMetrics must be used within a MetricsProvider');
+  }
+  return context;
+};
+
+export const MetricsProvider = ({ children }) => {
+  const [definitions, setDefinitions] = useState({ metrics: [], deviceTypes: {} });
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (!user) return;
+
+    metricsAPI.getMetrics()
+      .then(response => {
+        if (response.success) {
+          setDefinitions(response.data);
+        }
+      })
+      .catch(error => {
+        console.error('Error fetching metric definitions:', error);
+      });
+  }, [user]);
+
+  const metricsByName = useMemo(() => {
+    const byName = {};
+    definitions.metrics.forEach(metric => {
+      byName[metric.name] = metric;
+    });
+    return byName;
+  }, [definitions]);
+
+  const getMetric = (name) => metricsByName[name] || { name, label: name, unit: '', precision: 2 };
+
+  // Metrics of the device type first (in registry order), then any other
+  // metrics present in the reading. Only metrics with a value are returned.
+  const getReadingMetrics = (deviceType, data = {}) => {
+    const profile = definitions.deviceTypes[deviceType] || definitions.deviceTypes.default;
+    const names = profile ? [...profile.metrics] : [];
+
+    Object.keys(data || {}).forEach(name => {
+      if (!names.includes(name)) names.push(name);
+    });
+
+    return names
+      .filter(name => data && data[name] !== undefined && data[name] !== null)
+      .map(getMetric);
+  };
+
+  const formatMetric = (name, value) => {
+    if (value === undefined || value === null) return '—';
+
+    const { unit } = getMetric(name);
+    if (!unit) return `${value}`;
+    return ATTACHED_UNITS.includes(unit) ? `${value}${unit}` : `${value} ${unit}`;
+  };
+
+  const value = {
+    definitions,
+    getMetric,
+    getReadingMetrics,
+    formatMetric
+  };
+
+  return (
+    <MetricsContext.Provider value={value}>
+      {children}
+    </MetricsContext.Provider>
+  );
+};
@@ -1,7 +1,8 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
 import { io } from 'socket.io-client';
 import toast from 'react-hot-toast';
 import { useAuth } from './AuthContext';
+import { useMetrics } from './MetricsContext';
 
 const SocketContext = createContext();
 
@@ -19,6 +20,11 @@ export const SocketProvider = ({ children }) => {
   const [deviceUpdates, setDeviceUpdates] = useState([]);
   const [telemetryUpdates, setTelemetryUpdates] = useState([]);
   const { user } = useAuth();
+  const metrics = useMetrics();
+
+  // Handlers are bound once per connection; read metric helpers through a ref
+  const metricsRef = useRef(metrics);
+  metricsRef.current = metrics;
 
   useEffect(() => {
     if (user && !socket) {
@@ -87,9 +93,15 @@ export const SocketProvider = ({ children }) => {
         });
 
         // Show toast notification for new readings
-        if (data.data) {
+        if (data.data && data.data.data) {
+          const { getReadingMetrics, formatMetric } = metricsRef.current;
+          const summary = getReadingMetrics(data.data.deviceType, data.data.data)
+            .slice(0, 2)
+            .map(metric => formatMetric(metric.name, data.data.data[metric.name]))
+            .join(', ');
+
           toast.success(
-            `New reading from ${data.deviceId}: ${data.data.temperature}°C, ${data.data.humidity}% RH`,
+            `New reading from ${data.deviceId}: ${summary}`,
             {
               duration: 3000,
               icon: '📊'
@@ -179,14 +191,7 @@ export const SocketProvider = ({ children }) => {
 
   const getDeviceStatus = (deviceId) => {
     const deviceUpdate = deviceUpdates.find(update => update.deviceId === deviceId);
-    if (!deviceUpdate) return 'unknown';
-    
-    const timeDiff = new Date() - new Date(deviceUpdate.lastSeen || deviceUpdate.timestamp);
-    const minutesAgo = timeDiff / (1000 * 60);
-    
-    if (minutesAgo < 5) return 'online';
-    if (minutesAgo < 30) return 'warning';
-    return 'offline';
+    return deviceUpdate?.status || 'unknown';
   };
 
   const value = {
@@ -0,0 +1,639 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { alertsAPI, notificationsAPI, silencesAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import { useMetrics } from '../contexts/MetricsContext';
+import {
+  Bell,
+  BellOff,
+  CheckCircle,
+  AlertTriangle,
+  Info,
+  RefreshCw,
+  Plus,
+  Trash2,
+  X,
+  ChevronLeft,
+  ChevronRight,
+  ChevronDown,
+  ChevronUp
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import AlertDeliveries from '../components/AlertDeliveries';
+import NotificationChannels from '../components/NotificationChannels';
+import { format } from 'date-fns';
+
+const SEVERITY_STYLES = {
+  critical: { icon: AlertTriangle, className: 'text-red-600 bg-red-100' },
+  warning: { icon: AlertTriangle, className: 'text-yellow-600 bg-yellow-100' },
+  info: { icon: Info, className: 'text-blue-600 bg-blue-100' }
+};
+
+const STATUS_BADGES = {
+  open: 'bg-red-100 text-red-800',
+  acknowledged: 'bg-yellow-100 text-yellow-800',
+  resolved: 'bg-green-100 text-green-800'
+};
+
+const EMPTY_RULE = {
+  name: '',
+  type: 'threshold',
+  metric: '',
+  operator: '>',
+  threshold: '',
+  durationMinutes: 0,
+  severity: 'warning',
+  deviceIds: '',
+  locations: '',
+  deviceTypes: '',
+  channels: [],
+  escalateAfter: '',
+  escalateTo: ''
+};
+
+const TABS = [
+  { id: 'active', label: 'Active' },
+  { id: 'history', label: 'History' },
+  { id: 'rules', label: 'Rules' },
+  { id: 'channels', label: 'Channels', adminOnly: true }
+];
+
+const AlertsPage = () => {
+  const [tab, setTab] = useState('active');
+  const [alerts, setAlerts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [rules, setRules] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [expandedAlert, setExpandedAlert] = useState(null);
+  const [operators, setOperators] = useState(['>', '>=', '<', '<=', '==', '!=']);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showRuleForm, setShowRuleForm] = useState(false);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  });
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const { definitions, formatMetric } = useMetrics();
+  const isAdmin = user?.role === 'admin';
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await alertsAPI.getAlerts({
+        status: tab === 'active' ? 'active' : 'resolved',
+        page: pagination.page,
+        limit: pagination.limit
+      });
+
+      if (response.success) {
+        setAlerts(response.data.alerts);
+        setCounts(response.data.counts);
+        setPagination(prev => ({
+          ...prev,
+          total: response.data.pagination.total,
+          pages: response.data.pagination.pages
+        }));
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching alerts:', err);
+      setError('Failed to load alerts');
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, pagination.page, pagination.limit]);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await alertsAPI.getRules();
+      if (response.success) {
+        setRules(response.data.rules);
+        setOperators(response.data.operators);
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching alert rules:', err);
+      setError('Failed to load alert rules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchChannels = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getChannels();
+      if (response.success) {
+        setChannels(response.data.channels);
+      }
+    } catch (err) {
+      console.error('Error fetching notification channels:', err);
+    }
+  }, []);
+
+  const refresh = tab === 'rules' ? fetchRules : tab === 'channels' ? fetchChannels : fetchAlerts;
+  const isAlertTab = tab === 'active' || tab === 'history';
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Channel names for the rule list and form
+  useEffect(() => {
+    if (isAdmin) fetchChannels();
+  }, [isAdmin, fetchChannels]);
+
+  // Reload the list when an alert is raised, acknowledged or resolved
+  useEffect(() => {
+    if (!socket || !isAlertTab) return;
+
+    socket.on('alert:update', fetchAlerts);
+    return () => socket.off('alert:update', fetchAlerts);
+  }, [socket, isAlertTab, fetchAlerts]);
+
+  const handleTabChange = (id) => {
+    setTab(id);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleAcknowledge = async (id) => {
+    const comment = window.prompt('Acknowledge with a comment (optional)');
+    if (comment === null) return;
+
+    try {
+      const response = await alertsAPI.acknowledgeAlert(id, comment);
+      toast.success(response.message);
+      fetchAlerts();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to acknowledge alert');
+    }
+  };
+
+  const handleResolve = async (id) => {
+    try {
+      const response = await alertsAPI.resolveAlert(id);
+      toast.success(response.message);
+      fetchAlerts();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to resolve alert');
+    }
+  };
+
+  // Mute the device's notifications for an hour, e.g. while it is being cleaned
+  const handleSilence = async (alert) => {
+    try {
+      const response = await silencesAPI.createSilence({
+        type: 'silence',
+        name: `Silenced from alert "${alert.ruleName}"`,
+        scope: { deviceIds: [alert.deviceId] },
+        endsAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      });
+      toast.success(`${response.message} for ${alert.deviceId} (1 hour)`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to silence device');
+    }
+  };
+
+  const handleRuleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setRuleForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleRuleChannelToggle = (id) => {
+    setRuleForm(prev => ({
+      ...prev,
+      channels: prev.channels.includes(id)
+        ? prev.channels.filter(channel => channel !== id)
+        : [...prev.channels, id]
+    }));
+  };
+
+  const handleCreateRule = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await alertsAPI.createRule({
+        name: ruleForm.name,
+        type: ruleForm.type,
+        metric: ruleForm.metric,
+        ...(ruleForm.type === 'threshold' && {
+          operator: ruleForm.operator,
+          threshold: ruleForm.threshold
+        }),
+        durationSeconds: Math.round(Number(ruleForm.durationMinutes || 0) * 60),
+        severity: ruleForm.severity,
+        scope: {
+          deviceIds: ruleForm.deviceIds,
+          locations: ruleForm.locations,
+          deviceTypes: ruleForm.deviceTypes
+        },
+        channels: ruleForm.channels,
+        escalations: ruleForm.escalateTo
+          ? [{ afterMinutes: ruleForm.escalateAfter, channels: [ruleForm.escalateTo] }]
+          : []
+      });
+      toast.success(response.message);
+      setRuleForm(EMPTY_RULE);
+      setShowRuleForm(false);
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create rule');
+    }
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      await alertsAPI.updateRule(rule.id, { enabled: !rule.enabled });
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update rule');
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete rule "${rule.name}"? Its active alerts will be resolved.`)) return;
+
+    try {
+      const response = await alertsAPI.deleteRule(rule.id);
+      toast.success(response.message);
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete rule');
+    }
+  };
+
+  const handlePageChange = (newPage) => {
+    setPagination(prev => ({ ...prev, page: newPage }));
+  };
+
+  const describeScope = (scope) => {
+    const parts = [
+      scope.deviceIds.length > 0 && `devices: ${scope.deviceIds.join(', ')}`,
+      scope.locations.length > 0 && `locations: ${scope.locations.join(', ')}`,
+      scope.deviceTypes.length > 0 && `types: ${scope.deviceTypes.join(', ')}`,
+      scope.groups?.length > 0 && (scope.groups.length === 1 ? '1 group' : `${scope.groups.length} groups`)
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(' · ') : 'All devices';
+  };
+
+  const channelNames = (ids) => ids
+    .map(id => channels.find(channel => channel.id === id)?.name)
+    .filter(Boolean)
+    .join(', ');
+
+  const describeNotifications = (rule) => {
+    const parts = [
+      rule.channels.length > 0 && `notifies ${channelNames(rule.channels)}`,
+      ...rule.escalations.map(step => `after ${step.afterMinutes} min ${channelNames(step.channels)}`)
+    ].filter(Boolean);
+    return parts.join(' · ');
+  };
+
+  const activeCount = (counts.open || 0) + (counts.acknowledged || 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Alerts</h1>
+          <p className="text-gray-600">Threshold alerts raised from device telemetry</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {tab === 'rules' && isAdmin && (
+            <button onClick={() => setShowRuleForm(true)} className="btn btn-primary">
+              <Plus className="h-4 w-4 mr-2" />
+              New Rule
+            </button>
+          )}
+          <button onClick={refresh} className="btn btn-secondary" disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex space-x-2 border-b">
+        {TABS.filter(item => !item.adminOnly || isAdmin).map(item => (
+          <button
+            key={item.id}
+            onClick={() => handleTabChange(item.id)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              tab === item.id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {item.label}
+            {item.id === 'active' && activeCount > 0 && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-800">{activeCount}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {/* Error State */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {tab === 'channels' ? (
+        <NotificationChannels channels={channels} onChange={fetchChannels} />
+      ) : loading && (tab === 'rules' ? rules.length === 0 : alerts.length === 0) ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="large" text="Loading alerts..." />
+        </div>
+      ) : tab === 'rules' ? (
+        /* Rule List */
+        rules.length === 0 ? (
+          <div className="text-center py-12">
+            <Bell className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No alert rules</h3>
+            <p className="text-gray-600">Rules such as "pm25 &gt; 35 for 10 minutes" raise alerts from telemetry</p>
+          </div>
+        ) : (
+          <div className="card space-y-3">
+            {rules.map(rule => (
+              <div key={rule.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900">
+                    {rule.name}
+                    <span className={`ml-2 px-2 py-1 rounded-full text-xs font-medium ${SEVERITY_STYLES[rule.severity].className}`}>
+                      {rule.severity}
+                    </span>
+                    {!rule.enabled && (
+                      <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">disabled</span>
+                    )}
+                  </p>
+                  <p className="text-sm font-mono text-gray-700">{rule.condition}</p>
+                  <p className="text-xs text-gray-500">{describeScope(rule.scope)}</p>
+                  {isAdmin && describeNotifications(rule) && (
+                    <p className="text-xs text-gray-500">{describeNotifications(rule)}</p>
+                  )}
+                </div>
+                {isAdmin && (
+                  <div className="flex items-center space-x-2">
+                    <button onClick={() => handleToggleRule(rule)} className="btn btn-secondary" title={rule.enabled ? 'Disable' : 'Enable'}>
+                      {rule.enabled ? <BellOff className="h-4 w-4" /> : <Bell className="h-4 w-4" />}
+                    </button>
+                    <button onClick={() => handleDeleteRule(rule)} className="btn btn-secondary" title="Delete">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )
+      ) : alerts.length === 0 ? (
+        <div className="text-center py-12">
+          <CheckCircle className="mx-auto h-12 w-12 text-green-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            {tab === 'active' ? 'No active alerts' : 'No resolved alerts'}
+          </h3>
+          <p className="text-gray-600">Alerts raised by your rules will appear here</p>
+        </div>
+      ) : (
+        <>
+          {/* Alert List */}
+          <div className="card space-y-3">
+            {alerts.map(alert => {
+              const { icon: SeverityIcon, className } = SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.warning;
+              return (
+                <div key={alert.id} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3 min-w-0">
+                      <div className={`p-2 rounded-lg ${className}`}>
+                        <SeverityIcon className="h-4 w-4" />
+                      </div>
+                      <div className="min-w-0">
+                        <p className="font-medium text-gray-900">
+                          {alert.ruleName}
+                          <span className={`ml-2 px-2 py-1 rounded-full text-xs font-medium ${STATUS_BADGES[alert.status]}`}>
+                            {alert.status}
+                          </span>
+                          {alert.silence && (
+                            <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">silenced</span>
+                          )}
+                        </p>
+                        <p className="text-sm text-gray-600">
+                          {alert.deviceId} · <span className="font-mono">{alert.condition}</span> · value {formatMetric(alert.metric, alert.lastValue)}
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          Triggered {format(new Date(alert.triggeredAt), 'MMM dd, HH:mm:ss')}
+                          {alert.acknowledgedAt && ` · acknowledged ${format(new Date(alert.acknowledgedAt), 'MMM dd, HH:mm')}`}
+                          {alert.resolvedAt && ` · resolved ${format(new Date(alert.resolvedAt), 'MMM dd, HH:mm')}`}
+                          {alert.resolvedBy && alert.resolvedBy !== 'auto' && ` by ${alert.resolvedBy}`}
+                        </p>
+                        {alert.acknowledgeComment && (
+                          <p className="text-xs text-gray-600">Comment: {alert.acknowledgeComment}</p>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => setExpandedAlert(expandedAlert === alert.id ? null : alert.id)}
+                        className="btn btn-secondary"
+                        title="Notifications"
+                      >
+                        {expandedAlert === alert.id ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                      </button>
+                      {alert.status !== 'resolved' && (
+                        <>
+                          {alert.status === 'open' && (
+                            <button onClick={() => handleAcknowledge(alert.id)} className="btn btn-secondary">
+                              Acknowledge
+                            </button>
+                          )}
+                          <button onClick={() => handleResolve(alert.id)} className="btn btn-secondary">
+                            Resolve
+                          </button>
+                          <button onClick={() => handleSilence(alert)} className="btn btn-secondary" title="Silence device for 1 hour">
+                            <BellOff className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  {expandedAlert === alert.id && (
+                    <div className="mt-3 pl-11">
+                      <AlertDeliveries alertId={alert.id} />
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Pagination */}
+          {pagination.pages > 1 && (
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-gray-700">
+                {pagination.total} alerts
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handlePageChange(pagination.page - 1)}
+                  disabled={pagination.page === 1}
+                  className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <span className="px-3 py-1 text-sm font-medium text-gray-700">
+                  {pagination.page} of {pagination.pages}
+                </span>
+                <button
+                  onClick={() => handlePageChange(pagination.page + 1)}
+                  disabled={pagination.page === pagination.pages}
+                  className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* New Rule Modal */}
+      {showRuleForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-hidden">
+            <div className="flex items-center justify-between p-6 border-b">
+              <h2 className="text-xl font-semibold text-gray-900">New Alert Rule</h2>
+              <button onClick={() => setShowRuleForm(false)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleCreateRule} className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input name="name" value={ruleForm.name} onChange={handleRuleFieldChange} className="input w-full" required />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select name="type" value={ruleForm.type} onChange={handleRuleFieldChange} className="input w-full">
+                  <option value="threshold">Threshold</option>
+                  <option value="anomaly">Anomaly (device needs anomaly detection enabled)</option>
+                </select>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Metric</label>
+                  <select name="metric" value={ruleForm.metric} onChange={handleRuleFieldChange} className="input w-full" required>
+                    <option value="">Select…</option>
+                    {definitions.metrics.map(metric => (
+                      <option key={metric.name} value={metric.name}>{metric.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {ruleForm.type === 'threshold' && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Operator</label>
+                      <select name="operator" value={ruleForm.operator} onChange={handleRuleFieldChange} className="input w-full">
+                        {operators.map(operator => (
+                          <option key={operator} value={operator}>{operator}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Threshold</label>
+                      <input name="threshold" type="number" step="any" value={ruleForm.threshold} onChange={handleRuleFieldChange} className="input w-full" required />
+                    </div>
+                  </>
+                )}
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">For (minutes)</label>
+                  <input name="durationMinutes" type="number" min="0" step="any" value={ruleForm.durationMinutes} onChange={handleRuleFieldChange} className="input w-full" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Severity</label>
+                  <select name="severity" value={ruleForm.severity} onChange={handleRuleFieldChange} className="input w-full">
+                    {Object.keys(SEVERITY_STYLES).map(severity => (
+                      <option key={severity} value={severity}>{severity}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-1">Scope <span className="font-normal text-gray-500">(comma separated, empty matches all)</span></p>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <input name="deviceIds" value={ruleForm.deviceIds} onChange={handleRuleFieldChange} placeholder="Device UIDs" className="input w-full" />
+                  <input name="locations" value={ruleForm.locations} onChange={handleRuleFieldChange} placeholder="Locations" className="input w-full" />
+                  <input name="deviceTypes" value={ruleForm.deviceTypes} onChange={handleRuleFieldChange} placeholder="Device types" className="input w-full" />
+                </div>
+              </div>
+
+              {channels.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-1">Notify</p>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1">
+                    {channels.map(channel => (
+                      <label key={channel.id} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={ruleForm.channels.includes(channel.id)}
+                          onChange={() => handleRuleChannelToggle(channel.id)}
+                          className="mr-2"
+                        />
+                        {channel.name}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Escalate if not acknowledged to</label>
+                      <select name="escalateTo" value={ruleForm.escalateTo} onChange={handleRuleFieldChange} className="input w-full">
+                        <option value="">No escalation</option>
+                        {channels.map(channel => (
+                          <option key={channel.id} value={channel.id}>{channel.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">After (minutes)</label>
+                      <input
+                        name="escalateAfter"
+                        type="number"
+                        min="1"
+                        value={ruleForm.escalateAfter}
+                        onChange={handleRuleFieldChange}
+                        className="input w-full"
+                        required={Boolean(ruleForm.escalateTo)}
+                        disabled={!ruleForm.escalateTo}
+                      />
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-2 pt-2">
+                <button type="button" onClick={() => setShowRuleForm(false)} className="btn btn-secondary">Cancel</button>
+                <button type="submit" className="btn btn-primary">Create Rule</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertsPage;
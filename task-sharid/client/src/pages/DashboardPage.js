@@ -2,11 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { devicesAPI } from '../services/api';
 import { useSocket } from '../contexts/SocketContext';
+import { useMetrics } from '../contexts/MetricsContext';
 import { 
   Cpu, 
-  Thermometer, 
-  Droplets, 
-  Wind, 
   Activity, 
   AlertTriangle,
   CheckCircle,
@@ -14,6 +12,7 @@ import {
   TrendingUp
 } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { MetricInlineList, AqiBadge } from '../components/MetricDisplay';
 import { format } from 'date-fns';
 
 const DashboardPage = () => {
@@ -22,6 +21,7 @@ const DashboardPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const { connected, telemetryUpdates, deviceUpdates } = useSocket();
+  const { getReadingMetrics, formatMetric } = useMetrics();
 
   useEffect(() => {
     fetchDashboardData();
@@ -61,16 +61,11 @@ const DashboardPage = () => {
     }
   };
 
+  // Status is computed by the server (per device type limits) and kept
+  // current through device:update events
   const getDeviceStatus = (device) => {
-    if (!device.latestReading) return 'offline';
-    
-    const lastSeen = new Date(device.lastSeen || device.latestReading.timestamp);
-    const now = new Date();
-    const minutesAgo = (now - lastSeen) / (1000 * 60);
-    
-    if (minutesAgo < 5) return 'online';
-    if (minutesAgo < 30) return 'warning';
-    return 'offline';
+    const update = deviceUpdates.find(item => item.deviceId === device.uid);
+    return update?.status || device.status || 'unknown';
   };
 
   const getStatusColor = (status) => {
@@ -212,6 +207,10 @@ const DashboardPage = () => {
             <div className="space-y-3">
               {recentDevices.map((device) => {
                 const status = getDeviceStatus(device);
+                // Show the first metric the device type reports
+                const [primaryMetric] = device.latestReading
+                  ? getReadingMetrics(device.deviceType, device.latestReading.data)
+                  : [];
                 return (
                   <div key={device._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                     <div className="flex items-center space-x-3">
@@ -227,7 +226,11 @@ const DashboardPage = () => {
                       {device.latestReading ? (
                         <>
                           <p className="text-sm font-medium text-gray-900">
-                            {device.latestReading.data.temperature}°C
+                            {device.latestReading.aqi ? (
+                              <AqiBadge aqi={device.latestReading.aqi} />
+                            ) : primaryMetric
+                              ? formatMetric(primaryMetric.name, device.latestReading.data[primaryMetric.name])
+                              : '—'}
                           </p>
                           <p className="text-xs text-gray-500">
                             {format(new Date(device.latestReading.timestamp), 'HH:mm')}
@@ -281,20 +284,14 @@ const DashboardPage = () => {
                       </p>
                     </div>
                   </div>
-                  <div className="flex items-center space-x-4 text-sm">
-                    <div className="flex items-center space-x-1">
-                      <Thermometer className="h-3 w-3 text-red-500" />
-                      <span>{update.data?.temperature}°C</span>
-                    </div>
-                    <div className="flex items-center space-x-1">
-                      <Droplets className="h-3 w-3 text-blue-500" />
-                      <span>{update.data?.humidity}%</span>
-                    </div>
-                    <div className="flex items-center space-x-1">
-                      <Wind className="h-3 w-3 text-gray-500" />
-                      <span>{update.data?.pm25}</span>
-                    </div>
-                  </div>
+                  <MetricInlineList
+                    deviceType={update.data?.deviceType}
+                    data={update.data?.data || {}}
+                    aqi={update.data?.aqi}
+                    size="h-3 w-3"
+                    className="flex items-center space-x-4 text-sm"
+                    valueClassName=""
+                  />
                 </div>
               ))}
             </div>
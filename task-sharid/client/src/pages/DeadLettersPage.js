@@ -0,0 +1,366 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { deadLettersAPI } from '../services/api';
+import {
+  Inbox,
+  Filter,
+  RefreshCw,
+  RotateCcw,
+  Trash2,
+  AlertTriangle,
+  CheckCircle,
+  X,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { format } from 'date-fns';
+
+const DeadLettersPage = () => {
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [reasons, setReasons] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [reasonFilter, setReasonFilter] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [inspected, setInspected] = useState(null);
+  const [payloadView, setPayloadView] = useState('text');
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  });
+
+  const fetchDeadLetters = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await deadLettersAPI.getDeadLetters({
+        page: pagination.page,
+        limit: pagination.limit,
+        status: statusFilter,
+        reason: reasonFilter || undefined
+      });
+
+      if (response.success) {
+        setDeadLetters(response.data.deadLetters);
+        setReasons(response.data.reasons);
+        setPagination(prev => ({
+          ...prev,
+          total: response.data.pagination.total,
+          pages: response.data.pagination.pages
+        }));
+      }
+      setSelectedIds([]);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching dead letters:', err);
+      setError('Failed to load dead letters');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, pagination.limit, statusFilter, reasonFilter]);
+
+  useEffect(() => {
+    fetchDeadLetters();
+  }, [fetchDeadLetters]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(prev => prev.length === deadLetters.length ? [] : deadLetters.map(d => d.id));
+  };
+
+  const handleInspect = async (id) => {
+    try {
+      const response = await deadLettersAPI.getDeadLetter(id);
+      if (response.success) {
+        const { deadLetter } = response.data;
+        setInspected(deadLetter);
+        setPayloadView(deadLetter.payload.text !== null ? 'text' : 'hex');
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load dead letter');
+    }
+  };
+
+  const handleReplay = async (id) => {
+    try {
+      const response = await deadLettersAPI.replayDeadLetter(id);
+      if (response.data.replayed) {
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+      setInspected(null);
+      fetchDeadLetters();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Replay failed');
+    }
+  };
+
+  // Bulk actions apply to the selection, or to the current filter when nothing is selected
+  const bulkSelection = () => (
+    selectedIds.length > 0
+      ? { ids: selectedIds }
+      : { status: statusFilter, reason: reasonFilter || undefined }
+  );
+
+  const handleBulkReplay = async () => {
+    try {
+      const response = await deadLettersAPI.replayDeadLetters(bulkSelection());
+      toast.success(response.message);
+      fetchDeadLetters();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Bulk replay failed');
+    }
+  };
+
+  const handleBulkDelete = async () => {
+    const target = selectedIds.length > 0 ? `${selectedIds.length} selected` : 'all filtered';
+    if (!window.confirm(`Delete ${target} dead letters? This cannot be undone.`)) return;
+
+    try {
+      const response = await deadLettersAPI.deleteDeadLetters(bulkSelection());
+      toast.success(response.message);
+      fetchDeadLetters();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Bulk delete failed');
+    }
+  };
+
+  const handleStatusFilterChange = (e) => {
+    setStatusFilter(e.target.value);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleReasonFilterChange = (e) => {
+    setReasonFilter(e.target.value);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handlePageChange = (newPage) => {
+    setPagination(prev => ({ ...prev, page: newPage }));
+  };
+
+  if (loading && deadLetters.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="large" text="Loading dead letters..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Dead Letters</h1>
+          <p className="text-gray-600">Messages rejected by the ingestion pipeline</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={handleBulkReplay} className="btn btn-secondary" disabled={loading || statusFilter === 'replayed'}>
+            <RotateCcw className="h-4 w-4 mr-2" />
+            Replay {selectedIds.length > 0 ? `(${selectedIds.length})` : 'all'}
+          </button>
+          <button onClick={handleBulkDelete} className="btn btn-secondary" disabled={loading}>
+            <Trash2 className="h-4 w-4 mr-2" />
+            Delete {selectedIds.length > 0 ? `(${selectedIds.length})` : 'all'}
+          </button>
+          <button onClick={fetchDeadLetters} className="btn btn-secondary" disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-4">
+        <div className="relative">
+          <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <select value={statusFilter} onChange={handleStatusFilterChange} className="input pl-10 pr-8">
+            <option value="pending">Pending</option>
+            <option value="replayed">Replayed</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+        <div className="relative">
+          <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <select value={reasonFilter} onChange={handleReasonFilterChange} className="input pl-10 pr-8">
+            <option value="">All Reasons</option>
+            {reasons.map(reason => (
+              <option key={reason} value={reason}>{reason}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Error State */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {/* Dead Letter List */}
+      {deadLetters.length === 0 && !loading ? (
+        <div className="text-center py-12">
+          <Inbox className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No dead letters</h3>
+          <p className="text-gray-600">Rejected messages will appear here</p>
+        </div>
+      ) : (
+        <>
+          <div className="card">
+            <div className="flex items-center space-x-3 pb-3 border-b text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={deadLetters.length > 0 && selectedIds.length === deadLetters.length}
+                onChange={toggleSelectAll}
+              />
+              <span>{selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select all on page'}</span>
+            </div>
+            <div className="space-y-3 mt-3">
+              {deadLetters.map(deadLetter => (
+                <div key={deadLetter.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(deadLetter.id)}
+                      onChange={() => toggleSelected(deadLetter.id)}
+                    />
+                    <div className={`p-2 rounded-lg ${
+                      deadLetter.status === 'replayed' ? 'text-green-600 bg-green-100' : 'text-red-600 bg-red-100'
+                    }`}>
+                      {deadLetter.status === 'replayed'
+                        ? <CheckCircle className="h-4 w-4" />
+                        : <AlertTriangle className="h-4 w-4" />}
+                    </div>
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900">
+                        {deadLetter.deviceId || deadLetter.topic}
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                          {deadLetter.reason}
+                        </span>
+                      </p>
+                      <p className="text-sm text-gray-500 truncate">{deadLetter.error}</p>
+                      <p className="text-xs text-gray-400">
+                        {format(new Date(deadLetter.receivedAt), 'MMM dd, HH:mm:ss')} · {deadLetter.topic} · {deadLetter.size} bytes
+                        {deadLetter.replayCount > 0 && ` · replayed ${deadLetter.replayCount}x`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button onClick={() => handleInspect(deadLetter.id)} className="btn btn-secondary">
+                      Inspect
+                    </button>
+                    {deadLetter.status === 'pending' && (
+                      <button onClick={() => handleReplay(deadLetter.id)} className="btn btn-secondary">
+                        <RotateCcw className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Pagination */}
+          {pagination.pages > 1 && (
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-gray-700">
+                {pagination.total} dead letters
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handlePageChange(pagination.page - 1)}
+                  disabled={pagination.page === 1}
+                  className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <span className="px-3 py-1 text-sm font-medium text-gray-700">
+                  {pagination.page} of {pagination.pages}
+                </span>
+                <button
+                  onClick={() => handlePageChange(pagination.page + 1)}
+                  disabled={pagination.page === pagination.pages}
+                  className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Inspect Modal */}
+      {inspected && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-hidden">
+            <div className="flex items-center justify-between p-6 border-b">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">{inspected.reason}</h2>
+                <p className="text-gray-600">{inspected.topic}</p>
+              </div>
+              <button onClick={() => setInspected(null)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div><span className="text-gray-500">Device:</span> {inspected.deviceId || '—'}</div>
+                <div><span className="text-gray-500">Decoder:</span> {inspected.decoder || '—'}</div>
+                <div><span className="text-gray-500">Source:</span> {inspected.source}</div>
+                <div><span className="text-gray-500">Received:</span> {format(new Date(inspected.receivedAt), 'MMM dd, yyyy HH:mm:ss')}</div>
+                <div><span className="text-gray-500">Status:</span> {inspected.status}</div>
+                <div><span className="text-gray-500">Replays:</span> {inspected.replayCount}</div>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-2">Error</h3>
+                <p className="text-sm text-red-700">{inspected.error}</p>
+                {inspected.details && Object.keys(inspected.details).length > 0 && (
+                  <pre className="mt-2 p-3 bg-gray-50 rounded-lg text-xs overflow-x-auto">
+                    {JSON.stringify(inspected.details, null, 2)}
+                  </pre>
+                )}
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-lg font-medium text-gray-900">Payload ({inspected.size} bytes)</h3>
+                  <select value={payloadView} onChange={(e) => setPayloadView(e.target.value)} className="input pr-8">
+                    {inspected.payload.text !== null && <option value="text">Text</option>}
+                    <option value="hex">Hex</option>
+                    <option value="base64">Base64</option>
+                  </select>
+                </div>
+                <pre className="p-3 bg-gray-50 rounded-lg text-xs overflow-x-auto whitespace-pre-wrap break-all">
+                  {inspected.payload[payloadView]}
+                </pre>
+              </div>
+
+              {inspected.status === 'pending' && (
+                <button onClick={() => handleReplay(inspected.id)} className="btn btn-primary">
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Replay
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeadLettersPage;
@@ -1,13 +1,11 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
 import { devicesAPI } from '../services/api';
 import { useSocket } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext';
 import { 
-  Search, 
   Filter, 
   Cpu, 
-  Thermometer, 
-  Droplets, 
-  Wind, 
   Activity, 
   AlertTriangle,
   CheckCircle,
@@ -15,46 +13,72 @@ import {
   X,
   RefreshCw,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  Trash2,
+  ArrowUpDown
 } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { MetricTiles, MetricCards, MetricInlineList } from '../components/MetricDisplay';
+import DeviceCommands from '../components/DeviceCommands';
+import DeviceAnomalySettings from '../components/DeviceAnomalySettings';
+import TelemetryExport from '../components/TelemetryExport';
+import DeviceFilterInput from '../components/DeviceFilterInput';
 import { format } from 'date-fns';
 
+const SORT_OPTIONS = [
+  { value: '-lastSeen', label: 'Recently seen' },
+  { value: 'name', label: 'Name' },
+  { value: 'status', label: 'Status' },
+  { value: 'location', label: 'Location' },
+  { value: 'deviceType', label: 'Device type' },
+  { value: '-createdAt', label: 'Newest' }
+];
+
 const DevicesPage = () => {
   const [devices, setDevices] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [filterError, setFilterError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [sort, setSort] = useState('-lastSeen');
   const [selectedDevice, setSelectedDevice] = useState(null);
   const [deviceTelemetry, setDeviceTelemetry] = useState([]);
   const [telemetryLoading, setTelemetryLoading] = useState(false);
+  // The server pages with cursors; earlier pages' cursors are kept for "previous"
   const [pagination, setPagination] = useState({
-    page: 1,
     limit: 10,
-    total: 0,
-    totalPages: 0
+    cursor: null,
+    previousCursors: [],
+    nextCursor: null,
+    total: 0
   });
   
   const { connected, telemetryUpdates, deviceUpdates } = useSocket();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
 
   useEffect(() => {
     fetchDevices();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [pagination.page, searchTerm, statusFilter]);
+  }, [pagination.cursor, searchTerm, statusFilter, sort]);
 
   // Update devices when new telemetry arrives
   useEffect(() => {
     if (telemetryUpdates.length > 0) {
-      const latestUpdate = telemetryUpdates[telemetryUpdates.length - 1];
+      // Newest update is first; its `data` is the formatted telemetry reading
+      const latestUpdate = telemetryUpdates[0];
+      const readingTime = new Date(latestUpdate.data?.timestamp || latestUpdate.timestamp);
       setDevices(prevDevices => 
         prevDevices.map(device => {
-          if (device.uid === latestUpdate.deviceId) {
+          // Late (buffered) readings arrive out of order; keep the newest one
+          const isNewer = !device.latestReading || readingTime >= new Date(device.latestReading.timestamp);
+          if (device.uid === latestUpdate.deviceId && isNewer) {
             return {
               ...device,
               latestReading: {
-                ...latestUpdate,
-                timestamp: latestUpdate.timestamp
+                ...latestUpdate.data,
+                timestamp: latestUpdate.data?.timestamp || latestUpdate.timestamp
               },
               lastSeen: latestUpdate.timestamp
             };
@@ -68,14 +92,14 @@ const DevicesPage = () => {
   // Update devices when device status changes
   useEffect(() => {
     if (deviceUpdates.length > 0) {
-      const latestUpdate = deviceUpdates[deviceUpdates.length - 1];
       setDevices(prevDevices => 
         prevDevices.map(device => {
-          if (device.uid === latestUpdate.deviceId) {
+          const update = deviceUpdates.find(item => item.deviceId === device.uid);
+          if (update) {
             return {
               ...device,
-              status: latestUpdate.status || device.status,
-              lastSeen: latestUpdate.timestamp || device.lastSeen
+              status: update.status || device.status,
+              lastSeen: update.lastSeen || device.lastSeen
             };
           }
           return device;
@@ -88,30 +112,39 @@ const DevicesPage = () => {
     try {
       setLoading(true);
       const params = {
-        page: pagination.page,
         limit: pagination.limit,
-        search: searchTerm || undefined,
-        status: statusFilter !== 'all' ? statusFilter : undefined
+        cursor: pagination.cursor || undefined,
+        q: searchTerm || undefined,
+        status: statusFilter !== 'all' ? statusFilter : undefined,
+        sort
       };
       
       const response = await devicesAPI.getDevices(params);
       
       if (response.success) {
+        const { nextCursor, total } = response.data.pagination;
         setDevices(response.data.devices);
         setPagination(prev => ({
           ...prev,
-          total: response.data.total,
-          totalPages: response.data.totalPages
+          nextCursor,
+          // Only the first page comes with the total
+          total: total !== undefined ? total : prev.total
         }));
       }
       setError(null);
+      setFilterError(null);
     } catch (err) {
+      // An invalid (or half-typed) filter expression keeps the current list
+      if (err.response?.status === 400) {
+        setFilterError(err.response.data.message);
+        return;
+      }
       console.error('Error fetching devices:', err);
       setError('Failed to load devices');
     } finally {
       setLoading(false);
     }
-  }, [pagination.page, pagination.limit, searchTerm, statusFilter]);
+  }, [pagination.cursor, pagination.limit, searchTerm, statusFilter, sort]);
 
   const fetchDeviceTelemetry = async (deviceId) => {
     try {
@@ -119,7 +152,7 @@ const DevicesPage = () => {
       const response = await devicesAPI.getDeviceTelemetry(deviceId);
        
        if (response.success) {
-         setDeviceTelemetry(response.data);
+         setDeviceTelemetry(response.data.readings);
       }
     } catch (err) {
       console.error('Error fetching device telemetry:', err);
@@ -139,18 +172,47 @@ const DevicesPage = () => {
     setDeviceTelemetry([]);
   };
 
-  const getDeviceStatus = (device) => {
-    if (!device.latestReading) return 'offline';
-    
-    const lastSeen = new Date(device.lastSeen || device.latestReading.timestamp);
-    const now = new Date();
-    const minutesAgo = (now - lastSeen) / (1000 * 60);
-    
-    if (minutesAgo < 5) return 'online';
-    if (minutesAgo < 30) return 'warning';
-    return 'offline';
+  const handleRestoreDevice = async (device) => {
+    try {
+      const response = await devicesAPI.restoreDevice(device._id);
+      toast.success(response.message);
+      fetchDevices();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to restore device');
+    }
+  };
+
+  // Soft delete; the toast offers to undo it
+  const handleDeleteDevice = async (device) => {
+    if (!window.confirm(`Delete device "${device.name}"? Its history is kept and it can be restored.`)) return;
+
+    try {
+      await devicesAPI.deleteDevice(device._id);
+      closeModal();
+      fetchDevices();
+      toast(t => (
+        <span className="flex items-center space-x-3">
+          <span>Device "{device.name}" deleted</span>
+          <button
+            onClick={() => {
+              toast.dismiss(t.id);
+              handleRestoreDevice(device);
+            }}
+            className="text-blue-600 font-medium hover:text-blue-700"
+          >
+            Undo
+          </button>
+        </span>
+      ), { duration: 10000 });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete device');
+    }
   };
 
+  // Status is computed by the server (per device type limits) and kept
+  // current through device:update events
+  const getDeviceStatus = (device) => device.status || 'unknown';
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'online': return 'text-green-600 bg-green-100';
@@ -169,20 +231,44 @@ const DevicesPage = () => {
     }
   };
 
-  const handlePageChange = (newPage) => {
-    setPagination(prev => ({ ...prev, page: newPage }));
+  const handleNextPage = () => {
+    setPagination(prev => ({
+      ...prev,
+      previousCursors: [...prev.previousCursors, prev.cursor],
+      cursor: prev.nextCursor
+    }));
+  };
+
+  const handlePreviousPage = () => {
+    setPagination(prev => ({
+      ...prev,
+      previousCursors: prev.previousCursors.slice(0, -1),
+      cursor: prev.previousCursors[prev.previousCursors.length - 1]
+    }));
   };
 
-  const handleSearchChange = (e) => {
-    setSearchTerm(e.target.value);
-    setPagination(prev => ({ ...prev, page: 1 }));
+  const resetPages = () => {
+    setPagination(prev => ({ ...prev, cursor: null, previousCursors: [] }));
+  };
+
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+    resetPages();
   };
 
   const handleStatusFilterChange = (e) => {
     setStatusFilter(e.target.value);
-    setPagination(prev => ({ ...prev, page: 1 }));
+    resetPages();
+  };
+
+  const handleSortChange = (e) => {
+    setSort(e.target.value);
+    resetPages();
   };
 
+  const pageOffset = pagination.previousCursors.length * pagination.limit;
+  const totalPages = Math.ceil(pagination.total / pagination.limit);
+
   if (loading && devices.length === 0) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -208,6 +294,7 @@ const DevicesPage = () => {
             }`}></div>
             <span>{connected ? 'Live' : 'Offline'}</span>
           </div>
+          <TelemetryExport />
           <button
             onClick={fetchDevices}
             className="btn btn-secondary"
@@ -220,16 +307,11 @@ const DevicesPage = () => {
 
       {/* Filters */}
       <div className="flex flex-col sm:flex-row gap-4">
-        <div className="relative flex-1">
-          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
-          <input
-            type="text"
-            placeholder="Search devices by name or UID..."
-            value={searchTerm}
-            onChange={handleSearchChange}
-            className="input pl-10"
-          />
-        </div>
+        <DeviceFilterInput
+          value={searchTerm}
+          onChange={handleSearchChange}
+          error={filterError}
+        />
         <div className="relative">
           <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
           <select
@@ -243,6 +325,18 @@ const DevicesPage = () => {
             <option value="offline">Offline</option>
           </select>
         </div>
+        <div className="relative">
+          <ArrowUpDown className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <select
+            value={sort}
+            onChange={handleSortChange}
+            className="input pl-10 pr-8"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
       </div>
 
       {/* Error State */}
@@ -297,35 +391,11 @@ const DevicesPage = () => {
 
                   {device.latestReading ? (
                     <>
-                      <div className="grid grid-cols-3 gap-4 mb-4">
-                        <div className="text-center">
-                          <div className="flex items-center justify-center mb-1">
-                            <Thermometer className="h-4 w-4 text-red-500" />
-                          </div>
-                          <p className="text-lg font-semibold text-gray-900">
-                            {device.latestReading.data.temperature}°C
-                          </p>
-                          <p className="text-xs text-gray-500">Temperature</p>
-                        </div>
-                        <div className="text-center">
-                          <div className="flex items-center justify-center mb-1">
-                            <Droplets className="h-4 w-4 text-blue-500" />
-                          </div>
-                          <p className="text-lg font-semibold text-gray-900">
-                            {device.latestReading.data.humidity}%
-                          </p>
-                          <p className="text-xs text-gray-500">Humidity</p>
-                        </div>
-                        <div className="text-center">
-                          <div className="flex items-center justify-center mb-1">
-                            <Wind className="h-4 w-4 text-gray-500" />
-                          </div>
-                          <p className="text-lg font-semibold text-gray-900">
-                            {device.latestReading.data.pm25}
-                          </p>
-                          <p className="text-xs text-gray-500">PM2.5</p>
-                        </div>
-                      </div>
+                      <MetricTiles
+                        deviceType={device.deviceType}
+                        data={device.latestReading.data}
+                        aqi={device.latestReading.aqi}
+                      />
                       <div className="text-xs text-gray-500 text-center">
                         Last updated: {format(new Date(device.latestReading.timestamp), 'MMM dd, HH:mm:ss')}
                       </div>
@@ -342,25 +412,25 @@ const DevicesPage = () => {
           </div>
 
           {/* Pagination */}
-          {pagination.totalPages > 1 && (
+          {(pagination.nextCursor || pagination.previousCursors.length > 0) && (
             <div className="flex items-center justify-between">
               <div className="text-sm text-gray-700">
-                Showing {((pagination.page - 1) * pagination.limit) + 1} to {Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total} devices
+                Showing {pageOffset + 1} to {pageOffset + devices.length} of {pagination.total} devices
               </div>
               <div className="flex items-center space-x-2">
                 <button
-                  onClick={() => handlePageChange(pagination.page - 1)}
-                  disabled={pagination.page === 1}
+                  onClick={handlePreviousPage}
+                  disabled={pagination.previousCursors.length === 0}
                   className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ChevronLeft className="h-4 w-4" />
                 </button>
                 <span className="px-3 py-1 text-sm font-medium text-gray-700">
-                  {pagination.page} of {pagination.totalPages}
+                  {pagination.previousCursors.length + 1} of {totalPages}
                 </span>
                 <button
-                  onClick={() => handlePageChange(pagination.page + 1)}
-                  disabled={pagination.page === pagination.totalPages}
+                  onClick={handleNextPage}
+                  disabled={!pagination.nextCursor}
                   className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ChevronRight className="h-4 w-4" />
@@ -380,60 +450,52 @@ const DevicesPage = () => {
                 <h2 className="text-xl font-semibold text-gray-900">{selectedDevice.name}</h2>
                 <p className="text-gray-600">{selectedDevice.uid}</p>
               </div>
-              <button
-                onClick={closeModal}
-                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-              >
-                <X className="h-5 w-5" />
-              </button>
+              <div className="flex items-center space-x-2">
+                <TelemetryExport device={selectedDevice} />
+                {isAdmin && (
+                  <button
+                    onClick={() => handleDeleteDevice(selectedDevice)}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Delete device"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                )}
+                <button
+                  onClick={closeModal}
+                  className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                >
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
             </div>
             
             <div className="p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
+              {/* Tags and custom metadata */}
+              {(Object.keys(selectedDevice.tags || {}).length > 0 || Object.keys(selectedDevice.metadata || {}).length > 0) && (
+                <div className="mb-6 flex flex-wrap gap-2">
+                  {Object.entries(selectedDevice.tags || {}).map(([key, value]) => (
+                    <span key={`tag:${key}`} className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                      {key}={value}
+                    </span>
+                  ))}
+                  {Object.entries(selectedDevice.metadata || {}).map(([key, value]) => (
+                    <span key={`meta:${key}`} className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                      {key}: {String(value)}
+                    </span>
+                  ))}
+                </div>
+              )}
+
               {/* Current Status */}
               <div className="mb-6">
                 <h3 className="text-lg font-medium text-gray-900 mb-4">Current Status</h3>
                 {selectedDevice.latestReading ? (
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <div className="card">
-                      <div className="flex items-center space-x-3">
-                        <div className="p-2 bg-red-100 rounded-lg">
-                          <Thermometer className="h-6 w-6 text-red-600" />
-                        </div>
-                        <div>
-                          <p className="text-2xl font-bold text-gray-900">
-                            {selectedDevice.latestReading.data.temperature}°C
-                          </p>
-                          <p className="text-sm text-gray-600">Temperature</p>
-                        </div>
-                      </div>
-                    </div>
-                    <div className="card">
-                      <div className="flex items-center space-x-3">
-                        <div className="p-2 bg-blue-100 rounded-lg">
-                          <Droplets className="h-6 w-6 text-blue-600" />
-                        </div>
-                        <div>
-                          <p className="text-2xl font-bold text-gray-900">
-                            {selectedDevice.latestReading.data.humidity}%
-                          </p>
-                          <p className="text-sm text-gray-600">Humidity</p>
-                        </div>
-                      </div>
-                    </div>
-                    <div className="card">
-                      <div className="flex items-center space-x-3">
-                        <div className="p-2 bg-gray-100 rounded-lg">
-                          <Wind className="h-6 w-6 text-gray-600" />
-                        </div>
-                        <div>
-                          <p className="text-2xl font-bold text-gray-900">
-                            {selectedDevice.latestReading.data.pm25}
-                          </p>
-                          <p className="text-sm text-gray-600">PM2.5</p>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
+                  <MetricCards
+                    deviceType={selectedDevice.deviceType}
+                    data={selectedDevice.latestReading.data}
+                    aqi={selectedDevice.latestReading.aqi}
+                  />
                 ) : (
                   <div className="text-center py-8">
                     <Activity className="mx-auto h-12 w-12 text-gray-400 mb-4" />
@@ -442,6 +504,18 @@ const DevicesPage = () => {
                 )}
               </div>
 
+              {/* Commands */}
+              <div className="mb-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Commands</h3>
+                <DeviceCommands device={selectedDevice} />
+              </div>
+
+              {/* Anomaly Detection */}
+              <div className="mb-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Anomaly Detection</h3>
+                <DeviceAnomalySettings device={selectedDevice} />
+              </div>
+
               {/* Historical Data */}
               <div>
                 <h3 className="text-lg font-medium text-gray-900 mb-4">Recent Readings</h3>
@@ -457,26 +531,30 @@ const DevicesPage = () => {
                 ) : (
                   <div className="space-y-3">
                     {deviceTelemetry.map((reading, index) => (
-                      <div key={index} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                      <div
+                        key={index}
+                        className={`flex items-center justify-between p-4 rounded-lg ${reading.anomalous ? 'bg-red-50 border border-red-200' : 'bg-gray-50'}`}
+                      >
                         <div className="flex items-center space-x-4">
                           <div className="text-sm text-gray-600">
                             {format(new Date(reading.timestamp), 'MMM dd, HH:mm:ss')}
                           </div>
+                          {reading.anomalous && (
+                            <span
+                              className="inline-flex items-center text-xs font-medium text-red-700"
+                              title={reading.anomalies.map(a => `${a.metric}: z-score ${a.zScore} (mean ${a.mean})`).join('\n')}
+                            >
+                              <AlertTriangle className="h-3 w-3 mr-1" />
+                              Anomaly
+                            </span>
+                          )}
                         </div>
-                        <div className="flex items-center space-x-6">
-                          <div className="flex items-center space-x-2">
-                            <Thermometer className="h-4 w-4 text-red-500" />
-                            <span className="text-sm font-medium">{reading.data.temperature}°C</span>
-                          </div>
-                          <div className="flex items-center space-x-2">
-                            <Droplets className="h-4 w-4 text-blue-500" />
-                            <span className="text-sm font-medium">{reading.data.humidity}%</span>
-                          </div>
-                          <div className="flex items-center space-x-2">
-                            <Wind className="h-4 w-4 text-gray-500" />
-                            <span className="text-sm font-medium">{reading.data.pm25}</span>
-                          </div>
-                        </div>
+                        <MetricInlineList
+                          deviceType={selectedDevice.deviceType}
+                          data={reading.data}
+                          aqi={reading.aqi}
+                          highlight={(reading.anomalies || []).map(a => a.metric)}
+                        />
                       </div>
                     ))}
                   </div>
@@ -0,0 +1,527 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { deviceGroupsAPI, devicesAPI, alertsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useMetrics } from '../contexts/MetricsContext';
+import {
+  ArrowLeft,
+  Pencil,
+  Trash2,
+  RefreshCw,
+  Cpu,
+  CheckCircle,
+  Clock,
+  AlertTriangle,
+  TrendingUp,
+  Bell,
+  Send,
+  Type,
+  Lock
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import DeviceGroupForm from '../components/DeviceGroupForm';
+import { format, subHours } from 'date-fns';
+
+const MEMBERS_PAGE_SIZE = 25;
+
+const STAT_TILES = [
+  { key: 'totalDevices', label: 'Devices', icon: Cpu, className: 'bg-blue-100 text-blue-600' },
+  { key: 'online', label: 'Online', icon: CheckCircle, className: 'bg-green-100 text-green-600' },
+  { key: 'warning', label: 'Warning', icon: Clock, className: 'bg-yellow-100 text-yellow-600' },
+  { key: 'offline', label: 'Offline', icon: AlertTriangle, className: 'bg-red-100 text-red-600' },
+  { key: 'recentReadings', label: 'Readings (24h)', icon: TrendingUp, className: 'bg-purple-100 text-purple-600' },
+  { key: 'activeAlerts', label: 'Active Alerts', icon: Bell, className: 'bg-orange-100 text-orange-600' }
+];
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'online': return 'text-green-600 bg-green-100';
+    case 'warning': return 'text-yellow-600 bg-yellow-100';
+    case 'offline': return 'text-red-600 bg-red-100';
+    default: return 'text-gray-600 bg-gray-100';
+  }
+};
+
+// Combine the buckets of an aggregate into one min/avg/max per metric
+const summarizeBuckets = (buckets) => {
+  const totals = {};
+  buckets.forEach(bucket => {
+    Object.entries(bucket.metrics).forEach(([metric, stats]) => {
+      const total = totals[metric] || { min: stats.min, max: stats.max, sum: 0, count: 0 };
+      total.min = Math.min(total.min, stats.min);
+      total.max = Math.max(total.max, stats.max);
+      total.sum += stats.avg * stats.count;
+      total.count += stats.count;
+      totals[metric] = total;
+    });
+  });
+  return Object.entries(totals).map(([metric, total]) => ({
+    metric,
+    min: total.min,
+    max: total.max,
+    avg: Math.round((total.sum / total.count) * 100) / 100,
+    count: total.count
+  }));
+};
+
+const GroupDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [group, setGroup] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [telemetry, setTelemetry] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [pattern, setPattern] = useState('');
+  const [renamePreview, setRenamePreview] = useState(null);
+  const [command, setCommand] = useState('');
+  const [params, setParams] = useState('');
+  const [rules, setRules] = useState([]);
+  const [selectedRules, setSelectedRules] = useState([]);
+  const { user } = useAuth();
+  const { getMetric, formatMetric } = useMetrics();
+  const isAdmin = user?.role === 'admin';
+
+  const fetchMembers = useCallback(async (cursor) => {
+    const response = await devicesAPI.getDevices({
+      group: id,
+      sort: 'name',
+      limit: MEMBERS_PAGE_SIZE,
+      cursor: cursor || undefined
+    });
+    if (response.success) {
+      setMembers(prev => (cursor ? [...prev, ...response.data.devices] : response.data.devices));
+      setNextCursor(response.data.pagination.nextCursor);
+    }
+  }, [id]);
+
+  const fetchGroup = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await deviceGroupsAPI.getGroup(id);
+      if (!response.success) return;
+
+      const loaded = response.data.group;
+      setGroup(loaded);
+      setSelectedRules(loaded.alertRules.map(rule => rule.id));
+      setError(null);
+
+      // A group whose filter no longer compiles has no members to show
+      if (!loaded.health) return;
+
+      const [statsResponse, aggregateResponse] = await Promise.all([
+        devicesAPI.getDeviceStats({ group: id }),
+        loaded.health.total > 0
+          ? devicesAPI.getGroupAggregate({ group: id, from: subHours(new Date(), 24).toISOString(), interval: '1h', percentiles: '' })
+          : null
+      ]);
+      if (statsResponse.success) {
+        setStats({ ...statsResponse.data, ...statsResponse.data.statusCounts });
+      }
+      setTelemetry(aggregateResponse?.success ? summarizeBuckets(aggregateResponse.data.buckets) : []);
+      await fetchMembers(null);
+    } catch (err) {
+      console.error('Error fetching device group:', err);
+      setError(err.response?.status === 404 ? 'Device group not found' : 'Failed to load device group');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, fetchMembers]);
+
+  useEffect(() => {
+    fetchGroup();
+  }, [fetchGroup]);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    alertsAPI.getRules()
+      .then(response => {
+        if (response.success) setRules(response.data.rules);
+      })
+      .catch(err => console.error('Error fetching alert rules:', err));
+  }, [isAdmin]);
+
+  const handleLoadMore = async () => {
+    try {
+      await fetchMembers(nextCursor);
+    } catch (err) {
+      toast.error('Failed to load more devices');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete group "${group.name}"? Its devices are kept.`)) return;
+
+    try {
+      const response = await deviceGroupsAPI.deleteGroup(id);
+      toast.success(response.message);
+      navigate('/groups');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete group');
+    }
+  };
+
+  const handleSaved = () => {
+    setShowForm(false);
+    fetchGroup();
+  };
+
+  const handleRenamePreview = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await deviceGroupsAPI.renameDevices(id, pattern, { dryRun: true });
+      setRenamePreview(response.data.changes);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to preview names');
+    }
+  };
+
+  const handleRenameApply = async () => {
+    try {
+      const response = await deviceGroupsAPI.renameDevices(id, pattern);
+      toast.success(response.message);
+      setRenamePreview(null);
+      setPattern('');
+      fetchMembers(null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to rename devices');
+    }
+  };
+
+  const handleSendCommand = async (e) => {
+    e.preventDefault();
+
+    let parsedParams = {};
+    if (params.trim()) {
+      try {
+        parsedParams = JSON.parse(params);
+      } catch (err) {
+        toast.error('Params must be valid JSON');
+        return;
+      }
+    }
+
+    try {
+      const response = await deviceGroupsAPI.sendCommand(id, { command: command.trim(), params: parsedParams });
+      if (response.data.failed > 0) {
+        toast.error(response.message);
+      } else {
+        toast.success(response.message);
+        setCommand('');
+        setParams('');
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send command');
+    }
+  };
+
+  const handleRuleToggle = (ruleId) => {
+    setSelectedRules(prev => (prev.includes(ruleId)
+      ? prev.filter(item => item !== ruleId)
+      : [...prev, ruleId]));
+  };
+
+  const handleSaveRules = async () => {
+    try {
+      const response = await deviceGroupsAPI.setAlertRules(id, selectedRules);
+      toast.success(response.message);
+      fetchGroup();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update alert rules');
+    }
+  };
+
+  const handleDeactivate = async () => {
+    if (!window.confirm(`Deactivate all ${stats?.totalDevices || 0} devices in "${group.name}"? They stop sending data until reactivated.`)) return;
+
+    try {
+      const response = await deviceGroupsAPI.deactivateDevices(id);
+      toast.success(response.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to deactivate devices');
+    }
+  };
+
+  const handleReactivate = async () => {
+    try {
+      const response = await deviceGroupsAPI.reactivateDevices(id);
+      toast.success(response.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reactivate devices');
+    }
+  };
+
+  if (loading && !group) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="large" text="Loading group..." />
+      </div>
+    );
+  }
+
+  if (!group) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">{error || 'Device group not found'}</h3>
+        <Link to="/groups" className="text-sm text-blue-600 hover:text-blue-800 font-medium">Back to groups</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-start space-x-3">
+          <Link to="/groups" className="p-2 mt-1 hover:bg-gray-100 rounded-lg transition-colors">
+            <ArrowLeft className="h-5 w-5 text-gray-600" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{group.name}</h1>
+            <p className="text-gray-600">
+              {group.type === 'dynamic'
+                ? <>Devices matching <span className="font-mono text-sm">{group.filter}</span></>
+                : `${group.deviceIds.length} listed devices`}
+            </p>
+            {group.description && <p className="text-sm text-gray-500 mt-1">{group.description}</p>}
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => setShowForm(true)} className="btn btn-secondary" title="Edit group">
+            <Pencil className="h-4 w-4" />
+          </button>
+          {isAdmin && (
+            <button onClick={handleDelete} className="btn btn-secondary text-red-600" title="Delete group">
+              <Trash2 className="h-4 w-4" />
+            </button>
+          )}
+          <button onClick={fetchGroup} className="btn btn-secondary" disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {!group.health && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+            <span className="text-red-700">The group's filter is no longer valid: {group.filterError}</span>
+          </div>
+        </div>
+      )}
+
+      {/* Combined health */}
+      {stats && (
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          {STAT_TILES.map(({ key, label, icon: Icon, className }) => (
+            <div key={key} className="card">
+              <div className="flex items-center">
+                <div className={`p-2 rounded-lg ${className}`}>
+                  <Icon className="h-5 w-5" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-xs font-medium text-gray-600">{label}</p>
+                  <p className="text-xl font-bold text-gray-900">{stats[key] || 0}</p>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Telemetry over the last 24 hours */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Last 24 Hours</h2>
+          {telemetry.length === 0 ? (
+            <p className="text-sm text-gray-500">No readings in the last 24 hours</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 font-medium">Metric</th>
+                  <th className="py-2 font-medium text-right">Avg</th>
+                  <th className="py-2 font-medium text-right">Min</th>
+                  <th className="py-2 font-medium text-right">Max</th>
+                  <th className="py-2 font-medium text-right">Readings</th>
+                </tr>
+              </thead>
+              <tbody>
+                {telemetry.map(row => (
+                  <tr key={row.metric} className="border-b last:border-0">
+                    <td className="py-2 text-gray-900">{getMetric(row.metric).label}</td>
+                    <td className="py-2 text-right font-medium">{formatMetric(row.metric, row.avg)}</td>
+                    <td className="py-2 text-right text-gray-600">{formatMetric(row.metric, row.min)}</td>
+                    <td className="py-2 text-right text-gray-600">{formatMetric(row.metric, row.max)}</td>
+                    <td className="py-2 text-right text-gray-500">{row.count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Group operations */}
+        <div className="card space-y-6">
+          <div>
+            <h3 className="flex items-center text-sm font-medium text-gray-900 mb-2">
+              <Send className="h-4 w-4 mr-2 text-gray-500" />
+              Send command to all devices
+            </h3>
+            <form onSubmit={handleSendCommand} className="flex flex-col sm:flex-row gap-2">
+              <input value={command} onChange={(e) => setCommand(e.target.value)} placeholder="Command (e.g. reboot)" className="input sm:w-40" required />
+              <input value={params} onChange={(e) => setParams(e.target.value)} placeholder="Params JSON" className="input flex-1 font-mono text-sm" />
+              <button type="submit" className="btn btn-primary" disabled={!command.trim()}>Send</button>
+            </form>
+          </div>
+
+          <div>
+            <h3 className="flex items-center text-sm font-medium text-gray-900 mb-2">
+              <Type className="h-4 w-4 mr-2 text-gray-500" />
+              Rename devices
+            </h3>
+            <form onSubmit={handleRenamePreview} className="flex gap-2">
+              <input
+                value={pattern}
+                onChange={(e) => {
+                  setPattern(e.target.value);
+                  setRenamePreview(null);
+                }}
+                placeholder="{location} sensor {n:2}"
+                className="input flex-1 font-mono text-sm"
+                required
+              />
+              <button type="submit" className="btn btn-secondary">Preview</button>
+            </form>
+            <p className="mt-1 text-xs text-gray-500">
+              Placeholders: {'{name} {uid} {location} {deviceType} {n} {n:3} {tag:key} {meta:key}'}
+            </p>
+            {renamePreview && (
+              <div className="mt-3">
+                {renamePreview.length === 0 ? (
+                  <p className="text-sm text-gray-500">No names change</p>
+                ) : (
+                  <>
+                    <ul className="max-h-40 overflow-y-auto text-sm space-y-1 mb-2">
+                      {renamePreview.map(change => (
+                        <li key={change.uid} className="text-gray-700">
+                          <span className="text-gray-500">{change.from}</span> → {change.to}
+                        </li>
+                      ))}
+                    </ul>
+                    <button onClick={handleRenameApply} className="btn btn-primary">
+                      Rename {renamePreview.length} devices
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+
+          {isAdmin && (
+            <div>
+              <h3 className="flex items-center text-sm font-medium text-gray-900 mb-2">
+                <Bell className="h-4 w-4 mr-2 text-gray-500" />
+                Alert rules for this group
+              </h3>
+              {rules.length === 0 ? (
+                <p className="text-sm text-gray-500">No alert rules defined</p>
+              ) : (
+                <>
+                  <div className="max-h-40 overflow-y-auto space-y-1 mb-2">
+                    {rules.map(rule => (
+                      <label key={rule.id} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={selectedRules.includes(rule.id)}
+                          onChange={() => handleRuleToggle(rule.id)}
+                          className="mr-2"
+                        />
+                        {rule.name}
+                        <span className="ml-2 text-xs text-gray-500">{rule.condition}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <button onClick={handleSaveRules} className="btn btn-secondary">Save rules</button>
+                </>
+              )}
+            </div>
+          )}
+
+          {isAdmin && (
+            <div>
+              <h3 className="flex items-center text-sm font-medium text-gray-900 mb-2">
+                <Lock className="h-4 w-4 mr-2 text-gray-500" />
+                Deactivate
+              </h3>
+              <p className="text-xs text-gray-500 mb-2">Disconnects every member and stops it from sending data until reactivated.</p>
+              <div className="flex gap-2">
+                <button onClick={handleDeactivate} className="btn btn-secondary text-red-600">Deactivate all devices</button>
+                <button onClick={handleReactivate} className="btn btn-secondary">Reactivate</button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Members */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Devices</h2>
+        {members.length === 0 ? (
+          <p className="text-sm text-gray-500">No devices in this group</p>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 font-medium">Name</th>
+                    <th className="py-2 font-medium">UID</th>
+                    <th className="py-2 font-medium">Location</th>
+                    <th className="py-2 font-medium">Type</th>
+                    <th className="py-2 font-medium">Status</th>
+                    <th className="py-2 font-medium">Last seen</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {members.map(device => (
+                    <tr key={device._id} className="border-b last:border-0">
+                      <td className="py-2 text-gray-900">{device.name}</td>
+                      <td className="py-2 font-mono text-gray-600">{device.uid}</td>
+                      <td className="py-2 text-gray-600">{device.location}</td>
+                      <td className="py-2 text-gray-600">{device.deviceType}</td>
+                      <td className="py-2">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getStatusColor(device.status)}`}>
+                          {device.status}
+                        </span>
+                      </td>
+                      <td className="py-2 text-gray-500">{format(new Date(device.lastSeen), 'MMM dd, HH:mm')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {nextCursor && (
+              <div className="text-center mt-4">
+                <button onClick={handleLoadMore} className="btn btn-secondary">Load more</button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {showForm && (
+        <DeviceGroupForm group={group} onClose={() => setShowForm(false)} onSaved={handleSaved} />
+      )}
+    </div>
+  );
+};
+
+export default GroupDetailPage;
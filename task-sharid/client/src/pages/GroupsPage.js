@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { deviceGroupsAPI } from '../services/api';
+import { Layers, Plus, RefreshCw, AlertTriangle, Filter, List } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import DeviceGroupForm from '../components/DeviceGroupForm';
+
+const HEALTH_STYLES = [
+  { status: 'online', label: 'Online', bar: 'bg-green-500', text: 'text-green-600' },
+  { status: 'warning', label: 'Warning', bar: 'bg-yellow-500', text: 'text-yellow-600' },
+  { status: 'offline', label: 'Offline', bar: 'bg-red-500', text: 'text-red-600' }
+];
+
+// Share of the members per status as a stacked bar with counts
+const HealthBar = ({ health }) => (
+  <div>
+    <div className="flex h-2 rounded-full overflow-hidden bg-gray-100 mb-2">
+      {health.total > 0 && HEALTH_STYLES.map(({ status, bar }) => (
+        <div key={status} className={bar} style={{ width: `${(health[status] / health.total) * 100}%` }} />
+      ))}
+    </div>
+    <div className="flex items-center justify-between text-xs">
+      {HEALTH_STYLES.map(({ status, label, text }) => (
+        <span key={status} className={text}>{health[status]} {label}</span>
+      ))}
+    </div>
+  </div>
+);
+
+const GroupsPage = () => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const navigate = useNavigate();
+
+  const fetchGroups = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await deviceGroupsAPI.getGroups();
+      if (response.success) {
+        setGroups(response.data.groups);
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching device groups:', err);
+      setError('Failed to load device groups');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGroups();
+  }, [fetchGroups]);
+
+  const handleSaved = (group) => {
+    setShowForm(false);
+    navigate(`/groups/${group.id}`);
+  };
+
+  if (loading && groups.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="large" text="Loading groups..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Groups</h1>
+          <p className="text-gray-600">Organize devices into fleets and manage them together</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => setShowForm(true)} className="btn btn-primary">
+            <Plus className="h-4 w-4 mr-2" />
+            New Group
+          </button>
+          <button onClick={fetchGroups} className="btn btn-secondary" disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {/* Error State */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {groups.length === 0 && !loading ? (
+        <div className="text-center py-12">
+          <Layers className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No groups yet</h3>
+          <p className="text-gray-600">Group devices by a list of UIDs or by a filter such as tag:building=north</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {groups.map(group => (
+            <div
+              key={group.id}
+              onClick={() => navigate(`/groups/${group.id}`)}
+              className="card hover:shadow-lg transition-shadow cursor-pointer"
+            >
+              <div className="flex items-start justify-between mb-4">
+                <div className="min-w-0">
+                  <h3 className="font-semibold text-gray-900">{group.name}</h3>
+                  <p className="text-sm text-gray-500 truncate">
+                    {group.description || (group.health ? `${group.health.total} devices` : '')}
+                  </p>
+                </div>
+                <span
+                  className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700"
+                  title={group.type === 'dynamic' ? group.filter : group.deviceIds.join(', ')}
+                >
+                  {group.type === 'dynamic' ? <Filter className="h-3 w-3 mr-1" /> : <List className="h-3 w-3 mr-1" />}
+                  {group.type === 'dynamic' ? 'Filter' : 'List'}
+                </span>
+              </div>
+
+              {group.health ? (
+                <HealthBar health={group.health} />
+              ) : (
+                <p className="text-sm text-red-600">Filter no longer valid: {group.filterError}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showForm && (
+        <DeviceGroupForm onClose={() => setShowForm(false)} onSaved={handleSaved} />
+      )}
+    </div>
+  );
+};
+
+export default GroupsPage;
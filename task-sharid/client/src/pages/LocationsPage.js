@@ -0,0 +1,472 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { locationsAPI, devicesAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useMetrics } from '../contexts/MetricsContext';
+import {
+  MapPin,
+  ChevronRight,
+  ChevronDown,
+  Plus,
+  Trash2,
+  RefreshCw,
+  AlertTriangle,
+  Thermometer,
+  Droplets,
+  Wind
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { format } from 'date-fns';
+
+const DEVICES_PAGE_SIZE = 25;
+const LOCATION_TYPES = ['site', 'building', 'floor', 'room'];
+
+const READINGS = [
+  { metric: 'temperature', icon: Thermometer, className: 'bg-red-100 text-red-600' },
+  { metric: 'humidity', icon: Droplets, className: 'bg-blue-100 text-blue-600' },
+  { metric: 'pm25', icon: Wind, className: 'bg-purple-100 text-purple-600' }
+];
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'online': return 'text-green-600 bg-green-100';
+    case 'warning': return 'text-yellow-600 bg-yellow-100';
+    case 'offline': return 'text-red-600 bg-red-100';
+    default: return 'text-gray-600 bg-gray-100';
+  }
+};
+
+// Index the nested tree by id so the selection and breadcrumb are lookups
+const indexTree = (nodes, byId = new Map()) => {
+  nodes.forEach(node => {
+    byId.set(node.id, node);
+    indexTree(node.children, byId);
+  });
+  return byId;
+};
+
+// One row of the navigator with its children when expanded
+const TreeNode = ({ node, depth, selectedId, expanded, onToggle, onSelect }) => {
+  const { formatMetric } = useMetrics();
+  const isOpen = expanded.has(node.id);
+  const temperature = node.readings.averages.temperature;
+
+  return (
+    <li>
+      <div
+        className={`flex items-center py-1 pr-2 rounded cursor-pointer text-sm ${
+          node.id === selectedId ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+        }`}
+        style={{ paddingLeft: `${depth * 16 + 4}px` }}
+        onClick={() => onSelect(node.id)}
+      >
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggle(node.id);
+          }}
+          className={`p-0.5 mr-1 ${node.children.length === 0 ? 'invisible' : ''}`}
+        >
+          {isOpen ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+        </button>
+        <span className="flex-1 truncate">{node.name}</span>
+        {temperature !== null && temperature !== undefined && (
+          <span className="text-xs text-gray-500 ml-2">{formatMetric('temperature', temperature)}</span>
+        )}
+      </div>
+      {isOpen && node.children.length > 0 && (
+        <ul>
+          {node.children.map(child => (
+            <TreeNode
+              key={child.id}
+              node={child}
+              depth={depth + 1}
+              selectedId={selectedId}
+              expanded={expanded}
+              onToggle={onToggle}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Average temperature, humidity and PM2.5 of a node's devices
+const ReadingsRow = ({ readings }) => {
+  const { getMetric, formatMetric } = useMetrics();
+
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      {READINGS.map(({ metric, icon: Icon, className }) => (
+        <div key={metric} className="flex items-center">
+          <div className={`p-1.5 rounded-lg ${className}`}>
+            <Icon className="h-4 w-4" />
+          </div>
+          <div className="ml-2 min-w-0">
+            <p className="text-xs text-gray-500 truncate">{getMetric(metric).label}</p>
+            <p className="text-sm font-semibold text-gray-900">
+              {readings.averages[metric] !== null && readings.averages[metric] !== undefined
+                ? formatMetric(metric, readings.averages[metric])
+                : '—'}
+            </p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const LocationsPage = () => {
+  const [tree, setTree] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [expanded, setExpanded] = useState(new Set());
+  const [devices, setDevices] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [newLocation, setNewLocation] = useState(null);
+  const [assignUid, setAssignUid] = useState('');
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const byId = useMemo(() => indexTree(tree), [tree]);
+  const selected = selectedId ? byId.get(selectedId) : null;
+  const path = selected ? [...selected.ancestors.map(id => byId.get(id)).filter(Boolean), selected] : [];
+  const children = selected ? selected.children : tree;
+
+  const fetchTree = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await locationsAPI.getTree();
+      if (response.success) {
+        setTree(response.data.locations);
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching locations:', err);
+      setError('Failed to load locations');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDevices = useCallback(async (cursor) => {
+    if (!selectedId) return;
+
+    const response = await devicesAPI.getDevices({
+      locationId: selectedId,
+      sort: 'name',
+      limit: DEVICES_PAGE_SIZE,
+      cursor: cursor || undefined
+    });
+    if (response.success) {
+      setDevices(prev => (cursor ? [...prev, ...response.data.devices] : response.data.devices));
+      setNextCursor(response.data.pagination.nextCursor);
+    }
+  }, [selectedId]);
+
+  useEffect(() => {
+    fetchTree();
+  }, [fetchTree]);
+
+  useEffect(() => {
+    setDevices([]);
+    setNextCursor(null);
+    fetchDevices(null).catch(err => console.error('Error fetching location devices:', err));
+  }, [fetchDevices]);
+
+  // Drilling down opens the path in the navigator
+  const handleSelect = (id) => {
+    const node = id ? byId.get(id) : null;
+    setSelectedId(id);
+    setNewLocation(null);
+    if (node) {
+      setExpanded(prev => new Set([...prev, ...node.ancestors, node.id]));
+    }
+  };
+
+  const handleToggle = (id) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleRefresh = async () => {
+    await fetchTree();
+    await fetchDevices(null).catch(() => toast.error('Failed to load devices'));
+  };
+
+  const handleLoadMore = async () => {
+    try {
+      await fetchDevices(nextCursor);
+    } catch (err) {
+      toast.error('Failed to load more devices');
+    }
+  };
+
+  const childTypes = LOCATION_TYPES.slice(selected ? LOCATION_TYPES.indexOf(selected.type) + 1 : 0);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await locationsAPI.createLocation({ ...newLocation, parentId: selectedId });
+      toast.success(response.message);
+      setNewLocation(null);
+      await fetchTree();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create location');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${selected.type} "${selected.name}"?`)) return;
+
+    try {
+      const response = await locationsAPI.deleteLocation(selected.id);
+      toast.success(response.message);
+      setSelectedId(selected.parent);
+      await fetchTree();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete location');
+    }
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await devicesAPI.updateDevice(assignUid.trim(), { locationId: selectedId });
+      toast.success(response.message);
+      setAssignUid('');
+      await handleRefresh();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to assign device');
+    }
+  };
+
+  if (loading && tree.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="large" text="Loading locations..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Locations</h1>
+          <p className="text-gray-600">Average readings per site, building, floor and room over the last hour</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {isAdmin && childTypes.length > 0 && (
+            <button onClick={() => setNewLocation({ name: '', type: childTypes[0] })} className="btn btn-primary">
+              <Plus className="h-4 w-4 mr-2" />
+              {selected ? 'Add Inside' : 'New Site'}
+            </button>
+          )}
+          <button onClick={handleRefresh} className="btn btn-secondary" disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {/* Error State */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Navigator */}
+        <div className="card lg:col-span-1">
+          <h2 className="text-sm font-semibold text-gray-900 mb-2">All locations</h2>
+          {tree.length === 0 ? (
+            <p className="text-sm text-gray-500">No locations yet</p>
+          ) : (
+            <ul>
+              {tree.map(node => (
+                <TreeNode
+                  key={node.id}
+                  node={node}
+                  depth={0}
+                  selectedId={selectedId}
+                  expanded={expanded}
+                  onToggle={handleToggle}
+                  onSelect={handleSelect}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-3 space-y-6">
+          {/* Breadcrumb */}
+          <nav className="flex items-center flex-wrap text-sm">
+            <button onClick={() => handleSelect(null)} className="text-blue-600 hover:text-blue-800">All sites</button>
+            {path.map(node => (
+              <React.Fragment key={node.id}>
+                <ChevronRight className="h-4 w-4 mx-1 text-gray-400" />
+                <button
+                  onClick={() => handleSelect(node.id)}
+                  className={node.id === selectedId ? 'text-gray-900 font-medium' : 'text-blue-600 hover:text-blue-800'}
+                >
+                  {node.name}
+                </button>
+              </React.Fragment>
+            ))}
+          </nav>
+
+          {/* Selected node */}
+          {selected && (
+            <div className="card">
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{selected.name}</h2>
+                  <p className="text-sm text-gray-500 capitalize">
+                    {selected.type} · {selected.readings.reporting} of {selected.readings.devices} devices reporting
+                    {selected.timezone && <span className="normal-case"> · {selected.timezone}</span>}
+                  </p>
+                  {selected.description && <p className="text-sm text-gray-500 mt-1">{selected.description}</p>}
+                </div>
+                {isAdmin && (
+                  <button onClick={handleDelete} className="btn btn-secondary text-red-600" title="Delete location">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+              <ReadingsRow readings={selected.readings} />
+            </div>
+          )}
+
+          {newLocation && (
+            <form onSubmit={handleCreate} className="card flex flex-col sm:flex-row gap-2">
+              <input
+                type="text"
+                value={newLocation.name}
+                onChange={(e) => setNewLocation({ ...newLocation, name: e.target.value })}
+                className="input flex-1"
+                placeholder="Name"
+                required
+              />
+              <select
+                value={newLocation.type}
+                onChange={(e) => setNewLocation({ ...newLocation, type: e.target.value })}
+                className="input sm:w-40 capitalize"
+              >
+                {childTypes.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <button type="submit" className="btn btn-primary">Create</button>
+              <button type="button" onClick={() => setNewLocation(null)} className="btn btn-secondary">Cancel</button>
+            </form>
+          )}
+
+          {/* Children */}
+          {children.length === 0 && !selected ? (
+            <div className="text-center py-12">
+              <MapPin className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No locations yet</h3>
+              <p className="text-gray-600">Add a site, then buildings, floors and rooms inside it</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {children.map(node => (
+                <div
+                  key={node.id}
+                  onClick={() => handleSelect(node.id)}
+                  className="card hover:shadow-lg transition-shadow cursor-pointer"
+                >
+                  <div className="flex items-start justify-between mb-4">
+                    <div className="min-w-0">
+                      <h3 className="font-semibold text-gray-900">{node.name}</h3>
+                      <p className="text-sm text-gray-500">
+                        {node.children.length > 0 ? `${node.children.length} inside · ` : ''}{node.readings.devices} devices
+                      </p>
+                    </div>
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700 capitalize">
+                      {node.type}
+                    </span>
+                  </div>
+                  <ReadingsRow readings={node.readings} />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Devices at and below the selected node */}
+          {selected && (
+            <div className="card">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Devices</h2>
+                <form onSubmit={handleAssign} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={assignUid}
+                    onChange={(e) => setAssignUid(e.target.value)}
+                    className="input w-48"
+                    placeholder="Device UID"
+                    required
+                  />
+                  <button type="submit" className="btn btn-secondary">Assign here</button>
+                </form>
+              </div>
+              {devices.length === 0 ? (
+                <p className="text-sm text-gray-500">No devices at this location</p>
+              ) : (
+                <>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-gray-500 border-b">
+                          <th className="py-2 font-medium">Name</th>
+                          <th className="py-2 font-medium">UID</th>
+                          <th className="py-2 font-medium">Location</th>
+                          <th className="py-2 font-medium">Status</th>
+                          <th className="py-2 font-medium">Last seen</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {devices.map(device => (
+                          <tr key={device._id} className="border-b last:border-0">
+                            <td className="py-2 text-gray-900">{device.name}</td>
+                            <td className="py-2 font-mono text-gray-600">{device.uid}</td>
+                            <td className="py-2 text-gray-600">{device.location}</td>
+                            <td className="py-2">
+                              <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getStatusColor(device.status)}`}>
+                                {device.status}
+                              </span>
+                            </td>
+                            <td className="py-2 text-gray-500">{format(new Date(device.lastSeen), 'MMM dd, HH:mm')}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {nextCursor && (
+                    <div className="text-center mt-4">
+                      <button onClick={handleLoadMore} className="btn btn-secondary">Load more</button>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LocationsPage;
@@ -0,0 +1,464 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { silencesAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  BellOff,
+  Wrench,
+  RefreshCw,
+  Plus,
+  Trash2,
+  X,
+  AlertTriangle,
+  Square,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { format, addHours } from 'date-fns';
+
+const TABS = [
+  { id: 'current', label: 'Current' },
+  { id: 'expired', label: 'Expired' },
+  { id: 'events', label: 'Silenced events' }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toInputDate = (date) => format(date, "yyyy-MM-dd'T'HH:mm");
+
+const emptySilence = () => ({
+  type: 'silence',
+  name: '',
+  deviceIds: '',
+  locations: '',
+  deviceTypes: '',
+  startsAt: toInputDate(new Date()),
+  endsAt: toInputDate(addHours(new Date(), 1)),
+  frequency: 'none',
+  daysOfWeek: [],
+  until: ''
+});
+
+const describeScope = (scope) => {
+  const parts = [
+    scope.deviceIds.length > 0 && `devices: ${scope.deviceIds.join(', ')}`,
+    scope.locations.length > 0 && `locations: ${scope.locations.join(', ')}`,
+    scope.deviceTypes.length > 0 && `types: ${scope.deviceTypes.join(', ')}`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : 'All devices';
+};
+
+const describeSchedule = ({ startsAt, endsAt, recurrence }) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+
+  if (recurrence.frequency === 'none') {
+    return `${format(start, 'MMM dd, HH:mm')} – ${format(end, 'MMM dd, HH:mm')}`;
+  }
+
+  const days = recurrence.frequency === 'weekly'
+    ? recurrence.daysOfWeek.map(day => WEEKDAYS[day]).join(', ')
+    : 'Daily';
+  const until = recurrence.until ? ` until ${format(new Date(recurrence.until), 'MMM dd, yyyy')}` : '';
+  return `${days} ${format(start, 'HH:mm')} – ${format(end, 'HH:mm')}, from ${format(start, 'MMM dd')}${until}`;
+};
+
+const SilencesPage = () => {
+  const [tab, setTab] = useState('current');
+  const [silences, setSilences] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptySilence);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  });
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const fetchSilences = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await silencesAPI.getSilences({ state: tab });
+      if (response.success) {
+        setSilences(response.data.silences);
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching silences:', err);
+      setError('Failed to load silences');
+    } finally {
+      setLoading(false);
+    }
+  }, [tab]);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await silencesAPI.getSilencedEvents({
+        page: pagination.page,
+        limit: pagination.limit
+      });
+
+      if (response.success) {
+        setEvents(response.data.events);
+        setPagination(prev => ({
+          ...prev,
+          total: response.data.pagination.total,
+          pages: response.data.pagination.pages
+        }));
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching silenced events:', err);
+      setError('Failed to load silenced events');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, pagination.limit]);
+
+  const refresh = tab === 'events' ? fetchEvents : fetchSilences;
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleTabChange = (id) => {
+    setTab(id);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDayToggle = (day) => {
+    setForm(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(item => item !== day)
+        : [...prev.daysOfWeek, day].sort()
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const recurring = form.type === 'maintenance' && form.frequency !== 'none';
+
+    try {
+      const response = await silencesAPI.createSilence({
+        type: form.type,
+        name: form.name,
+        scope: {
+          deviceIds: form.deviceIds,
+          locations: form.locations,
+          deviceTypes: form.deviceTypes
+        },
+        startsAt: new Date(form.startsAt).toISOString(),
+        endsAt: new Date(form.endsAt).toISOString(),
+        recurrence: {
+          frequency: recurring ? form.frequency : 'none',
+          daysOfWeek: recurring && form.frequency === 'weekly' ? form.daysOfWeek : [],
+          // The until date is inclusive
+          until: recurring && form.until ? new Date(`${form.until}T23:59:59`).toISOString() : undefined
+        }
+      });
+      toast.success(response.message);
+      setForm(emptySilence());
+      setShowForm(false);
+      if (tab === 'current') fetchSilences();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create silence');
+    }
+  };
+
+  const handleExpire = async (silence) => {
+    try {
+      const response = await silencesAPI.expireSilence(silence.id);
+      toast.success(response.message);
+      fetchSilences();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to expire silence');
+    }
+  };
+
+  const handleDelete = async (silence) => {
+    if (!window.confirm(`Delete "${silence.name}"? Its silenced events stay in the log.`)) return;
+
+    try {
+      const response = await silencesAPI.deleteSilence(silence.id);
+      toast.success(response.message);
+      fetchSilences();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete silence');
+    }
+  };
+
+  const handlePageChange = (newPage) => {
+    setPagination(prev => ({ ...prev, page: newPage }));
+  };
+
+  const items = tab === 'events' ? events : silences;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Silences</h1>
+          <p className="text-gray-600">Mute notifications and schedule maintenance windows</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => setShowForm(true)} className="btn btn-primary">
+            <Plus className="h-4 w-4 mr-2" />
+            New Silence
+          </button>
+          <button onClick={refresh} className="btn btn-secondary" disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex space-x-2 border-b">
+        {TABS.map(item => (
+          <button
+            key={item.id}
+            onClick={() => handleTabChange(item.id)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              tab === item.id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Error State */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {loading && items.length === 0 ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="large" text="Loading silences..." />
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-12">
+          <BellOff className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            {tab === 'events' ? 'Nothing was silenced' : `No ${tab} silences`}
+          </h3>
+          <p className="text-gray-600">
+            {tab === 'events'
+              ? 'Alerts and offline notifications suppressed by silences are logged here'
+              : 'Silence a device while it is cleaned or recalibrated'}
+          </p>
+        </div>
+      ) : tab === 'events' ? (
+        <>
+          {/* Silenced Events */}
+          <div className="card overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4 font-medium">Time</th>
+                  <th className="py-2 pr-4 font-medium">Device</th>
+                  <th className="py-2 pr-4 font-medium">Event</th>
+                  <th className="py-2 pr-4 font-medium">Silenced by</th>
+                  <th className="py-2 font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(item => (
+                  <tr key={item.id} className="border-b last:border-0">
+                    <td className="py-2 pr-4 whitespace-nowrap">{format(new Date(item.occurredAt), 'MMM dd, HH:mm:ss')}</td>
+                    <td className="py-2 pr-4">{item.deviceId}</td>
+                    <td className="py-2 pr-4">{item.event === 'alert' ? (item.alert ? 'Alert muted' : 'Alert suppressed') : 'Offline'}</td>
+                    <td className="py-2 pr-4">{item.silenceName} <span className="text-gray-400">({item.silenceType})</span></td>
+                    <td className="py-2 text-gray-600">{item.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          {pagination.pages > 1 && (
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-gray-700">
+                {pagination.total} events
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handlePageChange(pagination.page - 1)}
+                  disabled={pagination.page === 1}
+                  className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <span className="px-3 py-1 text-sm font-medium text-gray-700">
+                  {pagination.page} of {pagination.pages}
+                </span>
+                <button
+                  onClick={() => handlePageChange(pagination.page + 1)}
+                  disabled={pagination.page === pagination.pages}
+                  className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      ) : (
+        /* Silence List */
+        <div className="card space-y-3">
+          {silences.map(silence => {
+            const Icon = silence.type === 'maintenance' ? Wrench : BellOff;
+            return (
+              <div key={silence.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center space-x-3 min-w-0">
+                  <div className="p-2 rounded-lg bg-gray-200 text-gray-700">
+                    <Icon className="h-4 w-4" />
+                  </div>
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900">
+                      {silence.name}
+                      <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">{silence.type}</span>
+                      {silence.active && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">active</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-600">{describeSchedule(silence)}</p>
+                    <p className="text-xs text-gray-500">{describeScope(silence.scope)}</p>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {tab === 'current' && (
+                    <button onClick={() => handleExpire(silence)} className="btn btn-secondary" title="Expire now">
+                      <Square className="h-4 w-4" />
+                    </button>
+                  )}
+                  {isAdmin && (
+                    <button onClick={() => handleDelete(silence)} className="btn btn-secondary" title="Delete">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* New Silence Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-hidden">
+            <div className="flex items-center justify-between p-6 border-b">
+              <h2 className="text-xl font-semibold text-gray-900">New Silence</h2>
+              <button onClick={() => setShowForm(false)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleCreate} className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div className="sm:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                  <input name="name" value={form.name} onChange={handleFieldChange} placeholder="Recalibrating PM sensor" className="input w-full" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select name="type" value={form.type} onChange={handleFieldChange} className="input w-full">
+                    <option value="silence">Silence</option>
+                    <option value="maintenance">Maintenance</option>
+                  </select>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                {form.type === 'maintenance'
+                  ? 'No alerts are raised and offline notifications are muted during the window.'
+                  : 'Alerts are still raised and listed, but their notifications and offline notifications are muted.'}
+              </p>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-1">Devices <span className="font-normal text-gray-500">(comma separated, empty matches all)</span></p>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <input name="deviceIds" value={form.deviceIds} onChange={handleFieldChange} placeholder="Device UIDs" className="input w-full" />
+                  <input name="locations" value={form.locations} onChange={handleFieldChange} placeholder="Locations" className="input w-full" />
+                  <input name="deviceTypes" value={form.deviceTypes} onChange={handleFieldChange} placeholder="Device types" className="input w-full" />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                  <input name="startsAt" type="datetime-local" value={form.startsAt} onChange={handleFieldChange} className="input w-full" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                  <input name="endsAt" type="datetime-local" value={form.endsAt} onChange={handleFieldChange} className="input w-full" required />
+                </div>
+              </div>
+
+              {form.type === 'maintenance' && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Repeat</label>
+                    <select name="frequency" value={form.frequency} onChange={handleFieldChange} className="input w-full">
+                      <option value="none">Does not repeat</option>
+                      <option value="daily">Daily</option>
+                      <option value="weekly">Weekly</option>
+                    </select>
+                  </div>
+                  {form.frequency !== 'none' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Until <span className="font-normal text-gray-500">(optional)</span></label>
+                      <input name="until" type="date" value={form.until} onChange={handleFieldChange} className="input w-full" />
+                    </div>
+                  )}
+                  {form.frequency === 'weekly' && (
+                    <div className="sm:col-span-2 flex flex-wrap gap-x-4 gap-y-1">
+                      {WEEKDAYS.map((label, day) => (
+                        <label key={label} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={form.daysOfWeek.includes(day)}
+                            onChange={() => handleDayToggle(day)}
+                            className="mr-2"
+                          />
+                          {label}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-2 pt-2">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
+                <button type="submit" className="btn btn-primary">Create</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SilencesPage;
@@ -65,6 +65,12 @@ export const devicesAPI = {
     return response.data;
   },
 
+  // Filter expression keys and known values, for autocomplete
+  getFilterKeys: async () => {
+    const response = await axios.get('/devices/filter-keys');
+    return response.data;
+  },
+
   // Get single device by ID or UID
   getDevice: async (id) => {
     const response = await axios.get(`/devices/${id}`);
@@ -77,6 +83,48 @@ export const devicesAPI = {
     return response.data;
   },
 
+  // Time-bucketed statistics (from, to, interval, metrics, percentiles, tz)
+  getDeviceAggregate: async (deviceId, params = {}) => {
+    const response = await axios.get(`/devices/${deviceId}/aggregate`, { params });
+    return response.data;
+  },
+
+  // Same over a group of devices (location, deviceType, deviceIds or a device group)
+  getGroupAggregate: async (params = {}) => {
+    const response = await axios.get('/devices/aggregate', { params });
+    return response.data;
+  },
+
+  // Send a command to a device
+  sendCommand: async (deviceId, commandData) => {
+    const response = await axios.post(`/devices/${deviceId}/commands`, commandData);
+    return response.data;
+  },
+
+  // Get recent commands sent to a device
+  getDeviceCommands: async (deviceId, params = {}) => {
+    const response = await axios.get(`/devices/${deviceId}/commands`, { params });
+    return response.data;
+  },
+
+  // Get anomaly detection settings and learned baselines
+  getAnomalySettings: async (deviceId) => {
+    const response = await axios.get(`/devices/${deviceId}/anomaly`);
+    return response.data;
+  },
+
+  // Configure anomaly detection (admin)
+  updateAnomalySettings: async (deviceId, settings) => {
+    const response = await axios.put(`/devices/${deviceId}/anomaly`, settings);
+    return response.data;
+  },
+
+  // Forget the learned baselines (admin)
+  resetAnomalyBaselines: async (deviceId) => {
+    const response = await axios.delete(`/devices/${deviceId}/anomaly/baselines`);
+    return response.data;
+  },
+
   // Create new device
   createDevice: async (deviceData) => {
     const response = await axios.post('/devices', deviceData);
@@ -89,15 +137,117 @@ export const devicesAPI = {
     return response.data;
   },
 
-  // Delete device
-  deleteDevice: async (id) => {
-    const response = await axios.delete(`/devices/${id}`);
+  // Delete device (admin); soft delete unless `hard` is set
+  deleteDevice: async (id, { hard = false } = {}) => {
+    const response = await axios.delete(`/devices/${id}`, { params: hard ? { hard: true } : {} });
+    return response.data;
+  },
+
+  // Undo a soft delete (admin)
+  restoreDevice: async (id) => {
+    const response = await axios.post(`/devices/${id}/restore`);
+    return response.data;
+  },
+
+  // Get device statistics summary (of a device group with `group`)
+  getDeviceStats: async (params = {}) => {
+    const response = await axios.get('/devices/stats/summary', { params });
+    return response.data;
+  }
+};
+
+// Device groups API; members are listed with devicesAPI.getDevices({ group })
+export const deviceGroupsAPI = {
+  // List groups with the status counts of their members
+  getGroups: async () => {
+    const response = await axios.get('/device-groups');
+    return response.data;
+  },
+
+  // Get a group with its health and alert rules
+  getGroup: async (id) => {
+    const response = await axios.get(`/device-groups/${id}`);
+    return response.data;
+  },
+
+  // Create a static (deviceIds) or dynamic (filter) group
+  createGroup: async (groupData) => {
+    const response = await axios.post('/device-groups', groupData);
+    return response.data;
+  },
+
+  // Update a group
+  updateGroup: async (id, groupData) => {
+    const response = await axios.put(`/device-groups/${id}`, groupData);
+    return response.data;
+  },
+
+  // Delete a group (admin); its devices are kept
+  deleteGroup: async (id) => {
+    const response = await axios.delete(`/device-groups/${id}`);
+    return response.data;
+  },
+
+  // Rename the members from a pattern; `dryRun` previews the new names
+  renameDevices: async (id, pattern, { dryRun = false } = {}) => {
+    const response = await axios.post(`/device-groups/${id}/rename`, { pattern, dryRun });
+    return response.data;
+  },
+
+  // Stop the members from connecting and sending data (admin)
+  deactivateDevices: async (id) => {
+    const response = await axios.post(`/device-groups/${id}/deactivate`);
     return response.data;
   },
 
-  // Get device statistics summary
-  getDeviceStats: async () => {
-    const response = await axios.get('/devices/stats/summary');
+  // Undo deactivateDevices (admin)
+  reactivateDevices: async (id) => {
+    const response = await axios.post(`/device-groups/${id}/reactivate`);
+    return response.data;
+  },
+
+  // Send a command to every member
+  sendCommand: async (id, commandData) => {
+    const response = await axios.post(`/device-groups/${id}/commands`, commandData);
+    return response.data;
+  },
+
+  // Set the alert rules scoped to the group (admin)
+  setAlertRules: async (id, ruleIds) => {
+    const response = await axios.put(`/device-groups/${id}/alert-rules`, { ruleIds });
+    return response.data;
+  }
+};
+
+// Locations API
+export const locationsAPI = {
+  // Get the location tree with average readings per node
+  getTree: async (params = {}) => {
+    const response = await axios.get('/locations', { params });
+    return response.data;
+  },
+
+  // Get a location with its path, time zone and readings
+  getLocation: async (id, params = {}) => {
+    const response = await axios.get(`/locations/${id}`, { params });
+    return response.data;
+  },
+
+  // Create a location (admin)
+  createLocation: async (locationData) => {
+    const response = await axios.post('/locations', locationData);
+    return response.data;
+  },
+
+  // Update or move a location (admin)
+  updateLocation: async (id, locationData) => {
+    const response = await axios.put(`/locations/${id}`, locationData);
+    return response.data;
+  },
+
+  // Delete an empty location (admin)
+  deleteLocation: async (id) => {
+    const response = await axios.delete(`/locations/${id}`);
     return response.data;
   }
 };
@@ -126,6 +276,197 @@ export const telemetryAPI = {
   getTelemetryStats: async (params = {}) => {
     const response = await axios.get('/telemetry/stats', { params });
     return response.data;
+  },
+
+  // Export telemetry as csv, ndjson or xlsx. Returns `{ file }` with the
+  // downloaded Blob, or `{ job }` when the export runs in the background.
+  exportTelemetry: async (params = {}) => {
+    const response = await axios.get('/telemetry/export', { params, responseType: 'blob' });
+    if (response.status === 202) {
+      const body = JSON.parse(await response.data.text());
+      return { job: body.data.job };
+    }
+    return { file: response.data };
+  },
+
+  // List your recent export jobs
+  getExportJobs: async () => {
+    const response = await axios.get('/telemetry/export/jobs');
+    return response.data;
+  },
+
+  // Get an export job's status
+  getExportJob: async (id) => {
+    const response = await axios.get(`/telemetry/export/jobs/${id}`);
+    return response.data;
+  },
+
+  // Browser URL of a job's `downloadUrl` (served under /api)
+  getExportDownloadUrl: (downloadUrl) => downloadUrl.replace(/^\/api/, axios.defaults.baseURL)
+};
+
+// Metrics API
+export const metricsAPI = {
+  // Get metric definitions and the metrics reported by each device type
+  getMetrics: async () => {
+    const response = await axios.get('/metrics');
+    return response.data;
+  }
+};
+
+// Dead letters API (admin)
+export const deadLettersAPI = {
+  // List rejected messages with filters
+  getDeadLetters: async (params = {}) => {
+    const response = await axios.get('/dead-letters', { params });
+    return response.data;
+  },
+
+  // Inspect a rejected message with its raw payload
+  getDeadLetter: async (id) => {
+    const response = await axios.get(`/dead-letters/${id}`);
+    return response.data;
+  },
+
+  // Replay one message through the ingestion pipeline
+  replayDeadLetter: async (id) => {
+    const response = await axios.post(`/dead-letters/${id}/replay`);
+    return response.data;
+  },
+
+  // Replay messages selected by ids or filters
+  replayDeadLetters: async (selection = {}) => {
+    const response = await axios.post('/dead-letters/replay', selection);
+    return response.data;
+  },
+
+  // Delete messages selected by ids or filters
+  deleteDeadLetters: async (selection = {}) => {
+    const response = await axios.delete('/dead-letters', { data: selection });
+    return response.data;
+  }
+};
+
+// Alerts API
+export const alertsAPI = {
+  // List alerts (status: active, open, acknowledged, resolved, all)
+  getAlerts: async (params = {}) => {
+    const response = await axios.get('/alerts', { params });
+    return response.data;
+  },
+
+  // Acknowledge an open alert with an optional comment
+  acknowledgeAlert: async (id, comment = '') => {
+    const response = await axios.post(`/alerts/${id}/acknowledge`, { comment });
+    return response.data;
+  },
+
+  // Resolve an alert manually
+  resolveAlert: async (id) => {
+    const response = await axios.post(`/alerts/${id}/resolve`);
+    return response.data;
+  },
+
+  // Notification deliveries of an alert
+  getAlertDeliveries: async (id) => {
+    const response = await axios.get(`/alerts/${id}/deliveries`);
+    return response.data;
+  },
+
+  // List alert rules
+  getRules: async () => {
+    const response = await axios.get('/alerts/rules');
+    return response.data;
+  },
+
+  // Create an alert rule
+  createRule: async (ruleData) => {
+    const response = await axios.post('/alerts/rules', ruleData);
+    return response.data;
+  },
+
+  // Update an alert rule
+  updateRule: async (id, ruleData) => {
+    const response = await axios.put(`/alerts/rules/${id}`, ruleData);
+    return response.data;
+  },
+
+  // Delete an alert rule
+  deleteRule: async (id) => {
+    const response = await axios.delete(`/alerts/rules/${id}`);
+    return response.data;
+  }
+};
+
+// Notification channels API (admin)
+export const notificationsAPI = {
+  // List notification channels
+  getChannels: async () => {
+    const response = await axios.get('/notifications/channels');
+    return response.data;
+  },
+
+  // Create a webhook or email channel
+  createChannel: async (channelData) => {
+    const response = await axios.post('/notifications/channels', channelData);
+    return response.data;
+  },
+
+  // Update a channel
+  updateChannel: async (id, channelData) => {
+    const response = await axios.put(`/notifications/channels/${id}`, channelData);
+    return response.data;
+  },
+
+  // Delete a channel
+  deleteChannel: async (id) => {
+    const response = await axios.delete(`/notifications/channels/${id}`);
+    return response.data;
+  },
+
+  // Send a sample alert through a channel
+  testChannel: async (id) => {
+    const response = await axios.post(`/notifications/channels/${id}/test`);
+    return response.data;
+  }
+};
+
+// Silences and maintenance windows API
+export const silencesAPI = {
+  // List silences (state: current, expired, all; type: silence, maintenance)
+  getSilences: async (params = {}) => {
+    const response = await axios.get('/silences', { params });
+    return response.data;
+  },
+
+  // Create a silence or maintenance window
+  createSilence: async (silenceData) => {
+    const response = await axios.post('/silences', silenceData);
+    return response.data;
+  },
+
+  // Update a silence or maintenance window
+  updateSilence: async (id, silenceData) => {
+    const response = await axios.put(`/silences/${id}`, silenceData);
+    return response.data;
+  },
+
+  // End a silence now
+  expireSilence: async (id) => {
+    const response = await axios.post(`/silences/${id}/expire`);
+    return response.data;
+  },
+
+  // Delete a silence (admin)
+  deleteSilence: async (id) => {
+    const response = await axios.delete(`/silences/${id}`);
+    return response.data;
+  },
+
+  // Audit log of silenced alerts and offline notifications
+  getSilencedEvents: async (params = {}) => {
+    const response = await axios.get('/silences/events', { params });
+    return response.data;
   }
 };
 
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Device = require('../models/Device');
 
 const auth = async (req, res, next) => {
   try {
@@ -127,8 +128,43 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Device key middleware for device-facing endpoints (`/api/ingest/:uid`).
+// The key is the device secret, sent as `X-Device-Key`.
+const deviceAuth = async (req, res, next) => {
+  try {
+    const key = req.header('X-Device-Key');
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: 'No device key provided, authorization denied'
+      });
+    }
+
+    const device = await Device.findOne({ uid: req.params.uid }).select('+secretHash');
+    // Deleted and deactivated devices keep their secret (for a restore or
+    // reactivation) but can't use it
+    if (!device || device.deletedAt || device.deactivatedAt || !device.verifySecret(key)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid device key, authorization denied'
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    });
+  }
+};
+
 module.exports = {
   auth,
   optionalAuth,
-  requireAdmin
+  requireAdmin,
+  deviceAuth
 };
\ No newline at end of file
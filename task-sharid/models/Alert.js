@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const alertSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  // Copied from the rule so history survives rule edits and deletion
+  ruleName: {
+    type: String,
+    required: true
+  },
+  condition: {
+    type: String,
+    default: ''
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    ref: 'Device'
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  // Value that triggered the alert and the most recent breaching value
+  triggerValue: {
+    type: Number
+  },
+  lastValue: {
+    type: Number
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'open'
+  },
+  // Number of escalation steps of the rule that have been notified
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgeComment: {
+    type: String,
+    default: ''
+  },
+  // Silence that muted the alert's notifications when it was raised
+  silence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Silence'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolvedValue: {
+    type: Number
+  },
+  // 'auto' when the condition cleared, otherwise the user who closed it
+  resolvedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the active-alert lookup and history browsing
+alertSchema.index({ rule: 1, deviceId: 1, status: 1 });
+alertSchema.index({ status: 1, triggeredAt: -1 });
+alertSchema.index({ deviceId: 1, triggeredAt: -1 });
+
+alertSchema.statics.STATUSES = ALERT_STATUSES;
+alertSchema.statics.ACTIVE_STATUSES = ['open', 'acknowledged'];
+
+// Static method to build a query from list filters. `status: 'active'`
+// matches open and acknowledged alerts.
+alertSchema.statics.buildFilter = function({ status, deviceId, severity, rule, from, to } = {}) {
+  const filter = {};
+
+  if (status === 'active') {
+    filter.status = { $in: this.ACTIVE_STATUSES };
+  } else if (status && status !== 'all') {
+    filter.status = status;
+  }
+  if (deviceId) filter.deviceId = deviceId;
+  if (severity) filter.severity = severity;
+  if (rule) filter.rule = rule;
+
+  if (from || to) {
+    filter.triggeredAt = {};
+    if (from) filter.triggeredAt.$gte = new Date(from);
+    if (to) filter.triggeredAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Instance method to format for API response
+alertSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    rule: this.rule,
+    ruleName: this.ruleName,
+    condition: this.condition,
+    severity: this.severity,
+    deviceId: this.deviceId,
+    metric: this.metric,
+    triggerValue: this.triggerValue,
+    lastValue: this.lastValue,
+    message: this.message,
+    status: this.status,
+    escalationLevel: this.escalationLevel,
+    triggeredAt: this.triggeredAt,
+    acknowledgedAt: this.acknowledgedAt,
+    acknowledgedBy: this.acknowledgedBy,
+    acknowledgeComment: this.acknowledgeComment,
+    silence: this.silence,
+    resolvedAt: this.resolvedAt,
+    resolvedValue: this.resolvedValue,
+    resolvedBy: this.resolvedBy
+  };
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+const RULE_TYPES = ['threshold', 'anomaly'];
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // 'threshold': `<metric> <operator> <threshold>`; 'anomaly': the anomaly
+  // detector flagged the metric. Either held for `durationSeconds`.
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    default: 'threshold'
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: OPERATORS,
+    required: function() { return this.type === 'threshold'; }
+  },
+  threshold: {
+    type: Number,
+    required: function() { return this.type === 'threshold'; }
+  },
+  durationSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Devices the rule applies to; empty lists match every device
+  scope: {
+    deviceIds: {
+      type: [String],
+      default: []
+    },
+    locations: {
+      type: [String],
+      default: []
+    },
+    deviceTypes: {
+      type: [String],
+      default: []
+    },
+    // Device groups; a member of any of them matches
+    groups: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeviceGroup'
+    }]
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    default: 'warning'
+  },
+  // Notified when an alert opens and when it resolves
+  channels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationChannel'
+  }],
+  // Extra channels notified while an alert stays unacknowledged
+  escalations: [{
+    _id: false,
+    afterMinutes: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    channels: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationChannel'
+    }]
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+alertRuleSchema.index({ enabled: 1 });
+
+alertRuleSchema.statics.TYPES = RULE_TYPES;
+alertRuleSchema.statics.OPERATORS = OPERATORS;
+alertRuleSchema.statics.SEVERITIES = SEVERITIES;
+
+// Instance method to check whether the rule covers a device
+// (`device` needs uid, location and deviceType). `groupMembers` maps group
+// ids to sets of member uids (services/deviceGroups.js loadMemberSets).
+alertRuleSchema.methods.appliesTo = function(device, groupMembers = new Map()) {
+  const { deviceIds, locations, deviceTypes, groups } = this.scope;
+
+  if (deviceIds.length > 0 && !deviceIds.includes(device.uid)) return false;
+  if (locations.length > 0 && !locations.includes(device.location)) return false;
+  if (deviceTypes.length > 0 && !deviceTypes.includes(device.deviceType)) return false;
+  if (groups.length > 0 && !groups.some(id => (groupMembers.get(id.toString()) || new Set()).has(device.uid))) {
+    return false;
+  }
+  return true;
+};
+
+// Instance method to test a value against the condition. Anomaly rules
+// check the flags the detector set on the reading.
+alertRuleSchema.methods.isBreached = function(value, reading = {}) {
+  if (this.type === 'anomaly') {
+    return (reading.anomalies || []).some(anomaly => anomaly.metric === this.metric);
+  }
+
+  switch (this.operator) {
+    case '>': return value > this.threshold;
+    case '>=': return value >= this.threshold;
+    case '<': return value < this.threshold;
+    case '<=': return value <= this.threshold;
+    case '==': return value === this.threshold;
+    case '!=': return value !== this.threshold;
+    default: return false;
+  }
+};
+
+// Human readable condition, e.g. "pm25 > 35 for 10 min"
+alertRuleSchema.methods.describeCondition = function() {
+  const condition = this.type === 'anomaly'
+    ? `${this.metric} is anomalous`
+    : `${this.metric} ${this.operator} ${this.threshold}`;
+  if (!this.durationSeconds) return condition;
+
+  const minutes = this.durationSeconds / 60;
+  return `${condition} for ${Number.isInteger(minutes) ? `${minutes} min` : `${this.durationSeconds} s`}`;
+};
+
+// Instance method to format for API response
+alertRuleSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    enabled: this.enabled,
+    type: this.type,
+    metric: this.metric,
+    operator: this.operator,
+    threshold: this.threshold,
+    durationSeconds: this.durationSeconds,
+    condition: this.describeCondition(),
+    scope: this.scope,
+    severity: this.severity,
+    channels: this.channels,
+    escalations: this.escalations,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const statsSchema = new mongoose.Schema({
+  mean: {
+    type: Number,
+    default: 0
+  },
+  variance: {
+    type: Number,
+    default: 0
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Rolling statistics the anomaly detector keeps per device and metric, saved
+// periodically so baselines survive restarts
+const anomalyBaselineSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  // EWMA over all readings
+  overall: {
+    type: statsSchema,
+    default: () => ({})
+  },
+  // EWMA per hour of day (server local time), for the seasonal method
+  hourly: {
+    type: [statsSchema],
+    default: []
+  },
+  lastTimestamp: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+anomalyBaselineSchema.index({ deviceId: 1, metric: 1 }, { unique: true });
+
+// Instance method to format for API response
+anomalyBaselineSchema.methods.toAPIResponse = function() {
+  const describe = ({ mean, variance, count }) => ({ mean, stdDev: Math.sqrt(variance), count });
+
+  return {
+    metric: this.metric,
+    overall: describe(this.overall),
+    hourly: this.hourly.map(describe),
+    lastTimestamp: this.lastTimestamp,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('AnomalyBaseline', anomalyBaselineSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const COMMAND_STATUSES = ['pending', 'sent', 'acked', 'failed', 'timed_out'];
+
+const commandSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    ref: 'Device'
+  },
+  command: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-zA-Z0-9_.-]{1,64}$/, 'Command name may only contain letters, digits, "_", "." and "-"']
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: COMMAND_STATUSES,
+    default: 'pending'
+  },
+  topic: {
+    type: String
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sentAt: {
+    type: Date
+  },
+  ackedAt: {
+    type: Date
+  },
+  timeoutAt: {
+    type: Date,
+    required: true
+  },
+  // Device reply payload (result on ack, details on failure)
+  response: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for per-device history and the timeout sweep
+commandSchema.index({ deviceId: 1, createdAt: -1 });
+commandSchema.index({ status: 1, timeoutAt: 1 });
+
+commandSchema.statics.STATUSES = COMMAND_STATUSES;
+
+// Instance method to format data for API response
+commandSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    deviceId: this.deviceId,
+    command: this.command,
+    params: this.params,
+    status: this.status,
+    topic: this.topic,
+    requestedBy: this.requestedBy,
+    sentAt: this.sentAt,
+    ackedAt: this.ackedAt,
+    timeoutAt: this.timeoutAt,
+    response: this.response,
+    error: this.error,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Command', commandSchema);
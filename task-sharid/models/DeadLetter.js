@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const deadLetterSchema = new mongoose.Schema({
+  topic: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['mqtt', 'http', 'api'],
+    default: 'mqtt'
+  },
+  payload: {
+    type: Buffer,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  decoder: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'replayed'],
+    default: 'pending'
+  },
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedAt: {
+    type: Date
+  },
+  telemetryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Telemetry'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for browsing and bulk operations
+deadLetterSchema.index({ receivedAt: -1 });
+deadLetterSchema.index({ status: 1, receivedAt: -1 });
+deadLetterSchema.index({ reason: 1 });
+deadLetterSchema.index({ deviceId: 1 });
+
+// Static method to build a query from list/bulk filters
+deadLetterSchema.statics.buildFilter = function({ ids, status, reason, deviceId, from, to } = {}) {
+  const filter = {};
+
+  if (Array.isArray(ids) && ids.length > 0) {
+    filter._id = { $in: ids };
+  }
+  if (status && status !== 'all') filter.status = status;
+  if (reason) filter.reason = reason;
+  if (deviceId) filter.deviceId = deviceId;
+
+  if (from || to) {
+    filter.receivedAt = {};
+    if (from) filter.receivedAt.$gte = new Date(from);
+    if (to) filter.receivedAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Instance method to format for API response. The raw payload is only
+// included when `includePayload` is set (detail view).
+deadLetterSchema.methods.toAPIResponse = function({ includePayload = false } = {}) {
+  const payload = this.payload || Buffer.alloc(0);
+  const text = payload.toString('utf8');
+  const isText = !text.includes('�') && !/[\x00-\x08\x0E-\x1F]/.test(text);
+
+  const response = {
+    id: this._id,
+    topic: this.topic,
+    deviceId: this.deviceId,
+    source: this.source,
+    reason: this.reason,
+    error: this.error,
+    decoder: this.decoder,
+    size: payload.length,
+    preview: isText ? text.slice(0, 120) : payload.subarray(0, 32).toString('hex'),
+    receivedAt: this.receivedAt,
+    status: this.status,
+    replayCount: this.replayCount,
+    lastReplayedAt: this.lastReplayedAt,
+    telemetryId: this.telemetryId
+  };
+
+  if (includePayload) {
+    response.details = this.details;
+    response.payload = {
+      base64: payload.toString('base64'),
+      hex: payload.toString('hex'),
+      text: isText ? text : null
+    };
+  }
+
+  return response;
+};
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
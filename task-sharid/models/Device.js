@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const deviceSchema = new mongoose.Schema({
@@ -24,22 +25,124 @@ const deviceSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Maintained by the presence monitor from lastSeen and the device type's limits
+  status: {
+    type: String,
+    enum: ['online', 'warning', 'offline'],
+    default: 'offline'
+  },
+  // Set when the device reports itself offline (MQTT Last Will); it stays
+  // offline until it is seen again
+  disconnectedAt: {
+    type: Date
+  },
+  // Newest reading timestamp; never moves backwards for late readings
+  lastReadingAt: {
+    type: Date
+  },
+  // Estimated device clock offset (server - device) and whether it is
+  // beyond CLOCK_SKEW_TOLERANCE_SECONDS
+  clockOffsetMs: {
+    type: Number,
+    default: null
+  },
+  clockSkewDetected: {
+    type: Boolean,
+    default: false
+  },
   location: {
     type: String,
     default: 'Unknown'
   },
+  // Node of the location hierarchy (models/Location.js); `location` then
+  // holds the node's name, which filters and alert scopes match on
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
   deviceType: {
     type: String,
     default: 'sensor'
+  },
+  // Free-form labels, e.g. { floor: '3', building: 'north' }
+  tags: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Values of the custom metadata fields (models/MetadataField.js), stored
+  // with the field's type
+  metadata: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Device secret (MQTT password for the embedded broker); only a hash is stored
+  secretHash: {
+    type: String,
+    select: false
+  },
+  secretIssuedAt: {
+    type: Date
+  },
+  secretRevokedAt: {
+    type: Date
+  },
+  // Set while the device is deactivated (POST /api/device-groups/:id/deactivate):
+  // it can't connect or send readings until reactivated, its secret is kept
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  // Statistical anomaly detection on incoming readings (services/anomaly.js)
+  anomalyDetection: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // 'ewma': rolling mean/variance; 'seasonal': one baseline per hour of day
+    method: {
+      type: String,
+      enum: ['ewma', 'seasonal'],
+      default: 'ewma'
+    },
+    // Metrics to check; empty checks every metric of the reading
+    metrics: {
+      type: [String],
+      default: []
+    },
+    // Readings further than this many standard deviations from the baseline are flagged
+    zScore: {
+      type: Number,
+      default: 3,
+      min: 1
+    }
+  },
+  // Soft delete: the device is hidden from lists and can't connect, its
+  // readings, alerts and commands are kept until it is restored
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save checks and bumps __v, so concurrent updates of the same
+  // device fail with a VersionError instead of overwriting each other
+  optimisticConcurrency: true
 });
 
 // Index for faster queries
 deviceSchema.index({ uid: 1 });
 deviceSchema.index({ isActive: 1 });
+deviceSchema.index({ status: 1 });
 deviceSchema.index({ lastSeen: -1 });
+deviceSchema.index({ deletedAt: 1 });
+deviceSchema.index({ locationId: 1 });
 
 // Virtual for latest telemetry
 deviceSchema.virtual('latestTelemetry', {
@@ -50,8 +153,57 @@ deviceSchema.virtual('latestTelemetry', {
   options: { sort: { timestamp: -1 } }
 });
 
-// Ensure virtual fields are serialized
-deviceSchema.set('toJSON', { virtuals: true });
+// Find a device by MongoDB _id or by uid. Soft-deleted devices are only
+// found with `includeDeleted` (restore, hard delete).
+deviceSchema.statics.findByIdOrUid = async function(id, { includeDeleted = false } = {}) {
+  const live = includeDeleted ? {} : { deletedAt: null };
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    const device = await this.findOne({ _id: id, ...live });
+    if (device) return device;
+  }
+  return this.findOne({ uid: id, ...live });
+};
+
+deviceSchema.statics.hashSecret = function(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+};
+
+// Generate a new device secret; returns the plain secret, which is not stored
+deviceSchema.methods.issueSecret = function() {
+  const secret = crypto.randomBytes(24).toString('base64url');
+  this.secretHash = this.constructor.hashSecret(secret);
+  this.secretIssuedAt = new Date();
+  this.secretRevokedAt = undefined;
+  return secret;
+};
+
+// Remove the device secret; the device can no longer authenticate
+deviceSchema.methods.revokeSecret = function() {
+  // The hash is usually not selected, so mark it to force the $unset
+  this.secretHash = undefined;
+  this.markModified('secretHash');
+  this.secretRevokedAt = new Date();
+};
+
+// Requires the document to be loaded with `+secretHash`
+deviceSchema.methods.verifySecret = function(secret) {
+  if (!this.secretHash || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.secretHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashSecret(secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Ensure virtual fields are serialized; never expose the secret hash
+deviceSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.secretHash;
+    return ret;
+  }
+});
 deviceSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Device', deviceSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const GROUP_TYPES = ['static', 'dynamic'];
+
+// A named set of devices: a fixed list of uids ('static') or every device
+// matching a filter expression ('dynamic', see services/deviceFilter.js), so
+// newly tagged devices join on their own
+const deviceGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: GROUP_TYPES,
+    default: 'static'
+  },
+  deviceIds: {
+    type: [String],
+    default: []
+  },
+  filter: {
+    type: String,
+    trim: true,
+    required: function() { return this.type === 'dynamic'; }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+deviceGroupSchema.statics.TYPES = GROUP_TYPES;
+
+// Instance method to format data for API response
+deviceGroupSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    type: this.type,
+    deviceIds: this.type === 'static' ? this.deviceIds : [],
+    filter: this.type === 'dynamic' ? this.filter : null,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('DeviceGroup', deviceGroupSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A telemetry export too large to stream in the request. The file is written
+// in the background and can be downloaded with `downloadToken` until it expires.
+const exportJobSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['csv', 'ndjson', 'xlsx'],
+    required: true
+  },
+  // Query parameters of the export (deviceIds, location, deviceType, from, to, metrics)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  rows: {
+    type: Number,
+    default: 0
+  },
+  bytes: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  downloadToken: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ createdBy: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+// File name offered to the browser
+exportJobSchema.methods.getFileName = function() {
+  return `telemetry-${this.createdAt.toISOString().slice(0, 10)}-${this._id}.${this.format}`;
+};
+
+// Instance method to format for API response. The download link carries the
+// token, so only the job's owner gets it.
+exportJobSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    format: this.format,
+    filters: this.filters,
+    status: this.status,
+    rows: this.rows,
+    bytes: this.bytes,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    downloadUrl: this.status === 'completed' && this.downloadToken
+      ? `/api/telemetry/export/jobs/${this._id}/download?token=${this.downloadToken}`
+      : null
+  };
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
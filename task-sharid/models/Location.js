@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Levels from the top; a node sits deeper than its parent but may skip
+// levels (a room directly in a site)
+const LOCATION_TYPES = ['site', 'building', 'floor', 'room'];
+
+// A node of the location hierarchy. `ancestors` holds the ids from the root
+// down to the parent, so a subtree is one query ({ ancestors: id }).
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: LOCATION_TYPES,
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  }],
+  description: {
+    type: String,
+    default: ''
+  },
+  coordinates: {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
+  },
+  // IANA time zone; nodes without one use their nearest ancestor's
+  timezone: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Sibling names are unique
+locationSchema.index({ parent: 1, name: 1 }, { unique: true });
+locationSchema.index({ ancestors: 1 });
+
+locationSchema.statics.TYPES = LOCATION_TYPES;
+
+// Instance method to format data for API response
+locationSchema.methods.toAPIResponse = function() {
+  const { latitude, longitude } = this.coordinates || {};
+  return {
+    id: this._id,
+    name: this.name,
+    type: this.type,
+    parent: this.parent,
+    ancestors: this.ancestors,
+    description: this.description,
+    coordinates: latitude !== undefined && longitude !== undefined ? { latitude, longitude } : null,
+    timezone: this.timezone,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const METADATA_TYPES = ['string', 'number', 'boolean', 'date'];
+
+// A custom device metadata field; Device.metadata values are checked and
+// cast against these
+const metadataFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_-]{0,63}$/, 'Key must start with a letter and may only contain letters, digits, "_" and "-"']
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: METADATA_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+metadataFieldSchema.statics.TYPES = METADATA_TYPES;
+
+// Cast a value (from JSON or a filter expression) to the field type.
+// Returns `{ value }` or `{ error }`.
+metadataFieldSchema.statics.castValue = function(type, value) {
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      return String(value).trim() !== '' && Number.isFinite(number)
+        ? { value: number }
+        : { error: 'must be a number' };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'date': {
+      const date = new Date(value);
+      return value !== null && value !== '' && !Number.isNaN(date.getTime())
+        ? { value: date }
+        : { error: 'must be a date' };
+    }
+    default:
+      return typeof value === 'string' || typeof value === 'number'
+        ? { value: String(value).trim() }
+        : { error: 'must be a string' };
+  }
+};
+
+// Instance method to format data for API response
+metadataFieldSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    key: this.key,
+    label: this.label || this.key,
+    type: this.type,
+    description: this.description,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('MetadataField', metadataFieldSchema);
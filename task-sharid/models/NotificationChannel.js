@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const CHANNEL_TYPES = ['webhook', 'email'];
+
+const notificationChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: CHANNEL_TYPES,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  webhook: {
+    url: {
+      type: String
+    },
+    headers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // JSON body with {{placeholders}}; the default body is the full event
+    template: {
+      type: String,
+      default: ''
+    },
+    // Used to sign the body (HMAC-SHA256); never returned by the API
+    secret: {
+      type: String,
+      select: false
+    }
+  },
+  email: {
+    to: {
+      type: [String],
+      default: []
+    },
+    subject: {
+      type: String,
+      default: '[{{alert.severity}}] {{alert.ruleName}} on {{alert.deviceId}}'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+notificationChannelSchema.statics.TYPES = CHANNEL_TYPES;
+
+// Instance method to format for API response
+notificationChannelSchema.methods.toAPIResponse = function() {
+  const response = {
+    id: this._id,
+    name: this.name,
+    type: this.type,
+    enabled: this.enabled,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+
+  if (this.type === 'webhook') {
+    response.webhook = {
+      url: this.webhook.url,
+      headers: this.webhook.headers,
+      template: this.webhook.template
+    };
+  } else {
+    response.email = {
+      to: this.email.to,
+      subject: this.email.subject
+    };
+  }
+
+  return response;
+};
+
+module.exports = mongoose.model('NotificationChannel', notificationChannelSchema);
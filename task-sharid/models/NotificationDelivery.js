@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  statusCode: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+// One notification of one alert event on one channel, with every attempt
+const notificationDeliverySchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationChannel',
+    required: true
+  },
+  // Copied so the log stays readable after the channel is changed or removed
+  channelName: {
+    type: String,
+    required: true
+  },
+  channelType: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['triggered', 'escalation', 'resolved', 'test'],
+    required: true
+  },
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  // Webhook URL or email recipients
+  target: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  // Event context the message was rendered from, reused by retries
+  context: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the per-alert log and the retry sweep
+notificationDeliverySchema.index({ alert: 1, createdAt: -1 });
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Instance method to format for API response
+notificationDeliverySchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    alert: this.alert,
+    channel: this.channel,
+    channelName: this.channelName,
+    channelType: this.channelType,
+    event: this.event,
+    escalationLevel: this.escalationLevel,
+    target: this.target,
+    status: this.status,
+    attempts: this.attempts,
+    nextAttemptAt: this.nextAttemptAt,
+    deliveredAt: this.deliveredAt,
+    lastError: this.lastError,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
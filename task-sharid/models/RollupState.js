@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// How far each rollup resolution has been computed. Raw readings are only
+// pruned once they are rolled up.
+const rollupStateSchema = new mongoose.Schema({
+  resolution: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true,
+    unique: true
+  },
+  // Everything before this time is rolled up
+  rolledUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RollupState', rollupStateSchema);
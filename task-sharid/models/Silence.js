@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const SILENCE_TYPES = ['silence', 'maintenance'];
+const FREQUENCIES = ['none', 'daily', 'weekly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A silence mutes alert and offline notifications for the devices it covers;
+// alerts are still raised and listed. A maintenance window also stops alerts
+// from being raised, and can repeat daily or weekly.
+const silenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SILENCE_TYPES,
+    default: 'silence'
+  },
+  // Reason shown in the UI and the audit log, e.g. "Recalibrating PM sensor"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Devices covered; empty lists match every device
+  scope: {
+    deviceIds: {
+      type: [String],
+      default: []
+    },
+    locations: {
+      type: [String],
+      default: []
+    },
+    deviceTypes: {
+      type: [String],
+      default: []
+    }
+  },
+  // First (or only) occurrence
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Repeats the startsAt-endsAt window every day, or on `daysOfWeek`
+  // (0 = Sunday) every week, in server local time, until `until`
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      default: 'none'
+    },
+    daysOfWeek: {
+      type: [Number],
+      default: []
+    },
+    until: {
+      type: Date
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+silenceSchema.index({ endsAt: 1 });
+
+silenceSchema.statics.TYPES = SILENCE_TYPES;
+silenceSchema.statics.FREQUENCIES = FREQUENCIES;
+
+// Query for silences that are active now or may become active later
+silenceSchema.statics.currentFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { 'recurrence.frequency': 'none', endsAt: { $gt: now } },
+      {
+        'recurrence.frequency': { $ne: 'none' },
+        $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gt: now } }]
+      }
+    ]
+  };
+};
+
+// Instance method to check whether the silence covers a device
+// (`device` needs uid, location and deviceType)
+silenceSchema.methods.appliesTo = function(device) {
+  const { deviceIds, locations, deviceTypes } = this.scope;
+
+  if (deviceIds.length > 0 && !deviceIds.includes(device.uid)) return false;
+  if (locations.length > 0 && !locations.includes(device.location)) return false;
+  if (deviceTypes.length > 0 && !deviceTypes.includes(device.deviceType)) return false;
+  return true;
+};
+
+// Start of the occurrence covering `at`, or null when none does
+silenceSchema.methods.occurrenceAt = function(at = new Date()) {
+  const time = new Date(at).getTime();
+  const start = this.startsAt.getTime();
+  const duration = this.endsAt.getTime() - start;
+
+  if (time < start) return null;
+
+  const { frequency, daysOfWeek, until } = this.recurrence;
+  if (frequency === 'none') {
+    return time < this.endsAt.getTime() ? this.startsAt : null;
+  }
+  if (until && time >= until.getTime()) return null;
+
+  // Walk back over the days whose occurrence could still be running
+  const latest = Math.floor((time - start) / DAY_MS) + 1;
+  const earliest = Math.max(0, latest - Math.ceil(duration / DAY_MS) - 1);
+
+  for (let day = latest; day >= earliest; day--) {
+    const occurrence = new Date(this.startsAt);
+    // setDate keeps the local time of day across DST changes
+    occurrence.setDate(occurrence.getDate() + day);
+
+    if (frequency === 'weekly' && !daysOfWeek.includes(occurrence.getDay())) continue;
+    if (occurrence.getTime() <= time && time < occurrence.getTime() + duration) {
+      return occurrence;
+    }
+  }
+  return null;
+};
+
+silenceSchema.methods.isActiveAt = function(at = new Date()) {
+  return this.occurrenceAt(at) !== null;
+};
+
+// Instance method to format for API response
+silenceSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    name: this.name,
+    scope: this.scope,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt,
+    recurrence: this.recurrence,
+    active: this.isActiveAt(),
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Silence', silenceSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Audit record of an alert or offline notification that a silence or
+// maintenance window suppressed
+const silencedEventSchema = new mongoose.Schema({
+  silence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Silence',
+    required: true
+  },
+  // Copied so the log stays readable after the silence is removed
+  silenceName: {
+    type: String,
+    required: true
+  },
+  silenceType: {
+    type: String,
+    required: true
+  },
+  // 'alert': a maintenance window kept an alert from being raised, or a
+  // silence muted the notifications of a raised alert (`alert` is set)
+  event: {
+    type: String,
+    enum: ['alert', 'device_offline'],
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule'
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  value: {
+    type: Number
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+silencedEventSchema.index({ occurredAt: -1 });
+silencedEventSchema.index({ silence: 1, occurredAt: -1 });
+silencedEventSchema.index({ deviceId: 1, occurredAt: -1 });
+
+// Static method to build a query from list filters
+silencedEventSchema.statics.buildFilter = function({ silence, deviceId, event, from, to } = {}) {
+  const filter = {};
+
+  if (silence && mongoose.Types.ObjectId.isValid(silence)) filter.silence = silence;
+  if (deviceId) filter.deviceId = deviceId;
+  if (event) filter.event = event;
+
+  if (from || to) {
+    filter.occurredAt = {};
+    if (from) filter.occurredAt.$gte = new Date(from);
+    if (to) filter.occurredAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Instance method to format for API response
+silencedEventSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    silence: this.silence,
+    silenceName: this.silenceName,
+    silenceType: this.silenceType,
+    event: this.event,
+    deviceId: this.deviceId,
+    rule: this.rule,
+    alert: this.alert,
+    value: this.value,
+    message: this.message,
+    occurredAt: this.occurredAt
+  };
+};
+
+module.exports = mongoose.model('SilencedEvent', silencedEventSchema);
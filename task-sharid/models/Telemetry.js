@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { metricRegistry } = require('../services/metrics');
 
 const telemetrySchema = new mongoose.Schema({
   deviceId: {
@@ -18,31 +19,71 @@ const telemetrySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  deviceType: {
+    type: String,
+    default: 'sensor'
+  },
+  // Metric name -> value, validated against the metric registry for deviceType
   data: {
-    temperature: {
-      type: Number,
-      required: true
-    },
-    humidity: {
-      type: Number,
-      required: true
-    },
-    pm25: {
-      type: Number,
-      required: true
-    }
+    type: Map,
+    of: Number,
+    required: true
   },
+  // Reading time: the device's `tts` when it is plausible, else server time
   timestamp: {
     type: Date,
     default: Date.now
   },
+  timeSource: {
+    type: String,
+    enum: ['device', 'server'],
+    default: 'server'
+  },
+  // Server time the message arrived
   receivedAt: {
     type: Date,
     default: Date.now
   },
+  // receivedAt - device time, in ms (null when the device sent no tts)
+  clockSkewMs: {
+    type: Number,
+    default: null
+  },
+  clockSkewed: {
+    type: Boolean,
+    default: false
+  },
   rawPayload: {
     type: String,
     required: false
+  },
+  // Metrics the anomaly detector scored outside the device's baseline
+  anomalous: {
+    type: Boolean,
+    default: false
+  },
+  anomalies: {
+    type: [{
+      _id: false,
+      metric: String,
+      value: Number,
+      mean: Number,
+      stdDev: Number,
+      zScore: Number,
+      method: String
+    }],
+    default: undefined
+  },
+  // Air Quality Index from the rolling PM2.5 average (services/aqi)
+  aqi: {
+    type: new mongoose.Schema({
+      value: Number,
+      category: String,
+      color: String,
+      scale: String,
+      concentration: Number
+    }, { _id: false }),
+    default: undefined
   }
 }, {
   timestamps: true
@@ -57,8 +98,25 @@ telemetrySchema.index({ receivedAt: -1 });
 // Compound index for latest data queries
 telemetrySchema.index({ deviceId: 1, receivedAt: -1 });
 
-// TTL index to automatically delete old data after 90 days (optional)
-// telemetrySchema.index({ timestamp: 1 }, { expireAfterSeconds: 7776000 });
+// Anomalous readings per device
+telemetrySchema.index({ deviceId: 1, anomalous: 1, timestamp: -1 });
+
+// Idempotency: a device sends each tts once, so (uid, tts) identifies a
+// reading and retransmits are rejected. tts 0 means "not sent" and is exempt.
+telemetrySchema.index(
+  { uid: 1, tts: 1 },
+  { unique: true, partialFilterExpression: { tts: { $gt: 0 } } }
+);
+
+// Old readings are removed by services/retention.js once they are rolled
+// up, so there is no TTL index
+
+// Validate metrics against the definitions for this device type
+telemetrySchema.pre('validate', function(next) {
+  const errors = metricRegistry.validate(this.deviceType, this.data);
+  errors.forEach(error => this.invalidate(`data.${error.metric}`, error.message));
+  next();
+});
 
 // Static method to get latest reading for a device
 telemetrySchema.statics.getLatestByDevice = function(deviceId) {
@@ -72,22 +130,29 @@ telemetrySchema.statics.getLastNReadings = function(deviceId, limit = 10) {
     .limit(limit);
 };
 
-// Instance method to format data for API response
-telemetrySchema.methods.toAPIResponse = function() {
+// Static method to format a document or lean object for API response
+telemetrySchema.statics.formatReading = function(reading) {
   return {
-    id: this._id,
-    deviceId: this.deviceId,
-    uid: this.uid,
-    firmware: this.firmware,
-    tts: this.tts,
-    data: {
-      temperature: parseFloat(this.data.temperature.toFixed(2)),
-      humidity: parseFloat(this.data.humidity.toFixed(2)),
-      pm25: parseFloat(this.data.pm25.toFixed(2))
-    },
-    timestamp: this.timestamp,
-    receivedAt: this.receivedAt
+    id: reading._id,
+    deviceId: reading.deviceId,
+    uid: reading.uid,
+    deviceType: reading.deviceType,
+    firmware: reading.firmware,
+    tts: reading.tts,
+    data: metricRegistry.formatData(reading.data),
+    timestamp: reading.timestamp,
+    timeSource: reading.timeSource,
+    receivedAt: reading.receivedAt,
+    clockSkewed: reading.clockSkewed,
+    anomalous: reading.anomalous || false,
+    anomalies: reading.anomalies || [],
+    aqi: reading.aqi || null
   };
 };
 
+// Instance method to format data for API response
+telemetrySchema.methods.toAPIResponse = function() {
+  return this.constructor.formatReading(this);
+};
+
 module.exports = mongoose.model('Telemetry', telemetrySchema);
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { metricRegistry } = require('../services/metrics');
+
+const metricStatsSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  sum: Number,
+  count: Number
+}, { _id: false });
+
+// Per device statistics of one hour or one day (UTC) of telemetry, kept by
+// the retention service after the raw readings are removed. Sums and counts
+// (not averages) are stored so buckets can be merged.
+const createRollupSchema = () => {
+  const rollupSchema = new mongoose.Schema({
+    deviceId: {
+      type: String,
+      required: true
+    },
+    // Start of the hour / day
+    bucket: {
+      type: Date,
+      required: true
+    },
+    // Readings in the bucket
+    count: {
+      type: Number,
+      default: 0
+    },
+    // Metric name -> { min, max, sum, count }
+    stats: {
+      type: Map,
+      of: metricStatsSchema,
+      default: () => new Map()
+    }
+  }, {
+    timestamps: true
+  });
+
+  rollupSchema.index({ deviceId: 1, bucket: 1 }, { unique: true });
+  rollupSchema.index({ bucket: 1 });
+
+  // Static method to format a lean rollup like a telemetry reading, with
+  // the bucket's averages as `data`
+  rollupSchema.statics.formatReading = function(rollup, resolution) {
+    const data = {};
+    const stats = {};
+    for (const [metric, value] of Object.entries(rollup.stats || {})) {
+      if (!value.count) continue;
+      data[metric] = value.sum / value.count;
+      stats[metric] = {
+        min: metricRegistry.round(metric, value.min),
+        max: metricRegistry.round(metric, value.max),
+        count: value.count
+      };
+    }
+
+    return {
+      id: rollup._id,
+      deviceId: rollup.deviceId,
+      timestamp: rollup.bucket,
+      resolution,
+      count: rollup.count,
+      data: metricRegistry.formatData(data),
+      stats
+    };
+  };
+
+  return rollupSchema;
+};
+
+const TelemetryHourly = mongoose.model('TelemetryHourly', createRollupSchema(), 'telemetry_hourly');
+const TelemetryDaily = mongoose.model('TelemetryDaily', createRollupSchema(), 'telemetry_daily');
+
+module.exports = {
+  TelemetryHourly,
+  TelemetryDaily
+};
@@ -0,0 +1,481 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const alertEngine = require('../services/alerts');
+const { metricRegistry } = require('../services/metrics');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const RULE_FIELDS = ['name', 'description', 'enabled', 'type', 'metric', 'operator', 'threshold', 'durationSeconds', 'scope', 'severity', 'channels', 'escalations'];
+
+const toStringList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const toIdList = (value, label, errors) => {
+  const ids = toStringList(value);
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    errors.push(`${label} must be ObjectIds`);
+  }
+  return ids;
+};
+
+// Pick and check rule fields from a request body. With `partial` only the
+// fields present are validated (updates).
+const parseRule = (body, { partial = false } = {}) => {
+  const values = {};
+  const errors = [];
+
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+
+  if (!partial || values.name !== undefined) {
+    if (!values.name || !String(values.name).trim()) errors.push('Name is required');
+  }
+  if (!partial || values.metric !== undefined) {
+    if (!metricRegistry.getMetric(values.metric)) errors.push(`Unknown metric "${values.metric}"`);
+  }
+  if (values.type !== undefined && !AlertRule.TYPES.includes(values.type)) {
+    errors.push(`Type must be one of ${AlertRule.TYPES.join(', ')}`);
+  }
+
+  // Anomaly rules have no operator or threshold
+  const thresholdRule = (values.type || 'threshold') === 'threshold';
+  if ((!partial && thresholdRule) || values.operator !== undefined) {
+    if (!AlertRule.OPERATORS.includes(values.operator)) {
+      errors.push(`Operator must be one of ${AlertRule.OPERATORS.join(', ')}`);
+    }
+  }
+  if ((!partial && thresholdRule) || values.threshold !== undefined) {
+    values.threshold = Number(values.threshold);
+    if (!Number.isFinite(values.threshold)) errors.push('Threshold must be a number');
+  }
+  if (values.durationSeconds !== undefined) {
+    values.durationSeconds = Number(values.durationSeconds);
+    if (!Number.isFinite(values.durationSeconds) || values.durationSeconds < 0) {
+      errors.push('durationSeconds must be zero or more');
+    }
+  }
+  if (values.severity !== undefined && !AlertRule.SEVERITIES.includes(values.severity)) {
+    errors.push(`Severity must be one of ${AlertRule.SEVERITIES.join(', ')}`);
+  }
+  if (values.scope !== undefined) {
+    const scope = values.scope || {};
+    values.scope = {
+      deviceIds: toStringList(scope.deviceIds),
+      locations: toStringList(scope.locations),
+      deviceTypes: toStringList(scope.deviceTypes),
+      groups: toIdList(scope.groups, 'Groups', errors)
+    };
+  }
+  if (values.channels !== undefined) {
+    values.channels = toIdList(values.channels, 'Channels', errors);
+  }
+  if (values.escalations !== undefined) {
+    const steps = Array.isArray(values.escalations) ? values.escalations : [];
+    values.escalations = steps
+      .map(step => ({
+        afterMinutes: Number(step && step.afterMinutes),
+        channels: toIdList(step && step.channels, 'Escalation channels', errors)
+      }))
+      .sort((a, b) => a.afterMinutes - b.afterMinutes);
+
+    if (values.escalations.some(step => !Number.isFinite(step.afterMinutes) || step.afterMinutes < 1)) {
+      errors.push('Escalation afterMinutes must be 1 or more');
+    }
+  }
+
+  return { values, errors };
+};
+
+const findById = (Model, id) => mongoose.Types.ObjectId.isValid(id) ? Model.findById(id) : null;
+
+// @route   GET /api/alerts/rules
+// @desc    List alert rules
+// @access  Private
+router.get('/rules', auth, async (req, res) => {
+  try {
+    const rules = await AlertRule.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        rules: rules.map(rule => rule.toAPIResponse()),
+        types: AlertRule.TYPES,
+        operators: AlertRule.OPERATORS,
+        severities: AlertRule.SEVERITIES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert rules'
+    });
+  }
+});
+
+// @route   POST /api/alerts/rules
+// @desc    Create an alert rule
+// @access  Private (admin)
+router.post('/rules', auth, requireAdmin, async (req, res) => {
+  try {
+    const { values, errors } = parseRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const rule = await AlertRule.create({ ...values, createdBy: req.user.userId });
+    alertEngine.invalidateRules();
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created',
+      data: { rule: rule.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating alert rule'
+    });
+  }
+});
+
+// @route   GET /api/alerts/rules/:id
+// @desc    Get an alert rule
+// @access  Private
+router.get('/rules/:id', auth, async (req, res) => {
+  try {
+    const rule = await findById(AlertRule, req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { rule: rule.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Get alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert rule'
+    });
+  }
+});
+
+// @route   PUT /api/alerts/rules/:id
+// @desc    Update an alert rule
+// @access  Private (admin)
+router.put('/rules/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const rule = await findById(AlertRule, req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    const { values, errors } = parseRule(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    rule.set(values);
+    await rule.save();
+    alertEngine.invalidateRules();
+
+    // A disabled rule no longer evaluates, so nothing would resolve its alerts
+    if (!rule.enabled) {
+      await alertEngine.resolveRuleAlerts(rule._id, 'rule_disabled');
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated',
+      data: { rule: rule.toAPIResponse() }
+    });
+
+  } catch (error) {
+    // e.g. switching a rule to 'threshold' without an operator and threshold
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating alert rule'
+    });
+  }
+});
+
+// @route   DELETE /api/alerts/rules/:id
+// @desc    Delete an alert rule; its active alerts are resolved
+// @access  Private (admin)
+router.delete('/rules/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const rule = await findById(AlertRule, req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await rule.deleteOne();
+    alertEngine.invalidateRules();
+    const resolved = await alertEngine.resolveRuleAlerts(rule._id, 'rule_deleted');
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted',
+      data: { resolvedAlerts: resolved }
+    });
+
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting alert rule'
+    });
+  }
+});
+
+// @route   GET /api/alerts
+// @desc    List alerts (status: active, open, acknowledged, resolved, all)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'active', deviceId, severity, rule, from, to } = req.query;
+    const filter = Alert.buildFilter({ status, deviceId, severity, rule, from, to });
+
+    const [alerts, total, counts] = await Promise.all([
+      Alert.find(filter)
+        .sort({ triggeredAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      Alert.countDocuments(filter),
+      Alert.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        alerts: alerts.map(alert => alert.toAPIResponse()),
+        counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alerts'
+    });
+  }
+});
+
+// @route   GET /api/alerts/:id
+// @desc    Get an alert
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const alert = await findById(Alert, req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { alert: alert.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Get alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert'
+    });
+  }
+});
+
+// @route   POST /api/alerts/:id/acknowledge
+// @desc    Acknowledge an open alert, optionally with a comment
+// @access  Private
+router.post('/:id/acknowledge', auth, async (req, res) => {
+  try {
+    const alert = await findById(Alert, req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (alert.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        message: `Alert is already ${alert.status}`
+      });
+    }
+
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Comment must be at most ${MAX_COMMENT_LENGTH} characters`
+      });
+    }
+
+    await alertEngine.acknowledge(alert, req.user.userId, comment);
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: { alert: alert.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Acknowledge alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while acknowledging alert'
+    });
+  }
+});
+
+// @route   POST /api/alerts/:id/resolve
+// @desc    Resolve an alert manually
+// @access  Private
+router.post('/:id/resolve', auth, async (req, res) => {
+  try {
+    const alert = await findById(Alert, req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (alert.status === 'resolved') {
+      return res.status(409).json({
+        success: false,
+        message: 'Alert is already resolved'
+      });
+    }
+
+    await alertEngine.resolve(alert, { by: req.user.email });
+
+    res.json({
+      success: true,
+      message: 'Alert resolved',
+      data: { alert: alert.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Resolve alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving alert'
+    });
+  }
+});
+
+// @route   GET /api/alerts/:id/deliveries
+// @desc    Notification deliveries of an alert with their attempts
+// @access  Private
+router.get('/:id/deliveries', auth, async (req, res) => {
+  try {
+    const alert = await findById(Alert, req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const deliveries = await NotificationDelivery.find({ alert: alert._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { deliveries: deliveries.map(delivery => delivery.toAPIResponse()) }
+    });
+
+  } catch (error) {
+    console.error('Get alert deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert deliveries'
+    });
+  }
+});
+
+// @route   DELETE /api/alerts/:id
+// @desc    Delete an alert from the history
+// @access  Private (admin)
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const alert = await findById(Alert, req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    await alert.deleteOne();
+    if (alert.status !== 'resolved') {
+      // Reload the engine's active alerts along with the rules
+      alertEngine.invalidateRules();
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting alert'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const DeadLetter = require('../models/DeadLetter');
+const ingestionPipeline = require('../services/ingestion');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Max number of messages replayed by one bulk replay request
+const MAX_BULK_REPLAY = 500;
+
+// `ids` of a bulk request, if given, must all be ObjectIds
+const hasInvalidIds = (ids) => Array.isArray(ids) && ids.some(id => !mongoose.Types.ObjectId.isValid(id));
+
+// @route   GET /api/dead-letters
+// @desc    List rejected messages with filters and pagination
+// @access  Private (admin)
+router.get('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', reason, deviceId, from, to } = req.query;
+    const filter = DeadLetter.buildFilter({ status, reason, deviceId, from, to });
+
+    const [deadLetters, total, reasons] = await Promise.all([
+      DeadLetter.find(filter)
+        .sort({ receivedAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      DeadLetter.countDocuments(filter),
+      DeadLetter.distinct('reason')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deadLetters: deadLetters.map(deadLetter => deadLetter.toAPIResponse()),
+        reasons,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching dead letters'
+    });
+  }
+});
+
+// @route   GET /api/dead-letters/:id
+// @desc    Inspect a rejected message including its raw payload
+// @access  Private (admin)
+router.get('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const deadLetter = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await DeadLetter.findById(req.params.id)
+      : null;
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead letter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { deadLetter: deadLetter.toAPIResponse({ includePayload: true }) }
+    });
+
+  } catch (error) {
+    console.error('Get dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching dead letter'
+    });
+  }
+});
+
+// @route   POST /api/dead-letters/:id/replay
+// @desc    Replay a rejected message through the ingestion pipeline
+// @access  Private (admin)
+router.post('/:id/replay', auth, requireAdmin, async (req, res) => {
+  try {
+    const deadLetter = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await DeadLetter.findById(req.params.id)
+      : null;
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead letter not found'
+      });
+    }
+
+    if (deadLetter.status === 'replayed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Dead letter has already been replayed'
+      });
+    }
+
+    const result = await ingestionPipeline.replay(deadLetter);
+
+    res.json({
+      success: true,
+      message: result.success ? 'Message replayed successfully' : `Replay rejected: ${result.error}`,
+      data: {
+        replayed: result.success,
+        deadLetter: deadLetter.toAPIResponse()
+      }
+    });
+
+  } catch (error) {
+    console.error('Replay dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replaying dead letter'
+    });
+  }
+});
+
+// @route   POST /api/dead-letters/replay
+// @desc    Replay pending messages selected by `ids` or by filters
+// @access  Private (admin)
+router.post('/replay', auth, requireAdmin, async (req, res) => {
+  try {
+    const { ids, reason, deviceId, from, to } = req.body;
+    if (hasInvalidIds(ids)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be ObjectIds'
+      });
+    }
+    const filter = DeadLetter.buildFilter({ ids, reason, deviceId, from, to, status: 'pending' });
+
+    const deadLetters = await DeadLetter.find(filter)
+      .sort({ receivedAt: 1 })
+      .limit(MAX_BULK_REPLAY);
+
+    // Started together so the readings share batch flushes instead of each
+    // waiting for its own
+    const results = await Promise.all(deadLetters.map(deadLetter => ingestionPipeline.replay(deadLetter)));
+    const replayed = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      message: `Replayed ${replayed} of ${deadLetters.length} messages`,
+      data: {
+        attempted: deadLetters.length,
+        replayed,
+        failed: deadLetters.length - replayed
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk replay dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replaying dead letters'
+    });
+  }
+});
+
+// @route   DELETE /api/dead-letters
+// @desc    Bulk-delete messages selected by `ids` or by filters
+// @access  Private (admin)
+router.delete('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const { ids, status, reason, deviceId, from, to } = req.body || {};
+    if (hasInvalidIds(ids)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be ObjectIds'
+      });
+    }
+    const filter = DeadLetter.buildFilter({ ids, status, reason, deviceId, from, to });
+
+    // Refuse to wipe the whole collection by accident
+    if (Object.keys(filter).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide ids or at least one filter to delete dead letters'
+      });
+    }
+
+    const result = await DeadLetter.deleteMany(filter);
+
+    res.json({
+      success: true,
+      message: `Deleted ${result.deletedCount} dead letters`,
+      data: { deleted: result.deletedCount }
+    });
+
+  } catch (error) {
+    console.error('Delete dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting dead letters'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,603 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const DeviceGroup = require('../models/DeviceGroup');
+const MetadataField = require('../models/MetadataField');
+const AlertRule = require('../models/AlertRule');
+const commandService = require('../services/commands');
+const embeddedBroker = require('../services/mqttBroker');
+const alertEngine = require('../services/alerts');
+const ingestionPipeline = require('../services/ingestion');
+const { parseCommandRequest } = require('../services/commands');
+const { parseFilter } = require('../services/deviceFilter');
+const { buildSummaryPipeline } = require('../services/deviceQuery');
+const { memberFilter, findMembers, checkNamePattern, renderName } = require('../services/deviceGroups');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+const toStringList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return Array.from(new Set(list.map(item => String(item).trim()).filter(Boolean)));
+};
+
+// Pick and check group fields from a request body. Updates are merged into
+// `current`: a dynamic group needs a filter that compiles against the
+// metadata fields (`metadataFields`), a static one keeps its uid list.
+const parseGroup = (body, { current = {}, metadataFields = [] } = {}) => {
+  const values = {};
+  const errors = [];
+
+  if (body.name !== undefined || !current.name) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('Name is required');
+    } else if (body.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    values.name = body.name;
+  }
+  if (body.description !== undefined) {
+    values.description = String(body.description || '');
+  }
+  if (body.type !== undefined) {
+    if (!DeviceGroup.TYPES.includes(body.type)) errors.push(`Type must be one of ${DeviceGroup.TYPES.join(', ')}`);
+    values.type = body.type;
+  }
+  if (body.deviceIds !== undefined) {
+    values.deviceIds = toStringList(body.deviceIds);
+  }
+
+  const type = values.type || current.type || 'static';
+  if (type === 'dynamic' && (body.filter !== undefined || !current.filter)) {
+    values.filter = typeof body.filter === 'string' ? body.filter.trim() : '';
+    if (!values.filter) {
+      errors.push('Dynamic groups need a filter expression');
+    } else {
+      try {
+        parseFilter(values.filter, metadataFields);
+      } catch (error) {
+        if (error.name !== 'FilterError') throw error;
+        errors.push(`Invalid filter: ${error.message}`);
+      }
+    }
+  }
+
+  return { values, errors };
+};
+
+const findGroup = (id) => mongoose.Types.ObjectId.isValid(id) ? DeviceGroup.findById(id) : null;
+
+// Device counts by status of a group's members; `filterError` instead when
+// a dynamic group's filter no longer compiles
+const groupHealth = async (group) => {
+  try {
+    const [counts] = await Device.aggregate(buildSummaryPipeline(await memberFilter(group)));
+    const { total = 0, online = 0, warning = 0, offline = 0 } = counts || {};
+    return { health: { total, online, warning, offline } };
+  } catch (error) {
+    if (error.name !== 'FilterError') throw error;
+    return { health: null, filterError: error.message };
+  }
+};
+
+// Members of a group, or a 409 response when its filter no longer compiles
+const loadMembers = async (group, res, projection) => {
+  try {
+    return await findMembers(group, projection);
+  } catch (error) {
+    if (error.name !== 'FilterError') throw error;
+    res.status(409).json({
+      success: false,
+      message: `The group's filter is no longer valid: ${error.message}`
+    });
+    return null;
+  }
+};
+
+// @route   GET /api/device-groups
+// @desc    List device groups with the status counts of their members
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const groups = await DeviceGroup.find().sort({ name: 1 });
+    const healths = await Promise.all(groups.map(groupHealth));
+
+    res.json({
+      success: true,
+      data: {
+        groups: groups.map((group, index) => ({
+          ...group.toAPIResponse(),
+          ...healths[index]
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get device groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device groups'
+    });
+  }
+});
+
+// @route   GET /api/device-groups/:id
+// @desc    Get a device group with its health and the alert rules scoped to it.
+//          Members are listed by GET /api/devices?group=:id
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const [health, rules] = await Promise.all([
+      groupHealth(group),
+      AlertRule.find({ 'scope.groups': group._id }).sort({ name: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        group: {
+          ...group.toAPIResponse(),
+          ...health,
+          alertRules: rules.map(rule => ({
+            id: rule._id,
+            name: rule.name,
+            enabled: rule.enabled,
+            severity: rule.severity,
+            condition: rule.describeCondition()
+          }))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device group'
+    });
+  }
+});
+
+// @route   POST /api/device-groups
+// @desc    Create a device group (name, description, type: static with
+//          deviceIds | dynamic with a filter expression)
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const metadataFields = req.body.type === 'dynamic' ? await MetadataField.find().lean() : [];
+    const { values, errors } = parseGroup(req.body, { metadataFields });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const group = await DeviceGroup.create({ ...values, createdBy: req.user.userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device group created',
+      data: { group: group.toAPIResponse() }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `A device group named "${req.body.name}" already exists`
+      });
+    }
+
+    console.error('Create device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating device group'
+    });
+  }
+});
+
+// @route   PUT /api/device-groups/:id
+// @desc    Update a device group
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const metadataFields = (req.body.type || group.type) === 'dynamic' ? await MetadataField.find().lean() : [];
+    const { values, errors } = parseGroup(req.body, { current: group, metadataFields });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    group.set(values);
+    await group.save();
+    // Rules scoped to the group pick up the new members
+    alertEngine.invalidateRules();
+
+    res.json({
+      success: true,
+      message: 'Device group updated',
+      data: { group: group.toAPIResponse() }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `A device group named "${req.body.name}" already exists`
+      });
+    }
+
+    console.error('Update device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating device group'
+    });
+  }
+});
+
+// @route   DELETE /api/device-groups/:id
+// @desc    Delete a device group; its devices are kept
+// @access  Private (Admin)
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    // Dropping the group from a rule's scope would widen the rule
+    const rules = await AlertRule.find({ 'scope.groups': group._id }).select('name');
+    if (rules.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Alert rules are scoped to this group: ${rules.map(rule => rule.name).join(', ')}`
+      });
+    }
+
+    await group.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Device group deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting device group'
+    });
+  }
+});
+
+// @route   POST /api/device-groups/:id/rename
+// @desc    Rename the members from a pattern, e.g. "{location} sensor {n:2}"
+//          (see services/deviceGroups.js); `dryRun: true` only previews
+// @access  Private
+router.post('/:id/rename', auth, async (req, res) => {
+  try {
+    const { pattern, dryRun = false } = req.body;
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'pattern is required'
+      });
+    }
+
+    const patternErrors = checkNamePattern(pattern);
+    if (patternErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: patternErrors.join(', ')
+      });
+    }
+
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const members = await loadMembers(group, res, { uid: 1, name: 1, location: 1, deviceType: 1, tags: 1, metadata: 1 });
+    if (!members) return;
+
+    const changes = members
+      .map((device, index) => ({ id: device._id, uid: device.uid, from: device.name, to: renderName(pattern, device, index + 1) }))
+      .filter(change => change.to !== change.from);
+
+    const invalid = changes.filter(change => !change.to || change.to.length > MAX_NAME_LENGTH);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The pattern gives an empty name or one over ${MAX_NAME_LENGTH} characters for ${invalid.map(change => change.uid).slice(0, 5).join(', ')}`
+      });
+    }
+
+    if (dryRun !== true && changes.length > 0) {
+      // Bump the version like a save, so editors holding the old one get a 409
+      await Device.bulkWrite(changes.map(change => ({
+        updateOne: {
+          filter: { _id: change.id, deletedAt: null },
+          update: { $set: { name: change.to }, $inc: { __v: 1 } }
+        }
+      })));
+      changes.forEach(change => alertEngine.invalidateDevice(change.uid));
+      console.log(`✏️ Renamed ${changes.length} devices of group "${group.name}" (${req.user.email})`);
+    }
+
+    res.json({
+      success: true,
+      message: dryRun === true ? `${changes.length} devices would be renamed` : `${changes.length} devices renamed`,
+      data: {
+        dryRun: dryRun === true,
+        changes: changes.map(({ uid, from, to }) => ({ uid, from, to }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Rename device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renaming devices'
+    });
+  }
+});
+
+// @route   POST /api/device-groups/:id/deactivate
+// @desc    Deactivate all members and disconnect them, so they can no longer
+//          connect or send data; their secrets are kept for a reactivation
+// @access  Private (Admin)
+router.post('/:id/deactivate', auth, requireAdmin, async (req, res) => {
+  try {
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const members = await loadMembers(group, res, { uid: 1 });
+    if (!members) return;
+
+    const uids = members.map(device => device.uid);
+    if (uids.length > 0) {
+      await Device.updateMany(
+        { uid: { $in: uids }, deactivatedAt: null },
+        { $set: { deactivatedAt: new Date() } }
+      );
+      uids.forEach(uid => {
+        embeddedBroker.disconnectDevice(uid);
+        ingestionPipeline.invalidateDevice(uid);
+      });
+      console.log(`🔒 Deactivated ${uids.length} devices of group "${group.name}" (${req.user.email})`);
+    }
+
+    res.json({
+      success: true,
+      message: `${uids.length} devices deactivated`,
+      data: { devices: uids }
+    });
+
+  } catch (error) {
+    console.error('Deactivate device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating devices'
+    });
+  }
+});
+
+// @route   POST /api/device-groups/:id/reactivate
+// @desc    Undo a deactivation: the members can connect with their secrets again
+// @access  Private (Admin)
+router.post('/:id/reactivate', auth, requireAdmin, async (req, res) => {
+  try {
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const members = await loadMembers(group, res, { uid: 1 });
+    if (!members) return;
+
+    const uids = members.map(device => device.uid);
+    if (uids.length > 0) {
+      await Device.updateMany({ uid: { $in: uids } }, { $set: { deactivatedAt: null } });
+      uids.forEach(uid => ingestionPipeline.invalidateDevice(uid));
+      console.log(`🔓 Reactivated ${uids.length} devices of group "${group.name}" (${req.user.email})`);
+    }
+
+    res.json({
+      success: true,
+      message: `${uids.length} devices reactivated`,
+      data: { devices: uids }
+    });
+
+  } catch (error) {
+    console.error('Reactivate device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reactivating devices'
+    });
+  }
+});
+
+// @route   POST /api/device-groups/:id/commands
+// @desc    Send a command (command, params, timeoutSeconds) to every member
+// @access  Private
+router.post('/:id/commands', auth, async (req, res) => {
+  try {
+    const { values, errors } = parseCommandRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const members = await loadMembers(group, res, { uid: 1 });
+    if (!members) return;
+    if (members.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The group has no devices'
+      });
+    }
+
+    const records = [];
+    for (const device of members) {
+      records.push(await commandService.dispatch({
+        ...values,
+        device,
+        requestedBy: req.user.userId
+      }));
+    }
+    const failed = records.filter(record => record.status === 'failed').length;
+
+    res.status(202).json({
+      success: failed < records.length,
+      message: failed > 0
+        ? `Command sent to ${records.length - failed} of ${records.length} devices`
+        : `Command sent to ${records.length} devices`,
+      data: {
+        sent: records.length - failed,
+        failed,
+        commands: records.map(record => record.toAPIResponse())
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Send group command error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending command'
+    });
+  }
+});
+
+// @route   PUT /api/device-groups/:id/alert-rules
+// @desc    Set the alert rules scoped to the group (ruleIds); other rules
+//          lose the group from their scope
+// @access  Private (Admin)
+router.put('/:id/alert-rules', auth, requireAdmin, async (req, res) => {
+  try {
+    const ruleIds = toStringList(req.body.ruleIds);
+    if (ruleIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'ruleIds must be ObjectIds'
+      });
+    }
+
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const found = await AlertRule.find({ _id: { $in: ruleIds } }).select('_id');
+    if (found.length !== ruleIds.length) {
+      const known = found.map(rule => rule._id.toString());
+      return res.status(400).json({
+        success: false,
+        message: `Unknown alert rules: ${ruleIds.filter(id => !known.includes(id)).join(', ')}`
+      });
+    }
+
+    // A rule scoped to nothing but this group would apply to every device
+    const widened = await AlertRule.find({
+      _id: { $nin: ruleIds },
+      'scope.groups': [group._id],
+      'scope.deviceIds': { $size: 0 },
+      'scope.locations': { $size: 0 },
+      'scope.deviceTypes': { $size: 0 }
+    }).select('name');
+    if (widened.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Removing the group would make these rules apply to every device, change their scope instead: ${widened.map(rule => rule.name).join(', ')}`
+      });
+    }
+
+    await Promise.all([
+      AlertRule.updateMany({ _id: { $in: ruleIds } }, { $addToSet: { 'scope.groups': group._id } }),
+      AlertRule.updateMany({ _id: { $nin: ruleIds }, 'scope.groups': group._id }, { $pull: { 'scope.groups': group._id } })
+    ]);
+    alertEngine.invalidateRules();
+
+    res.json({
+      success: true,
+      message: 'Alert rules updated',
+      data: { ruleIds }
+    });
+
+  } catch (error) {
+    console.error('Assign group alert rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning alert rules'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,82 +1,139 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Device = require('../models/Device');
+const MetadataField = require('../models/MetadataField');
+const DeviceGroup = require('../models/DeviceGroup');
+const Location = require('../models/Location');
 const Telemetry = require('../models/Telemetry');
+const Command = require('../models/Command');
+const Alert = require('../models/Alert');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const AnomalyBaseline = require('../models/AnomalyBaseline');
+const SilencedEvent = require('../models/SilencedEvent');
+const AlertRule = require('../models/AlertRule');
+const Silence = require('../models/Silence');
+const DeadLetter = require('../models/DeadLetter');
+const { TelemetryHourly, TelemetryDaily } = require('../models/TelemetryRollup');
+const commandService = require('../services/commands');
+const { parseCommandRequest } = require('../services/commands');
+const embeddedBroker = require('../services/mqttBroker');
+const anomalyDetector = require('../services/anomaly');
+const alertEngine = require('../services/alerts');
+const silenceService = require('../services/silences');
+const ingestionPipeline = require('../services/ingestion');
+const telemetryAggregator = require('../services/aggregation');
+const retentionService = require('../services/retention');
+const { parseInterval, isValidTimezone, MAX_BUCKETS, DEFAULT_PERCENTILES, DEFAULT_TIMEZONE } = require('../services/aggregation');
+const { computeStatus } = require('../services/presence');
+const {
+  parseListQuery,
+  matchStages,
+  buildListPipeline,
+  buildCountPipeline,
+  buildSummaryPipeline,
+  formatPage
+} = require('../services/deviceQuery');
+const { memberFilter } = require('../services/deviceGroups');
+const { subtreeIds, effectiveTimezone } = require('../services/locations');
+const { FIELD_KEYS, STATUSES, KEY_PATTERN } = require('../services/deviceFilter');
+const { metricRegistry } = require('../services/metrics');
 const { auth, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Find a live device by MongoDB _id or by uid (`includeDeleted` for the
+// routes that handle soft-deleted devices)
+const findDevice = (id, options) => Device.findByIdOrUid(id, options);
+
+// The device group of a `group` query parameter and the filter selecting its
+// members. Returns `{ group, filter }` or `{ error: { status, message } }`.
+const resolveGroup = async (id) => {
+  const group = mongoose.Types.ObjectId.isValid(id) ? await DeviceGroup.findById(id) : null;
+  if (!group) {
+    return { error: { status: 404, message: 'Device group not found' } };
+  }
+
+  try {
+    return { group, filter: await memberFilter(group) };
+  } catch (error) {
+    if (error.name !== 'FilterError') throw error;
+    return { error: { status: 409, message: `The group's filter is no longer valid: ${error.message}` } };
+  }
+};
+
+// The location node of a `locationId` query parameter and the filter
+// selecting the devices in its subtree. Returns `{ location, filter }` or
+// `{ error: { status, message } }`.
+const resolveLocation = async (id) => {
+  const location = mongoose.Types.ObjectId.isValid(id) ? await Location.findById(id) : null;
+  if (!location) {
+    return { error: { status: 404, message: 'Location not found' } };
+  }
+  return { location, filter: { locationId: { $in: await subtreeIds(location) } } };
+};
+
+// Both filters; the first one is often empty
+const andFilter = (filter, extra) => (Object.keys(filter).length > 0 ? { $and: [filter, extra] } : extra);
+
 // @route   GET /api/devices
-// @desc    Get all devices with their latest readings
+// @desc    List devices with their status and latest reading. Query: q (filter
+//          expression, see services/deviceFilter.js), search, status, sort (name, uid, location, deviceType, lastSeen, status,
+//          createdAt; - for descending), limit, cursor (from the previous
+//          page's nextCursor), group (members of a device group), locationId
+//          (devices in a location and below it) and `deleted=true` for
+//          soft-deleted devices
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 50, search, status } = req.query;
-    
-    // Build query for initial device search
-    let query = {};
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { uid: { $regex: search, $options: 'i' } },
-        { location: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    // Get ALL devices that match search criteria (no pagination yet)
-    const allDevices = await Device.find(query)
-      .sort({ lastSeen: -1 })
-      .lean();
+    const metadataFields = req.query.q ? await MetadataField.find().lean() : [];
+    const { values, errors } = parseListQuery(req.query, { metadataFields });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
 
-    // Get latest telemetry for each device
-    const devicesWithTelemetry = await Promise.all(
-      allDevices.map(async (device) => {
-        const latestTelemetry = await Telemetry.getLatestByDevice(device.uid);
-        return {
-          ...device,
-          latestReading: latestTelemetry ? latestTelemetry.toAPIResponse() : null
-        };
-      })
-    );
-
-    // Helper function to determine device status
-    const getDeviceStatus = (device) => {
-      if (!device.latestReading) return 'offline';
-      
-      const lastSeen = new Date(device.lastSeen || device.latestReading.timestamp);
-      const now = new Date();
-      const minutesAgo = (now - lastSeen) / (1000 * 60);
-      
-      if (minutesAgo < 5) return 'online';
-      if (minutesAgo < 30) return 'warning';
-      return 'offline';
-    };
+    if (req.query.group) {
+      const { filter, error } = await resolveGroup(req.query.group);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      values.filter = andFilter(values.filter, filter);
+    }
 
-    // Filter by status if provided
-    let filteredDevices = devicesWithTelemetry;
-    if (status && status !== 'all') {
-      filteredDevices = devicesWithTelemetry.filter(device => {
-        const deviceStatus = getDeviceStatus(device);
-        return deviceStatus === status;
-      });
+    if (req.query.locationId) {
+      const { filter, error } = await resolveLocation(req.query.locationId);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      values.filter = andFilter(values.filter, filter);
     }
 
-    // Apply pagination to filtered results
-    const total = filteredDevices.length;
-    const totalPages = Math.ceil(total / limit);
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedDevices = filteredDevices.slice(startIndex, endIndex);
+    // The total only comes with the first page
+    const now = new Date();
+    const [rows, count] = await Promise.all([
+      Device.aggregate(buildListPipeline(values, now)),
+      values.cursor ? null : Device.aggregate(buildCountPipeline(values, now))
+    ]);
+    const { devices, nextCursor } = formatPage(rows, values);
 
     res.json({
       success: true,
       data: {
-        devices: paginatedDevices,
+        devices,
         pagination: {
-          current: parseInt(page),
-          pages: totalPages,
-          total,
-          limit: parseInt(limit)
+          limit: values.limit,
+          sort: values.sort,
+          nextCursor,
+          hasMore: nextCursor !== null,
+          ...(count && { total: count.length > 0 ? count[0].total : 0 })
         }
       }
     });
@@ -90,18 +147,238 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Check the aggregate query (from, to, interval, metrics, percentiles, tz)
+const parseAggregateQuery = (query, devices) => {
+  const errors = [];
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    errors.push('from and to must be dates');
+  } else if (from >= to) {
+    errors.push('from must be before to');
+  }
+
+  const interval = parseInterval(query.interval || '1h');
+  if (!interval) {
+    errors.push('interval must look like 5m, 1h or 1d');
+  } else if ((to - from) / interval.ms > MAX_BUCKETS) {
+    errors.push(`Too many buckets, use a longer interval (at most ${MAX_BUCKETS})`);
+  }
+
+  const metrics = query.metrics
+    ? toList(query.metrics)
+    : metricRegistry.getReportedMetrics(Array.from(new Set(devices.map(device => device.deviceType))));
+  const unknown = metrics.filter(metric => !metricRegistry.getMetric(metric));
+  if (unknown.length > 0) errors.push(`Unknown metrics: ${unknown.join(', ')}`);
+
+  const percentiles = query.percentiles !== undefined
+    ? toList(query.percentiles).map(Number)
+    : DEFAULT_PERCENTILES;
+  if (percentiles.some(p => !Number.isFinite(p) || p < 0 || p > 100)) {
+    errors.push('percentiles must be numbers from 0 to 100');
+  }
+
+  const timezone = query.tz || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) errors.push(`Unknown time zone "${timezone}"`);
+
+  return {
+    errors,
+    values: { from, to, interval, metrics, percentiles, timezone }
+  };
+};
+
+const sendAggregate = async (res, devices, query, extra) => {
+  const { values, errors } = parseAggregateQuery(query, devices);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: errors.join(', ')
+    });
+  }
+
+  const { resolution, percentiles, partial, availableFrom, buckets } = await telemetryAggregator.aggregate({
+    ...values,
+    deviceIds: devices.map(device => device.uid)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...extra,
+      from: values.from,
+      to: values.to,
+      interval: values.interval.name,
+      timezone: values.timezone,
+      metrics: values.metrics,
+      resolution,
+      percentiles,
+      partial,
+      availableFrom,
+      buckets
+    }
+  });
+};
+
+// @route   GET /api/devices/aggregate
+// @desc    Time-bucketed statistics over a group of devices (location, deviceType,
+//          deviceIds, group for the members of a device group, locationId for
+//          the devices in a location node and below; its time zone is the default tz)
+// @access  Private
+router.get('/aggregate', auth, async (req, res) => {
+  try {
+    const { location, deviceType, deviceIds, group: groupId, locationId } = req.query;
+    const filter = { deletedAt: null };
+    if (location) filter.location = location;
+    if (deviceType) filter.deviceType = deviceType;
+    if (deviceIds) filter.uid = { $in: toList(deviceIds) };
+
+    let group = null;
+    if (groupId) {
+      const resolved = await resolveGroup(groupId);
+      if (resolved.error) {
+        return res.status(resolved.error.status).json({
+          success: false,
+          message: resolved.error.message
+        });
+      }
+      group = resolved.group;
+      const members = await Device.aggregate([
+        ...matchStages({ filter: resolved.filter }, new Date()),
+        { $project: { uid: 1 } }
+      ]);
+      filter.$and = [{ uid: { $in: members.map(member => member.uid) } }];
+    }
+
+    let node = null;
+    let query = req.query;
+    if (locationId) {
+      const resolved = await resolveLocation(locationId);
+      if (resolved.error) {
+        return res.status(resolved.error.status).json({
+          success: false,
+          message: resolved.error.message
+        });
+      }
+      node = resolved.location;
+      Object.assign(filter, resolved.filter);
+      // Buckets follow the node's local time unless asked otherwise
+      const timezone = await effectiveTimezone(node);
+      if (!query.tz && timezone) query = { ...query, tz: timezone };
+    }
+
+    const devices = await Device.find(filter).select('uid deviceType').lean();
+    if (devices.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No devices match the filter'
+      });
+    }
+
+    await sendAggregate(res, devices, query, {
+      ...(group && { group: { id: group._id, name: group.name } }),
+      ...(node && { location: { id: node._id, name: node.name, type: node.type } }),
+      devices: devices.map(device => device.uid)
+    });
+
+  } catch (error) {
+    console.error('Aggregate telemetry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while aggregating telemetry'
+    });
+  }
+});
+
+// Values offered per filter key, to keep the response small
+const MAX_SUGGESTED_VALUES = 50;
+
+// Distinct keys and values of a Map field (tags, metadata) over all devices
+const mapEntries = (path) => Device.aggregate([
+  { $match: { deletedAt: null } },
+  { $project: { entries: { $objectToArray: `$${path}` } } },
+  { $unwind: '$entries' },
+  { $group: { _id: '$entries.k', values: { $addToSet: '$entries.v' } } },
+  { $project: { values: { $slice: ['$values', MAX_SUGGESTED_VALUES] } } },
+  { $sort: { _id: 1 } }
+]);
+
+const sortedValues = (values) => values
+  .filter(value => value !== null && value !== undefined && value !== '')
+  .map(String)
+  .sort((a, b) => a.localeCompare(b))
+  .slice(0, MAX_SUGGESTED_VALUES);
+
+// @route   GET /api/devices/filter-keys
+// @desc    Keys of the device filter expression with known values, for autocomplete
+// @access  Private
+router.get('/filter-keys', auth, async (req, res) => {
+  try {
+    const active = { deletedAt: null };
+    const [locations, deviceTypes, firmware, tags, metadata, metadataFields] = await Promise.all([
+      Device.distinct('location', active),
+      Device.distinct('deviceType', active),
+      Device.distinct('firmware', active),
+      mapEntries('tags'),
+      mapEntries('metadata'),
+      MetadataField.find().sort({ key: 1 })
+    ]);
+
+    const knownValues = {
+      status: STATUSES,
+      location: sortedValues(locations),
+      deviceType: sortedValues(deviceTypes),
+      firmware: sortedValues(firmware)
+    };
+    const metadataValues = new Map(metadata.map(entry => [entry._id, entry.values]));
+
+    const keys = [
+      ...FIELD_KEYS.map(key => ({
+        key,
+        type: 'field',
+        values: knownValues[key] || []
+      })),
+      ...tags.map(tag => ({
+        key: `tag:${tag._id}`,
+        type: 'tag',
+        values: sortedValues(tag.values)
+      })),
+      ...metadataFields.map(field => ({
+        key: `meta:${field.key}`,
+        type: 'metadata',
+        label: field.label || field.key,
+        valueType: field.type,
+        values: field.type === 'boolean'
+          ? ['true', 'false']
+          : field.type === 'string' ? sortedValues(metadataValues.get(field.key) || []) : []
+      }))
+    ];
+
+    res.json({
+      success: true,
+      data: { keys }
+    });
+
+  } catch (error) {
+    console.error('Get filter keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching filter keys'
+    });
+  }
+});
+
 // @route   GET /api/devices/:id
 // @desc    Get single device by ID or UID
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Try to find by MongoDB _id first, then by uid
-    let device = await Device.findById(id).lean();
-    if (!device) {
-      device = await Device.findOne({ uid: id }).lean();
-    }
+    const device = await findDevice(req.params.id);
 
     if (!device) {
       return res.status(404).json({
@@ -117,7 +394,8 @@ router.get('/:id', auth, async (req, res) => {
       success: true,
       data: {
         device: {
-          ...device,
+          ...device.toJSON(),
+          status: computeStatus(device),
           latestReading: latestTelemetry ? latestTelemetry.toAPIResponse() : null
         }
       }
@@ -133,18 +411,14 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   GET /api/devices/:id/data
-// @desc    Get last 10 readings for a device
+// @desc    Get last 10 readings for a device (`anomalous=true` for flagged readings only,
+//          `from`/`to` for a range; ranges past raw retention are served from rollups)
 // @access  Private
 router.get('/:id/data', auth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { limit = 10, page = 1 } = req.query;
-    
-    // Find device first
-    let device = await Device.findById(id);
-    if (!device) {
-      device = await Device.findOne({ uid: id });
-    }
+    const { limit = 10, page = 1, anomalous, from, to } = req.query;
+
+    const device = await findDevice(req.params.id);
 
     if (!device) {
       return res.status(404).json({
@@ -153,31 +427,43 @@ router.get('/:id/data', auth, async (req, res) => {
       });
     }
 
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    if (Object.values(range).some(date => Number.isNaN(date.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates'
+      });
+    }
+
+    // Raw readings older than the retention period only exist as rollups
+    const coverage = await retentionService.getCoverage();
+    let resolution = 'raw';
+    if (range.$gte && coverage.raw.from && range.$gte < coverage.raw.from) {
+      resolution = !coverage.hour.from || range.$gte >= coverage.hour.from ? 'hour' : 'day';
+    }
+
+    const Model = { raw: Telemetry, hour: TelemetryHourly, day: TelemetryDaily }[resolution];
+    const timeField = resolution === 'raw' ? 'timestamp' : 'bucket';
+    const filter = { deviceId: device.uid };
+    if (Object.keys(range).length > 0) filter[timeField] = range;
+    if (anomalous === 'true' && resolution === 'raw') filter.anomalous = true;
+
     // Get telemetry data with pagination
-    const telemetryData = await Telemetry.find({ deviceId: device.uid })
-      .sort({ timestamp: -1 })
+    const telemetryData = await Model.find(filter)
+      .sort({ [timeField]: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit))
       .lean();
 
     // Get total count
-    const total = await Telemetry.countDocuments({ deviceId: device.uid });
+    const total = await Model.countDocuments(filter);
 
     // Format response
-    const formattedData = telemetryData.map(reading => ({
-      id: reading._id,
-      deviceId: reading.deviceId,
-      uid: reading.uid,
-      firmware: reading.firmware,
-      tts: reading.tts,
-      data: {
-        temperature: parseFloat(reading.data.temperature.toFixed(2)),
-        humidity: parseFloat(reading.data.humidity.toFixed(2)),
-        pm25: parseFloat(reading.data.pm25.toFixed(2))
-      },
-      timestamp: reading.timestamp,
-      receivedAt: reading.receivedAt
-    }));
+    const formattedData = telemetryData.map(reading => resolution === 'raw'
+      ? Telemetry.formatReading(reading)
+      : Model.formatReading(reading, resolution));
 
     res.json({
       success: true,
@@ -185,8 +471,10 @@ router.get('/:id/data', auth, async (req, res) => {
         device: {
           id: device._id,
           uid: device.uid,
-          name: device.name
+          name: device.name,
+          deviceType: device.deviceType
         },
+        resolution,
         readings: formattedData,
         pagination: {
           current: parseInt(page),
@@ -206,74 +494,797 @@ router.get('/:id/data', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/devices/:id/aggregate
+// @desc    Time-bucketed min/max/avg/count/percentiles (from, to, interval=5m|1h|1d, metrics, percentiles, tz)
+// @access  Private
+router.get('/:id/aggregate', auth, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await sendAggregate(res, [device], req.query, {
+      device: {
+        id: device._id,
+        uid: device.uid,
+        name: device.name,
+        deviceType: device.deviceType
+      }
+    });
+
+  } catch (error) {
+    console.error('Aggregate device telemetry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while aggregating telemetry'
+    });
+  }
+});
+
+// @route   POST /api/devices/:id/secret/rotate
+// @desc    Issue a new device secret (HTTP ingest key / MQTT password)
+// @access  Private (Admin)
+router.post('/:id/secret/rotate', auth, requireAdmin, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const secret = device.issueSecret();
+    await device.save();
+    embeddedBroker.disconnectDevice(device.uid);
+    ingestionPipeline.invalidateDevice(device.uid);
+
+    res.json({
+      success: true,
+      message: 'Device secret rotated',
+      data: {
+        uid: device.uid,
+        secret,
+        secretIssuedAt: device.secretIssuedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Rotate device secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating device secret'
+    });
+  }
+});
+
+// @route   DELETE /api/devices/:id/secret
+// @desc    Revoke the device secret
+// @access  Private (Admin)
+router.delete('/:id/secret', auth, requireAdmin, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    device.revokeSecret();
+    await device.save();
+    embeddedBroker.disconnectDevice(device.uid);
+    ingestionPipeline.invalidateDevice(device.uid);
+
+    res.json({
+      success: true,
+      message: 'Device secret revoked',
+      data: {
+        uid: device.uid,
+        secretRevokedAt: device.secretRevokedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke device secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking device secret'
+    });
+  }
+});
+
+// @route   POST /api/devices/:id/commands
+// @desc    Send a command to a device over MQTT
+// @access  Private
+router.post('/:id/commands', auth, async (req, res) => {
+  try {
+    const { values, errors } = parseCommandRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const device = await findDevice(req.params.id, { includeDeleted: true });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+    if (device.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Device is deleted, restore it first'
+      });
+    }
+
+    const record = await commandService.dispatch({
+      ...values,
+      device,
+      requestedBy: req.user.userId
+    });
+
+    res.status(202).json({
+      success: record.status !== 'failed',
+      message: record.status === 'failed' ? record.error : 'Command sent',
+      data: { command: record.toAPIResponse() }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Send command error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending command'
+    });
+  }
+});
+
+// @route   GET /api/devices/:id/commands
+// @desc    Get recent commands sent to a device
+// @access  Private
+router.get('/:id/commands', auth, async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const commands = await Command.find({ deviceId: device.uid })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      success: true,
+      data: {
+        commands: commands.map(command => command.toAPIResponse())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get device commands error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching commands'
+    });
+  }
+});
+
+// @route   GET /api/devices/:id/anomaly
+// @desc    Get a device's anomaly detection settings and learned baselines
+// @access  Private
+router.get('/:id/anomaly', auth, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const baselines = await AnomalyBaseline.find({ deviceId: device.uid }).sort({ metric: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        anomalyDetection: device.anomalyDetection,
+        minSamples: anomalyDetector.MIN_SAMPLES,
+        baselines: baselines.map(baseline => baseline.toAPIResponse())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get anomaly detection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching anomaly detection'
+    });
+  }
+});
+
+// @route   PUT /api/devices/:id/anomaly
+// @desc    Configure anomaly detection (enabled, method, metrics, zScore)
+// @access  Private (Admin)
+router.put('/:id/anomaly', auth, requireAdmin, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const { enabled, method, metrics, zScore } = req.body;
+    const settings = device.anomalyDetection;
+
+    if (enabled !== undefined) settings.enabled = Boolean(enabled);
+    if (method !== undefined) settings.method = method;
+    if (zScore !== undefined) settings.zScore = Number(zScore);
+    if (metrics !== undefined) {
+      const list = Array.isArray(metrics) ? metrics : String(metrics).split(',');
+      settings.metrics = list.map(metric => String(metric).trim()).filter(Boolean);
+
+      const unknown = settings.metrics.filter(metric => !metricRegistry.getMetric(metric));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown metrics: ${unknown.join(', ')}`
+        });
+      }
+    }
+
+    await device.save();
+    anomalyDetector.invalidate(device.uid);
+
+    res.json({
+      success: true,
+      message: 'Anomaly detection updated',
+      data: { anomalyDetection: device.anomalyDetection }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors
+          ? Object.values(error.errors).map(err => err.message).join(', ')
+          : error.message
+      });
+    }
+
+    console.error('Update anomaly detection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating anomaly detection'
+    });
+  }
+});
+
+// @route   DELETE /api/devices/:id/anomaly/baselines
+// @desc    Reset the learned baselines, e.g. after recalibrating a sensor
+// @access  Private (Admin)
+router.delete('/:id/anomaly/baselines', auth, requireAdmin, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await anomalyDetector.reset(device.uid);
+
+    res.json({
+      success: true,
+      message: 'Anomaly baselines reset'
+    });
+
+  } catch (error) {
+    console.error('Reset anomaly baselines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting anomaly baselines'
+    });
+  }
+});
+
+const DEVICE_FIELDS = ['name', 'location', 'deviceType', 'firmware'];
+const MAX_FIELD_LENGTH = 100;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check device fields for create (`uid` and `name` required) or update
+// (`partial`). The uid can't change: readings, alerts and commands
+// reference the device by it. `tags` and `metadata` replace the stored ones;
+// metadata values are cast to the type of their field (`metadataFields`)
+// and null leaves a field out. `locationId` assigns the device to a node of
+// the location hierarchy (null unassigns it).
+const parseDevice = (body, { partial = false, metadataFields = [] } = {}) => {
+  const values = {};
+  const errors = [];
+
+  const fields = partial ? DEVICE_FIELDS : ['uid', ...DEVICE_FIELDS];
+  fields.forEach(field => {
+    if (body[field] === undefined) return;
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    } else if (body[field].trim().length > MAX_FIELD_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+    } else {
+      values[field] = body[field].trim();
+    }
+  });
+
+  if (!partial && (body.uid === undefined || body.name === undefined)) {
+    errors.push('UID and name are required');
+  }
+
+  if (body.tags !== undefined) {
+    if (!isPlainObject(body.tags)) {
+      errors.push('tags must be an object');
+    } else {
+      values.tags = {};
+      for (const [key, value] of Object.entries(body.tags)) {
+        if (!KEY_PATTERN.test(key)) {
+          errors.push(`Invalid tag key "${key}"`);
+        } else if (!['string', 'number', 'boolean'].includes(typeof value) || !String(value).trim()) {
+          errors.push(`Tag "${key}" needs a value`);
+        } else {
+          values.tags[key] = String(value).trim();
+        }
+      }
+    }
+  }
+
+  if (body.locationId !== undefined) {
+    if (body.locationId !== null && !mongoose.Types.ObjectId.isValid(body.locationId)) {
+      errors.push('locationId must be a location id or null');
+    } else {
+      values.locationId = body.locationId;
+    }
+  }
+
+  if (body.metadata !== undefined) {
+    if (!isPlainObject(body.metadata)) {
+      errors.push('metadata must be an object');
+    } else {
+      values.metadata = {};
+      for (const [key, value] of Object.entries(body.metadata)) {
+        const field = metadataFields.find(item => item.key === key);
+        if (!field) {
+          errors.push(`Unknown metadata field "${key}"`);
+          continue;
+        }
+        if (value === null) continue;
+
+        const cast = MetadataField.castValue(field.type, value);
+        if (cast.error) {
+          errors.push(`metadata.${key} ${cast.error}`);
+        } else {
+          values.metadata[key] = cast.value;
+        }
+      }
+    }
+  }
+
+  return { values, errors };
+};
+
+// Check the location node of parsed device values: it must exist and the
+// device's `location` becomes its name. A device assigned to a node can't
+// take another location name. Errors are added to `errors`.
+const resolveLocationNode = async (values, errors, current = {}) => {
+  if (values.locationId === undefined && values.location === undefined) return;
+
+  const locationId = values.locationId !== undefined ? values.locationId : current.locationId;
+  if (!locationId) return;
+
+  const node = await Location.findById(locationId).select('name').lean();
+  if (!node) {
+    errors.push('Location not found');
+  } else if (values.location !== undefined && values.location !== node.name) {
+    errors.push('location comes from the assigned location node, change locationId (or set it to null) instead');
+  } else {
+    values.location = node.name;
+  }
+};
+
+// Expected device version (`__v`) from the body or an If-Match header
+// (`3`, `"3"` or `W/"3"`). Returns undefined when none was sent, NaN when
+// it is not a number.
+const expectedVersion = (req) => {
+  const value = req.body.version !== undefined ? req.body.version : req.get('If-Match');
+  if (value === undefined) return undefined;
+  const version = String(value).replace(/^W\//, '').replace(/"/g, '');
+  return /^\d+$/.test(version) ? parseInt(version, 10) : NaN;
+};
+
+// Delete everything stored for a device; returns the number of removed
+// documents per collection
+const purgeDeviceData = async (uid) => {
+  const alertIds = await Alert.find({ deviceId: uid }).distinct('_id');
+
+  const results = await Promise.all([
+    Telemetry.deleteMany({ deviceId: uid }),
+    TelemetryHourly.deleteMany({ deviceId: uid }),
+    TelemetryDaily.deleteMany({ deviceId: uid }),
+    Alert.deleteMany({ deviceId: uid }),
+    NotificationDelivery.deleteMany({ alert: { $in: alertIds } }),
+    Command.deleteMany({ deviceId: uid }),
+    SilencedEvent.deleteMany({ deviceId: uid }),
+    DeadLetter.deleteMany({ deviceId: uid }),
+    anomalyDetector.reset(uid)
+  ]);
+  const [telemetry, hourly, daily, alerts, deliveries, commands, silencedEvents, deadLetters] = results
+    .slice(0, 8)
+    .map(result => result.deletedCount);
+
+  return {
+    telemetry,
+    rollups: hourly + daily,
+    alerts,
+    notificationDeliveries: deliveries,
+    commands,
+    silencedEvents,
+    deadLetters
+  };
+};
+
+// Remove a device's uid from static groups, alert rules and silences. Rules
+// and silences scoped to that device alone are deleted, as an empty device
+// list would match every device. Returns the number of changed documents.
+const removeDeviceReferences = async (uid) => {
+  const only = { 'scope.deviceIds': [uid] };
+  const [rulesDeleted, silencesDeleted] = await Promise.all([
+    AlertRule.deleteMany(only),
+    Silence.deleteMany(only)
+  ]);
+
+  const [groups, rules, silences] = await Promise.all([
+    DeviceGroup.updateMany({ deviceIds: uid }, { $pull: { deviceIds: uid } }),
+    AlertRule.updateMany({ 'scope.deviceIds': uid }, { $pull: { 'scope.deviceIds': uid } }),
+    Silence.updateMany({ 'scope.deviceIds': uid }, { $pull: { 'scope.deviceIds': uid } })
+  ]);
+  alertEngine.invalidateRules();
+  silenceService.invalidate();
+
+  return {
+    groups: groups.modifiedCount,
+    alertRules: rules.modifiedCount + rulesDeleted.deletedCount,
+    silences: silences.modifiedCount + silencesDeleted.deletedCount
+  };
+};
+
 // @route   POST /api/devices
-// @desc    Create or update a device
+// @desc    Register a device (uid, name, location, deviceType, firmware, tags,
+//          metadata); returns its secret once. Existing devices are changed
+//          with PUT.
 // @access  Private
 router.post('/', auth, async (req, res) => {
   try {
-    const { uid, name, location, deviceType } = req.body;
+    const metadataFields = req.body.metadata !== undefined ? await MetadataField.find().lean() : [];
+    const { values, errors } = parseDevice(req.body, { metadataFields });
+    await resolveLocationNode(values, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const existing = await Device.findOne({ uid: values.uid }).select('_id deletedAt').lean();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.deletedAt
+          ? `Device ${values.uid} was deleted, restore it instead`
+          : `Device ${values.uid} already exists, use PUT /api/devices/${values.uid} to change it`,
+        data: { id: existing._id }
+      });
+    }
+
+    const device = new Device({
+      location: 'Unknown',
+      deviceType: 'sensor',
+      ...values
+    });
+    // Returned once; devices use it to authenticate with the embedded broker
+    const secret = device.issueSecret();
+    await device.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Device created successfully',
+      data: { device, secret }
+    });
+
+  } catch (error) {
+    // Registered concurrently with the same uid
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Device ${req.body.uid} already exists`
+      });
+    }
+
+    console.error('Create device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating device'
+    });
+  }
+});
+
+// @route   PUT /api/devices/:id
+// @desc    Update a device (name, location, deviceType, firmware, tags,
+//          metadata). Send the `version` (`__v`) it was read at, in the body
+//          or as If-Match, to get a 409 with the current device if it changed
+//          since.
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id, { includeDeleted: true });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+    if (device.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Device is deleted, restore it first'
+      });
+    }
 
-    if (!uid || !name) {
+    const metadataFields = req.body.metadata !== undefined ? await MetadataField.find().lean() : [];
+    const { values, errors } = parseDevice(req.body, { partial: true, metadataFields });
+    if (req.body.uid !== undefined && req.body.uid !== device.uid) {
+      errors.push('uid can\'t be changed');
+    }
+    await resolveLocationNode(values, errors, device);
+    const version = expectedVersion(req);
+    if (Number.isNaN(version)) {
+      errors.push('version must be a number');
+    }
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'UID and name are required'
+        message: errors.join(', ')
       });
     }
 
-    // Check if device exists
-    let device = await Device.findOne({ uid });
-    
-    if (device) {
-      // Update existing device
-      device.name = name;
-      device.location = location || device.location;
-      device.deviceType = deviceType || device.deviceType;
-      device.lastSeen = new Date();
-      await device.save();
-    } else {
-      // Create new device
-      device = new Device({
+    if (version !== undefined && version !== device.__v) {
+      return res.status(409).json({
+        success: false,
+        message: 'Device was changed by someone else, reload it and try again',
+        data: { device }
+      });
+    }
+
+    device.set(values);
+    await device.save();
+
+    anomalyDetector.invalidate(device.uid);
+    alertEngine.invalidateDevice(device.uid);
+    ingestionPipeline.invalidateDevice(device.uid);
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      data: { device }
+    });
+
+  } catch (error) {
+    // Saved by another request between our read and write
+    if (error.name === 'VersionError') {
+      const device = await findDevice(req.params.id);
+      return res.status(409).json({
+        success: false,
+        message: 'Device was changed by someone else, reload it and try again',
+        data: { device }
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Update device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating device'
+    });
+  }
+});
+
+// @route   DELETE /api/devices/:id
+// @desc    Soft-delete a device: it is hidden, disconnected and its active
+//          alerts are resolved, its history is kept (undo with POST
+//          /:id/restore). `hard=true` deletes it with its telemetry, rollups,
+//          alerts, commands and dead letters for good.
+// @access  Private (Admin)
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id, { includeDeleted: true });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const { uid } = device;
+
+    if (req.query.hard === 'true') {
+      // Stop new readings and drop queued ones before purging, so the batch
+      // write can't store readings or re-create the device afterwards
+      if (!device.deletedAt) {
+        device.deletedAt = new Date();
+        device.deletedBy = req.user.userId;
+        await device.save();
+      }
+      embeddedBroker.disconnectDevice(uid);
+      await ingestionPipeline.discardDevice(uid);
+
+      const [deleted, references] = await Promise.all([purgeDeviceData(uid), removeDeviceReferences(uid)]);
+      await Device.deleteOne({ _id: device._id });
+      alertEngine.forgetDevice(uid);
+      anomalyDetector.invalidate(uid);
+      console.log(`🗑️ Device ${uid} deleted with its data by ${req.user.email}`);
+
+      return res.json({
+        success: true,
+        message: 'Device and its data deleted',
+        data: { uid, deleted, references }
+      });
+    }
+
+    if (device.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Device is already deleted, use hard=true to remove its data'
+      });
+    }
+
+    device.deletedAt = new Date();
+    device.deletedBy = req.user.userId;
+    await device.save();
+
+    embeddedBroker.disconnectDevice(uid);
+    ingestionPipeline.invalidateDevice(uid);
+    // Nothing evaluates a deleted device, so nothing would resolve its alerts
+    const resolvedAlerts = await alertEngine.resolveDeviceAlerts(uid, 'device_deleted');
+
+    res.json({
+      success: true,
+      message: 'Device deleted, restore it with POST /api/devices/:id/restore',
+      data: {
         uid,
-        name,
-        location: location || 'Unknown',
-        deviceType: deviceType || 'sensor'
+        deletedAt: device.deletedAt,
+        resolvedAlerts
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting device'
+    });
+  }
+});
+
+// @route   POST /api/devices/:id/restore
+// @desc    Undo a soft delete; the device can connect again with its secret
+// @access  Private (Admin)
+router.post('/:id/restore', auth, requireAdmin, async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id, { includeDeleted: true });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
       });
-      await device.save();
     }
+    if (!device.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Device is not deleted'
+      });
+    }
+
+    device.deletedAt = null;
+    device.deletedBy = undefined;
+    await device.save();
+    ingestionPipeline.invalidateDevice(device.uid);
 
     res.json({
       success: true,
-      message: device.isNew ? 'Device created successfully' : 'Device updated successfully',
+      message: 'Device restored',
       data: { device }
     });
 
   } catch (error) {
-    console.error('Create/Update device error:', error);
+    console.error('Restore device error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while creating/updating device'
+      message: 'Server error while restoring device'
     });
   }
 });
 
 // @route   GET /api/devices/stats/summary
-// @desc    Get device statistics summary
+// @desc    Get device statistics summary, of all devices or of the members of
+//          a device group (group)
 // @access  Private
 router.get('/stats/summary', auth, async (req, res) => {
   try {
-    const totalDevices = await Device.countDocuments();
-    const activeDevices = await Device.countDocuments({ isActive: true });
-    const recentReadings = await Telemetry.countDocuments({
-      timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
-    });
+    let group = null;
+    let filter = {};
+    if (req.query.group) {
+      const resolved = await resolveGroup(req.query.group);
+      if (resolved.error) {
+        return res.status(resolved.error.status).json({
+          success: false,
+          message: resolved.error.message
+        });
+      }
+      ({ group, filter } = resolved);
+    }
+
+    const now = new Date();
+    const [counts] = await Device.aggregate(buildSummaryPipeline(filter, now));
+    const { total = 0, active = 0, online = 0, warning = 0, offline = 0 } = counts || {};
+
+    // Readings and alerts of the group's members only
+    const scope = {};
+    if (group) {
+      const members = await Device.aggregate([...matchStages({ filter }, now), { $project: { uid: 1 } }]);
+      scope.deviceId = { $in: members.map(member => member.uid) };
+    }
+
+    const [recentReadings, activeAlerts] = await Promise.all([
+      Telemetry.countDocuments({
+        ...scope,
+        timestamp: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) } // Last 24 hours
+      }),
+      Alert.countDocuments({ ...scope, status: { $in: Alert.ACTIVE_STATUSES } })
+    ]);
 
     res.json({
       success: true,
       data: {
-        totalDevices,
-        activeDevices,
-        inactiveDevices: totalDevices - activeDevices,
-        recentReadings
+        ...(group && { group: { id: group._id, name: group.name } }),
+        totalDevices: total,
+        activeDevices: active,
+        inactiveDevices: total - active,
+        statusCounts: { online, warning, offline },
+        recentReadings,
+        activeAlerts
       }
     });
 
@@ -0,0 +1,61 @@
+const express = require('express');
+const { Readable } = require('stream');
+const bulkImporter = require('../services/import');
+const { ImportError, detectFormat } = require('../services/import');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   POST /api/import/:target
+// @desc    Import telemetry or devices (`target`) from the request body: MongoDB
+//          Extended JSON, NDJSON or CSV (format, detected from Content-Type when
+//          omitted). Query: mapping (column:field,...), delimiter, dryRun,
+//          createDevices. Responds with the import report.
+// @access  Private (admin)
+router.post('/:target', auth, requireAdmin, async (req, res) => {
+  try {
+    // Request bodies arrive as raw Buffers (see server.js)
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'File content is required'
+      });
+    }
+
+    const format = req.query.format || detectFormat({
+      contentType: req.get('Content-Type'),
+      sample: req.body.subarray(0, 64).toString()
+    });
+
+    const report = await bulkImporter.run(Readable.from([req.body]), {
+      target: req.params.target,
+      format,
+      mapping: req.query.mapping,
+      delimiter: req.query.delimiter,
+      dryRun: req.query.dryRun === 'true',
+      createDevices: req.query.createDevices !== 'false'
+    });
+
+    res.json({
+      success: true,
+      message: `${report.dryRun ? 'Dry run: ' : ''}${report.imported} imported, ${report.duplicates} duplicates skipped, ${report.rejected} rejected`,
+      data: { report }
+    });
+
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const ingestionPipeline = require('../services/ingestion');
+const { deviceAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_BATCH_SIZE = parseInt(process.env.INGEST_MAX_BATCH_SIZE) || 500;
+
+// Per-device limit, counted after authentication so requests without the
+// device's key can't use up its quota. HTTP ingestion is exempt from the
+// global API limiter.
+const ingestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.INGEST_RATE_LIMIT) || 600,
+  keyGenerator: (req) => req.device.uid,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Failed authentications per client IP, so device keys can't be guessed freely
+const authFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.INGEST_AUTH_FAILURE_LIMIT) || 100,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Request bodies arrive as raw Buffers (see server.js) so the payload reaches
+// the decoder exactly as it would over MQTT
+const toPayload = (body) => {
+  if (Buffer.isBuffer(body)) return body;
+  if (typeof body === 'string') return Buffer.from(body);
+  return Buffer.from(JSON.stringify(body));
+};
+
+const rejectionStatus = (reason) => reason === 'queue_full' ? 503 : 422;
+
+const formatResult = (result) => result.success
+  ? { success: true, id: result.telemetry._id }
+  : {
+    success: false,
+    reason: result.reason,
+    error: result.error,
+    deadLetterId: result.deadLetter ? result.deadLetter._id : undefined
+  };
+
+// @route   POST /api/ingest/:uid
+// @desc    Submit one reading in the same payload format as MQTT
+// @access  Device (X-Device-Key)
+router.post('/:uid', authFailureLimiter, deviceAuth, ingestLimiter, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payload is required'
+      });
+    }
+
+    const result = await ingestionPipeline.ingestHttpPayload(req.device.uid, toPayload(req.body));
+
+    if (!result.success) {
+      return res.status(rejectionStatus(result.reason)).json({
+        success: false,
+        message: result.error,
+        data: formatResult(result)
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Reading accepted',
+      data: formatResult(result)
+    });
+
+  } catch (error) {
+    console.error('Ingest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ingesting reading'
+    });
+  }
+});
+
+// @route   POST /api/ingest/:uid/batch
+// @desc    Submit several readings: a JSON array (or { readings: [...] }) of
+//          payload objects, or strings passed to the decoder as-is
+// @access  Device (X-Device-Key)
+router.post('/:uid/batch', authFailureLimiter, deviceAuth, ingestLimiter, async (req, res) => {
+  try {
+    let body;
+    try {
+      body = JSON.parse(req.body.toString());
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batch body must be valid JSON'
+      });
+    }
+
+    const readings = Array.isArray(body) ? body : body && body.readings;
+
+    if (!Array.isArray(readings) || readings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a non-empty array of readings'
+      });
+    }
+
+    if (readings.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can contain at most ${MAX_BATCH_SIZE} readings`
+      });
+    }
+
+    const results = [];
+    for (const reading of readings) {
+      // Respect queue backpressure between readings
+      await ingestionPipeline.waitForCapacity();
+      results.push(formatResult(await ingestionPipeline.ingestHttpPayload(req.device.uid, toPayload(reading))));
+    }
+
+    const accepted = results.filter(result => result.success).length;
+
+    res.status(accepted > 0 ? 202 : 422).json({
+      success: accepted === results.length,
+      message: `${accepted} of ${results.length} readings accepted`,
+      data: {
+        accepted,
+        rejected: results.length - accepted,
+        results: results.map((result, index) => ({ index, ...result }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Batch ingest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ingesting readings'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,436 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const Location = require('../models/Location');
+const AlertRule = require('../models/AlertRule');
+const Silence = require('../models/Silence');
+const alertEngine = require('../services/alerts');
+const silenceService = require('../services/silences');
+const { groupsMatchingLocation } = require('../services/deviceGroups');
+const { parseInterval, isValidTimezone } = require('../services/aggregation');
+const { DEFAULT_READING_METRICS, subtree, effectiveTimezone, buildTree, nodeReadings } = require('../services/locations');
+const { metricRegistry } = require('../services/metrics');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+const MAX_READINGS_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const level = (type) => Location.TYPES.indexOf(type);
+
+// Pick and check location fields from a request body. New locations need a
+// name and type; `parentId` null makes a top-level node.
+const parseLocation = (body, { partial = false } = {}) => {
+  const values = {};
+  const errors = [];
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('Name is required');
+    } else if (body.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+    } else {
+      values.name = body.name.trim();
+    }
+  }
+  if (body.type !== undefined || !partial) {
+    if (!Location.TYPES.includes(body.type)) errors.push(`Type must be one of ${Location.TYPES.join(', ')}`);
+    values.type = body.type;
+  }
+  if (body.parentId !== undefined) {
+    if (body.parentId !== null && !mongoose.Types.ObjectId.isValid(body.parentId)) {
+      errors.push('parentId must be a location id or null');
+    }
+    values.parent = body.parentId || null;
+  }
+  if (body.description !== undefined) {
+    values.description = String(body.description || '');
+  }
+  if (body.coordinates !== undefined) {
+    const { latitude, longitude } = body.coordinates || {};
+    if (body.coordinates === null) {
+      values.coordinates = {};
+    } else if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90
+      || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+      errors.push('coordinates need a latitude (-90 to 90) and longitude (-180 to 180)');
+    } else {
+      values.coordinates = { latitude, longitude };
+    }
+  }
+  if (body.timezone !== undefined) {
+    if (body.timezone && !isValidTimezone(body.timezone)) errors.push(`Unknown time zone "${body.timezone}"`);
+    values.timezone = body.timezone || null;
+  }
+
+  return { values, errors };
+};
+
+// Check the readings query (window, metrics)
+const parseReadingsQuery = (query) => {
+  const errors = [];
+
+  const window = parseInterval(query.window || '1h');
+  if (!window || window.ms > MAX_READINGS_WINDOW_MS) {
+    errors.push('window must look like 15m, 1h or 1d, at most 7 days');
+  }
+
+  const metrics = query.metrics ? toList(query.metrics) : DEFAULT_READING_METRICS;
+  const unknown = metrics.filter(metric => !metricRegistry.getMetric(metric));
+  if (unknown.length > 0) errors.push(`Unknown metrics: ${unknown.join(', ')}`);
+
+  return {
+    errors,
+    values: {
+      window: window && window.name,
+      from: window ? new Date(Date.now() - window.ms) : null,
+      metrics
+    }
+  };
+};
+
+const emptyReadings = (metrics) => ({
+  devices: 0,
+  reporting: 0,
+  averages: Object.fromEntries(metrics.map(metric => [metric, null]))
+});
+
+// Check that a node of `type` may sit in `parent` (deeper level, and not in
+// itself or below itself when `node` moves). Returns an error message or null.
+const checkPlacement = (type, parent, node) => {
+  if (!parent) return null;
+  if (node && (parent._id.equals(node._id) || parent.ancestors.some(id => id.equals(node._id)))) {
+    return 'A location can\'t be moved inside itself';
+  }
+  if (level(type) <= level(parent.type)) {
+    return `A ${type} can't be inside a ${parent.type}`;
+  }
+  return null;
+};
+
+const findLocation = (id) => mongoose.Types.ObjectId.isValid(id) ? Location.findById(id) : null;
+
+// @route   GET /api/locations
+// @desc    The location tree with the average readings of the devices at and
+//          below each node (window: 1h, metrics: temperature,humidity,pm25)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { values, errors } = parseReadingsQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const locations = await Location.find();
+    const readings = await nodeReadings(locations, values);
+
+    res.json({
+      success: true,
+      data: {
+        window: values.window,
+        metrics: values.metrics,
+        locations: buildTree(locations.map(location => ({
+          ...location.toAPIResponse(),
+          readings: readings.get(location._id.toString()) || emptyReadings(values.metrics)
+        })))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching locations'
+    });
+  }
+});
+
+// @route   GET /api/locations/:id
+// @desc    Get a location with its path from the top, effective time zone and
+//          readings (same query as the tree)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { values, errors } = parseReadingsQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const location = await findLocation(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const [ancestors, timezone, readings] = await Promise.all([
+      Location.find({ _id: { $in: location.ancestors } }).select('name type').lean(),
+      effectiveTimezone(location),
+      subtree(location).then(nodes => nodeReadings(nodes, values))
+    ]);
+    const byId = new Map(ancestors.map(node => [node._id.toString(), node]));
+
+    res.json({
+      success: true,
+      data: {
+        window: values.window,
+        metrics: values.metrics,
+        location: {
+          ...location.toAPIResponse(),
+          path: location.ancestors
+            .map(id => byId.get(id.toString()))
+            .filter(Boolean)
+            .map(node => ({ id: node._id, name: node.name, type: node.type })),
+          effectiveTimezone: timezone,
+          readings: readings.get(location._id.toString()) || emptyReadings(values.metrics)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching location'
+    });
+  }
+});
+
+// @route   POST /api/locations
+// @desc    Create a location (name, type: site|building|floor|room, parentId,
+//          description, coordinates { latitude, longitude }, timezone)
+// @access  Private (Admin)
+router.post('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const { values, errors } = parseLocation(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const parent = values.parent ? await Location.findById(values.parent) : null;
+    if (values.parent && !parent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent location not found'
+      });
+    }
+    const placementError = checkPlacement(values.type, parent);
+    if (placementError) {
+      return res.status(400).json({
+        success: false,
+        message: placementError
+      });
+    }
+
+    const location = await Location.create({
+      ...values,
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : []
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Location created',
+      data: { location: location.toAPIResponse() }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `"${req.body.name}" already exists there`
+      });
+    }
+
+    console.error('Create location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating location'
+    });
+  }
+});
+
+// @route   PUT /api/locations/:id
+// @desc    Update a location; a new parentId moves it with everything below it
+// @access  Private (Admin)
+router.put('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const location = await findLocation(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const { values, errors } = parseLocation(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const moving = values.parent !== undefined && String(values.parent) !== String(location.parent);
+    const parentId = values.parent !== undefined ? values.parent : location.parent;
+    const parent = parentId ? await Location.findById(parentId) : null;
+    if (parentId && !parent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent location not found'
+      });
+    }
+
+    const type = values.type || location.type;
+    const children = await Location.find({ parent: location._id }).select('type').lean();
+    const placementError = checkPlacement(type, parent, location)
+      || (children.some(child => level(child.type) <= level(type)) ? `A ${type} can't contain its current children` : null);
+    if (placementError) {
+      return res.status(400).json({
+        success: false,
+        message: placementError
+      });
+    }
+
+    // Devices in the node carry its name as their location, so dynamic
+    // groups filtering on the old name would lose them
+    const renamed = values.name !== undefined && values.name !== location.name;
+    const uids = renamed ? await Device.distinct('uid', { locationId: location._id }) : [];
+    if (uids.length > 0) {
+      const groups = await groupsMatchingLocation(location.name, values.name);
+      if (groups.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `The filters of device groups ${groups.map(group => `"${group.name}"`).join(', ')} match the devices here by location "${location.name}", change them before renaming`
+        });
+      }
+    }
+
+    const previousName = location.name;
+    const previousAncestors = location.ancestors;
+    location.set({ ...values, parent: parent ? parent._id : null });
+    if (moving) location.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+    await location.save();
+
+    // Nodes below keep their path under this node
+    if (moving) {
+      const descendants = await Location.find({ ancestors: location._id }).select('ancestors').lean();
+      if (descendants.length > 0) {
+        await Location.bulkWrite(descendants.map(node => ({
+          updateOne: {
+            filter: { _id: node._id },
+            update: { $set: { ancestors: [...location.ancestors, ...node.ancestors.slice(previousAncestors.length)] } }
+          }
+        })));
+      }
+    }
+
+    // Devices in the node carry its name as their location, and rules and
+    // silences scoped to the old name follow them. The old name is kept in
+    // the scopes while other devices still have it.
+    if (uids.length > 0) {
+      await Device.updateMany({ locationId: location._id }, { $set: { location: location.name } });
+
+      const scoped = { 'scope.locations': previousName };
+      const update = await Device.exists({ location: previousName })
+        ? { $addToSet: { 'scope.locations': location.name } }
+        : { $set: { 'scope.locations.$': location.name } };
+      await Promise.all([AlertRule.updateMany(scoped, update), Silence.updateMany(scoped, update)]);
+
+      uids.forEach(uid => alertEngine.invalidateDevice(uid));
+      alertEngine.invalidateRules();
+      silenceService.invalidate();
+    }
+
+    res.json({
+      success: true,
+      message: 'Location updated',
+      data: { location: location.toAPIResponse() }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A location with that name already exists there'
+      });
+    }
+
+    console.error('Update location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating location'
+    });
+  }
+});
+
+// @route   DELETE /api/locations/:id
+// @desc    Delete a location without children or assigned devices
+// @access  Private (Admin)
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const location = await findLocation(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const [children, devices] = await Promise.all([
+      Location.countDocuments({ parent: location._id }),
+      Device.countDocuments({ locationId: location._id })
+    ]);
+    if (children > 0 || devices > 0) {
+      return res.status(409).json({
+        success: false,
+        message: children > 0
+          ? `Move or delete the ${children} locations inside it first`
+          : `Move the ${devices} devices assigned to it first`
+      });
+    }
+
+    await location.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Location deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting location'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const Device = require('../models/Device');
+const MetadataField = require('../models/MetadataField');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/metadata-fields
+// @desc    Get the custom device metadata fields
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const fields = await MetadataField.find().sort({ key: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        fields: fields.map(field => field.toAPIResponse())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get metadata fields error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching metadata fields'
+    });
+  }
+});
+
+// @route   POST /api/metadata-fields
+// @desc    Define a metadata field (key, type: string|number|boolean|date, label, description)
+// @access  Private (Admin)
+router.post('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const { key, type, label, description } = req.body;
+
+    const field = await MetadataField.create({ key, type, label, description });
+
+    res.status(201).json({
+      success: true,
+      message: 'Metadata field created',
+      data: { field: field.toAPIResponse() }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Metadata field "${req.body.key}" already exists`
+      });
+    }
+
+    console.error('Create metadata field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating metadata field'
+    });
+  }
+});
+
+// @route   PUT /api/metadata-fields/:key
+// @desc    Update a field's label and description; the key and type are fixed
+//          since devices store values under them
+// @access  Private (Admin)
+router.put('/:key', auth, requireAdmin, async (req, res) => {
+  try {
+    const field = await MetadataField.findOne({ key: req.params.key });
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Metadata field not found'
+      });
+    }
+
+    const { type, label, description } = req.body;
+    if (type !== undefined && type !== field.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'The type of a field can\'t change, delete and recreate it instead'
+      });
+    }
+
+    if (label !== undefined) field.label = label;
+    if (description !== undefined) field.description = description;
+    await field.save();
+
+    res.json({
+      success: true,
+      message: 'Metadata field updated',
+      data: { field: field.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Update metadata field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating metadata field'
+    });
+  }
+});
+
+// @route   DELETE /api/metadata-fields/:key
+// @desc    Delete a field and its values on every device
+// @access  Private (Admin)
+router.delete('/:key', auth, requireAdmin, async (req, res) => {
+  try {
+    const field = await MetadataField.findOneAndDelete({ key: req.params.key });
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Metadata field not found'
+      });
+    }
+
+    const result = await Device.updateMany(
+      { [`metadata.${field.key}`]: { $exists: true } },
+      { $unset: { [`metadata.${field.key}`]: '' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Metadata field deleted',
+      data: { devicesUpdated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Delete metadata field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting metadata field'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const { metricRegistry } = require('../services/metrics');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/metrics
+// @desc    Get metric definitions and the metrics reported by each device type
+// @access  Private
+router.get('/', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: metricRegistry.toJSON()
+  });
+});
+
+module.exports = router;
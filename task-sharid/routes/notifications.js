@@ -0,0 +1,297 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const NotificationChannel = require('../models/NotificationChannel');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const AlertRule = require('../models/AlertRule');
+const notificationService = require('../services/notifications');
+const { renderJson } = require('../services/channels');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const toStringList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Pick and check channel fields from a request body. `type` can't change on
+// update, so it comes from the stored channel.
+const parseChannel = (body, { type = body.type, partial = false } = {}) => {
+  const values = {};
+  const errors = [];
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) errors.push('Name is required');
+    values.name = body.name;
+  }
+  if (body.enabled !== undefined) values.enabled = Boolean(body.enabled);
+  if (!partial) {
+    if (!NotificationChannel.TYPES.includes(type)) {
+      errors.push(`Type must be one of ${NotificationChannel.TYPES.join(', ')}`);
+    }
+    values.type = type;
+  }
+
+  if (type === 'webhook' && (!partial || body.webhook !== undefined)) {
+    const webhook = body.webhook || {};
+    const set = (field, value) => { values[`webhook.${field}`] = value; };
+
+    if (!partial || webhook.url !== undefined) {
+      try {
+        const url = new URL(webhook.url);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+        set('url', webhook.url);
+      } catch (error) {
+        errors.push('Webhook URL must be an http(s) URL');
+      }
+    }
+    if (webhook.headers !== undefined) {
+      const headers = webhook.headers || {};
+      if (typeof headers !== 'object' || Array.isArray(headers)
+        || Object.values(headers).some(value => typeof value !== 'string')) {
+        errors.push('Webhook headers must be an object of strings');
+      }
+      set('headers', headers);
+    }
+    if (webhook.template !== undefined) {
+      const template = webhook.template || '';
+      if (template) {
+        try {
+          renderJson(template, {});
+        } catch (error) {
+          errors.push(`Webhook template is not valid JSON: ${error.message}`);
+        }
+      }
+      set('template', template);
+    }
+    // An empty secret turns signing off
+    if (webhook.secret !== undefined) {
+      set('secret', webhook.secret || undefined);
+    }
+  }
+
+  if (type === 'email' && (!partial || body.email !== undefined)) {
+    const email = body.email || {};
+
+    if (!partial || email.to !== undefined) {
+      const to = toStringList(email.to);
+      if (to.length === 0) errors.push('At least one recipient is required');
+      const invalid = to.filter(address => !EMAIL_PATTERN.test(address));
+      if (invalid.length > 0) errors.push(`Invalid email address: ${invalid.join(', ')}`);
+      values['email.to'] = to;
+    }
+    if (email.subject !== undefined && String(email.subject).trim()) {
+      values['email.subject'] = String(email.subject).trim();
+    }
+  }
+
+  return { values, errors };
+};
+
+const findChannel = (id) => mongoose.Types.ObjectId.isValid(id)
+  ? NotificationChannel.findById(id).select('+webhook.secret')
+  : null;
+
+// @route   GET /api/notifications/channels
+// @desc    List notification channels
+// @access  Private (admin)
+router.get('/channels', auth, requireAdmin, async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        channels: channels.map(channel => channel.toAPIResponse()),
+        types: NotificationChannel.TYPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification channels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification channels'
+    });
+  }
+});
+
+// @route   POST /api/notifications/channels
+// @desc    Create a notification channel
+// @access  Private (admin)
+router.post('/channels', auth, requireAdmin, async (req, res) => {
+  try {
+    const { values, errors } = parseChannel(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const channel = new NotificationChannel({ createdBy: req.user.userId });
+    channel.set(values);
+    await channel.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Notification channel created',
+      data: { channel: channel.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Create notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating notification channel'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/channels/:id
+// @desc    Update a notification channel
+// @access  Private (admin)
+router.put('/channels/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const channel = await findChannel(req.params.id);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    const { values, errors } = parseChannel(req.body, { type: channel.type, partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    channel.set(values);
+    await channel.save();
+
+    res.json({
+      success: true,
+      message: 'Notification channel updated',
+      data: { channel: channel.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Update notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification channel'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/channels/:id
+// @desc    Delete a notification channel and detach it from alert rules
+// @access  Private (admin)
+router.delete('/channels/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const channel = await findChannel(req.params.id);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    await channel.deleteOne();
+    await AlertRule.updateMany({}, {
+      $pull: { channels: channel._id, 'escalations.$[].channels': channel._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification channel deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting notification channel'
+    });
+  }
+});
+
+// @route   POST /api/notifications/channels/:id/test
+// @desc    Send a sample alert through a channel
+// @access  Private (admin)
+router.post('/channels/:id/test', auth, requireAdmin, async (req, res) => {
+  try {
+    const channel = await findChannel(req.params.id);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    const delivery = await notificationService.test(channel);
+    const delivered = delivery.status === 'delivered';
+
+    res.status(delivered ? 200 : 502).json({
+      success: delivered,
+      message: delivered ? 'Test notification sent' : `Test notification failed: ${delivery.lastError}`,
+      data: { delivery: delivery.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Test notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while testing notification channel'
+    });
+  }
+});
+
+// @route   GET /api/notifications/deliveries
+// @desc    List notification deliveries (status, channel, alert filters)
+// @access  Private (admin)
+router.get('/deliveries', auth, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, channel, alert } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (channel && mongoose.Types.ObjectId.isValid(channel)) filter.channel = channel;
+    if (alert && mongoose.Types.ObjectId.isValid(alert)) filter.alert = alert;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      NotificationDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(delivery => delivery.toAPIResponse()),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification deliveries'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const retentionService = require('../services/retention');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/retention
+// @desc    Retention policy, how far rollups go and document counts
+// @access  Private (admin)
+router.get('/', auth, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await retentionService.getStatus()
+    });
+
+  } catch (error) {
+    console.error('Get retention status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching retention status'
+    });
+  }
+});
+
+// @route   POST /api/retention/run
+// @desc    Roll up and prune now instead of waiting for the next run
+// @access  Private (admin)
+router.post('/run', auth, requireAdmin, async (req, res) => {
+  try {
+    const result = await retentionService.run();
+    if (!result) {
+      return res.status(500).json({
+        success: false,
+        message: 'Retention job failed, see the server log'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Retention job finished',
+      data: { result }
+    });
+
+  } catch (error) {
+    console.error('Run retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running retention job'
+    });
+  }
+});
+
+module.exports = router;
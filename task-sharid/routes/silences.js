@@ -0,0 +1,311 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Silence = require('../models/Silence');
+const SilencedEvent = require('../models/SilencedEvent');
+const silenceService = require('../services/silences');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Recurring windows repeat the first occurrence, so it has to fit in a week
+const MAX_RECURRING_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const toStringList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Pick and check silence fields from a request body. Updates are merged into
+// `current` before the schedule is checked.
+const parseSilence = (body, current = {}) => {
+  const values = {};
+  const errors = [];
+
+  if (body.type !== undefined) {
+    if (!Silence.TYPES.includes(body.type)) errors.push(`Type must be one of ${Silence.TYPES.join(', ')}`);
+    values.type = body.type;
+  }
+  if (body.name !== undefined || !current.name) {
+    if (!body.name || !String(body.name).trim()) errors.push('Name is required');
+    values.name = body.name;
+  }
+  if (body.scope !== undefined) {
+    const scope = body.scope || {};
+    values.scope = {
+      deviceIds: toStringList(scope.deviceIds),
+      locations: toStringList(scope.locations),
+      deviceTypes: toStringList(scope.deviceTypes)
+    };
+  }
+
+  // New silences start now unless told otherwise
+  if (body.startsAt !== undefined || !current.startsAt) {
+    values.startsAt = body.startsAt ? toDate(body.startsAt) : new Date();
+    if (!values.startsAt) errors.push('startsAt must be a date');
+  }
+  if (body.endsAt !== undefined || !current.endsAt) {
+    values.endsAt = toDate(body.endsAt);
+    if (!values.endsAt) errors.push('endsAt must be a date');
+  }
+
+  if (body.recurrence !== undefined) {
+    const recurrence = body.recurrence || {};
+    values.recurrence = {
+      frequency: recurrence.frequency || 'none',
+      daysOfWeek: (recurrence.daysOfWeek || []).map(Number),
+      until: recurrence.until ? toDate(recurrence.until) : undefined
+    };
+
+    if (!Silence.FREQUENCIES.includes(values.recurrence.frequency)) {
+      errors.push(`Recurrence must be one of ${Silence.FREQUENCIES.join(', ')}`);
+    }
+    if (values.recurrence.daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('daysOfWeek must be 0 (Sunday) to 6');
+    }
+    if (values.recurrence.frequency === 'weekly' && values.recurrence.daysOfWeek.length === 0) {
+      errors.push('Weekly windows need at least one day');
+    }
+    if (recurrence.until && !values.recurrence.until) errors.push('until must be a date');
+  }
+
+  if (errors.length > 0) return { values, errors };
+
+  const merged = {
+    type: values.type || current.type || 'silence',
+    startsAt: values.startsAt || current.startsAt,
+    endsAt: values.endsAt || current.endsAt,
+    frequency: (values.recurrence || current.recurrence || {}).frequency || 'none'
+  };
+
+  if (merged.endsAt <= merged.startsAt) {
+    errors.push('endsAt must be after startsAt');
+  }
+  if (merged.frequency !== 'none') {
+    if (merged.type !== 'maintenance') errors.push('Only maintenance windows can recur');
+    if (merged.endsAt - merged.startsAt > MAX_RECURRING_DURATION_MS) {
+      errors.push('Recurring windows can last at most 7 days');
+    }
+  }
+
+  return { values, errors };
+};
+
+const findSilence = (id) => mongoose.Types.ObjectId.isValid(id) ? Silence.findById(id) : null;
+
+// @route   GET /api/silences
+// @desc    List silences and maintenance windows (state: current (default), expired, all)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type, state = 'current' } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+
+    if (state === 'current') {
+      Object.assign(filter, Silence.currentFilter());
+    } else if (state === 'expired') {
+      filter.$nor = [Silence.currentFilter()];
+    }
+
+    const silences = await Silence.find(filter).sort({ startsAt: -1 }).limit(200);
+
+    res.json({
+      success: true,
+      data: {
+        silences: silences.map(silence => silence.toAPIResponse())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get silences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching silences'
+    });
+  }
+});
+
+// @route   GET /api/silences/events
+// @desc    Audit log of alerts and offline notifications that were silenced
+// @access  Private
+router.get('/events', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, silence, deviceId, event, from, to } = req.query;
+    const filter = SilencedEvent.buildFilter({ silence, deviceId, event, from, to });
+
+    const [events, total] = await Promise.all([
+      SilencedEvent.find(filter)
+        .sort({ occurredAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      SilencedEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(item => item.toAPIResponse()),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get silenced events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching silenced events'
+    });
+  }
+});
+
+// @route   POST /api/silences
+// @desc    Create a silence or maintenance window
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { values, errors } = parseSilence(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const silence = await Silence.create({ ...values, createdBy: req.user.userId });
+    silenceService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      message: silence.type === 'maintenance' ? 'Maintenance window created' : 'Silence created',
+      data: { silence: silence.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Create silence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating silence'
+    });
+  }
+});
+
+// @route   PUT /api/silences/:id
+// @desc    Update a silence or maintenance window
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const silence = await findSilence(req.params.id);
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Silence not found'
+      });
+    }
+
+    const { values, errors } = parseSilence(req.body, silence);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    silence.set(values);
+    await silence.save();
+    silenceService.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Silence updated',
+      data: { silence: silence.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Update silence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating silence'
+    });
+  }
+});
+
+// @route   POST /api/silences/:id/expire
+// @desc    End a silence now (recurring windows stop repeating)
+// @access  Private
+router.post('/:id/expire', auth, async (req, res) => {
+  try {
+    const silence = await findSilence(req.params.id);
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Silence not found'
+      });
+    }
+
+    const now = new Date();
+    if (silence.recurrence.frequency !== 'none') {
+      silence.recurrence.until = now;
+    } else {
+      // A silence that hasn't started yet ends at its start
+      silence.endsAt = silence.startsAt > now ? silence.startsAt : now;
+    }
+    await silence.save();
+    silenceService.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Silence expired',
+      data: { silence: silence.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Expire silence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while expiring silence'
+    });
+  }
+});
+
+// @route   DELETE /api/silences/:id
+// @desc    Delete a silence; its silenced events stay in the audit log
+// @access  Private (admin)
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const silence = await findSilence(req.params.id);
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Silence not found'
+      });
+    }
+
+    await silence.deleteOne();
+    silenceService.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Silence deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete silence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting silence'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,469 @@
+const express = require('express');
+const fs = require('fs');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const Telemetry = require('../models/Telemetry');
+const ExportJob = require('../models/ExportJob');
+const telemetryExporter = require('../services/export');
+const { SYNC_MAX_ROWS } = require('../services/export');
+const ingestionPipeline = require('../services/ingestion');
+const { toList, parseFilters, buildFilter } = require('../services/telemetryQuery');
+const { metricRegistry } = require('../services/metrics');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SORT_FIELDS = ['timestamp', 'receivedAt', 'deviceId'];
+const MAX_LIMIT = 1000;
+// Readings per POST request
+const MAX_CREATE_BATCH = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reading fields returned along with the selected metrics
+const READING_FIELDS = 'deviceId uid deviceType firmware tts timestamp timeSource receivedAt clockSkewed anomalous anomalies aqi';
+
+const checkMetrics = (metrics, errors) => {
+  const unknown = metrics.filter(metric => !metricRegistry.getMetric(metric));
+  if (unknown.length > 0) errors.push(`Unknown metrics: ${unknown.join(', ')}`);
+};
+
+// Check the listing query: the telemetry filters (services/telemetryQuery.js)
+// plus metrics, sort, page and limit
+const parseListQuery = (query) => {
+  const { values, errors } = parseFilters(query);
+
+  values.metrics = toList(query.metrics);
+  checkMetrics(values.metrics, errors);
+
+  const sort = String(query.sort || '-timestamp');
+  const field = sort.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field) && !metricRegistry.getMetric(field)) {
+    errors.push(`sort must be ${SORT_FIELDS.join(', ')} or a metric, with "-" for descending`);
+  }
+  const direction = sort.startsWith('-') ? -1 : 1;
+  values.sort = { [SORT_FIELDS.includes(field) ? field : `data.${field}`]: direction, _id: direction };
+
+  values.page = parseInt(query.page || 1);
+  values.limit = Math.min(parseInt(query.limit || 50), MAX_LIMIT);
+  if (!(values.page >= 1) || !(values.limit >= 1)) {
+    errors.push('page and limit must be positive numbers');
+  }
+
+  return { values, errors };
+};
+
+const sendReadings = async (res, values, extra) => {
+  const { filter } = await buildFilter(values);
+  const select = values.metrics.length > 0
+    ? `${READING_FIELDS} ${values.metrics.map(metric => `data.${metric}`).join(' ')}`
+    : undefined;
+
+  const [readings, total] = await Promise.all([
+    Telemetry.find(filter)
+      .select(select)
+      .sort(values.sort)
+      .skip((values.page - 1) * values.limit)
+      .limit(values.limit)
+      .lean(),
+    Telemetry.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...extra,
+      readings: readings.map(reading => Telemetry.formatReading(reading)),
+      pagination: {
+        current: values.page,
+        pages: Math.ceil(total / values.limit),
+        total,
+        limit: values.limit
+      }
+    }
+  });
+};
+
+// @route   GET /api/telemetry
+// @desc    Query readings across devices: deviceIds, location, deviceType, from, to,
+//          where (e.g. temperature>25,humidity<=60), anomalous, metrics (returned
+//          metrics), sort (timestamp, receivedAt, deviceId or a metric; "-" for
+//          descending, default -timestamp), page, limit
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { values, errors } = parseListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    await sendReadings(res, values);
+
+  } catch (error) {
+    console.error('Get telemetry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching telemetry'
+    });
+  }
+});
+
+// @route   GET /api/telemetry/device/:id
+// @desc    Query readings of one device (by ID or UID), with the same parameters
+// @access  Private
+router.get('/device/:id', auth, async (req, res) => {
+  try {
+    const device = await Device.findByIdOrUid(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const { values, errors } = parseListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    await sendReadings(res, { ...values, deviceIds: [device.uid], location: undefined, deviceType: undefined }, {
+      device: {
+        id: device._id,
+        uid: device.uid,
+        name: device.name,
+        deviceType: device.deviceType
+      }
+    });
+
+  } catch (error) {
+    console.error('Get device telemetry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device telemetry'
+    });
+  }
+});
+
+// @route   GET /api/telemetry/stats
+// @desc    Per-metric min/max/avg and per-device reading counts and rates over a
+//          time range (default: the last 24 hours), with the same filters. Raw
+//          readings only, so ranges past raw retention are incomplete.
+// @access  Private
+router.get('/stats', auth, async (req, res) => {
+  try {
+    const { values, errors } = parseFilters(req.query);
+    values.metrics = toList(req.query.metrics);
+    checkMetrics(values.metrics, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const to = values.to ? new Date(values.to) : new Date();
+    const from = values.from ? new Date(values.from) : new Date(to.getTime() - 24 * HOUR_MS);
+    const { filter, devices } = await buildFilter({ ...values, from, to });
+    const metrics = values.metrics.length > 0
+      ? values.metrics
+      : metricRegistry.getReportedMetrics(Array.from(new Set(devices.map(device => device.deviceType))));
+
+    const counts = {
+      count: { $sum: 1 },
+      anomalous: { $sum: { $cond: [{ $eq: ['$anomalous', true] }, 1, 0] } },
+      firstReading: { $min: '$timestamp' },
+      lastReading: { $max: '$timestamp' }
+    };
+    const totalsGroup = { _id: null, ...counts };
+    for (const metric of metrics) {
+      const field = `$data.${metric}`;
+      totalsGroup[`${metric}_min`] = { $min: field };
+      totalsGroup[`${metric}_max`] = { $max: field };
+      totalsGroup[`${metric}_avg`] = { $avg: field };
+      totalsGroup[`${metric}_count`] = { $sum: { $cond: [{ $isNumber: field }, 1, 0] } };
+    }
+
+    const [[totals], perDevice] = await Promise.all([
+      Telemetry.aggregate([{ $match: filter }, { $group: totalsGroup }]),
+      Telemetry.aggregate([
+        { $match: filter },
+        { $group: { _id: '$deviceId', ...counts } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    const hours = (to - from) / HOUR_MS;
+    const metricStats = {};
+    for (const metric of metrics) {
+      if (!totals || !totals[`${metric}_count`]) continue;
+      metricStats[metric] = {
+        min: metricRegistry.round(metric, totals[`${metric}_min`]),
+        max: metricRegistry.round(metric, totals[`${metric}_max`]),
+        avg: metricRegistry.round(metric, totals[`${metric}_avg`]),
+        count: totals[`${metric}_count`]
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        count: totals ? totals.count : 0,
+        anomalous: totals ? totals.anomalous : 0,
+        metrics: metricStats,
+        devices: perDevice.map(device => ({
+          deviceId: device._id,
+          count: device.count,
+          anomalous: device.anomalous,
+          firstReading: device.firstReading,
+          lastReading: device.lastReading,
+          readingsPerHour: hours > 0 ? Math.round((device.count / hours) * 100) / 100 : null
+        })),
+        // Live ingestion queue counters since the server started
+        pipeline: ingestionPipeline.getStats()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get telemetry stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching telemetry statistics'
+    });
+  }
+});
+
+// Request reading -> JSON payload for the pipeline; `timestamp` is sent as the
+// reading's tts (in milliseconds) so it gets the same clock checks as device time
+const toReadingPayload = ({ deviceId, data, timestamp, tts, firmware }) => {
+  const payload = { uid: deviceId, fw: firmware, data };
+  if (tts !== undefined) {
+    payload.tts = tts;
+  } else if (timestamp !== undefined) {
+    payload.tts = new Date(timestamp).getTime();
+  }
+  return payload;
+};
+
+// @route   POST /api/telemetry
+// @desc    Create one reading or a batch (an array, or `{ readings: [...] }`) for
+//          registered devices: deviceId, data, timestamp (default now), tts, firmware.
+//          Readings go through the ingestion pipeline like MQTT and HTTP ingestion.
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const single = !Array.isArray(req.body) && !Array.isArray(req.body.readings);
+    const readings = single ? [req.body] : (Array.isArray(req.body) ? req.body : req.body.readings);
+
+    if (readings.length === 0 || readings.length > MAX_CREATE_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `Send between 1 and ${MAX_CREATE_BATCH} readings`
+      });
+    }
+
+    const uids = readings.map(reading => reading && typeof reading.deviceId === 'string' ? reading.deviceId : null);
+    const registered = new Set(await Device.distinct('uid', { uid: { $in: uids.filter(Boolean) } }));
+
+    // Started together so the readings share batch flushes
+    const results = await Promise.all(readings.map(async (reading, index) => {
+      if (!reading || typeof reading !== 'object' || Array.isArray(reading)) {
+        return { index, success: false, reason: 'not_an_object', error: 'Not an object' };
+      }
+      if (!uids[index]) {
+        return { index, success: false, reason: 'missing_device', error: 'deviceId is required' };
+      }
+      if (!registered.has(uids[index])) {
+        return { index, success: false, reason: 'unknown_device', error: `Unknown device "${uids[index]}"` };
+      }
+      if (reading.timestamp !== undefined && Number.isNaN(new Date(reading.timestamp).getTime())) {
+        return { index, success: false, reason: 'invalid_timestamp', error: 'timestamp is not a valid date' };
+      }
+
+      await ingestionPipeline.waitForCapacity();
+      const result = await ingestionPipeline.ingestReading(uids[index], toReadingPayload(reading), {
+        deadLetter: false,
+        waitForPersist: true
+      });
+      return result.success
+        ? { index, success: true, id: result.telemetry._id }
+        : { index, success: false, reason: result.reason, error: result.error };
+    }));
+
+    const created = results.filter(result => result.success).length;
+    const duplicates = results.filter(result => result.reason === 'duplicate').length;
+    const rejected = results.length - created - duplicates;
+
+    if (single && created === 0) {
+      return res.status(results[0].reason === 'queue_full' ? 503 : 422).json({
+        success: false,
+        message: results[0].error,
+        data: { results }
+      });
+    }
+
+    res.status(created > 0 ? 201 : 200).json({
+      success: true,
+      message: `${created} created, ${duplicates} duplicates skipped, ${rejected} rejected`,
+      data: { created, duplicates, rejected, results }
+    });
+
+  } catch (error) {
+    console.error('Create telemetry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating telemetry'
+    });
+  }
+});
+
+const findJob = (id, select) => mongoose.Types.ObjectId.isValid(id) ? ExportJob.findById(id).select(select) : null;
+
+// Jobs are visible to the user who started them and to admins
+const canSeeJob = (job, user) => user.role === 'admin' || String(job.createdBy) === String(user.userId);
+
+// @route   GET /api/telemetry/export
+// @desc    Export telemetry as CSV, NDJSON or XLSX (format, deviceIds, location, deviceType,
+//          from, to, metrics). Streams the file, or starts a background job (202) for large
+//          exports or `async=true`.
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const { values, errors } = telemetryExporter.parseQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const { format, filters } = values;
+    const query = await telemetryExporter.buildQuery(filters);
+    const rows = await telemetryExporter.countRows(query.filter);
+
+    if (req.query.async === 'true' || rows > SYNC_MAX_ROWS) {
+      const job = await telemetryExporter.createJob(format, filters, req.user.userId);
+      return res.status(202).json({
+        success: true,
+        message: `Export of ${rows} rows started`,
+        data: { job: job.toAPIResponse() }
+      });
+    }
+
+    res.set({
+      'Content-Type': telemetryExporter.contentType(format),
+      'Content-Disposition': `attachment; filename="telemetry-${new Date().toISOString().slice(0, 10)}.${format}"`
+    });
+    await telemetryExporter.write(res, format, query);
+
+  } catch (error) {
+    console.error('Export telemetry error:', error);
+    // Once streaming started the status can't change; cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting telemetry'
+    });
+  }
+});
+
+// @route   GET /api/telemetry/export/jobs
+// @desc    List your recent export jobs
+// @access  Private
+router.get('/export/jobs', auth, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ createdBy: req.user.userId })
+      .select('+downloadToken')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: { jobs: jobs.map(job => job.toAPIResponse()) }
+    });
+
+  } catch (error) {
+    console.error('Get export jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching export jobs'
+    });
+  }
+});
+
+// @route   GET /api/telemetry/export/jobs/:id
+// @desc    Status of an export job, with the download link once completed
+// @access  Private
+router.get('/export/jobs/:id', auth, async (req, res) => {
+  try {
+    const job = await findJob(req.params.id, '+downloadToken');
+    if (!job || !canSeeJob(job, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job: job.toAPIResponse() }
+    });
+
+  } catch (error) {
+    console.error('Get export job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching export job'
+    });
+  }
+});
+
+// @route   GET /api/telemetry/export/jobs/:id/download
+// @desc    Download the file of a completed export job
+// @access  Public with the job's download token (`token`), so the link works in a browser
+router.get('/export/jobs/:id/download', async (req, res) => {
+  try {
+    const job = await findJob(req.params.id, '+downloadToken');
+    const token = Buffer.from(String(req.query.token || ''));
+    const expected = job && job.downloadToken ? Buffer.from(job.downloadToken) : null;
+    const valid = expected && token.length === expected.length && crypto.timingSafeEqual(token, expected);
+
+    if (!valid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    const filePath = telemetryExporter.getFilePath(job);
+    if (job.status !== 'completed' || !fs.existsSync(filePath)) {
+      return res.status(410).json({
+        success: false,
+        message: job.status === 'completed' || job.status === 'expired'
+          ? 'Export has expired'
+          : 'Export is not ready yet'
+      });
+    }
+
+    res.set('Content-Type', telemetryExporter.contentType(job.format));
+    res.download(filePath, job.getFileName());
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading export'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { metricRegistry } = require('../services/metrics');
+const bulkImporter = require('../services/import');
+const { ImportError, detectFormat, TARGETS } = require('../services/import');
+
+const USAGE = `Usage: node scripts/importData.js <file> [options]
+
+Options:
+  --target <${TARGETS.join('|')}>  What the file holds (default: telemetry)
+  --format <json|ndjson|csv>    File format (default: from the extension or content)
+  --map <column:field,...>      Rename columns, e.g. sensor:deviceId,temp_c:temperature
+  --delimiter <char>            CSV delimiter (default: ,)
+  --dry-run                     Validate and report without writing anything
+  --no-create-devices           Reject readings of unknown devices instead of registering them
+  --report <file>               Write the full report (all rejected rows) as JSON`;
+
+const parseArgs = (argv) => {
+  const args = { createDevices: true, dryRun: false };
+  const valueOptions = { '--target': 'target', '--format': 'format', '--map': 'mapping', '--delimiter': 'delimiter', '--report': 'report' };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (valueOptions[arg]) {
+      if (argv[i + 1] === undefined) throw new ImportError(`${arg} needs a value`);
+      args[valueOptions[arg]] = argv[i + 1];
+      i += 1;
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--no-create-devices') {
+      args.createDevices = false;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (!arg.startsWith('--') && !args.file) {
+      args.file = arg;
+    } else {
+      throw new ImportError(`Unknown option ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+// First bytes of the file, to tell JSON arrays, NDJSON and CSV apart
+const readSample = (file) => {
+  const buffer = Buffer.alloc(64);
+  const fd = fs.openSync(file, 'r');
+  try {
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, buffer.length, 0)).toString();
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+async function importData(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (args.help || !args.file) {
+    console.log(USAGE);
+    return args.help ? 0 : 1;
+  }
+  if (!fs.existsSync(args.file)) {
+    console.error(`❌ File not found: ${args.file}`);
+    return 1;
+  }
+
+  metricRegistry.configureFromEnv();
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/iot-devices');
+    console.log('✅ Connected to MongoDB');
+
+    const format = args.format || detectFormat({ fileName: args.file, sample: readSample(args.file) });
+    console.log(`📥 Importing ${args.target || 'telemetry'} from ${args.file} (${format})${args.dryRun ? ', dry run' : ''}`);
+
+    const report = await bulkImporter.run(fs.createReadStream(args.file), {
+      target: args.target,
+      format,
+      mapping: args.mapping,
+      delimiter: args.delimiter,
+      dryRun: args.dryRun,
+      createDevices: args.createDevices,
+      maxRejections: Infinity
+    });
+
+    console.log(`\n📋 ${report.rows} rows: ${report.imported} ${report.dryRun ? 'to import' : 'imported'}, ${report.duplicates} duplicates skipped, ${report.rejected} rejected`);
+    console.log(`   Devices: ${report.devices.created} created, ${report.devices.updated} updated, ${report.devices.unchanged} unchanged`);
+    if (report.locations.created > 0) {
+      console.log(`   Locations: ${report.locations.created} rooms created`);
+    }
+    if (report.ignoredFields.length > 0) {
+      console.log(`   Ignored fields: ${report.ignoredFields.join(', ')}`);
+    }
+    if (report.rollups) {
+      console.log(`   Rollups rebuilt: ${report.rollups}`);
+    }
+
+    report.rejections.slice(0, 20).forEach(({ row, errors }) => {
+      console.log(`   ⚠️ Row ${row}: ${errors.join('; ')}`);
+    });
+    if (report.rejected > 20 && !args.report) {
+      console.log(`   ... and ${report.rejected - 20} more, use --report to get all of them`);
+    }
+
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+      console.log(`\n📝 Report written to ${args.report}`);
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`❌ Import failed: ${error instanceof ImportError ? error.message : error.stack}`);
+    return 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run the import
+if (require.main === module) {
+  importData().then(code => process.exit(code));
+}
+
+module.exports = importData;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Device = require('../models/Device');
+const Location = require('../models/Location');
+const { nodesByName } = require('../services/locations');
+
+const USAGE = `Usage: node scripts/migrateLocations.js [options]
+
+Assigns devices that have a location name but no location node to the node
+of that name (case-insensitive).
+
+Options:
+  --create    Create a top-level room for names no node has yet
+  --dry-run   Report what would change without writing anything`;
+
+// Location of devices that never had one set
+const DEFAULT_LOCATION = 'Unknown';
+
+const parseArgs = (argv) => {
+  const args = { create: false, dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === '--create') {
+      args.create = true;
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+async function migrateLocations(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/iot-devices');
+    console.log('✅ Connected to MongoDB');
+
+    const unassigned = { locationId: null, location: { $nin: [null, '', DEFAULT_LOCATION] } };
+    const names = await Device.distinct('location', unassigned);
+    const byName = await nodesByName(names);
+    const counts = { assigned: 0, created: 0, ambiguous: [], unmatched: [] };
+
+    for (const name of names) {
+      let nodes = byName.get(name.toLowerCase()) || [];
+
+      if (nodes.length > 1) {
+        counts.ambiguous.push(`${name} (${nodes.length} nodes)`);
+        continue;
+      }
+      if (nodes.length === 0) {
+        if (!args.create) {
+          counts.unmatched.push(name);
+          continue;
+        }
+        nodes = [args.dryRun ? { name } : await Location.create({ name, type: 'room' })];
+        counts.created += 1;
+      }
+
+      const [node] = nodes;
+      const filter = { ...unassigned, location: name };
+      const result = args.dryRun
+        ? { modifiedCount: await Device.countDocuments(filter) }
+        : await Device.updateMany(filter, { $set: { locationId: node._id, location: node.name } });
+      counts.assigned += result.modifiedCount;
+      console.log(`   ${name} → ${node.type || 'room'} "${node.name}": ${result.modifiedCount} devices`);
+    }
+
+    console.log(`\n📋 ${counts.assigned} devices assigned, ${counts.created} rooms created${args.dryRun ? ' (dry run)' : ''}`);
+    if (counts.ambiguous.length > 0) {
+      console.log(`   ⚠️ Names used by several nodes, assign these devices by hand: ${counts.ambiguous.join(', ')}`);
+    }
+    if (counts.unmatched.length > 0) {
+      console.log(`   ⚠️ No node named ${counts.unmatched.join(', ')}; create them or run with --create`);
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`❌ Migration failed: ${error.stack}`);
+    return 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run the migration
+if (require.main === module) {
+  migrateLocations().then(code => process.exit(code));
+}
+
+module.exports = migrateLocations;
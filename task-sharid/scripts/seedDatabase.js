@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Device = require('../models/Device');
+const Location = require('../models/Location');
 const Telemetry = require('../models/Telemetry');
 require('dotenv').config();
 
@@ -52,6 +53,31 @@ async function seedDatabase() {
       console.log(`ℹ️ Regular user already exists: ${userEmail}`);
     }
 
+    // Create sample locations: a site, its building, two floors and their rooms
+    const findOrCreateLocation = async (name, type, parent = null) => {
+      const existing = await Location.findOne({ parent: parent ? parent._id : null, name });
+      if (existing) return existing;
+
+      const location = await Location.create({
+        name,
+        type,
+        parent: parent ? parent._id : null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : []
+      });
+      console.log(`✅ Created ${type}: ${name}`);
+      return location;
+    };
+
+    const home = await findOrCreateLocation('Home', 'site');
+    const house = await findOrCreateLocation('House', 'building', home);
+    const groundFloor = await findOrCreateLocation('Ground Floor', 'floor', house);
+    const firstFloor = await findOrCreateLocation('First Floor', 'floor', house);
+    const rooms = {
+      'Living Room': await findOrCreateLocation('Living Room', 'room', groundFloor),
+      'Kitchen': await findOrCreateLocation('Kitchen', 'room', groundFloor),
+      'Bedroom': await findOrCreateLocation('Bedroom', 'room', firstFloor)
+    };
+
     // Create sample devices
     const sampleDevices = [
       {
@@ -78,9 +104,10 @@ async function seedDatabase() {
       const existingDevice = await Device.findOne({ uid: deviceData.uid });
       
       if (!existingDevice) {
-        const device = new Device(deviceData);
+        const device = new Device({ ...deviceData, locationId: rooms[deviceData.location]._id });
+        const secret = device.issueSecret();
         await device.save();
-        console.log(`✅ Created sample device: ${deviceData.name}`);
+        console.log(`✅ Created sample device: ${deviceData.name} (device key: ${secret})`);
         
         // Create sample telemetry data for each device
         const sampleReadings = [];
@@ -92,6 +119,7 @@ async function seedDatabase() {
           sampleReadings.push({
             deviceId: deviceData.uid,
             uid: deviceData.uid,
+            deviceType: deviceData.deviceType,
             firmware: '1.0.0',
             tts: Math.floor(timestamp.getTime() / 1000),
             data: {
@@ -100,6 +128,7 @@ async function seedDatabase() {
               pm25: parseFloat((Math.random() * 50).toFixed(2)) // 0-50 μg/m³
             },
             timestamp: timestamp,
+            timeSource: 'device',
             receivedAt: timestamp
           });
         }
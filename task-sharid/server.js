@@ -10,9 +10,38 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const deviceRoutes = require('./routes/devices');
-
-// Import MQTT worker
+const metricRoutes = require('./routes/metrics');
+const deadLetterRoutes = require('./routes/deadLetters');
+const ingestRoutes = require('./routes/ingest');
+const alertRoutes = require('./routes/alerts');
+const notificationRoutes = require('./routes/notifications');
+const silenceRoutes = require('./routes/silences');
+const retentionRoutes = require('./routes/retention');
+const telemetryRoutes = require('./routes/telemetry');
+const importRoutes = require('./routes/import');
+const metadataFieldRoutes = require('./routes/metadataFields');
+const deviceGroupRoutes = require('./routes/deviceGroups');
+const locationRoutes = require('./routes/locations');
+
+// Metric definitions (custom ones come from METRICS_CONFIG), payload
+// decoders (MQTT_DECODER_MODULES, MQTT_DEFAULT_DECODER) and AQI scales
+// (AQI_SCALE_MODULES, AQI_SCALE)
+const { metricRegistry } = require('./services/metrics');
+const { decoderRegistry } = require('./services/decoders');
+const aqiCalculator = require('./services/aqi');
+metricRegistry.configureFromEnv();
+decoderRegistry.configureFromEnv();
+aqiCalculator.configureFromEnv();
+
+// Import MQTT worker and ingestion pipeline
 const mqttWorker = require('./workers/mqttWorker');
+const ingestionPipeline = require('./services/ingestion');
+const presenceMonitor = require('./services/presence');
+const alertEngine = require('./services/alerts');
+const notificationService = require('./services/notifications');
+const anomalyDetector = require('./services/anomaly');
+const retentionService = require('./services/retention');
+const telemetryExporter = require('./services/export');
 
 const app = express();
 const server = http.createServer(app);
@@ -26,7 +55,9 @@ const io = socketIo(server, {
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Device ingestion has its own per-device limit (routes/ingest.js)
+  skip: (req) => req.path.startsWith('/api/ingest/')
 });
 
 // Trust proxy for rate limiting
@@ -39,6 +70,10 @@ app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:3000",
   credentials: true
 }));
+// Device payloads are passed to the decoders as raw bytes
+app.use('/api/ingest', express.raw({ type: () => true, limit: '1mb' }));
+// Import files are read by the importer as they were uploaded
+app.use('/api/import', express.raw({ type: () => true, limit: process.env.IMPORT_MAX_BODY_SIZE || '50mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -70,13 +105,26 @@ app.set('io', io);
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/devices', deviceRoutes);
+app.use('/api/metrics', metricRoutes);
+app.use('/api/dead-letters', deadLetterRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/silences', silenceRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/telemetry', telemetryRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/metadata-fields', metadataFieldRoutes);
+app.use('/api/device-groups', deviceGroupRoutes);
+app.use('/api/locations', locationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    mqtt: mqttWorker.getStatus()
   });
 });
 
@@ -101,12 +149,39 @@ server.listen(PORT, () => {
   
   // Start MQTT worker
   mqttWorker.start(io);
+
+  // Track device online/offline status
+  presenceMonitor.setSocket(io);
+  presenceMonitor.start();
+
+  // Push alert updates to the dashboard
+  alertEngine.setSocket(io);
+
+  // Deliver alerts to webhooks/email, retry failures and escalate
+  notificationService.start();
+
+  // Save anomaly detection baselines periodically
+  anomalyDetector.start();
+
+  // Roll up telemetry and apply the retention policy
+  retentionService.start();
+
+  // Run background telemetry exports and remove expired files
+  telemetryExporter.start();
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  await mqttWorker.stop();
+  presenceMonitor.stop();
+  notificationService.stop();
+  await retentionService.stop();
+  telemetryExporter.stop();
+  server.close(async () => {
+    // Write out buffered telemetry before closing the database
+    await ingestionPipeline.drain();
+    await anomalyDetector.stop();
     mongoose.connection.close();
     process.exit(0);
   });
@@ -0,0 +1,307 @@
+const Telemetry = require('../models/Telemetry');
+const { TelemetryHourly, TelemetryDaily } = require('../models/TelemetryRollup');
+const retentionService = require('./retention');
+const { HOUR_MS, DAY_MS } = require('./retention');
+const { metricRegistry } = require('./metrics');
+
+const INTERVAL_UNITS = { m: 'minute', h: 'hour', d: 'day' };
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+// Upper bound on buckets per request, so a 5m interval over a year is refused
+const MAX_BUCKETS = parseInt(process.env.AGGREGATE_MAX_BUCKETS) || 2000;
+const DEFAULT_PERCENTILES = [50, 90, 95, 99];
+const DEFAULT_TIMEZONE = process.env.AGGREGATE_TIMEZONE || 'UTC';
+
+// "5m", "1h", "1d" -> { name, unit, binSize, ms }; null when not understood
+const parseInterval = (interval) => {
+  const match = /^(\d+)([mhd])$/.exec(String(interval || '').trim());
+  if (!match || parseInt(match[1]) < 1) return null;
+
+  const unit = INTERVAL_UNITS[match[2]];
+  const binSize = parseInt(match[1]);
+  return { name: match[0], unit, binSize, ms: binSize * UNIT_MS[unit] };
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minutes `timeZone` is ahead of UTC at `date`
+const timezoneOffsetMinutes = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value);
+  });
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((local - date.getTime()) / 60000);
+};
+
+// Rollups (services/retention.js), coarsest first. They can serve intervals
+// made of whole rollup buckets whose boundaries match the time zone's.
+const ROLLUP_SOURCES = [
+  { resolution: 'day', model: TelemetryDaily, unitMs: DAY_MS, aligned: offset => offset === 0 },
+  { resolution: 'hour', model: TelemetryHourly, unitMs: HOUR_MS, aligned: offset => offset % 60 === 0 }
+];
+
+// Linear interpolation between closest ranks, as $percentile does for small sets
+const percentileOf = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Time-bucketed statistics over telemetry of one or more devices, computed
+// by MongoDB. Bucket boundaries follow `timezone`, so daily buckets start at
+// local midnight. $percentile needs MongoDB 7; older servers get the
+// percentiles computed here from the bucket's values instead.
+//
+// Ranges older than raw retention are served from the hourly or daily
+// rollups, coarsest first; everything raw readings still cover comes from
+// them. Rollups keep min/max/sum/count, so responses that use them have no
+// percentiles.
+class TelemetryAggregator {
+  constructor() {
+    this.nativePercentiles = true;
+  }
+
+  buildPipeline({ deviceIds, from, to, interval, metrics, percentiles, timezone }, native) {
+    const group = {
+      _id: {
+        $dateTrunc: { date: '$timestamp', unit: interval.unit, binSize: interval.binSize, timezone }
+      },
+      count: { $sum: 1 }
+    };
+
+    for (const metric of metrics) {
+      const field = `$data.${metric}`;
+      group[`${metric}_min`] = { $min: field };
+      group[`${metric}_max`] = { $max: field };
+      group[`${metric}_avg`] = { $avg: field };
+      group[`${metric}_count`] = { $sum: { $cond: [{ $isNumber: field }, 1, 0] } };
+      if (percentiles.length > 0) {
+        group[`${metric}_p`] = native
+          ? { $percentile: { input: field, p: percentiles.map(p => p / 100), method: 'approximate' } }
+          : { $push: field };
+      }
+    }
+
+    return [
+      { $match: { deviceId: { $in: deviceIds }, timestamp: { $gte: from, $lt: to } } },
+      { $group: group },
+      { $sort: { _id: 1 } }
+    ];
+  }
+
+  formatBucket(row, { metrics, percentiles }, native) {
+    const bucket = { start: row._id, count: row.count, metrics: {} };
+
+    for (const metric of metrics) {
+      const count = row[`${metric}_count`];
+      if (!count) continue;
+
+      const stats = {
+        min: metricRegistry.round(metric, row[`${metric}_min`]),
+        max: metricRegistry.round(metric, row[`${metric}_max`]),
+        avg: metricRegistry.round(metric, row[`${metric}_avg`]),
+        count
+      };
+
+      if (percentiles.length > 0) {
+        let values = row[`${metric}_p`];
+        if (!native) {
+          const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+          values = percentiles.map(p => percentileOf(sorted, p));
+        }
+        percentiles.forEach((p, index) => {
+          stats[`p${p}`] = metricRegistry.round(metric, values[index]);
+        });
+      }
+
+      bucket.metrics[metric] = stats;
+    }
+
+    return bucket;
+  }
+
+  // Split [from, to) into segments served by a rollup (`source`) or by raw
+  // readings (`source: null`). Rollups only serve what raw retention no
+  // longer covers, so recent ranges keep their percentiles. A raw segment
+  // that starts before raw retention (no rollup fits the interval or time
+  // zone) gets `availableFrom`, where its readings start.
+  async plan({ from, to, interval, timezone }) {
+    const coverage = await retentionService.getCoverage();
+    const offsets = [from, to].map(date => timezoneOffsetMinutes(date, timezone));
+    const segments = [];
+    let cursor = from;
+
+    // Raw readings are kept from the start of the hour holding raw.from
+    const rawFrom = coverage.raw.from;
+    if (!rawFrom) return [{ source: null, from, to }];
+
+    for (const source of ROLLUP_SOURCES) {
+      if (interval.ms % source.unitMs !== 0 || !offsets.every(source.aligned)) continue;
+
+      const { until: rolledUntil } = coverage[source.resolution];
+      const rawStart = new Date(Math.floor(rawFrom.getTime() / source.unitMs) * source.unitMs);
+      const until = rolledUntil && rolledUntil < rawStart ? rolledUntil : rawStart;
+      if (!rolledUntil || cursor >= until) continue;
+
+      const end = to < until ? to : until;
+      segments.push({ source, from: cursor, to: end });
+      cursor = end;
+      if (cursor >= to) break;
+    }
+
+    if (cursor < to) {
+      const availableFrom = new Date(Math.floor(rawFrom.getTime() / HOUR_MS) * HOUR_MS);
+      segments.push({ source: null, from: cursor, to, ...(cursor < availableFrom && { availableFrom }) });
+    }
+    return segments;
+  }
+
+  // min/max/sum/count per bucket of one segment, so segments can be merged
+  buildSummaryPipeline({ deviceIds, interval, metrics, timezone }, { source, from, to }) {
+    const timeField = source ? 'bucket' : 'timestamp';
+    const group = {
+      _id: {
+        $dateTrunc: { date: `$${timeField}`, unit: interval.unit, binSize: interval.binSize, timezone }
+      },
+      count: source ? { $sum: '$count' } : { $sum: 1 }
+    };
+
+    for (const metric of metrics) {
+      if (source) {
+        group[`${metric}_min`] = { $min: `$stats.${metric}.min` };
+        group[`${metric}_max`] = { $max: `$stats.${metric}.max` };
+        group[`${metric}_sum`] = { $sum: `$stats.${metric}.sum` };
+        group[`${metric}_count`] = { $sum: `$stats.${metric}.count` };
+      } else {
+        const field = `$data.${metric}`;
+        group[`${metric}_min`] = { $min: field };
+        group[`${metric}_max`] = { $max: field };
+        group[`${metric}_sum`] = { $sum: field };
+        group[`${metric}_count`] = { $sum: { $cond: [{ $isNumber: field }, 1, 0] } };
+      }
+    }
+
+    // A rollup bucket counts when it starts inside the range or holds `from`
+    const range = source
+      ? { $gt: new Date(from.getTime() - source.unitMs), $lt: to }
+      : { $gte: from, $lt: to };
+
+    return [
+      { $match: { deviceId: { $in: deviceIds }, [timeField]: range } },
+      { $group: group }
+    ];
+  }
+
+  async aggregateSegments(query, segments) {
+    const results = await Promise.all(segments.map(segment =>
+      (segment.source ? segment.source.model : Telemetry).aggregate(this.buildSummaryPipeline(query, segment))
+    ));
+
+    // Buckets split between segments are merged
+    const rows = new Map();
+    for (const row of results.flat()) {
+      const key = row._id.getTime();
+      const merged = rows.get(key);
+      if (!merged) {
+        rows.set(key, row);
+        continue;
+      }
+
+      merged.count += row.count;
+      for (const metric of query.metrics) {
+        if (!row[`${metric}_count`]) continue;
+        if (!merged[`${metric}_count`]) {
+          ['min', 'max', 'sum', 'count'].forEach(stat => {
+            merged[`${metric}_${stat}`] = row[`${metric}_${stat}`];
+          });
+          continue;
+        }
+        merged[`${metric}_min`] = Math.min(merged[`${metric}_min`], row[`${metric}_min`]);
+        merged[`${metric}_max`] = Math.max(merged[`${metric}_max`], row[`${metric}_max`]);
+        merged[`${metric}_sum`] += row[`${metric}_sum`];
+        merged[`${metric}_count`] += row[`${metric}_count`];
+      }
+    }
+
+    return Array.from(rows.values())
+      .sort((a, b) => a._id - b._id)
+      .map(row => {
+        query.metrics.forEach(metric => {
+          if (row[`${metric}_count`]) row[`${metric}_avg`] = row[`${metric}_sum`] / row[`${metric}_count`];
+        });
+        return this.formatBucket(row, { metrics: query.metrics, percentiles: [] }, true);
+      });
+  }
+
+  // `deviceIds` are uids; `interval` comes from parseInterval. Returns
+  // `{ resolution, percentiles, partial, availableFrom, buckets }`;
+  // `resolution` is the coarsest data used (day, hour or raw). `partial`
+  // means the range starts before the data that could serve it, which starts
+  // at `availableFrom`; earlier buckets are missing, not empty.
+  async aggregate(options) {
+    const query = { percentiles: DEFAULT_PERCENTILES, timezone: DEFAULT_TIMEZONE, ...options };
+
+    const segments = await this.plan(query);
+    const { availableFrom = null } = segments[segments.length - 1];
+    const coverage = { partial: Boolean(availableFrom), availableFrom };
+
+    if (segments[0].source) {
+      return {
+        resolution: segments[0].source.resolution,
+        percentiles: [],
+        ...coverage,
+        buckets: await this.aggregateSegments(query, segments)
+      };
+    }
+
+    let native = this.nativePercentiles;
+    let rows;
+    try {
+      rows = await Telemetry.aggregate(this.buildPipeline(query, native));
+    } catch (error) {
+      if (!native || !/\$percentile/.test(error.message)) throw error;
+
+      console.warn('⚠️ MongoDB has no $percentile (needs 7.0), computing percentiles in the API');
+      this.nativePercentiles = native = false;
+      rows = await Telemetry.aggregate(this.buildPipeline(query, native));
+    }
+
+    return {
+      resolution: 'raw',
+      percentiles: query.percentiles,
+      ...coverage,
+      buckets: rows.map(row => this.formatBucket(row, query, native))
+    };
+  }
+}
+
+// Create singleton instance
+const telemetryAggregator = new TelemetryAggregator();
+
+module.exports = telemetryAggregator;
+module.exports.parseInterval = parseInterval;
+module.exports.isValidTimezone = isValidTimezone;
+module.exports.timezoneOffsetMinutes = timezoneOffsetMinutes;
+module.exports.MAX_BUCKETS = MAX_BUCKETS;
+module.exports.DEFAULT_PERCENTILES = DEFAULT_PERCENTILES;
+module.exports.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
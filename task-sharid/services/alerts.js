@@ -0,0 +1,304 @@
+const EventEmitter = require('events');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const Device = require('../models/Device');
+const silenceService = require('./silences');
+const { loadMemberSets } = require('./deviceGroups');
+const { toPlainData } = require('./metrics');
+
+// Rules, the members of the device groups they are scoped to and device
+// details are cached; rule and group changes through the API reload them
+// immediately (invalidateRules)
+const RULE_CACHE_TTL_MS = 60 * 1000;
+const DEVICE_CACHE_TTL_MS = 60 * 1000;
+
+const stateKey = (ruleId, deviceId) => `${ruleId}:${deviceId}`;
+
+// Evaluates alert rules against stored telemetry. A rule fires once its
+// condition has held for `durationSeconds` (measured on reading timestamps)
+// and the alert resolves itself on the first reading that no longer breaches.
+//
+// Maintenance windows keep alerts from being raised for the devices they
+// cover; silences let the alert open but mute its notifications. Both are
+// recorded as silenced events.
+//
+// Emits 'triggered' (alert, rule), 'acknowledged' (alert) and 'resolved'
+// (alert) for notification channels, and pushes `alert:update` and
+// `system:notification` events over socket.io.
+class AlertEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.io = null;
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    // Member uids of the device groups in rule scopes, by group id
+    this.groupMembers = new Map();
+    this.loading = null;
+    // Open/acknowledged alert per rule and device
+    this.active = new Map();
+    // Per rule and device: when the condition started to hold and the newest reading seen
+    this.states = new Map();
+    this.devices = new Map();
+    // Evaluations run one batch at a time so state updates don't interleave
+    this.chain = Promise.resolve();
+  }
+
+  setSocket(socketIo) {
+    this.io = socketIo;
+  }
+
+  invalidateRules() {
+    this.rules = null;
+  }
+
+  async loadRules() {
+    if (this.rules && Date.now() - this.rulesLoadedAt < RULE_CACHE_TTL_MS) {
+      return this.rules;
+    }
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        const [rules, alerts] = await Promise.all([
+          AlertRule.find({ enabled: true }),
+          Alert.find({ status: { $in: Alert.ACTIVE_STATUSES } })
+        ]);
+
+        const groupIds = Array.from(new Set(rules.flatMap(rule => rule.scope.groups.map(String))));
+        this.groupMembers = groupIds.length > 0 ? await loadMemberSets(groupIds) : new Map();
+
+        this.active = new Map(alerts.map(alert => [stateKey(alert.rule, alert.deviceId), alert]));
+        this.rules = rules;
+        this.rulesLoadedAt = Date.now();
+        return rules;
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async getDevice(uid) {
+    const cached = this.devices.get(uid);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.device;
+    }
+
+    const device = await Device.findOne({ uid }).select('uid name location deviceType').lean()
+      || { uid, name: uid };
+    this.devices.set(uid, { device, expiresAt: Date.now() + DEVICE_CACHE_TTL_MS });
+    return device;
+  }
+
+  // `readings` are stored Telemetry documents (deviceId, timestamp, data, anomalies)
+  evaluate(readings) {
+    this.chain = this.chain
+      .then(() => this.evaluateReadings(readings))
+      .catch(error => console.error('❌ Alert evaluation failed:', error));
+    return this.chain;
+  }
+
+  async evaluateReadings(readings) {
+    const rules = await this.loadRules();
+    if (rules.length === 0) return;
+
+    for (const reading of readings) {
+      const device = await this.getDevice(reading.deviceId);
+      const data = toPlainData(reading.data);
+
+      for (const rule of rules) {
+        const value = data[rule.metric];
+        if (typeof value !== 'number' || !rule.appliesTo(device, this.groupMembers)) continue;
+
+        await this.evaluateRule(rule, device, value, rule.isBreached(value, reading), new Date(reading.timestamp));
+      }
+    }
+  }
+
+  async evaluateRule(rule, device, value, breached, timestamp) {
+    const key = stateKey(rule._id, device.uid);
+    const state = this.states.get(key) || { since: null, lastAt: null, suppressed: false };
+
+    // Late readings can't change the current state
+    if (state.lastAt && timestamp < state.lastAt) return;
+    state.lastAt = timestamp;
+    this.states.set(key, state);
+
+    const alert = this.active.get(key);
+
+    if (!breached) {
+      state.since = null;
+      state.suppressed = false;
+      if (alert) {
+        await this.resolve(alert, { value, by: 'auto' });
+      }
+      return;
+    }
+
+    state.since = state.since || timestamp;
+
+    if (alert) {
+      alert.lastValue = value;
+      await Alert.updateOne({ _id: alert._id }, { lastValue: value });
+    } else if (timestamp - state.since >= rule.durationSeconds * 1000) {
+      const maintenance = await silenceService.find(device, { type: 'maintenance', at: timestamp });
+      if (!maintenance) {
+        await this.trigger(rule, device, value, timestamp);
+      } else if (!state.suppressed) {
+        // Recorded once per breach; it fires normally if still breaching after the window
+        state.suppressed = true;
+        await silenceService.record(maintenance, {
+          event: 'alert',
+          deviceId: device.uid,
+          rule: rule._id,
+          value,
+          message: `${rule.name}: ${rule.metric} is ${value} on ${device.name || device.uid} (${rule.describeCondition()})`
+        });
+      }
+    }
+  }
+
+  async trigger(rule, device, value, timestamp = new Date()) {
+    const silence = await silenceService.find(device, { type: 'silence', at: timestamp });
+    const alert = await Alert.create({
+      rule: rule._id,
+      ruleName: rule.name,
+      condition: rule.describeCondition(),
+      severity: rule.severity,
+      deviceId: device.uid,
+      metric: rule.metric,
+      triggerValue: value,
+      lastValue: value,
+      message: `${rule.name}: ${rule.metric} is ${value} on ${device.name || device.uid} (${rule.describeCondition()})`,
+      silence: silence ? silence._id : undefined
+    });
+
+    this.active.set(stateKey(rule._id, device.uid), alert);
+    console.warn(`🚨 Alert triggered: ${alert.message}`);
+
+    if (silence) {
+      await silenceService.record(silence, {
+        event: 'alert',
+        deviceId: alert.deviceId,
+        rule: rule._id,
+        alert: alert._id,
+        value,
+        message: alert.message
+      });
+    }
+
+    this.emitUpdate(alert);
+    if (this.io && !silence) {
+      this.io.emit('system:notification', {
+        type: 'alert',
+        alertId: alert._id,
+        deviceId: alert.deviceId,
+        severity: alert.severity,
+        message: alert.message
+      });
+    }
+
+    this.emit('triggered', alert, rule);
+    return alert;
+  }
+
+  async acknowledge(alert, userId, comment = '') {
+    if (alert.status !== 'open') return alert;
+
+    alert.status = 'acknowledged';
+    alert.acknowledgedAt = new Date();
+    alert.acknowledgedBy = userId;
+    alert.acknowledgeComment = comment;
+    await alert.save();
+
+    this.track(alert);
+    this.emitUpdate(alert);
+    this.emit('acknowledged', alert);
+    return alert;
+  }
+
+  // `by` is 'auto' when the condition cleared, else who/what closed the alert
+  async resolve(alert, { value, by }) {
+    if (alert.status === 'resolved') return alert;
+
+    alert.status = 'resolved';
+    alert.resolvedAt = new Date();
+    alert.resolvedValue = value;
+    alert.resolvedBy = by;
+    await alert.save();
+
+    const key = stateKey(alert.rule, alert.deviceId);
+    this.active.delete(key);
+    const state = this.states.get(key);
+    if (state) state.since = null;
+
+    console.log(`✅ Alert resolved (${by}): ${alert.message}`);
+
+    this.emitUpdate(alert);
+    if (this.io && by === 'auto' && !alert.silence) {
+      this.io.emit('system:notification', {
+        type: 'alert_resolved',
+        alertId: alert._id,
+        deviceId: alert.deviceId,
+        message: `Resolved: ${alert.ruleName} on ${alert.deviceId}`
+      });
+    }
+
+    this.emit('resolved', alert);
+    return alert;
+  }
+
+  // Close the active alerts of a rule that was deleted or disabled
+  async resolveRuleAlerts(ruleId, by) {
+    const alerts = await Alert.find({ rule: ruleId, status: { $in: Alert.ACTIVE_STATUSES } });
+    for (const alert of alerts) {
+      await this.resolve(alert, { by });
+    }
+    return alerts.length;
+  }
+
+  // Close the active alerts of a device that was deleted
+  async resolveDeviceAlerts(uid, by) {
+    const alerts = await Alert.find({ deviceId: uid, status: { $in: Alert.ACTIVE_STATUSES } });
+    for (const alert of alerts) {
+      await this.resolve(alert, { by });
+    }
+    return alerts.length;
+  }
+
+  // Pick up a changed device name or location
+  invalidateDevice(uid) {
+    this.devices.delete(uid);
+  }
+
+  // Drop all state of a device whose alerts were deleted for good
+  forgetDevice(uid) {
+    for (const map of [this.active, this.states]) {
+      for (const key of map.keys()) {
+        if (key.slice(key.indexOf(':') + 1) === uid) map.delete(key);
+      }
+    }
+    this.invalidateDevice(uid);
+  }
+
+  // Keep the in-memory copy in sync with alerts changed through the API
+  track(alert) {
+    const key = stateKey(alert.rule, alert.deviceId);
+    if (Alert.ACTIVE_STATUSES.includes(alert.status)) {
+      this.active.set(key, alert);
+    } else {
+      this.active.delete(key);
+    }
+  }
+
+  emitUpdate(alert) {
+    if (this.io) {
+      this.io.emit('alert:update', alert.toAPIResponse());
+    }
+  }
+}
+
+// Create singleton instance
+const alertEngine = new AlertEngine();
+
+module.exports = alertEngine;
@@ -0,0 +1,214 @@
+const Device = require('../models/Device');
+const AnomalyBaseline = require('../models/AnomalyBaseline');
+const { metricRegistry, toPlainData } = require('./metrics');
+
+// Smoothing factor of the moving averages; smaller adapts more slowly
+const ALPHA = parseFloat(process.env.ANOMALY_EWMA_ALPHA) || 0.1;
+// Readings a baseline needs before it scores anything
+const MIN_SAMPLES = parseInt(process.env.ANOMALY_MIN_SAMPLES) || 30;
+const SAVE_INTERVAL_MS = (parseInt(process.env.ANOMALY_SAVE_INTERVAL_SECONDS) || 60) * 1000;
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+const HOURS = 24;
+
+const emptyStats = () => ({ mean: 0, variance: 0, count: 0 });
+
+const emptyBaseline = () => ({
+  overall: emptyStats(),
+  hourly: Array.from({ length: HOURS }, emptyStats),
+  lastTimestamp: null
+});
+
+// Exponentially weighted mean and variance. Early on the weight is 1/count,
+// so the first readings give a plain average instead of anchoring on the first one.
+const updateStats = (stats, value) => {
+  if (stats.count === 0) {
+    stats.mean = value;
+    stats.variance = 0;
+  } else {
+    const alpha = Math.max(ALPHA, 1 / (stats.count + 1));
+    const diff = value - stats.mean;
+    const increment = alpha * diff;
+    stats.mean += increment;
+    stats.variance = (1 - alpha) * (stats.variance + diff * increment);
+  }
+  stats.count += 1;
+};
+
+// A flat signal has no variance; 0.1% of the metric's range keeps tiny
+// changes from scoring huge z-scores
+const minStdDev = (metricName) => {
+  const metric = metricRegistry.getMetric(metricName);
+  if (!metric || !Number.isFinite(metric.min) || !Number.isFinite(metric.max)) return 1e-6;
+  return (metric.max - metric.min) * 0.001;
+};
+
+// Scores readings against rolling per-device, per-metric baselines during
+// ingestion. Devices opt in with `anomalyDetection` (method, metrics,
+// zScore). Flagged readings get `anomalous` and `anomalies` on the Telemetry
+// document; 'anomaly' alert rules raise alerts from them.
+class AnomalyDetector {
+  constructor() {
+    this.configs = new Map();
+    // uid -> Promise<Map<metric, baseline>>
+    this.baselines = new Map();
+    this.dirty = new Set();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.save().catch(error => console.error('❌ Failed to save anomaly baselines:', error));
+    }, SAVE_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.save();
+  }
+
+  async getConfig(uid) {
+    const cached = this.configs.get(uid);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.config;
+    }
+
+    const device = await Device.findOne({ uid }).select('anomalyDetection').lean();
+    const config = device && device.anomalyDetection && device.anomalyDetection.enabled
+      ? device.anomalyDetection
+      : null;
+    this.configs.set(uid, { config, expiresAt: Date.now() + CONFIG_CACHE_TTL_MS });
+    return config;
+  }
+
+  getBaselines(uid) {
+    if (!this.baselines.has(uid)) {
+      const loading = AnomalyBaseline.find({ deviceId: uid }).lean().then(documents => new Map(
+        documents.map(({ metric, overall, hourly, lastTimestamp }) => [metric, {
+          overall: { ...emptyStats(), ...overall },
+          hourly: Array.from({ length: HOURS }, (unused, hour) => ({ ...emptyStats(), ...(hourly[hour] || {}) })),
+          lastTimestamp
+        }])
+      ));
+      // Don't cache a failed load
+      loading.catch(() => this.baselines.delete(uid));
+      this.baselines.set(uid, loading);
+    }
+    return this.baselines.get(uid);
+  }
+
+  // Scores `telemetry` (an unsaved Telemetry document) and updates the
+  // baselines. Late readings are scored but don't move the baseline. Never
+  // throws: a detector failure must not block ingestion.
+  async inspect(telemetry) {
+    try {
+      const uid = telemetry.deviceId;
+      const config = await this.getConfig(uid);
+      if (!config) return [];
+
+      const baselines = await this.getBaselines(uid);
+      const data = toPlainData(telemetry.data);
+      const timestamp = new Date(telemetry.timestamp);
+      const hour = timestamp.getHours();
+      const metrics = config.metrics.length > 0 ? config.metrics : Object.keys(data);
+      const anomalies = [];
+
+      for (const metric of metrics) {
+        const value = data[metric];
+        if (typeof value !== 'number') continue;
+
+        if (!baselines.has(metric)) baselines.set(metric, emptyBaseline());
+        const baseline = baselines.get(metric);
+
+        const seasonal = config.method === 'seasonal' && baseline.hourly[hour].count >= MIN_SAMPLES;
+        const stats = seasonal ? baseline.hourly[hour] : baseline.overall;
+
+        if (stats.count >= MIN_SAMPLES) {
+          const stdDev = Math.max(Math.sqrt(stats.variance), minStdDev(metric));
+          const zScore = (value - stats.mean) / stdDev;
+
+          if (Math.abs(zScore) >= config.zScore) {
+            anomalies.push({
+              metric,
+              value,
+              mean: Math.round(stats.mean * 1000) / 1000,
+              stdDev: Math.round(stdDev * 1000) / 1000,
+              zScore: Math.round(zScore * 100) / 100,
+              method: seasonal ? 'seasonal' : 'ewma'
+            });
+          }
+        }
+
+        if (!baseline.lastTimestamp || timestamp >= baseline.lastTimestamp) {
+          updateStats(baseline.overall, value);
+          updateStats(baseline.hourly[hour], value);
+          baseline.lastTimestamp = timestamp;
+          this.dirty.add(`${uid}\u0000${metric}`);
+        }
+      }
+
+      if (anomalies.length > 0) {
+        telemetry.anomalous = true;
+        telemetry.anomalies = anomalies;
+        console.warn(`📈 Anomalous reading from ${uid}: ${anomalies.map(a => `${a.metric}=${a.value} (z ${a.zScore})`).join(', ')}`);
+      }
+      return anomalies;
+    } catch (error) {
+      console.error('❌ Anomaly detection failed:', error);
+      return [];
+    }
+  }
+
+  // Write changed baselines
+  async save() {
+    if (this.dirty.size === 0) return 0;
+
+    const keys = Array.from(this.dirty);
+    this.dirty.clear();
+
+    const operations = [];
+    for (const key of keys) {
+      const [uid, metric] = key.split('\u0000');
+      const baselines = await this.baselines.get(uid);
+      const baseline = baselines && baselines.get(metric);
+      if (!baseline) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { deviceId: uid, metric },
+          update: { $set: { overall: baseline.overall, hourly: baseline.hourly, lastTimestamp: baseline.lastTimestamp } },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      await AnomalyBaseline.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  }
+
+  // Pick up a changed device configuration
+  invalidate(uid) {
+    this.configs.delete(uid);
+  }
+
+  // Forget what was learned for a device, e.g. after it was moved or recalibrated
+  async reset(uid) {
+    this.baselines.delete(uid);
+    for (const key of this.dirty) {
+      if (key.startsWith(`${uid}\u0000`)) this.dirty.delete(key);
+    }
+    await AnomalyBaseline.deleteMany({ deviceId: uid });
+  }
+}
+
+// Create singleton instance
+const anomalyDetector = new AnomalyDetector();
+
+module.exports = anomalyDetector;
+module.exports.MIN_SAMPLES = MIN_SAMPLES;
@@ -0,0 +1,196 @@
+const path = require('path');
+const Telemetry = require('../../models/Telemetry');
+const { toPlainData } = require('../metrics');
+const scales = require('./scales');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Overrides the averaging window of the active scale (hours)
+const AVERAGING_HOURS = parseInt(process.env.AQI_AVERAGING_HOURS) || null;
+
+// Index for a concentration on `scale`; values past the last breakpoint are
+// reported at the top of the scale
+const computeIndex = (scale, concentration) => {
+  const factor = Math.pow(10, scale.precision || 0);
+  const truncated = Math.floor(Math.max(concentration, 0) * factor) / factor;
+  const bands = scale.breakpoints;
+  const band = bands.find(item => truncated <= item.high) || bands[bands.length - 1];
+  const clamped = Math.min(Math.max(truncated, band.low), band.high);
+
+  const value = Math.round(
+    (band.indexHigh - band.indexLow) / (band.high - band.low) * (clamped - band.low) + band.indexLow
+  );
+
+  return { value, category: band.category, color: band.color };
+};
+
+// Computes the Air Quality Index of readings from a rolling average of their
+// pollutant (PM2.5) during ingestion. National scales are pluggable tables;
+// the active one is stored with every reading as `aqi`.
+class AqiCalculator {
+  constructor() {
+    this.scales = new Map();
+    this.scaleName = scales.usEpa.name;
+    // uid -> Promise<Map<hour start (ms), { sum, count }>>
+    this.histories = new Map();
+  }
+
+  // A scale is `{ name, label, metric, averagingHours, precision, breakpoints }`
+  register(scale) {
+    if (!scale || !scale.name || !scale.metric || !Array.isArray(scale.breakpoints) || scale.breakpoints.length === 0) {
+      throw new Error('An AQI scale needs a name, a metric and breakpoints');
+    }
+    this.scales.set(scale.name, scale);
+    return this;
+  }
+
+  get(name) {
+    return this.scales.get(name);
+  }
+
+  list() {
+    return Array.from(this.scales.keys());
+  }
+
+  useScale(name) {
+    if (!this.scales.has(name)) {
+      throw new Error(`Unknown AQI scale "${name}". Registered: ${this.list().join(', ')}`);
+    }
+    this.scaleName = name;
+    this.histories.clear();
+    return this;
+  }
+
+  getScale() {
+    return this.scales.get(this.scaleName);
+  }
+
+  getWindowMs() {
+    return (AVERAGING_HOURS || this.getScale().averagingHours || 24) * HOUR_MS;
+  }
+
+  // Index for a concentration on the active scale (or `scaleName`)
+  compute(concentration, scaleName = this.scaleName) {
+    const scale = this.scales.get(scaleName);
+    if (!scale || typeof concentration !== 'number' || !Number.isFinite(concentration)) return null;
+    return { ...computeIndex(scale, concentration), scale: scale.name };
+  }
+
+  // Hourly sums of the device's recent readings, seeded from stored telemetry
+  getHistory(uid) {
+    if (!this.histories.has(uid)) {
+      const { metric } = this.getScale();
+      const since = new Date(Date.now() - this.getWindowMs());
+
+      const loading = Telemetry.find({ deviceId: uid, timestamp: { $gte: since }, [`data.${metric}`]: { $exists: true } })
+        .select(`data.${metric} timestamp`)
+        .lean()
+        .then(readings => {
+          const buckets = new Map();
+          readings.forEach(reading => this.addToHistory(buckets, reading.timestamp, toPlainData(reading.data)[metric]));
+          return buckets;
+        });
+      // Don't cache a failed load
+      loading.catch(() => this.histories.delete(uid));
+      this.histories.set(uid, loading);
+    }
+    return this.histories.get(uid);
+  }
+
+  addToHistory(buckets, timestamp, value) {
+    if (typeof value !== 'number') return;
+
+    const hour = Math.floor(new Date(timestamp).getTime() / HOUR_MS) * HOUR_MS;
+    const bucket = buckets.get(hour) || { sum: 0, count: 0 };
+    bucket.sum += value;
+    bucket.count += 1;
+    buckets.set(hour, bucket);
+  }
+
+  // Average of the hourly averages in the window ending at `timestamp`
+  averageAt(buckets, timestamp) {
+    const end = new Date(timestamp).getTime();
+    const start = end - this.getWindowMs();
+    let total = 0;
+    let hours = 0;
+
+    for (const [hour, bucket] of buckets) {
+      if (hour + HOUR_MS > start && hour <= end) {
+        total += bucket.sum / bucket.count;
+        hours += 1;
+      }
+    }
+
+    return hours > 0 ? total / hours : null;
+  }
+
+  // Sets `aqi` on `telemetry` (an unsaved Telemetry document) when it carries
+  // the scale's pollutant. Never throws: a failure must not block ingestion.
+  async apply(telemetry) {
+    try {
+      const scale = this.getScale();
+      const value = toPlainData(telemetry.data)[scale.metric];
+      if (typeof value !== 'number') return null;
+
+      const uid = telemetry.deviceId;
+      const buckets = await this.getHistory(uid);
+      this.addToHistory(buckets, telemetry.timestamp, value);
+
+      // Drop hours that fell out of the window
+      const newest = Math.max(...buckets.keys());
+      for (const hour of buckets.keys()) {
+        if (hour < newest - this.getWindowMs()) buckets.delete(hour);
+      }
+
+      const concentration = this.averageAt(buckets, telemetry.timestamp);
+      const aqi = this.compute(concentration);
+      if (!aqi) return null;
+
+      telemetry.aqi = { ...aqi, concentration: Math.round(concentration * 10) / 10 };
+      return telemetry.aqi;
+    } catch (error) {
+      console.error('❌ AQI computation failed:', error);
+      return null;
+    }
+  }
+
+  // Load custom scale modules. A module either exports a scale or a function
+  // that receives the calculator and registers whatever it needs.
+  loadModules(modulePaths = []) {
+    for (const modulePath of modulePaths) {
+      const resolved = path.resolve(process.cwd(), modulePath);
+      const plugin = require(resolved);
+
+      if (typeof plugin === 'function') {
+        plugin(this);
+      } else {
+        this.register(plugin);
+      }
+
+      console.log(`🧩 Loaded AQI scale module: ${modulePath}`);
+    }
+    return this;
+  }
+
+  // AQI_SCALE_MODULES:  comma separated module paths
+  // AQI_SCALE:          scale stored with readings (default us-epa)
+  configureFromEnv(env = process.env) {
+    if (env.AQI_SCALE_MODULES) {
+      this.loadModules(env.AQI_SCALE_MODULES.split(',').map(p => p.trim()).filter(Boolean));
+    }
+
+    if (env.AQI_SCALE) {
+      this.useScale(env.AQI_SCALE);
+    }
+    return this;
+  }
+}
+
+// Create singleton instance
+const aqiCalculator = new AqiCalculator()
+  .register(scales.usEpa)
+  .register(scales.indiaNaqi);
+
+module.exports = aqiCalculator;
+module.exports.AqiCalculator = AqiCalculator;
+module.exports.computeIndex = computeIndex;
@@ -0,0 +1,42 @@
+// AQI scales: concentration breakpoints per category, interpolated linearly
+// between `low`/`high` and `indexLow`/`indexHigh`. Concentrations are
+// truncated to `precision` decimals before the lookup, as the scales specify.
+
+// US EPA PM2.5 breakpoints (2024 revision) on the 24 hour average, µg/m³
+const usEpa = {
+  name: 'us-epa',
+  label: 'US EPA',
+  metric: 'pm25',
+  averagingHours: 24,
+  precision: 1,
+  breakpoints: [
+    { low: 0, high: 9.0, indexLow: 0, indexHigh: 50, category: 'Good', color: '#00E400' },
+    { low: 9.1, high: 35.4, indexLow: 51, indexHigh: 100, category: 'Moderate', color: '#FFFF00' },
+    { low: 35.5, high: 55.4, indexLow: 101, indexHigh: 150, category: 'Unhealthy for Sensitive Groups', color: '#FF7E00' },
+    { low: 55.5, high: 125.4, indexLow: 151, indexHigh: 200, category: 'Unhealthy', color: '#FF0000' },
+    { low: 125.5, high: 225.4, indexLow: 201, indexHigh: 300, category: 'Very Unhealthy', color: '#8F3F97' },
+    { low: 225.5, high: 325.4, indexLow: 301, indexHigh: 500, category: 'Hazardous', color: '#7E0023' }
+  ]
+};
+
+// India National AQI (CPCB) PM2.5 breakpoints on the 24 hour average, µg/m³
+const indiaNaqi = {
+  name: 'in-naqi',
+  label: 'India NAQI',
+  metric: 'pm25',
+  averagingHours: 24,
+  precision: 0,
+  breakpoints: [
+    { low: 0, high: 30, indexLow: 0, indexHigh: 50, category: 'Good', color: '#00B050' },
+    { low: 31, high: 60, indexLow: 51, indexHigh: 100, category: 'Satisfactory', color: '#92D050' },
+    { low: 61, high: 90, indexLow: 101, indexHigh: 200, category: 'Moderately Polluted', color: '#FFFF00' },
+    { low: 91, high: 120, indexLow: 201, indexHigh: 300, category: 'Poor', color: '#FF9900' },
+    { low: 121, high: 250, indexLow: 301, indexHigh: 400, category: 'Very Poor', color: '#FF0000' },
+    { low: 251, high: 380, indexLow: 401, indexHigh: 500, category: 'Severe', color: '#C00000' }
+  ]
+};
+
+module.exports = {
+  usEpa,
+  indiaNaqi
+};
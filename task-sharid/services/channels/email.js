@@ -0,0 +1,65 @@
+const nodemailer = require('nodemailer');
+const { renderString } = require('./template');
+
+let transport = null;
+
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM. For local
+// testing point it at an SMTP stand-in such as MailHog (SMTP_PORT=1025).
+const getTransport = () => {
+  if (!transport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP is not configured (SMTP_HOST)');
+    }
+
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+};
+
+const formatBody = ({ event, alert, rule, escalationLevel }) => {
+  const lines = [
+    alert.message,
+    '',
+    `Event:     ${event}${escalationLevel ? ` (escalation ${escalationLevel})` : ''}`,
+    `Device:    ${alert.deviceId}`,
+    `Rule:      ${rule ? rule.name : alert.ruleName}`,
+    `Condition: ${alert.condition}`,
+    `Value:     ${alert.lastValue}`,
+    `Severity:  ${alert.severity}`,
+    `Status:    ${alert.status}`,
+    `Triggered: ${new Date(alert.triggeredAt).toISOString()}`
+  ];
+
+  if (alert.resolvedAt) {
+    lines.push(`Resolved:  ${new Date(alert.resolvedAt).toISOString()}`);
+  }
+  return lines.join('\n');
+};
+
+const send = async (channel, context) => {
+  const { to, subject } = channel.email;
+  if (!to || to.length === 0) {
+    throw new Error('Email channel has no recipients');
+  }
+
+  const info = await getTransport().sendMail({
+    from: process.env.SMTP_FROM || 'IoT Alerts <alerts@localhost>',
+    to: to.join(', '),
+    subject: renderString(subject, context),
+    text: formatBody(context)
+  });
+
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  send,
+  describeTarget: (channel) => channel.email.to.join(', ')
+};
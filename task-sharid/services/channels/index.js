@@ -0,0 +1,24 @@
+const webhook = require('./webhook');
+const email = require('./email');
+const { renderString, renderJson } = require('./template');
+
+// Senders by channel type: `send(channel, context)` resolves on delivery and
+// throws (optionally with `statusCode`) on failure
+const senders = {
+  webhook,
+  email
+};
+
+const getSender = (type) => {
+  const sender = senders[type];
+  if (!sender) {
+    throw new Error(`Unknown channel type "${type}"`);
+  }
+  return sender;
+};
+
+module.exports = {
+  getSender,
+  renderString,
+  renderJson
+};
@@ -0,0 +1,42 @@
+// "{{alert.message}}" style placeholders, resolved against the notification
+// context ({ event, alert, rule, escalationLevel, timestamp })
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+const lookup = (context, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  context
+);
+
+const renderString = (template, context) => template.replace(PLACEHOLDER, (match, path) => {
+  const value = lookup(context, path);
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+});
+
+// JSON body templates. A string that is only a placeholder is replaced by the
+// raw value, so numbers and objects keep their type ("{{alert}}" -> object).
+const renderJson = (template, context) => {
+  const render = (node) => {
+    if (typeof node === 'string') {
+      const single = node.match(SINGLE_PLACEHOLDER);
+      if (single) {
+        const value = lookup(context, single[1]);
+        return value === undefined ? null : value;
+      }
+      return renderString(node, context);
+    }
+    if (Array.isArray(node)) return node.map(render);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, render(value)]));
+    }
+    return node;
+  };
+
+  return render(typeof template === 'string' ? JSON.parse(template) : template);
+};
+
+module.exports = {
+  renderString,
+  renderJson
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { renderJson } = require('./template');
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// POSTs the rendered template (or the whole context) as JSON. With a secret,
+// `X-Webhook-Signature: sha256=<hex>` is the HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<body>" so receivers can verify and reject replays.
+const send = async (channel, context) => {
+  const { url, headers = {}, template, secret } = channel.webhook;
+  if (!url) {
+    throw new Error('Webhook URL is not set');
+  }
+
+  const body = JSON.stringify(template ? renderJson(template, context) : context);
+  const requestHeaders = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'iot-device-management',
+    'X-Webhook-Event': context.event,
+    ...headers
+  };
+
+  if (secret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    requestHeaders['X-Webhook-Timestamp'] = timestamp;
+    requestHeaders['X-Webhook-Signature'] = `sha256=${sign(secret, `${timestamp}.${body}`)}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: requestHeaders,
+    body,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Webhook responded with HTTP ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return { statusCode: response.status };
+};
+
+module.exports = {
+  send,
+  sign,
+  describeTarget: (channel) => channel.webhook.url || ''
+};
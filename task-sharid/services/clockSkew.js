@@ -0,0 +1,75 @@
+// Readings stamped before this are treated as coming from an unset device clock
+const MIN_VALID_DEVICE_TIME = Date.UTC(2000, 0, 1);
+
+// `tts` is seconds since the epoch; values that already look like
+// milliseconds are accepted as-is. Returns null when the device sent none.
+const ttsToDate = (tts) => {
+  if (!tts || typeof tts !== 'number' || !Number.isFinite(tts) || tts < 0) {
+    return null;
+  }
+  return new Date(tts > 1e12 ? tts : tts * 1000);
+};
+
+// Tracks the offset between each device's clock and the server clock.
+// Delivery delays and readings buffered during an outage only ever make the
+// observed offset larger, so the smallest offset over the last few readings
+// is used as the device's clock offset estimate.
+class ClockSkewMonitor {
+  constructor({
+    toleranceMs = (parseInt(process.env.CLOCK_SKEW_TOLERANCE_SECONDS) || 300) * 1000,
+    windowSize = 20
+  } = {}) {
+    this.toleranceMs = toleranceMs;
+    this.windowSize = windowSize;
+    this.devices = new Map();
+  }
+
+  // Returns the timestamp to store for a reading and the device's skew state:
+  // `{ timestamp, timeSource, skewMs, offsetMs, skewed, changed }`
+  observe(uid, tts, receivedAt = new Date()) {
+    const deviceTime = ttsToDate(tts);
+    const state = this.devices.get(uid) || { samples: [], skewed: false, offsetMs: null };
+
+    if (!deviceTime) {
+      return { timestamp: receivedAt, timeSource: 'server', skewMs: null, offsetMs: state.offsetMs, skewed: state.skewed, changed: false };
+    }
+
+    const skewMs = receivedAt.getTime() - deviceTime.getTime();
+
+    state.samples.push(skewMs);
+    if (state.samples.length > this.windowSize) {
+      state.samples.shift();
+    }
+
+    const offsetMs = Math.min(...state.samples);
+    const skewed = Math.abs(offsetMs) > this.toleranceMs || skewMs < -this.toleranceMs;
+    const changed = skewed !== state.skewed;
+
+    state.offsetMs = offsetMs;
+    state.skewed = skewed;
+    this.devices.set(uid, state);
+
+    // A clock that is unset or running ahead can't be trusted for the
+    // reading time; fall back to the server time for those readings
+    const implausible = deviceTime.getTime() < MIN_VALID_DEVICE_TIME || skewMs < -this.toleranceMs;
+
+    return {
+      timestamp: implausible ? receivedAt : deviceTime,
+      timeSource: implausible ? 'server' : 'device',
+      skewMs,
+      offsetMs,
+      skewed,
+      changed
+    };
+  }
+
+  getState(uid) {
+    const state = this.devices.get(uid);
+    return state ? { offsetMs: state.offsetMs, skewed: state.skewed } : null;
+  }
+}
+
+module.exports = {
+  ClockSkewMonitor,
+  ttsToDate
+};
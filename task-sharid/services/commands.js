@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const Command = require('../models/Command');
+
+const COMMAND_TOPIC_PREFIX = '/application/in/';
+const ACK_TOPIC_PREFIX = '/application/ack/';
+const ACK_TOPIC_FILTER = `${ACK_TOPIC_PREFIX}+`;
+
+const DEFAULT_TIMEOUT_SECONDS = parseInt(process.env.COMMAND_TIMEOUT_SECONDS) || 30;
+const MAX_TIMEOUT_SECONDS = 3600;
+const SWEEP_INTERVAL_MS = 5000;
+
+// Check a command request (command, params, timeoutSeconds).
+// Returns `{ values, errors }`.
+const parseCommandRequest = ({ command, params = {}, timeoutSeconds }) => {
+  const errors = [];
+
+  if (!command || typeof command !== 'string') {
+    errors.push('Command is required');
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push('Params must be an object');
+  }
+
+  const timeout = timeoutSeconds !== undefined ? parseInt(timeoutSeconds) : undefined;
+  if (timeout !== undefined && (!Number.isFinite(timeout) || timeout < 1 || timeout > MAX_TIMEOUT_SECONDS)) {
+    errors.push(`timeoutSeconds must be between 1 and ${MAX_TIMEOUT_SECONDS}`);
+  }
+
+  return {
+    errors,
+    values: {
+      command: typeof command === 'string' ? command.trim() : command,
+      params,
+      timeoutSeconds: timeout
+    }
+  };
+};
+
+// Downlink commands: publishes to /application/in/<uid>, matches device
+// replies on /application/ack/<uid> and times out unanswered commands.
+//
+// Command message: { "id": "<command id>", "command": "reboot", "params": {}, "ts": 1700000000 }
+// Device reply:    { "id": "<command id>", "status": "ok" | "error", "result": {}, "error": "..." }
+class CommandService {
+  constructor() {
+    this.io = null;
+    this.publisher = null;
+    this.sweepTimer = null;
+  }
+
+  setSocket(socketIo) {
+    this.io = socketIo;
+  }
+
+  // `publisher(topic, payload)` returns a promise; set by the MQTT worker
+  setPublisher(publisher) {
+    this.publisher = publisher;
+  }
+
+  start() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => {
+      this.sweepTimeouts().catch(error => console.error('❌ Command timeout sweep failed:', error));
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  async dispatch({ device, command, params = {}, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS, requestedBy }) {
+    const record = new Command({
+      deviceId: device.uid,
+      command,
+      params,
+      requestedBy,
+      topic: `${COMMAND_TOPIC_PREFIX}${device.uid}`,
+      timeoutAt: new Date(Date.now() + timeoutSeconds * 1000)
+    });
+    await record.save();
+    this.emitUpdate(record);
+
+    if (!this.publisher) {
+      return this.updateStatus(record, ['pending'], { status: 'failed', error: 'MQTT is not connected' });
+    }
+
+    try {
+      await this.publisher(record.topic, JSON.stringify({
+        id: record._id.toString(),
+        command: record.command,
+        params: record.params,
+        ts: Math.floor(Date.now() / 1000)
+      }));
+
+      // The ack may have been handled already (embedded broker); that wins
+      return this.updateStatus(record, ['pending'], { status: 'sent', sentAt: new Date() });
+    } catch (error) {
+      return this.updateStatus(record, ['pending'], { status: 'failed', error: `Publish failed: ${error.message}` });
+    }
+  }
+
+  isAckTopic(topic) {
+    return topic.startsWith(ACK_TOPIC_PREFIX);
+  }
+
+  // Match a device reply on /application/ack/<uid> to its command
+  async handleAck(topic, message) {
+    const deviceId = topic.slice(ACK_TOPIC_PREFIX.length);
+
+    let reply;
+    try {
+      reply = JSON.parse(message.toString());
+    } catch (error) {
+      console.warn(`⚠️ Invalid command ack from ${deviceId}: ${error.message}`);
+      return null;
+    }
+
+    if (!reply || !mongoose.Types.ObjectId.isValid(reply.id)) {
+      console.warn(`⚠️ Command ack from ${deviceId} has no valid command id`);
+      return null;
+    }
+
+    const record = await Command.findOne({ _id: reply.id, deviceId });
+    if (!record) {
+      console.warn(`⚠️ Command ack from ${deviceId} for unknown command ${reply.id}`);
+      return null;
+    }
+
+    if (!['pending', 'sent'].includes(record.status)) {
+      console.warn(`⚠️ Late ack for command ${reply.id} (already ${record.status})`);
+      return record;
+    }
+
+    const ok = reply.status === undefined || reply.status === 'ok';
+    return this.updateStatus(record, ['pending', 'sent'], ok
+      ? { status: 'acked', ackedAt: new Date(), response: reply.result }
+      : { status: 'failed', ackedAt: new Date(), response: reply.result, error: reply.error || 'Device reported an error' });
+  }
+
+  async sweepTimeouts() {
+    const expired = await Command.find({
+      status: { $in: ['pending', 'sent'] },
+      timeoutAt: { $lte: new Date() }
+    });
+
+    for (const record of expired) {
+      await this.updateStatus(record, ['pending', 'sent'], { status: 'timed_out', error: 'No acknowledgement from device' });
+    }
+    return expired.length;
+  }
+
+  // Apply `changes` only while the command is still in one of `from`, in one
+  // atomic update, so a dispatch, ack and timeout sweep racing on the same
+  // command can't overwrite each other. Returns the command as stored.
+  async updateStatus(record, from, changes) {
+    const updated = await Command.findOneAndUpdate(
+      { _id: record._id, status: { $in: from } },
+      { $set: changes },
+      { new: true }
+    );
+    if (!updated) {
+      return Command.findById(record._id);
+    }
+
+    this.emitUpdate(updated);
+    return updated;
+  }
+
+  emitUpdate(record) {
+    if (this.io) {
+      this.io.emit('command:update', record.toAPIResponse());
+    }
+  }
+}
+
+// Create singleton instance
+const commandService = new CommandService();
+
+module.exports = commandService;
+module.exports.ACK_TOPIC_FILTER = ACK_TOPIC_FILTER;
+module.exports.parseCommandRequest = parseCommandRequest;
@@ -0,0 +1,12 @@
+// Thrown by payload decoders to explain why a message was rejected.
+// `reason` is a short machine-readable code, `message` is human readable.
+class DecodeError extends Error {
+  constructor(reason, message, details = {}) {
+    super(message || reason);
+    this.name = 'DecodeError';
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+module.exports = DecodeError;
@@ -0,0 +1,38 @@
+const DecodeError = require('./DecodeError');
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+// Unwraps a base64 text payload and hands the bytes to an inner decoder
+// (binary frames by default, see decoders/index.js).
+const createBase64Decoder = ({ name = 'base64', inner }) => {
+  if (!inner || typeof inner.decode !== 'function') {
+    throw new Error(`Base64 decoder "${name}" needs an inner decoder`);
+  }
+
+  return {
+    name,
+    decode(message, context) {
+      const text = message.toString().trim();
+
+      if (!text || !BASE64_PATTERN.test(text)) {
+        throw new DecodeError('invalid_base64', 'Payload is not valid base64 text');
+      }
+
+      const bytes = Buffer.from(text, text.includes('-') || text.includes('_') ? 'base64url' : 'base64');
+      if (bytes.length === 0) {
+        throw new DecodeError('invalid_base64', 'Base64 payload decoded to zero bytes');
+      }
+
+      try {
+        return inner.decode(bytes, context);
+      } catch (error) {
+        if (error instanceof DecodeError) {
+          error.message = `${inner.name}: ${error.message}`;
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = createBase64Decoder;
@@ -0,0 +1,78 @@
+const DecodeError = require('./DecodeError');
+const { normalizePayload } = require('./normalize');
+
+// Little-endian readers keyed by field type
+const READERS = {
+  uint8: { size: 1, read: (buf, offset) => buf.readUInt8(offset) },
+  int8: { size: 1, read: (buf, offset) => buf.readInt8(offset) },
+  uint16: { size: 2, read: (buf, offset) => buf.readUInt16LE(offset) },
+  int16: { size: 2, read: (buf, offset) => buf.readInt16LE(offset) },
+  uint32: { size: 4, read: (buf, offset) => buf.readUInt32LE(offset) },
+  int32: { size: 4, read: (buf, offset) => buf.readInt32LE(offset) },
+  float32: { size: 4, read: (buf, offset) => buf.readFloatLE(offset) },
+  float64: { size: 8, read: (buf, offset) => buf.readDoubleLE(offset) }
+};
+
+// Default frame: tts (uint32) followed by temp, hum and pm2.5 (float32 each)
+const DEFAULT_LAYOUT = [
+  { name: 'tts', type: 'uint32' },
+  { name: 'temp', type: 'float32' },
+  { name: 'hum', type: 'float32' },
+  { name: 'pm2.5', type: 'float32' }
+];
+
+// Header fields that are copied to the payload root instead of `data`
+const HEADER_FIELDS = ['tts', 'fw'];
+
+// Raw binary frame codec. `layout` is an ordered list of
+// `{ name, type, scale }` entries read back to back from offset 0.
+const createBinaryDecoder = ({ name = 'binary', layout = DEFAULT_LAYOUT } = {}) => {
+  for (const field of layout) {
+    if (!READERS[field.type]) {
+      throw new Error(`Unknown binary field type "${field.type}" for "${field.name}"`);
+    }
+  }
+
+  const frameSize = layout.reduce((size, field) => size + READERS[field.type].size, 0);
+
+  return {
+    name,
+    frameSize,
+    decode(message, context = {}) {
+      const buffer = Buffer.isBuffer(message) ? message : Buffer.from(message);
+
+      if (buffer.length !== frameSize) {
+        throw new DecodeError(
+          'invalid_frame_length',
+          `Expected a ${frameSize}-byte frame, got ${buffer.length} bytes`,
+          { expected: frameSize, actual: buffer.length }
+        );
+      }
+
+      const payload = { data: {} };
+      let offset = 0;
+      for (const field of layout) {
+        const reader = READERS[field.type];
+        let value = reader.read(buffer, offset);
+        offset += reader.size;
+
+        if (field.scale) {
+          value *= field.scale;
+        }
+
+        if (HEADER_FIELDS.includes(field.name)) {
+          payload[field.name] = value;
+        } else {
+          payload.data[field.name] = value;
+        }
+      }
+
+      return normalizePayload(payload, { deviceType: context.deviceType });
+    }
+  };
+};
+
+createBinaryDecoder.DEFAULT_LAYOUT = DEFAULT_LAYOUT;
+createBinaryDecoder.READERS = READERS;
+
+module.exports = createBinaryDecoder;
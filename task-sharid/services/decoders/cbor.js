@@ -0,0 +1,28 @@
+const { decode: decodeCbor } = require('cbor-x');
+const DecodeError = require('./DecodeError');
+const { normalizePayload } = require('./normalize');
+
+// CBOR codec. The decoded map uses the same field names as the JSON payload.
+const createCborDecoder = ({ name = 'cbor' } = {}) => ({
+  name,
+  decode(message, context = {}) {
+    let payload;
+    try {
+      payload = decodeCbor(Buffer.isBuffer(message) ? message : Buffer.from(message));
+    } catch (error) {
+      throw new DecodeError('invalid_cbor', `Failed to parse CBOR: ${error.message}`);
+    }
+
+    // cbor-x returns Maps for non-string keys; flatten them to plain objects
+    if (payload instanceof Map) {
+      payload = Object.fromEntries(payload);
+    }
+    if (payload && payload.data instanceof Map) {
+      payload.data = Object.fromEntries(payload.data);
+    }
+
+    return normalizePayload(payload, { deviceType: context.deviceType });
+  }
+});
+
+module.exports = createCborDecoder;
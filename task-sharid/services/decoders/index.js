@@ -0,0 +1,184 @@
+const path = require('path');
+const DecodeError = require('./DecodeError');
+const createJsonDecoder = require('./json');
+const createBinaryDecoder = require('./binary');
+const createCborDecoder = require('./cbor');
+const createBase64Decoder = require('./base64');
+
+// MQTT-style topic filter match ("+" = one level, "#" = the rest)
+const topicMatches = (pattern, topic) => {
+  const patternParts = pattern.split('/');
+  const topicParts = topic.split('/');
+
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i] === '#') return true;
+    if (i >= topicParts.length) return false;
+    if (patternParts[i] !== '+' && patternParts[i] !== topicParts[i]) return false;
+  }
+
+  return patternParts.length === topicParts.length;
+};
+
+class DecoderRegistry {
+  constructor() {
+    this.decoders = new Map();
+    this.deviceTypeRules = new Map();
+    this.topicRules = [];
+    this.defaultDecoder = 'json';
+  }
+
+  // A decoder is `{ name, decode(message, context) }`. `decode` returns the
+  // normalized payload or throws a DecodeError explaining the rejection.
+  register(decoder) {
+    if (!decoder || !decoder.name || typeof decoder.decode !== 'function') {
+      throw new Error('A decoder needs a name and a decode(message, context) function');
+    }
+    this.decoders.set(decoder.name, decoder);
+    return this;
+  }
+
+  get(name) {
+    return this.decoders.get(name);
+  }
+
+  list() {
+    return Array.from(this.decoders.keys());
+  }
+
+  useForDeviceType(deviceType, decoderName) {
+    this.assertKnown(decoderName);
+    this.deviceTypeRules.set(deviceType, decoderName);
+    return this;
+  }
+
+  useForTopic(pattern, decoderName) {
+    this.assertKnown(decoderName);
+    this.topicRules = this.topicRules.filter(rule => rule.pattern !== pattern);
+    this.topicRules.push({ pattern, decoder: decoderName });
+    return this;
+  }
+
+  setDefault(decoderName) {
+    this.assertKnown(decoderName);
+    this.defaultDecoder = decoderName;
+    return this;
+  }
+
+  assertKnown(decoderName) {
+    if (!this.decoders.has(decoderName)) {
+      throw new Error(`Unknown decoder "${decoderName}". Registered: ${this.list().join(', ')}`);
+    }
+  }
+
+  // A decoder named by the caller wins over topic rules, which win over
+  // device type rules, which win over the default
+  resolve({ decoder, topic, deviceType } = {}) {
+    if (decoder) return this.decoders.get(decoder);
+
+    if (topic) {
+      const rule = this.topicRules.find(r => topicMatches(r.pattern, topic));
+      if (rule) return this.decoders.get(rule.decoder);
+    }
+
+    if (deviceType && this.deviceTypeRules.has(deviceType)) {
+      return this.decoders.get(this.deviceTypeRules.get(deviceType));
+    }
+
+    return this.decoders.get(this.defaultDecoder);
+  }
+
+  decode(message, context = {}) {
+    const decoder = this.resolve(context);
+
+    if (!decoder) {
+      return {
+        success: false,
+        decoder: null,
+        reason: 'no_decoder',
+        message: 'No decoder registered for this message'
+      };
+    }
+
+    try {
+      const payload = decoder.decode(message, context);
+      return { success: true, decoder: decoder.name, payload };
+    } catch (error) {
+      if (error instanceof DecodeError) {
+        return {
+          success: false,
+          decoder: decoder.name,
+          reason: error.reason,
+          message: error.message,
+          details: error.details
+        };
+      }
+
+      return {
+        success: false,
+        decoder: decoder.name,
+        reason: 'decoder_error',
+        message: error.message
+      };
+    }
+  }
+
+  // Load custom decoder modules. A module either exports a decoder object or
+  // a function that receives the registry and registers whatever it needs.
+  loadModules(modulePaths = []) {
+    for (const modulePath of modulePaths) {
+      const resolved = path.resolve(process.cwd(), modulePath);
+      const plugin = require(resolved);
+
+      if (typeof plugin === 'function') {
+        plugin(this, { DecodeError });
+      } else {
+        this.register(plugin);
+      }
+
+      console.log(`🧩 Loaded decoder module: ${modulePath}`);
+    }
+    return this;
+  }
+
+  // MQTT_DECODER_MODULES:  comma separated module paths
+  // MQTT_DEFAULT_DECODER:  decoder used when no rule matches
+  configureFromEnv(env = process.env) {
+    if (env.MQTT_DECODER_MODULES) {
+      this.loadModules(env.MQTT_DECODER_MODULES.split(',').map(p => p.trim()).filter(Boolean));
+    }
+
+    if (env.MQTT_DEFAULT_DECODER) {
+      this.setDefault(env.MQTT_DEFAULT_DECODER);
+    }
+    return this;
+  }
+}
+
+const createDefaultRegistry = () => {
+  const registry = new DecoderRegistry();
+  const binary = createBinaryDecoder();
+
+  registry
+    .register(createJsonDecoder())
+    .register(createJsonDecoder({ name: 'json-le', valueEncoding: 'float32le-hex' }))
+    .register(binary)
+    .register(createCborDecoder())
+    .register(createBase64Decoder({ inner: binary }));
+
+  return registry;
+};
+
+// Shared registry used by the MQTT worker
+const decoderRegistry = createDefaultRegistry();
+
+module.exports = {
+  decoderRegistry,
+  DecoderRegistry,
+  DecodeError,
+  createDefaultRegistry,
+  createJsonDecoder,
+  createBinaryDecoder,
+  createCborDecoder,
+  createBase64Decoder,
+  topicMatches
+};
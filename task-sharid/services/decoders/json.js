@@ -0,0 +1,32 @@
+const DecodeError = require('./DecodeError');
+const { normalizePayload, toNumber, littleEndianFloat, numberOrLittleEndianFloat } = require('./normalize');
+
+const VALUE_DECODERS = {
+  number: toNumber,
+  'float32le-hex': littleEndianFloat,
+  auto: numberOrLittleEndianFloat
+};
+
+// JSON codec. `valueEncoding` selects how metric values are read:
+//   'auto'          - either of the two below, as the worker always accepted
+//   'number'        - JSON numbers or decimal strings
+//   'float32le-hex' - little-endian float32 as hex strings / 4-byte arrays
+const createJsonDecoder = ({ name = 'json', valueEncoding = 'auto' } = {}) => {
+  const valueDecoder = VALUE_DECODERS[valueEncoding];
+
+  return {
+    name,
+    decode(message, context = {}) {
+      let payload;
+      try {
+        payload = JSON.parse(message.toString());
+      } catch (error) {
+        throw new DecodeError('invalid_json', `Failed to parse JSON: ${error.message}`);
+      }
+
+      return normalizePayload(payload, { valueDecoder, deviceType: context.deviceType });
+    }
+  };
+};
+
+module.exports = createJsonDecoder;
@@ -0,0 +1,91 @@
+const DecodeError = require('./DecodeError');
+const { metricRegistry } = require('../metrics');
+
+// Plain numbers, or strings holding a decimal number
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return Number(value);
+  }
+  return NaN;
+};
+
+// IEEE 754 float32 sent little-endian, either as a hex string ("0x41c80000"
+// or "41c80000") or as an array of 4 bytes. Plain numbers pass through.
+const littleEndianFloat = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const hex = value.startsWith('0x') ? value.slice(2) : value;
+    if (!/^[0-9a-fA-F]{8}$/.test(hex)) {
+      return NaN;
+    }
+    const buffer = Buffer.allocUnsafe(4);
+    buffer.writeUInt32LE(parseInt(hex, 16), 0);
+    return buffer.readFloatLE(0);
+  }
+
+  if ((Buffer.isBuffer(value) || Array.isArray(value)) && value.length === 4) {
+    return Buffer.from(value).readFloatLE(0);
+  }
+
+  return NaN;
+};
+
+// What the worker accepted before decoders existed: little-endian float32 in
+// hex or as 4 bytes (see littleEndianFloat), otherwise a decimal number
+const numberOrLittleEndianFloat = (value) => {
+  const float = littleEndianFloat(value);
+  return Number.isNaN(float) ? toNumber(value) : float;
+};
+
+// Turn a decoded `{ uid, fw, tts, data: { temp, hum, 'pm2.5' } }` object into
+// the shape the worker stores: `{ uid, firmware, tts, data: { temperature, ... } }`.
+// Wire names are mapped through the metric registry and checked against the
+// metrics required for `deviceType`; unknown keys are dropped.
+const normalizePayload = (payload, { valueDecoder = toNumber, deviceType } = {}) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new DecodeError('not_an_object', 'Payload is not an object');
+  }
+
+  if (!payload.data || typeof payload.data !== 'object') {
+    throw new DecodeError('missing_data', 'Payload has no "data" object');
+  }
+
+  const data = {};
+  for (const [key, raw] of Object.entries(payload.data)) {
+    const field = metricRegistry.resolveName(key);
+    if (!field) {
+      continue;
+    }
+
+    const value = valueDecoder(raw);
+    if (!Number.isFinite(value)) {
+      throw new DecodeError('invalid_value', `Field "${key}" is not a valid number`, { field: key, value: raw });
+    }
+    data[field] = metricRegistry.round(field, value);
+  }
+
+  const errors = metricRegistry.validate(deviceType, data);
+  if (errors.length > 0) {
+    throw new DecodeError(errors[0].reason, errors.map(e => e.message).join('; '), { errors });
+  }
+
+  return {
+    uid: payload.uid,
+    firmware: payload.fw || payload.firmware,
+    tts: payload.tts,
+    data
+  };
+};
+
+module.exports = {
+  toNumber,
+  littleEndianFloat,
+  numberOrLittleEndianFloat,
+  normalizePayload
+};
@@ -0,0 +1,232 @@
+const MetadataField = require('../models/MetadataField');
+
+// Filter expressions for the device list, e.g.
+//
+//   tag:floor=3 AND deviceType:environmental AND status:offline
+//   (location:kitchen OR location:"living room") NOT tag:retired
+//   meta:rack>=4 meta:installed<2024-01-01 sensor-0*
+//
+// - `field:value` on name, uid, location, deviceType, firmware (case-insensitive,
+//   `*` matches anything) and status (online, warning, offline)
+// - `tag:key` (has the tag), `tag:key=value`, `tag:key!=value`
+// - `meta:key` (has a value), `meta:key<op>value` with = and != for every type
+//   and >, >=, <, <= for number and date fields
+// - other words search name, uid and location (also with `*`)
+//
+// Terms combine with AND (also implied by a space), OR and NOT, highest
+// precedence first: NOT, AND, OR. Parentheses group, double quotes keep
+// spaces and special characters in a value.
+
+const FIELD_KEYS = ['name', 'uid', 'location', 'deviceType', 'firmware', 'status'];
+const STATUSES = ['online', 'warning', 'offline'];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+// Tag and metadata keys; they become document paths, so no "." or "$"
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,63}$/;
+const OPERATORS = {
+  '=': '$eq',
+  '!=': '$ne',
+  '>': '$gt',
+  '>=': '$gte',
+  '<': '$lt',
+  '<=': '$lte'
+};
+// Longer or deeper expressions are refused; every level of parentheses or
+// NOT nests the compiled filter further, and MongoDB stops at 100 levels
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 20;
+const SCOPED_TERM = /^(tag|meta):([^=!<>]*)(?:(>=|<=|!=|=|>|<)([\s\S]*))?$/;
+const FIELD_TERM = /^([a-zA-Z]+):([\s\S]*)$/;
+
+class FilterError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'FilterError';
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole value, case-insensitive; `*` matches anything
+const valuePattern = (value) => new RegExp(`^${value.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+
+// Remove double quotes, keeping what they enclose (with \" and \\ escapes)
+const unquote = (text) => text.replace(/"((?:[^"\\]|\\.)*)"/g, (match, inner) => inner.replace(/\\(.)/g, '$1'));
+
+// Words and parentheses; a word keeps its quotes so `key:"a b"` stays one word
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i += 1;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()]/.test(input[i])) {
+        if (input[i] === '"') {
+          const quoteAt = i;
+          i += 1;
+          while (i < input.length && input[i] !== '"') {
+            i += input[i] === '\\' ? 2 : 1;
+          }
+          if (i >= input.length) throw new FilterError('Unclosed quote', quoteAt);
+        }
+        i += 1;
+      }
+      tokens.push({ type: 'word', raw: input.slice(start, i), position: start });
+    }
+  }
+
+  return tokens;
+};
+
+const isKeyword = (token, keyword) => Boolean(token)
+  && token.type === 'word'
+  && token.raw.toUpperCase() === keyword;
+
+const compileTag = (key, op, value, position) => {
+  if (!KEY_PATTERN.test(key)) throw new FilterError(`Invalid tag key "${key}"`, position);
+  const path = `tags.${key}`;
+
+  if (!op) return { [path]: { $exists: true } };
+  if (op !== '=' && op !== '!=') throw new FilterError(`tag:${key} only supports = and !=`, position);
+  if (!value) throw new FilterError(`Missing value for tag:${key}`, position);
+  return op === '=' ? { [path]: valuePattern(value) } : { [path]: { $not: valuePattern(value) } };
+};
+
+const compileMeta = (key, op, value, position, metadataFields) => {
+  const field = metadataFields.find(item => item.key === key);
+  if (!field) throw new FilterError(`Unknown metadata field "${key}"`, position);
+  const path = `metadata.${key}`;
+
+  if (!op) return { [path]: { $exists: true } };
+  if (field.type === 'string') {
+    if (op !== '=' && op !== '!=') throw new FilterError(`meta:${key} is a text field, use = or !=`, position);
+    if (!value) throw new FilterError(`Missing value for meta:${key}`, position);
+    return op === '=' ? { [path]: valuePattern(value) } : { [path]: { $not: valuePattern(value) } };
+  }
+  if (field.type === 'boolean' && op !== '=' && op !== '!=') {
+    throw new FilterError(`meta:${key} is a true/false field, use = or !=`, position);
+  }
+
+  const cast = MetadataField.castValue(field.type, value);
+  if (cast.error) throw new FilterError(`meta:${key} ${cast.error}`, position);
+  return { [path]: { [OPERATORS[op]]: cast.value } };
+};
+
+const compileTerm = ({ raw, position }, metadataFields) => {
+  const scoped = SCOPED_TERM.exec(raw);
+  if (scoped) {
+    const [, scope, key, op, value] = scoped;
+    return scope === 'tag'
+      ? compileTag(key, op, unquote(value || ''), position)
+      : compileMeta(key, op, unquote(value || ''), position, metadataFields);
+  }
+
+  const field = FIELD_TERM.exec(raw);
+  if (field) {
+    const key = FIELD_KEYS.find(name => name.toLowerCase() === field[1].toLowerCase());
+    const value = unquote(field[2]);
+    if (!key) throw new FilterError(`Unknown filter key "${field[1]}"`, position);
+    if (!value) throw new FilterError(`Missing value for ${key}`, position);
+
+    if (key === 'status') {
+      if (!STATUSES.includes(value.toLowerCase())) {
+        throw new FilterError(`status must be one of ${STATUSES.join(', ')}`, position);
+      }
+      return { status: value.toLowerCase() };
+    }
+    return { [key]: valuePattern(value) };
+  }
+
+  const pattern = new RegExp(unquote(raw).split('*').map(escapeRegExp).join('.*'), 'i');
+  return { $or: [{ name: pattern }, { uid: pattern }, { location: pattern }] };
+};
+
+// Compile a filter expression into a $match filter over devices with a
+// computed `status`. `metadataFields` are the defined metadata fields
+// (`{ key, type }`). Throws a FilterError for invalid expressions.
+const parseFilter = (input, metadataFields = []) => {
+  const text = String(input || '');
+  if (text.length > MAX_LENGTH) {
+    throw new FilterError(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+  const tokens = tokenize(text);
+  let pos = 0;
+  let depth = 0;
+
+  // Parse what follows a NOT or "(" one level deeper
+  const nested = (token, parse) => {
+    if (depth >= MAX_DEPTH) {
+      throw new FilterError(`Expression nests more than ${MAX_DEPTH} levels of parentheses and NOT`, token.position);
+    }
+    depth += 1;
+    const expression = parse();
+    depth -= 1;
+    return expression;
+  };
+
+  const parseUnary = () => {
+    const token = tokens[pos];
+    if (!token) throw new FilterError('Expression ends unexpectedly', text.length);
+
+    if (isKeyword(token, 'NOT')) {
+      pos += 1;
+      return { $nor: [nested(token, parseUnary)] };
+    }
+    if (token.type === '(') {
+      pos += 1;
+      const expression = nested(token, parseOr);
+      if (!tokens[pos] || tokens[pos].type !== ')') {
+        throw new FilterError('Missing ")"', tokens[pos] ? tokens[pos].position : text.length);
+      }
+      pos += 1;
+      return expression;
+    }
+    if (token.type === ')' || KEYWORDS.some(keyword => isKeyword(token, keyword))) {
+      throw new FilterError(`Unexpected "${token.raw || token.type}"`, token.position);
+    }
+
+    pos += 1;
+    return compileTerm(token, metadataFields);
+  };
+
+  const parseAnd = () => {
+    const parts = [parseUnary()];
+    while (pos < tokens.length && tokens[pos].type !== ')' && !isKeyword(tokens[pos], 'OR')) {
+      if (isKeyword(tokens[pos], 'AND')) pos += 1;
+      parts.push(parseUnary());
+    }
+    return parts.length === 1 ? parts[0] : { $and: parts };
+  };
+
+  const parseOr = () => {
+    const parts = [parseAnd()];
+    while (isKeyword(tokens[pos], 'OR')) {
+      pos += 1;
+      parts.push(parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : { $or: parts };
+  };
+
+  if (tokens.length === 0) return {};
+
+  const filter = parseOr();
+  if (pos < tokens.length) {
+    throw new FilterError('Unexpected ")"', tokens[pos].position);
+  }
+  return filter;
+};
+
+module.exports = {
+  FIELD_KEYS,
+  STATUSES,
+  KEY_PATTERN,
+  FilterError,
+  escapeRegExp,
+  parseFilter
+};
@@ -0,0 +1,109 @@
+const Device = require('../models/Device');
+const DeviceGroup = require('../models/DeviceGroup');
+const MetadataField = require('../models/MetadataField');
+const { KEY_PATTERN, parseFilter } = require('./deviceFilter');
+const { matchStages } = require('./deviceQuery');
+
+// Placeholders of a bulk rename pattern, e.g. "{location} sensor {n:2}":
+// {name}, {uid}, {location}, {deviceType}, {n} (position in the group by
+// uid, {n:3} pads it to 3 digits), {tag:key} and {meta:key}
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+const NAME_FIELDS = ['name', 'uid', 'location', 'deviceType'];
+
+// Filter over devices (with their computed status) selecting the members of
+// a group. Throws a FilterError when a dynamic group's expression no longer
+// compiles, e.g. after one of its metadata fields was deleted.
+const memberFilter = async (group) => {
+  if (group.type !== 'dynamic') return { uid: { $in: group.deviceIds } };
+
+  const metadataFields = await MetadataField.find().lean();
+  return parseFilter(group.filter, metadataFields);
+};
+
+// Members of a group that are not deleted, ordered by uid
+const findMembers = async (group, projection = { secretHash: 0 }) => Device.aggregate([
+  ...matchStages({ filter: await memberFilter(group) }, new Date()),
+  { $sort: { uid: 1 } },
+  { $project: projection }
+]);
+
+// Member uids of each group, keyed by group id. A group whose filter no
+// longer compiles has no members.
+const loadMemberSets = async (groupIds) => {
+  const groups = await DeviceGroup.find({ _id: { $in: groupIds } });
+  const sets = new Map();
+
+  for (const group of groups) {
+    let uids = [];
+    try {
+      uids = (await findMembers(group, { uid: 1 })).map(device => device.uid);
+    } catch (error) {
+      if (error.name !== 'FilterError') throw error;
+      console.warn(`⚠️ Device group "${group.name}" has an invalid filter: ${error.message}`);
+    }
+    sets.set(group._id.toString(), new Set(uids));
+  }
+
+  return sets;
+};
+
+// Location patterns of a compiled filter, also inside $and, $or and $nor
+const locationPatterns = (filter) => Object.entries(filter).flatMap(([key, value]) => {
+  if (key === 'location' && value instanceof RegExp) return [value];
+  return Array.isArray(value) ? value.flatMap(locationPatterns) : [];
+});
+
+// Dynamic groups whose filter matches the location `name` but not `newName`,
+// so renaming the location would change their members. Groups whose filter
+// no longer compiles have no members to lose and are left out.
+const groupsMatchingLocation = async (name, newName) => {
+  const groups = await DeviceGroup.find({ type: 'dynamic' }).select('name filter');
+  const metadataFields = await MetadataField.find().lean();
+
+  return groups.filter(group => {
+    try {
+      return locationPatterns(parseFilter(group.filter, metadataFields))
+        .some(pattern => pattern.test(name) && !pattern.test(newName));
+    } catch (error) {
+      if (error.name !== 'FilterError') throw error;
+      return false;
+    }
+  });
+};
+
+// Unknown placeholders of a rename pattern
+const checkNamePattern = (pattern) => Array.from(pattern.matchAll(PLACEHOLDER))
+  .map(([match, placeholder]) => {
+    const [key, arg] = placeholder.split(':');
+    if (NAME_FIELDS.includes(placeholder)) return null;
+    if (key === 'n' && (arg === undefined || /^[1-9]$/.test(arg))) return null;
+    if ((key === 'tag' || key === 'meta') && KEY_PATTERN.test(arg || '')) return null;
+    return `Unknown placeholder ${match}`;
+  })
+  .filter(Boolean);
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+};
+
+// Name of the device at `position` (from 1) for a checked rename pattern
+const renderName = (pattern, device, position) => pattern
+  .replace(PLACEHOLDER, (match, placeholder) => {
+    const [key, arg] = placeholder.split(':');
+    if (key === 'n') return String(position).padStart(Number(arg) || 0, '0');
+    if (key === 'tag') return formatValue((device.tags || {})[arg]);
+    if (key === 'meta') return formatValue((device.metadata || {})[arg]);
+    return formatValue(device[key]);
+  })
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = {
+  memberFilter,
+  findMembers,
+  loadMemberSets,
+  groupsMatchingLocation,
+  checkNamePattern,
+  renderName
+};
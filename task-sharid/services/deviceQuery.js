@@ -0,0 +1,213 @@
+const { EJSON } = require('mongoose').mongo.BSON;
+const Telemetry = require('../models/Telemetry');
+const { statusExpression } = require('./presence');
+const { STATUSES, escapeRegExp, parseFilter } = require('./deviceFilter');
+
+const SORT_FIELDS = ['name', 'uid', 'location', 'deviceType', 'lastSeen', 'status', 'createdAt'];
+const DEFAULT_SORT = '-lastSeen';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Cursors hold the sort and the last device's sort value and _id, as
+// base64url Extended JSON so dates and ObjectIds survive the round trip
+const encodeCursor = (sort, value, id) => Buffer.from(EJSON.stringify({ sort, value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return EJSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check the device list query (q, search, status, deleted, sort, limit,
+// cursor). `metadataFields` are needed to compile `meta:` terms of the filter
+// expression `q` (services/deviceFilter.js). Returns `{ values, errors }`.
+const parseListQuery = (query, { metadataFields = [] } = {}) => {
+  const errors = [];
+
+  let filter = {};
+  try {
+    filter = parseFilter(query.q, metadataFields);
+  } catch (error) {
+    if (error.name !== 'FilterError') throw error;
+    errors.push(`Invalid filter: ${error.message}`);
+  }
+
+  const sort = query.sort || DEFAULT_SORT;
+  const field = sort.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    errors.push(`sort must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+  }
+
+  const status = query.status && query.status !== 'all' ? query.status : undefined;
+  if (status && !STATUSES.includes(status)) {
+    errors.push(`status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  let cursor;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.id === undefined) {
+      errors.push('Invalid cursor');
+    } else if (cursor.sort !== sort) {
+      errors.push('cursor belongs to a different sort');
+    }
+  }
+
+  return {
+    errors,
+    values: {
+      filter,
+      search: query.search || undefined,
+      status,
+      deleted: query.deleted === 'true',
+      sort,
+      field,
+      direction: sort.startsWith('-') ? -1 : 1,
+      limit,
+      cursor
+    }
+  };
+};
+
+// Whether a compiled filter tests the computed `status` (directly or inside
+// $and, $or and $nor)
+const usesStatus = (filter) => Object.entries(filter).some(([key, value]) => {
+  if (key === 'status') return true;
+  if (!key.startsWith('$') || !Array.isArray(value)) return false;
+  return value.some(usesStatus);
+});
+
+// Status computed from lastSeen and the presence limits of the device's type
+const statusStage = (now) => ({ $addFields: { status: statusExpression(now) } });
+
+// Stages selecting the devices of a list query. The computed status can't use
+// an index, so it is only added when the query filters on it (or with
+// `withStatus`) and after the conditions that don't need it.
+const matchStages = ({ filter = {}, search, status, deleted }, now, { withStatus = false } = {}) => {
+  const match = { deletedAt: deleted ? { $ne: null } : null };
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), 'i');
+    match.$or = [
+      { name: pattern },
+      { uid: pattern },
+      { location: pattern }
+    ];
+  }
+
+  const hasFilter = Object.keys(filter).length > 0;
+  const filterStatus = hasFilter && usesStatus(filter);
+
+  const stages = [{ $match: match }];
+  if (hasFilter && !filterStatus) stages.push({ $match: filter });
+  if (status || filterStatus || withStatus) stages.push(statusStage(now));
+  if (status) stages.push({ $match: { status } });
+  if (filterStatus) stages.push({ $match: filter });
+  return stages;
+};
+
+// One page of devices in a single aggregation: filter, sort and seek past the
+// cursor in the database, then look up the latest reading of the page's
+// devices only. Sorting by status orders online, warning, offline. Unless the
+// query sorts or filters on it, the status is computed for the page only, so
+// the match and sort can use the indexes.
+const buildListPipeline = (values, now = new Date()) => {
+  const { field, direction, limit, cursor } = values;
+  const sortKey = field === 'status' ? 'statusRank' : field;
+  const stages = matchStages(values, now, { withStatus: field === 'status' });
+  const hasStatus = stages.some(stage => stage.$addFields);
+
+  if (field === 'status') {
+    stages.push({ $addFields: { statusRank: { $indexOfArray: [STATUSES, '$status'] } } });
+  }
+
+  if (cursor) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    stages.push({
+      $match: {
+        $or: [
+          { [sortKey]: { [op]: cursor.value } },
+          { [sortKey]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }
+    });
+  }
+
+  stages.push(
+    { $sort: { [sortKey]: direction, _id: direction } },
+    // One extra to tell whether there is a next page
+    { $limit: limit + 1 },
+    ...(hasStatus ? [] : [statusStage(now)]),
+    {
+      $lookup: {
+        from: Telemetry.collection.name,
+        localField: 'uid',
+        foreignField: 'deviceId',
+        pipeline: [{ $sort: { timestamp: -1 } }, { $limit: 1 }],
+        as: 'latestReadings'
+      }
+    },
+    { $project: { secretHash: 0 } }
+  );
+
+  return stages;
+};
+
+// Number of devices matching a list query, regardless of the cursor
+const buildCountPipeline = (values, now = new Date()) => [
+  ...matchStages(values, now),
+  { $count: 'total' }
+];
+
+// Device counts of the devices matching `filter` (over the computed status):
+// one row with total, active, online, warning and offline, or none
+const buildSummaryPipeline = (filter = {}, now = new Date()) => [
+  ...matchStages({ filter }, now, { withStatus: true }),
+  {
+    $group: {
+      _id: null,
+      total: { $sum: 1 },
+      active: { $sum: { $cond: ['$isActive', 1, 0] } },
+      ...Object.fromEntries(STATUSES.map(status => [
+        status,
+        { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } }
+      ]))
+    }
+  }
+];
+
+// API response of a page fetched with one extra device: the devices and the
+// cursor of the next page
+const formatPage = (rows, { sort, field, limit }) => {
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    devices: page.map(({ latestReadings, statusRank, ...device }) => ({
+      ...device,
+      latestReading: latestReadings.length > 0 ? Telemetry.formatReading(latestReadings[0]) : null
+    })),
+    nextCursor: hasMore
+      ? encodeCursor(sort, field === 'status' ? last.statusRank : last[field], last._id)
+      : null
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  matchStages,
+  buildListPipeline,
+  buildCountPipeline,
+  buildSummaryPipeline,
+  formatPage
+};
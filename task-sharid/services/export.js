@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const Telemetry = require('../models/Telemetry');
+const ExportJob = require('../models/ExportJob');
+const { metricRegistry } = require('./metrics');
+const { toList, parseFilters, buildFilter } = require('./telemetryQuery');
+
+// Exports with more rows than this (or `async=true`) run as background jobs
+const SYNC_MAX_ROWS = parseInt(process.env.EXPORT_SYNC_MAX_ROWS) || 50000;
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'iot-exports');
+const RETENTION_MS = (parseInt(process.env.EXPORT_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  ndjson: { contentType: 'application/x-ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write to a stream, waiting when its buffer is full (or until it closes)
+const write = async (output, chunk) => {
+  if (output.write(chunk)) return;
+
+  await new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+};
+
+// Streams telemetry matching device, location, time range and metric filters
+// as CSV, NDJSON or XLSX, reading with a cursor so nothing is buffered. Large
+// exports are written to EXPORT_DIR by background jobs, one at a time.
+class TelemetryExporter {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.cleanup().catch(error => console.error('❌ Export cleanup failed:', error));
+    }, CLEANUP_INTERVAL_MS);
+    this.timer.unref();
+
+    // Jobs interrupted by a restart start over
+    ExportJob.find({ status: { $in: ['pending', 'running'] } }).select('+downloadToken')
+      .then(jobs => jobs.forEach(job => this.enqueue(job)))
+      .catch(error => console.error('❌ Failed to resume export jobs:', error));
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Check query parameters: the telemetry filters (services/telemetryQuery.js),
+  // format and metrics. Returns `{ values, errors }`; `values.filters` is
+  // what a job stores.
+  parseQuery(query) {
+    const { values: filters, errors } = parseFilters(query);
+    const format = query.format || 'csv';
+    if (!FORMATS[format]) errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+    filters.metrics = toList(query.metrics);
+    const unknown = filters.metrics.filter(metric => !metricRegistry.getMetric(metric));
+    if (unknown.length > 0) errors.push(`Unknown metrics: ${unknown.join(', ')}`);
+
+    return { values: { format, filters }, errors };
+  }
+
+  // Telemetry filter and metric columns for stored `filters`
+  async buildQuery(filters) {
+    const { filter, devices } = await buildFilter(filters);
+    const columns = filters.metrics && filters.metrics.length > 0
+      ? filters.metrics
+      : metricRegistry.getReportedMetrics(Array.from(new Set(devices.map(device => device.deviceType))));
+
+    return { filter, metrics: columns };
+  }
+
+  countRows(filter) {
+    return Telemetry.countDocuments(filter);
+  }
+
+  contentType(format) {
+    return FORMATS[format].contentType;
+  }
+
+  // Stream matching readings to `output` in `format`. Stops early when the
+  // output goes away (client disconnect). Returns the number of rows written.
+  async write(output, format, { filter, metrics }) {
+    const cursor = Telemetry.find(filter)
+      .sort({ timestamp: 1 })
+      .select('deviceId timestamp data anomalous aqi')
+      .lean()
+      .cursor();
+
+    let rows = 0;
+    try {
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false });
+        const sheet = workbook.addWorksheet('Telemetry');
+        sheet.columns = [
+          { header: 'timestamp', key: 'timestamp', width: 24 },
+          { header: 'deviceId', key: 'deviceId', width: 20 },
+          ...metrics.map(metric => ({ header: metric, key: metric }))
+        ];
+
+        for await (const reading of cursor) {
+          if (output.destroyed) break;
+          const data = metricRegistry.formatData(reading.data);
+          sheet.addRow({ timestamp: reading.timestamp, deviceId: reading.deviceId, ...data }).commit();
+          rows += 1;
+        }
+        sheet.commit();
+        await workbook.commit();
+        return rows;
+      }
+
+      if (format === 'csv') {
+        await write(output, `${['timestamp', 'deviceId', ...metrics].map(csvField).join(',')}\n`);
+      }
+
+      for await (const reading of cursor) {
+        if (output.destroyed) break;
+        const data = metricRegistry.formatData(reading.data);
+
+        if (format === 'csv') {
+          const fields = [reading.timestamp, reading.deviceId, ...metrics.map(metric => data[metric])];
+          await write(output, `${fields.map(csvField).join(',')}\n`);
+        } else {
+          const values = {};
+          metrics.forEach(metric => {
+            if (data[metric] !== undefined) values[metric] = data[metric];
+          });
+          await write(output, `${JSON.stringify({
+            timestamp: reading.timestamp,
+            deviceId: reading.deviceId,
+            data: values,
+            anomalous: reading.anomalous || false,
+            aqi: reading.aqi || null
+          })}\n`);
+        }
+        rows += 1;
+      }
+      if (!output.destroyed) output.end();
+      return rows;
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  async createJob(format, filters, userId) {
+    const job = await ExportJob.create({
+      format,
+      filters,
+      createdBy: userId,
+      downloadToken: crypto.randomBytes(24).toString('hex')
+    });
+    this.enqueue(job);
+    return job;
+  }
+
+  enqueue(job) {
+    this.queue = this.queue.then(() => this.runJob(job));
+  }
+
+  getFilePath(job) {
+    return path.join(EXPORT_DIR, `${job._id}.${job.format}`);
+  }
+
+  async runJob(job) {
+    const filePath = this.getFilePath(job);
+
+    try {
+      job.status = 'running';
+      job.startedAt = new Date();
+      await job.save();
+
+      await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+      const output = fs.createWriteStream(filePath);
+      const rows = await this.write(output, job.format, await this.buildQuery(job.filters));
+      await finished(output);
+
+      job.status = 'completed';
+      job.rows = rows;
+      job.bytes = (await fs.promises.stat(filePath)).size;
+      job.completedAt = new Date();
+      job.expiresAt = new Date(Date.now() + RETENTION_MS);
+      await job.save();
+
+      console.log(`📦 Export ${job._id} finished: ${rows} rows (${job.format})`);
+    } catch (error) {
+      console.error(`❌ Export ${job._id} failed:`, error);
+      await fs.promises.rm(filePath, { force: true });
+
+      job.status = 'failed';
+      job.error = error.message;
+      await job.save().catch(() => {});
+    }
+  }
+
+  // Delete the files of expired jobs
+  async cleanup() {
+    const jobs = await ExportJob.find({ status: 'completed', expiresAt: { $lte: new Date() } });
+    for (const job of jobs) {
+      await fs.promises.rm(this.getFilePath(job), { force: true });
+      job.status = 'expired';
+      await job.save();
+    }
+    return jobs.length;
+  }
+}
+
+// Create singleton instance
+const telemetryExporter = new TelemetryExporter();
+
+module.exports = telemetryExporter;
+module.exports.SYNC_MAX_ROWS = SYNC_MAX_ROWS;
@@ -0,0 +1,11 @@
+// Thrown when an import can't start or its file can't be read at all
+// (unknown format, bad column mapping, malformed JSON array). Problems
+// with single rows are reported per row instead.
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+module.exports = ImportError;
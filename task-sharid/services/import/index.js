@@ -0,0 +1,534 @@
+const mongoose = require('mongoose');
+const Device = require('../../models/Device');
+const Location = require('../../models/Location');
+const Telemetry = require('../../models/Telemetry');
+const { metricRegistry } = require('../metrics');
+const { nodesByName } = require('../locations');
+const retentionService = require('../retention');
+const ImportError = require('./ImportError');
+const { FORMATS, detectFormat, parseMapping, readRecords } = require('./readers');
+
+const TARGETS = ['telemetry', 'devices'];
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE) || 500;
+// Rejected rows listed in a report (all of them are counted)
+const MAX_REPORTED_REJECTIONS = 1000;
+
+// MongoDB duplicate key error, raised by the (uid, tts) idempotency index
+const DUPLICATE_KEY = 11000;
+
+// Bookkeeping fields of exported documents, never imported
+const SKIPPED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+const TELEMETRY_FIELDS = ['deviceId', 'uid', 'firmware', 'tts', 'deviceType', 'timestamp', 'receivedAt'];
+const DEVICE_FIELDS = ['uid', 'name', 'firmware', 'isActive', 'location', 'locationId', 'deviceType', 'lastSeen'];
+// Location of devices that never had one; it has no node
+const UNSET_LOCATION = Device.schema.path('location').defaultValue;
+
+// Dates, ISO strings or epoch seconds/milliseconds. Unparseable values are
+// passed on so validation reports them.
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (value instanceof Date) return value;
+
+  const number = Number(value);
+  if (Number.isFinite(number)) return new Date(number < 1e11 ? number * 1000 : number);
+  return new Date(value);
+};
+
+const toNumber = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') return value;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+};
+
+const toBoolean = (value) => {
+  if (typeof value !== 'string') return value;
+  if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+  return value;
+};
+
+const metricName = (key) => metricRegistry.getMetric(key) ? key : metricRegistry.resolveName(key);
+
+// A reading is identified by (uid, tts) when the device sent a tts, else by
+// (deviceId, timestamp)
+const readingKeys = ({ deviceId, uid, tts, timestamp }) => {
+  const keys = [`${deviceId}\u0000@${new Date(timestamp).getTime()}`];
+  if (tts > 0) keys.unshift(`${uid}\u0000${tts}`);
+  return keys;
+};
+
+const validationMessages = (error) => Object.values(error.errors).map(item => item.message);
+
+// Imports historical telemetry or device registries from MongoDB Extended
+// JSON (mongoexport), NDJSON or CSV. Rows are validated against the Telemetry
+// and Device schemas and written in batches; readings already stored (or
+// repeated in the file) are skipped and devices are upserted by uid. With
+// `dryRun` everything is checked but nothing is written.
+class BulkImporter {
+  // `input` is a readable stream. Returns the report; throws ImportError
+  // when the options or the file as a whole are unusable.
+  async run(input, options = {}) {
+    const { format, mapping, delimiter } = options;
+    if (!FORMATS.includes(format)) {
+      throw new ImportError(`format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (delimiter !== undefined && String(delimiter).length !== 1) {
+      throw new ImportError('delimiter must be a single character');
+    }
+
+    return this.importRecords(readRecords(input, format, { mapping: parseMapping(mapping), delimiter }), options);
+  }
+
+  // Import `{ row, record }` entries (`{ row, error }` for unreadable rows)
+  // from an iterable or async iterable (see run())
+  async importRecords(entries, {
+    target = 'telemetry',
+    format,
+    dryRun = false,
+    createDevices = true,
+    maxRejections = MAX_REPORTED_REJECTIONS
+  } = {}) {
+    if (!TARGETS.includes(target)) {
+      throw new ImportError(`target must be one of ${TARGETS.join(', ')}`);
+    }
+
+    const report = {
+      target,
+      format,
+      dryRun,
+      rows: 0,
+      imported: 0,
+      duplicates: 0,
+      rejected: 0,
+      devices: { created: 0, updated: 0, unchanged: 0 },
+      locations: { created: 0 },
+      ignoredFields: new Set(),
+      rejections: []
+    };
+    const context = {
+      report,
+      dryRun,
+      createDevices,
+      maxRejections,
+      seen: new Set(),
+      devices: new Map(),
+      locations: new Map(),
+      oldest: retentionService.rebuildableFrom()
+    };
+    const importBatch = target === 'devices'
+      ? batch => this.importDevices(batch, context)
+      : batch => this.importTelemetry(batch, context);
+
+    let batch = [];
+    for await (const entry of entries) {
+      report.rows += 1;
+      if (entry.error) {
+        this.reject(context, entry.row, [entry.error]);
+        continue;
+      }
+
+      batch.push(entry);
+      if (batch.length >= BATCH_SIZE) {
+        await importBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await importBatch(batch);
+    }
+
+    // Rollups of the imported range are out of date (or missing)
+    if (context.range && !dryRun) {
+      report.rollups = await retentionService.rebuild(context.range.from, context.range.to);
+    }
+
+    report.ignoredFields = Array.from(report.ignoredFields);
+    report.rejections.sort((a, b) => a.row - b.row);
+    return report;
+  }
+
+  reject({ report, maxRejections }, row, errors, record) {
+    report.rejected += 1;
+    if (report.rejections.length < maxRejections) {
+      report.rejections.push({ row, errors, record });
+    }
+  }
+
+  // Telemetry document fields of a record: metric columns (or `data`) go
+  // into `data`, other unknown fields are ignored
+  toTelemetry(record, report) {
+    const fields = {};
+    const data = {};
+
+    const addMetric = (key, value) => {
+      const name = metricName(key);
+      if (name) {
+        data[name] = toNumber(value);
+      } else {
+        report.ignoredFields.add(key);
+      }
+    };
+
+    for (const [key, value] of Object.entries(record)) {
+      if (SKIPPED_FIELDS.includes(key)) continue;
+      if (key === 'data' && value && typeof value === 'object') {
+        Object.entries(value).forEach(([metric, metricValue]) => addMetric(metric, metricValue));
+      } else if (TELEMETRY_FIELDS.includes(key)) {
+        fields[key] = value;
+      } else {
+        addMetric(key, value);
+      }
+    }
+
+    const deviceId = String(fields.deviceId || fields.uid || '').trim();
+    const tts = toNumber(fields.tts);
+    const timestamp = toDate(fields.timestamp) || (tts > 0 ? new Date(tts * 1000) : undefined);
+
+    return {
+      deviceId,
+      uid: fields.uid ? String(fields.uid).trim() : deviceId,
+      firmware: fields.firmware,
+      tts,
+      deviceType: fields.deviceType,
+      data,
+      timestamp,
+      timeSource: 'device',
+      receivedAt: toDate(fields.receivedAt) || timestamp
+    };
+  }
+
+  // Device types (and whether they are deleted) of the batch's devices, cached
+  // for the whole import
+  async loadDevices(uids, { devices }) {
+    const missing = uids.filter(uid => !devices.has(uid));
+    if (missing.length === 0) return;
+
+    const found = await Device.find({ uid: { $in: missing } }).select('uid deviceType deletedAt').lean();
+    found.forEach(device => devices.set(device.uid, { deviceType: device.deviceType, deleted: Boolean(device.deletedAt) }));
+  }
+
+  // Keys of the batch's readings that are already stored
+  async findExisting(readings) {
+    const ttsByUid = new Map();
+    const timestampsByDevice = new Map();
+
+    for (const reading of readings) {
+      if (reading.tts > 0) {
+        if (!ttsByUid.has(reading.uid)) ttsByUid.set(reading.uid, []);
+        ttsByUid.get(reading.uid).push(reading.tts);
+      } else {
+        if (!timestampsByDevice.has(reading.deviceId)) timestampsByDevice.set(reading.deviceId, []);
+        timestampsByDevice.get(reading.deviceId).push(reading.timestamp);
+      }
+    }
+
+    const conditions = [
+      ...Array.from(ttsByUid, ([uid, tts]) => ({ uid, tts: { $in: tts } })),
+      ...Array.from(timestampsByDevice, ([deviceId, timestamps]) => ({ deviceId, timestamp: { $in: timestamps } }))
+    ];
+    if (conditions.length === 0) return new Set();
+
+    const stored = await Telemetry.find({ $or: conditions }).select('deviceId uid tts timestamp').lean();
+    return new Set(stored.flatMap(readingKeys));
+  }
+
+  async importTelemetry(batch, context) {
+    const { report, devices } = context;
+
+    const entries = batch.map(({ row, record }) => ({ row, record, fields: this.toTelemetry(record, report) }));
+    await this.loadDevices(Array.from(new Set(entries.map(entry => entry.fields.deviceId).filter(Boolean))), context);
+
+    const candidates = [];
+    for (const { row, record, fields } of entries) {
+      if (!fields.deviceId) {
+        this.reject(context, row, ['deviceId or uid is required'], record);
+        continue;
+      }
+      if (!fields.timestamp) {
+        this.reject(context, row, ['timestamp or tts is required'], record);
+        continue;
+      }
+      if (context.oldest && fields.timestamp < context.oldest) {
+        this.reject(context, row, [`timestamp is older than the retention policy keeps (${context.oldest.toISOString()})`], record);
+        continue;
+      }
+
+      // Unknown devices are registered with the first reading's type and firmware
+      let device = devices.get(fields.deviceId);
+      if (!device) {
+        if (!context.createDevices) {
+          this.reject(context, row, [`Unknown device "${fields.deviceId}"`], record);
+          continue;
+        }
+        device = { deviceType: fields.deviceType || 'sensor', firmware: fields.firmware, pending: true };
+        devices.set(fields.deviceId, device);
+      }
+      if (device.deleted) {
+        this.reject(context, row, [`Device "${fields.deviceId}" is deleted`], record);
+        continue;
+      }
+
+      const telemetry = new Telemetry({ ...fields, deviceType: device.deviceType });
+      try {
+        await telemetry.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        this.reject(context, row, validationMessages(error), record);
+        continue;
+      }
+
+      const [key] = readingKeys(telemetry);
+      if (context.seen.has(key)) {
+        report.duplicates += 1;
+        continue;
+      }
+      context.seen.add(key);
+
+      // Derived metrics are stored like they are for live readings
+      const derived = metricRegistry.derive(telemetry.data);
+      for (const [name, value] of Object.entries(derived)) {
+        telemetry.data.set(name, value);
+      }
+
+      candidates.push({ row, record, telemetry, key });
+    }
+
+    const existing = await this.findExisting(candidates.map(candidate => candidate.telemetry));
+    const fresh = candidates.filter(candidate => {
+      if (!existing.has(candidate.key)) return true;
+      report.duplicates += 1;
+      return false;
+    });
+    if (fresh.length === 0) return;
+
+    const inserted = context.dryRun ? fresh : await this.insertTelemetry(fresh, context);
+    report.imported += inserted.length;
+    await this.updateDevices(inserted, context);
+  }
+
+  // insertMany with ordered:false; readings stored meanwhile count as duplicates
+  async insertTelemetry(entries, context) {
+    try {
+      await Telemetry.insertMany(entries.map(entry => entry.telemetry), { ordered: false });
+      return entries;
+    } catch (error) {
+      if (!Array.isArray(error.writeErrors)) {
+        throw error;
+      }
+
+      const errorsByIndex = new Map(error.writeErrors.map(writeError => [writeError.index, writeError]));
+      return entries.filter((entry, index) => {
+        const writeError = errorsByIndex.get(index);
+        if (!writeError) return true;
+
+        if (writeError.code === DUPLICATE_KEY) {
+          context.report.duplicates += 1;
+        } else {
+          this.reject(context, entry.row, [writeError.errmsg], entry.record);
+        }
+        return false;
+      });
+    }
+  }
+
+  // Register new devices and move lastReadingAt forward; track the imported
+  // time range for the rollups
+  async updateDevices(inserted, context) {
+    const { report, devices } = context;
+    const latestByDevice = new Map();
+
+    for (const { telemetry } of inserted) {
+      const latest = latestByDevice.get(telemetry.deviceId);
+      if (!latest || telemetry.timestamp > latest) {
+        latestByDevice.set(telemetry.deviceId, telemetry.timestamp);
+      }
+
+      const range = context.range || { from: telemetry.timestamp, to: telemetry.timestamp };
+      if (telemetry.timestamp < range.from) range.from = telemetry.timestamp;
+      if (telemetry.timestamp > range.to) range.to = telemetry.timestamp;
+      context.range = range;
+    }
+
+    const operations = [];
+    for (const [uid, lastReadingAt] of latestByDevice) {
+      const device = devices.get(uid);
+      if (device.pending) {
+        device.pending = false;
+        report.devices.created += 1;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { uid },
+          update: {
+            $max: { lastReadingAt },
+            $setOnInsert: {
+              name: `Device ${uid}`,
+              deviceType: device.deviceType,
+              firmware: device.firmware || 'unknown',
+              lastSeen: lastReadingAt
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    if (!context.dryRun && operations.length > 0) {
+      await Device.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  // Device document fields of a record; other fields are ignored
+  toDevice(record, report) {
+    const fields = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (SKIPPED_FIELDS.includes(key)) continue;
+      if (DEVICE_FIELDS.includes(key)) {
+        fields[key] = value;
+      } else {
+        report.ignoredFields.add(key);
+      }
+    }
+
+    if (fields.uid !== undefined) fields.uid = String(fields.uid).trim();
+    if (fields.locationId === '') fields.locationId = null;
+    if (fields.isActive !== undefined) fields.isActive = toBoolean(fields.isActive);
+    if (fields.lastSeen !== undefined) fields.lastSeen = toDate(fields.lastSeen);
+    return fields;
+  }
+
+  // Location node of each device entry: a `locationId` must be a node and
+  // its name becomes `location`; a `location` name is matched to the node of
+  // that name, and a top-level room is created for names no node has yet.
+  // Returns the entries that could be placed, the others are rejected.
+  async resolveLocations(entries, context) {
+    const ids = entries
+      .map(({ fields }) => fields.locationId)
+      .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+    const nodes = ids.length > 0 ? await Location.find({ _id: { $in: ids } }).select('name').lean() : [];
+    const nodesById = new Map(nodes.map(node => [node._id.toString(), node]));
+
+    const names = entries
+      .filter(({ fields }) => fields.locationId === undefined && fields.location && fields.location !== UNSET_LOCATION)
+      .map(({ fields }) => String(fields.location).trim())
+      .filter(name => !context.locations.has(name.toLowerCase()));
+    const byName = await nodesByName(names);
+
+    const placed = [];
+    for (const entry of entries) {
+      const { row, record, fields } = entry;
+
+      if (fields.locationId) {
+        const node = nodesById.get(String(fields.locationId));
+        if (!node) {
+          this.reject(context, row, [`Location "${fields.locationId}" not found`], record);
+        } else if (fields.location !== undefined && fields.location !== node.name) {
+          this.reject(context, row, [`location "${fields.location}" is not the name of location ${fields.locationId}`], record);
+        } else {
+          fields.location = node.name;
+          placed.push(entry);
+        }
+        continue;
+      }
+      if (fields.locationId === null || !fields.location || fields.location === UNSET_LOCATION) {
+        placed.push(entry);
+        continue;
+      }
+
+      const name = String(fields.location).trim();
+      const key = name.toLowerCase();
+      if (!context.locations.has(key)) {
+        const matches = byName.get(key) || [];
+        context.locations.set(key, matches.length > 0 ? matches : [await this.createLocation(name, context)]);
+      }
+
+      const matches = context.locations.get(key);
+      if (matches.length > 1) {
+        this.reject(context, row, [`Several locations are named "${name}", give a locationId`], record);
+        continue;
+      }
+      fields.locationId = matches[0]._id;
+      fields.location = matches[0].name;
+      placed.push(entry);
+    }
+
+    return placed;
+  }
+
+  // A top-level room for a location name no node has
+  async createLocation(name, context) {
+    context.report.locations.created += 1;
+    if (context.dryRun) return { _id: null, name };
+    return Location.create({ name, type: 'room' });
+  }
+
+  async importDevices(batch, context) {
+    const { report } = context;
+
+    const entries = [];
+    for (const { row, record } of batch) {
+      const fields = this.toDevice(record, report);
+      if (!fields.uid) {
+        this.reject(context, row, ['uid is required'], record);
+        continue;
+      }
+      if (context.seen.has(fields.uid)) {
+        report.duplicates += 1;
+        continue;
+      }
+      context.seen.add(fields.uid);
+      entries.push({ row, record, fields });
+    }
+
+    const existing = await Device.find({ uid: { $in: entries.map(entry => entry.fields.uid) } });
+    const devicesByUid = new Map(existing.map(device => [device.uid, device]));
+
+    // Deleted devices are restored through the API, not by an import
+    const live = entries.filter(({ row, record, fields }) => {
+      const device = devicesByUid.get(fields.uid);
+      if (!device || !device.deletedAt) return true;
+      this.reject(context, row, [`Device "${fields.uid}" is deleted`], record);
+      return false;
+    });
+
+    const changed = [];
+    for (const { row, record, fields } of await this.resolveLocations(live, context)) {
+      const device = devicesByUid.get(fields.uid) || new Device();
+
+      // An older export must not move lastSeen back
+      if (!device.isNew && fields.lastSeen <= device.lastSeen) {
+        delete fields.lastSeen;
+      }
+      device.set(fields);
+
+      try {
+        await device.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        this.reject(context, row, validationMessages(error), record);
+        continue;
+      }
+
+      if (!device.isNew && !device.isModified()) {
+        report.devices.unchanged += 1;
+        continue;
+      }
+      report.devices[device.isNew ? 'created' : 'updated'] += 1;
+      changed.push(device);
+    }
+
+    report.imported += changed.length;
+    if (!context.dryRun && changed.length > 0) {
+      await Device.bulkSave(changed);
+    }
+  }
+}
+
+// Create singleton instance
+const bulkImporter = new BulkImporter();
+
+module.exports = bulkImporter;
+module.exports.ImportError = ImportError;
+module.exports.detectFormat = detectFormat;
+module.exports.TARGETS = TARGETS;
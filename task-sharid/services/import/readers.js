@@ -0,0 +1,206 @@
+const path = require('path');
+const readline = require('readline');
+const { EJSON } = require('mongoose').mongo.BSON;
+const ImportError = require('./ImportError');
+
+const FORMATS = ['json', 'ndjson', 'csv'];
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv'
+};
+
+const CONTENT_TYPES = {
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'text/csv': 'csv'
+};
+
+// Format from the file name or Content-Type, else from the first character:
+// "[" is a JSON array (mongoexport --jsonArray), "{" one document per line
+const detectFormat = ({ fileName, contentType, sample } = {}) => {
+  const byExtension = fileName && EXTENSIONS[path.extname(fileName).toLowerCase()];
+  if (byExtension) return byExtension;
+
+  const byContentType = contentType && CONTENT_TYPES[contentType.split(';')[0].trim().toLowerCase()];
+  if (byContentType) return byContentType;
+
+  const first = String(sample || '').replace(/^\uFEFF/, '').trimStart()[0];
+  if (first === '[') return 'json';
+  if (first === '{') return 'ndjson';
+  return 'csv';
+};
+
+// "sensor:deviceId,temp_c:temperature" (or an object) -> { sensor: 'deviceId', temp_c: 'temperature' }
+const parseMapping = (mapping) => {
+  if (!mapping) return {};
+  if (typeof mapping === 'object') return { ...mapping };
+
+  const result = {};
+  for (const entry of String(mapping).split(',')) {
+    if (!entry.trim()) continue;
+    const separator = entry.lastIndexOf(':');
+    const column = entry.slice(0, separator).trim();
+    const field = entry.slice(separator + 1).trim();
+    if (separator < 0 || !column || !field) {
+      throw new ImportError(`Invalid column mapping "${entry.trim()}", expected column:field`);
+    }
+    result[column] = field;
+  }
+  return result;
+};
+
+// Fields of one CSV record, or null when a quoted field continues on the next line
+const parseCsvLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+};
+
+const rename = (record, mapping) => {
+  const result = {};
+  for (const [key, value] of Object.entries(record)) {
+    result[mapping[key] || key] = value;
+  }
+  return result;
+};
+
+const readText = async (input) => {
+  const chunks = [];
+  for await (const chunk of input) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, '');
+};
+
+async function* readJson(input) {
+  let documents;
+  try {
+    documents = EJSON.parse(await readText(input), { relaxed: true });
+  } catch (error) {
+    throw new ImportError(`Invalid JSON: ${error.message}`);
+  }
+
+  const list = Array.isArray(documents) ? documents : [documents];
+  for (let index = 0; index < list.length; index += 1) {
+    yield { row: index + 1, record: list[index] };
+  }
+}
+
+async function* readNdjson(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let row = 0;
+
+  for await (const line of lines) {
+    row += 1;
+    if (!line.trim()) continue;
+
+    try {
+      yield { row, record: EJSON.parse(line, { relaxed: true }) };
+    } catch (error) {
+      yield { row, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+}
+
+// One record per CSV row, keyed by the header row. Empty cells are left out.
+async function* readCsv(input, { delimiter = ',' } = {}) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let header = null;
+  let pending = null;
+  let row = 0;
+  let line = 0;
+
+  for await (const text of lines) {
+    line += 1;
+    if (pending === null) row = line;
+
+    const content = pending === null ? text : `${pending}\n${text}`;
+    const fields = parseCsvLine(content, delimiter);
+    if (!fields) {
+      pending = content;
+      continue;
+    }
+    pending = null;
+
+    if (!content.trim()) continue;
+    if (!header) {
+      header = fields.map(name => name.replace(/^\uFEFF/, '').trim());
+      continue;
+    }
+
+    if (fields.length !== header.length) {
+      yield { row, error: `Expected ${header.length} columns, found ${fields.length}` };
+      continue;
+    }
+
+    const record = {};
+    header.forEach((name, index) => {
+      const value = fields[index].trim();
+      if (value !== '') record[name] = value;
+    });
+    yield { row, record };
+  }
+
+  if (pending !== null) {
+    yield { row, error: 'Unterminated quoted field' };
+  }
+}
+
+const READERS = { json: readJson, ndjson: readNdjson, csv: readCsv };
+
+// Records of `input` (a readable stream) as `{ row, record }`, or
+// `{ row, error }` for rows that can't be parsed. `row` is the line number
+// (NDJSON, CSV) or the position in the array (JSON). Keys are renamed by `mapping`.
+async function* readRecords(input, format, { mapping = {}, delimiter } = {}) {
+  const reader = READERS[format];
+  if (!reader) {
+    throw new ImportError(`format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  for await (const entry of reader(input, { delimiter })) {
+    if (entry.error) {
+      yield entry;
+    } else if (!entry.record || typeof entry.record !== 'object' || Array.isArray(entry.record)) {
+      yield { row: entry.row, error: 'Not an object' };
+    } else {
+      yield { row: entry.row, record: rename(entry.record, mapping) };
+    }
+  }
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseMapping,
+  parseCsvLine,
+  readRecords
+};
@@ -0,0 +1,365 @@
+const Device = require('../models/Device');
+const Telemetry = require('../models/Telemetry');
+const DeadLetter = require('../models/DeadLetter');
+const { decoderRegistry } = require('./decoders');
+const { metricRegistry } = require('./metrics');
+const IngestionQueue = require('./ingestionQueue');
+const { ClockSkewMonitor, ttsToDate } = require('./clockSkew');
+const presenceMonitor = require('./presence');
+const alertEngine = require('./alerts');
+const anomalyDetector = require('./anomaly');
+const aqiCalculator = require('./aqi');
+
+// How long a device's type (and whether it is deleted) is cached for
+// decoder/metric lookups
+const DEVICE_CACHE_TTL_MS = 60 * 1000;
+
+// Decode -> validate -> queue -> batched save -> socket emit. Shared by the
+// MQTT worker, HTTP ingestion, readings posted to the API and dead-letter
+// replay. Rejected messages are stored as dead letters.
+class IngestionPipeline {
+  constructor() {
+    this.io = null;
+    this.devices = new Map();
+    this.clockSkew = new ClockSkewMonitor();
+    this.queue = new IngestionQueue({
+      onPersisted: (items) => this.emitPersisted(items),
+      onFailed: (item, error, { duplicate }) => this.handleStorageFailure(item, error, duplicate)
+    });
+  }
+
+  setSocket(socketIo) {
+    this.io = socketIo;
+  }
+
+  // Extract device ID from topic: /application/out/<device_id>
+  parseTopic(topic) {
+    const topicParts = topic.split('/');
+    if (topicParts.length !== 4 || topicParts[1] !== 'application' || topicParts[2] !== 'out' || !topicParts[3]) {
+      return null;
+    }
+    return topicParts[3];
+  }
+
+  // Returns `{ success: true, telemetry }` once the reading is queued, or
+  // `{ success: false, reason, error, deadLetter }`. Pass `deadLetter: false` to
+  // skip storing rejections and `waitForPersist: true` to resolve only after
+  // the batch holding the reading was written (both used by replay).
+  // `decoder` names the decoder instead of picking one by topic or device type.
+  async ingestMqttMessage(topic, message, {
+    receivedAt = new Date(),
+    deadLetter = true,
+    waitForPersist = false,
+    source = 'mqtt',
+    decoder
+  } = {}) {
+    const rejection = { topic, payload: message, receivedAt, source };
+
+    const deviceId = this.parseTopic(topic);
+    if (!deviceId) {
+      return this.reject({ ...rejection, reason: 'invalid_topic', error: `Invalid topic format: ${topic}` }, deadLetter);
+    }
+
+    // Soft-deleted devices keep their history but take no new readings, and
+    // neither do deactivated devices or devices whose secret was revoked (also
+    // when readings come through an external broker, which doesn't check secrets)
+    const { deviceType, deleted, deactivated, revoked } = await this.getDevice(deviceId);
+    if (deleted) {
+      return this.reject({ ...rejection, deviceId, reason: 'device_deleted', error: `Device ${deviceId} is deleted` }, deadLetter);
+    }
+    if (deactivated) {
+      return this.reject({ ...rejection, deviceId, reason: 'device_deactivated', error: `Device ${deviceId} is deactivated` }, deadLetter);
+    }
+    if (revoked) {
+      return this.reject({ ...rejection, deviceId, reason: 'secret_revoked', error: `Device ${deviceId} has a revoked secret` }, deadLetter);
+    }
+
+    // Pick a decoder by topic or device type and decode the payload
+    const result = decoderRegistry.decode(message, { decoder, topic, deviceId, deviceType });
+
+    if (!result.success) {
+      return this.reject({
+        ...rejection,
+        deviceId,
+        reason: result.reason,
+        error: result.message,
+        decoder: result.decoder,
+        details: result.details
+      }, deadLetter);
+    }
+
+    const payload = result.payload;
+
+    // Use the device time (tts) as the reading time and track clock skew.
+    // Readings posted to the API may be backfilled, so their tts is only
+    // the reading time and says nothing about the device's clock.
+    const timing = source === 'api'
+      ? this.givenTime(payload.tts, receivedAt)
+      : this.clockSkew.observe(deviceId, payload.tts, receivedAt);
+    if (timing.changed) {
+      this.notifyClockSkew(deviceId, timing);
+    }
+
+    const telemetry = new Telemetry({
+      deviceId: deviceId,
+      uid: payload.uid || deviceId,
+      deviceType,
+      firmware: payload.firmware || 'unknown',
+      tts: payload.tts || 0,
+      data: payload.data,
+      timestamp: timing.timestamp,
+      timeSource: timing.timeSource,
+      receivedAt: receivedAt,
+      clockSkewMs: timing.skewMs,
+      clockSkewed: timing.skewed,
+      rawPayload: message.toString()
+    });
+
+    try {
+      await telemetry.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+
+      return this.reject({
+        ...rejection,
+        deviceId,
+        reason: 'validation_failed',
+        error: error.message,
+        decoder: result.decoder,
+        details: { errors: Object.keys(error.errors) }
+      }, deadLetter);
+    }
+
+    // Add derived metrics (dew point, ...) so they are stored, scored and
+    // alerted on like the ones the device sent
+    const derived = metricRegistry.derive(telemetry.data);
+    for (const [name, value] of Object.entries(derived)) {
+      telemetry.data.set(name, value);
+    }
+
+    // Flag readings outside the device's baseline and add the AQI before they are stored
+    await anomalyDetector.inspect(telemetry);
+    await aqiCalculator.apply(telemetry);
+
+    // Reading and device update are written by the next batch flush
+    const { accepted, persisted } = this.queue.enqueue({
+      telemetry,
+      device: {
+        uid: deviceId,
+        firmware: payload.firmware,
+        lastSeen: new Date(),
+        clockOffsetMs: timing.offsetMs,
+        clockSkewDetected: timing.skewed
+      },
+      source: rejection
+    });
+
+    if (!accepted) {
+      console.warn(`⚠️ Ingestion queue full, dropped reading from ${deviceId}`);
+      return { success: false, reason: 'queue_full', error: 'Ingestion queue is full', deadLetter: null };
+    }
+
+    if (waitForPersist) {
+      const outcome = await persisted;
+      if (!outcome.success) {
+        const reason = outcome.duplicate ? 'duplicate' : 'storage_failed';
+        return { success: false, reason, error: outcome.error.message, deadLetter: null };
+      }
+    }
+
+    return { success: true, telemetry };
+  }
+
+  // HTTP ingestion (routes/ingest.js): same pipeline, on the device's telemetry topic
+  ingestHttpPayload(uid, payload, options = {}) {
+    return this.ingestMqttMessage(`/application/out/${uid}`, payload, { ...options, source: 'http' });
+  }
+
+  // Readings posted by users (routes/telemetry.js): `{ data, tts, firmware }`
+  // in the JSON payload format, whatever decoder the device normally uses
+  ingestReading(uid, reading, options = {}) {
+    return this.ingestMqttMessage(`/application/out/${uid}`, Buffer.from(JSON.stringify(reading)), {
+      ...options,
+      source: 'api',
+      decoder: 'json'
+    });
+  }
+
+  // Backpressure hook for producers (see MQTTWorker.connect)
+  waitForCapacity() {
+    return this.queue.waitForCapacity();
+  }
+
+  // Forget a device that is being hard-deleted: readings still queued for it
+  // are dropped so the batch write can't re-create it
+  discardDevice(deviceId) {
+    this.invalidateDevice(deviceId);
+    return this.queue.discard(deviceId);
+  }
+
+  // Device type and deleted, deactivated and revoked flags, with a short
+  // cache to avoid a query per message
+  async getDevice(deviceId) {
+    const cached = this.devices.get(deviceId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    const device = await Device.findOne({ uid: deviceId }).select('deviceType deletedAt deactivatedAt secretRevokedAt').lean();
+    const entry = {
+      deviceType: device ? device.deviceType : undefined,
+      deleted: Boolean(device && device.deletedAt),
+      deactivated: Boolean(device && device.deactivatedAt),
+      revoked: Boolean(device && device.secretRevokedAt),
+      expiresAt: Date.now() + DEVICE_CACHE_TTL_MS
+    };
+    this.devices.set(deviceId, entry);
+    return entry;
+  }
+
+  // Pick up a device that was changed, deleted or restored through the API
+  invalidateDevice(deviceId) {
+    this.devices.delete(deviceId);
+  }
+
+  // Emit real-time updates once a batch is stored
+  emitPersisted(items) {
+    for (const { telemetry, device } of items) {
+      console.log(`✅ Processed telemetry for device ${device.uid}:`, Object.fromEntries(telemetry.data));
+
+      if (this.io) {
+        this.io.emit('telemetry:new', {
+          deviceId: device.uid,
+          data: telemetry.toAPIResponse()
+        });
+
+        this.io.emit('device:update', {
+          deviceId: device.uid,
+          status: 'online',
+          lastSeen: device.lastSeen
+        });
+      }
+
+      presenceMonitor.markSeen(device.uid, device.lastSeen);
+    }
+
+    // Check alert rules against the stored readings
+    alertEngine.evaluate(items.map(item => item.telemetry));
+  }
+
+  // Timing of a reading stamped by whoever posted it: `tts` as is (receive
+  // time without one), with no clock skew state for the device
+  givenTime(tts, receivedAt) {
+    const timestamp = ttsToDate(tts);
+    return {
+      timestamp: timestamp || receivedAt,
+      timeSource: timestamp ? 'device' : 'server',
+      skewMs: null,
+      offsetMs: undefined,
+      skewed: false,
+      changed: false
+    };
+  }
+
+  // Emit a notification when a device's clock drifts past (or back within) tolerance
+  notifyClockSkew(deviceId, timing) {
+    const minutes = Math.round(timing.offsetMs / 60000);
+    console.warn(`🕒 Clock skew ${timing.skewed ? 'detected' : 'resolved'} for ${deviceId} (offset ${timing.offsetMs} ms)`);
+
+    if (this.io) {
+      this.io.emit('system:notification', {
+        type: 'clock_skew',
+        deviceId,
+        offsetMs: timing.offsetMs,
+        skewed: timing.skewed,
+        message: timing.skewed
+          ? `Device ${deviceId} clock is off by ${minutes} min`
+          : `Device ${deviceId} clock is back in sync`
+      });
+    }
+  }
+
+  // Readings the database refused are kept as dead letters; retransmits
+  // rejected by the idempotency index are only counted
+  handleStorageFailure(item, error, duplicate) {
+    const { source, telemetry } = item;
+
+    if (duplicate) {
+      console.log(`♻️ Ignored duplicate reading from ${telemetry.uid} (tts ${telemetry.tts})`);
+      return null;
+    }
+
+    return this.reject({
+      ...source,
+      deviceId: telemetry.deviceId,
+      reason: 'storage_failed',
+      error: error.message,
+      details: { code: error.code }
+    }, true);
+  }
+
+  async reject(entry, storeDeadLetter) {
+    console.warn(`⚠️ Rejected message on ${entry.topic} (decoder: ${entry.decoder || 'none'}, reason: ${entry.reason}): ${entry.error}`);
+
+    let deadLetter = null;
+    if (storeDeadLetter) {
+      try {
+        deadLetter = await DeadLetter.create({
+          ...entry,
+          payload: Buffer.isBuffer(entry.payload) ? entry.payload : Buffer.from(String(entry.payload))
+        });
+      } catch (error) {
+        console.error('❌ Failed to store dead letter:', error);
+      }
+    }
+
+    return {
+      success: false,
+      reason: entry.reason,
+      error: entry.error,
+      deadLetter
+    };
+  }
+
+  // Run a stored dead letter through the pipeline again and record the outcome
+  async replay(deadLetter) {
+    const result = await this.ingestMqttMessage(deadLetter.topic, deadLetter.payload, {
+      receivedAt: deadLetter.receivedAt,
+      source: deadLetter.source,
+      // Readings posted to the API are always in the JSON format
+      decoder: deadLetter.source === 'api' ? 'json' : undefined,
+      deadLetter: false,
+      waitForPersist: true
+    });
+
+    deadLetter.replayCount += 1;
+    deadLetter.lastReplayedAt = new Date();
+
+    if (result.success) {
+      deadLetter.status = 'replayed';
+      deadLetter.telemetryId = result.telemetry._id;
+    } else {
+      deadLetter.reason = result.reason;
+      deadLetter.error = result.error;
+    }
+
+    await deadLetter.save();
+    return result;
+  }
+
+  getStats() {
+    return this.queue.getStats();
+  }
+
+  // Write out everything still buffered (used on shutdown)
+  drain() {
+    return this.queue.stop();
+  }
+}
+
+// Create singleton instance
+const ingestionPipeline = new IngestionPipeline();
+
+module.exports = ingestionPipeline;
@@ -0,0 +1,281 @@
+const Telemetry = require('../models/Telemetry');
+const Device = require('../models/Device');
+
+const DEFAULTS = {
+  batchSize: parseInt(process.env.INGEST_BATCH_SIZE) || 200,
+  flushIntervalMs: parseInt(process.env.INGEST_FLUSH_INTERVAL_MS) || 1000,
+  maxQueueSize: parseInt(process.env.INGEST_MAX_QUEUE_SIZE) || 10000,
+  maxRetries: 3
+};
+
+// MongoDB duplicate key error, raised by the (uid, tts) idempotency index
+const DUPLICATE_KEY = 11000;
+
+// Buffers validated telemetry documents and writes them in batches:
+// readings with insertMany, device lastSeen/firmware with one bulkWrite upsert
+// per device. The queue is bounded; producers call waitForCapacity() to apply
+// backpressure and enqueue() drops the reading when the queue is full.
+class IngestionQueue {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.queue = [];
+    this.waiters = [];
+    this.flushing = false;
+    this.timer = null;
+
+    // Hooks set by the ingestion pipeline
+    this.onPersisted = options.onPersisted || null;
+    this.onFailed = options.onFailed || null;
+
+    this.stats = {
+      enqueued: 0,
+      persisted: 0,
+      duplicates: 0,
+      failed: 0,
+      dropped: 0,
+      retried: 0,
+      flushes: 0,
+      lastFlushSize: 0,
+      lastFlushDurationMs: 0,
+      avgFlushSize: 0,
+      avgFlushDurationMs: 0,
+      maxQueueWaitMs: 0,
+      lastFlushAt: null
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.flush(), this.options.flushIntervalMs);
+    // Don't keep scripts alive just for the flush timer
+    this.timer.unref();
+  }
+
+  // Flush everything that is still queued and stop the timer
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    while (this.queue.length > 0 || this.flushing) {
+      await this.flush();
+      if (this.flushing) await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  // Drop the queued readings of a device (hard delete). Waits for a flush in
+  // progress first, so nothing of the device is written after this resolves.
+  async discard(uid) {
+    while (this.flushing) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const dropped = this.queue.filter(entry => entry.item.device.uid === uid);
+    this.queue = this.queue.filter(entry => entry.item.device.uid !== uid);
+    dropped.forEach(entry => entry.resolve({ success: false, duplicate: false, error: new Error('Device was deleted') }));
+    this.releaseWaiters();
+    return dropped.length;
+  }
+
+  isFull() {
+    return this.queue.length >= this.options.maxQueueSize;
+  }
+
+  // Resolves once the queue has room again
+  waitForCapacity() {
+    if (!this.isFull()) return Promise.resolve();
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  // `item` is `{ telemetry, device: { uid, firmware, lastSeen, ... } }`. Returns
+  // `{ accepted, persisted }` where `persisted` resolves to `{ success, error }`
+  // after the batch containing the item has been written (never rejects).
+  enqueue(item) {
+    if (this.isFull()) {
+      this.stats.dropped++;
+      return {
+        accepted: false,
+        persisted: Promise.resolve({ success: false, error: new Error('Ingestion queue is full') })
+      };
+    }
+
+    let resolve;
+    const persisted = new Promise(r => { resolve = r; });
+    this.queue.push({ item, resolve, enqueuedAt: Date.now(), attempts: 0 });
+    this.stats.enqueued++;
+
+    this.start();
+    if (this.queue.length >= this.options.batchSize) {
+      setImmediate(() => this.flush());
+    }
+
+    return { accepted: true, persisted };
+  }
+
+  async flush() {
+    if (this.flushing || this.queue.length === 0) return;
+    this.flushing = true;
+
+    const batch = this.queue.splice(0, this.options.batchSize);
+    const startedAt = Date.now();
+
+    try {
+      const { persisted, failed } = await this.writeTelemetry(batch);
+      await this.writeDevices(persisted);
+
+      const duplicates = failed.filter(({ error }) => error.code === DUPLICATE_KEY);
+      this.recordFlush(batch, persisted.length, duplicates.length, failed.length - duplicates.length, startedAt);
+
+      persisted.forEach(entry => entry.resolve({ success: true }));
+      failed.forEach(({ entry, error }) => {
+        const duplicate = error.code === DUPLICATE_KEY;
+        entry.resolve({ success: false, duplicate, error });
+        if (this.onFailed) this.onFailed(entry.item, error, { duplicate });
+      });
+
+      if (this.onPersisted && persisted.length > 0) {
+        this.onPersisted(persisted.map(entry => entry.item));
+      }
+    } catch (error) {
+      // Whole batch failed (e.g. lost connection): retry a few times, then give up
+      console.error(`❌ Failed to flush ${batch.length} telemetry readings:`, error.message);
+      const retry = batch.filter(entry => ++entry.attempts < this.options.maxRetries);
+      const giveUp = batch.filter(entry => entry.attempts >= this.options.maxRetries);
+
+      this.queue.unshift(...retry);
+      this.stats.retried += retry.length;
+      this.stats.failed += giveUp.length;
+
+      giveUp.forEach(entry => {
+        entry.resolve({ success: false, duplicate: false, error });
+        if (this.onFailed) this.onFailed(entry.item, error, { duplicate: false });
+      });
+    } finally {
+      this.flushing = false;
+      this.releaseWaiters();
+
+      if (this.queue.length >= this.options.batchSize) {
+        setImmediate(() => this.flush());
+      }
+    }
+  }
+
+  // insertMany with ordered:false so one bad document doesn't block the batch
+  async writeTelemetry(batch) {
+    try {
+      await Telemetry.insertMany(batch.map(entry => entry.item.telemetry), { ordered: false });
+      return { persisted: batch, failed: [] };
+    } catch (error) {
+      if (!Array.isArray(error.writeErrors)) {
+        throw error;
+      }
+
+      const errorsByIndex = new Map(error.writeErrors.map(writeError => [writeError.index, writeError]));
+      const persisted = [];
+      const failed = [];
+
+      batch.forEach((entry, index) => {
+        if (errorsByIndex.has(index)) {
+          const writeError = errorsByIndex.get(index);
+          failed.push({ entry, error: Object.assign(new Error(writeError.errmsg), { code: writeError.code }) });
+        } else {
+          persisted.push(entry);
+        }
+      });
+
+      return { persisted, failed };
+    }
+  }
+
+  // Coalesce device updates: one upsert per device with its latest values.
+  // lastReadingAt uses $max so late (out-of-order) readings can't move it back.
+  async writeDevices(persisted) {
+    const latestByDevice = new Map();
+
+    for (const { item } of persisted) {
+      const current = latestByDevice.get(item.device.uid);
+      const readingAt = item.telemetry.timestamp;
+      if (!current || item.device.lastSeen >= current.lastSeen) {
+        latestByDevice.set(item.device.uid, {
+          ...item.device,
+          firmware: item.device.firmware || (current && current.firmware),
+          lastReadingAt: current && current.lastReadingAt > readingAt ? current.lastReadingAt : readingAt
+        });
+      } else if (readingAt > current.lastReadingAt) {
+        current.lastReadingAt = readingAt;
+      }
+    }
+
+    if (latestByDevice.size === 0) return;
+
+    const operations = Array.from(latestByDevice.values()).map(device => {
+      const set = { lastSeen: device.lastSeen, isActive: true, status: 'online' };
+      const setOnInsert = { name: `Device ${device.uid}` };
+
+      if (device.clockOffsetMs !== undefined) {
+        set.clockOffsetMs = device.clockOffsetMs;
+        set.clockSkewDetected = device.clockSkewDetected;
+      }
+
+      if (device.firmware) {
+        set.firmware = device.firmware;
+      } else {
+        setOnInsert.firmware = 'unknown';
+      }
+
+      return {
+        updateOne: {
+          filter: { uid: device.uid },
+          update: { $set: set, $setOnInsert: setOnInsert, $max: { lastReadingAt: device.lastReadingAt } },
+          upsert: true
+        }
+      };
+    });
+
+    try {
+      await Device.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      console.error('❌ Error updating devices:', error.message);
+    }
+  }
+
+  recordFlush(batch, persistedCount, duplicateCount, failedCount, startedAt) {
+    const now = Date.now();
+    const stats = this.stats;
+    const duration = now - startedAt;
+
+    stats.flushes++;
+    stats.persisted += persistedCount;
+    stats.duplicates += duplicateCount;
+    stats.failed += failedCount;
+    stats.lastFlushSize = batch.length;
+    stats.lastFlushDurationMs = duration;
+    stats.lastFlushAt = new Date(now);
+    stats.maxQueueWaitMs = Math.max(stats.maxQueueWaitMs, ...batch.map(entry => startedAt - entry.enqueuedAt));
+
+    // Running averages over all flushes
+    stats.avgFlushSize += (batch.length - stats.avgFlushSize) / stats.flushes;
+    stats.avgFlushDurationMs += (duration - stats.avgFlushDurationMs) / stats.flushes;
+  }
+
+  releaseWaiters() {
+    while (this.waiters.length > 0 && !this.isFull()) {
+      this.waiters.shift()();
+    }
+  }
+
+  getStats() {
+    return {
+      queued: this.queue.length,
+      maxQueueSize: this.options.maxQueueSize,
+      batchSize: this.options.batchSize,
+      flushIntervalMs: this.options.flushIntervalMs,
+      waitingProducers: this.waiters.length,
+      ...this.stats,
+      avgFlushSize: Math.round(this.stats.avgFlushSize * 10) / 10,
+      avgFlushDurationMs: Math.round(this.stats.avgFlushDurationMs * 10) / 10
+    };
+  }
+}
+
+module.exports = IngestionQueue;
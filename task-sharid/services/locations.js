@@ -0,0 +1,135 @@
+const Device = require('../models/Device');
+const Location = require('../models/Location');
+const Telemetry = require('../models/Telemetry');
+const { metricRegistry } = require('./metrics');
+
+// Metrics summarized per node unless a request asks for others
+const DEFAULT_READING_METRICS = ['temperature', 'humidity', 'pm25'];
+
+// A node and every node below it (`_id` and `ancestors` of the descendants)
+const subtree = async (location) => [
+  location,
+  ...await Location.find({ ancestors: location._id }).select('ancestors').lean()
+];
+
+// Ids of a node and every node below it
+const subtreeIds = async (location) => (await subtree(location)).map(node => node._id);
+
+// Nodes named like one of `names` (case-insensitive), to match `location`
+// strings to the tree. Returns a Map of lowercased name to its nodes; a
+// name used in several places has more than one.
+const nodesByName = async (names) => {
+  const nodes = names.length > 0
+    ? await Location.find({ name: { $in: names } })
+      .collation({ locale: 'en', strength: 2 })
+      .select('name type')
+      .lean()
+    : [];
+
+  const byName = new Map();
+  nodes.forEach(node => {
+    const key = node.name.toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), node]);
+  });
+  return byName;
+};
+
+// The node's time zone or its nearest ancestor's; null when none has one
+const effectiveTimezone = async (location) => {
+  if (location.timezone) return location.timezone;
+  if (location.ancestors.length === 0) return null;
+
+  const ancestors = await Location.find({ _id: { $in: location.ancestors }, timezone: { $ne: null } })
+    .select('timezone')
+    .lean();
+  const zones = new Map(ancestors.map(node => [node._id.toString(), node.timezone]));
+  const nearest = [...location.ancestors].reverse().find(id => zones.has(id.toString()));
+  return nearest ? zones.get(nearest.toString()) : null;
+};
+
+// Nest API nodes under their parents as `children`, siblings sorted by name
+const buildTree = (nodes) => {
+  const byId = new Map(nodes.map(node => [node.id.toString(), { ...node, children: [] }]));
+  const roots = [];
+
+  for (const node of byId.values()) {
+    const parent = node.parent ? byId.get(node.parent.toString()) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+};
+
+// Average readings per node since `from`. Each device is averaged over the
+// window first and nodes take the mean over the devices in their subtree, so
+// a device that reports more often doesn't weigh more. `locations` must hold
+// every node below the ones of interest (the whole tree, or subtree()); only
+// devices assigned to them are read. Returns a Map of node id to
+// `{ devices, reporting, averages }`; nodes without devices are left out.
+const nodeReadings = async (locations, { from, metrics = DEFAULT_READING_METRICS }) => {
+  const chains = new Map(locations.map(node => [
+    node._id.toString(),
+    [...node.ancestors, node._id].map(id => id.toString())
+  ]));
+
+  const devices = await Device.find({ deletedAt: null, locationId: { $in: locations.map(node => node._id) } })
+    .select('uid locationId')
+    .lean();
+
+  const group = { _id: '$deviceId' };
+  metrics.forEach(metric => {
+    group[metric] = { $avg: `$data.${metric}` };
+  });
+  const rows = devices.length > 0
+    ? await Telemetry.aggregate([
+      { $match: { deviceId: { $in: devices.map(device => device.uid) }, timestamp: { $gte: from } } },
+      { $group: group }
+    ])
+    : [];
+  const deviceAverages = new Map(rows.map(row => [row._id, row]));
+
+  const totals = new Map();
+  for (const device of devices) {
+    const chain = chains.get(device.locationId.toString()) || [];
+    const averages = deviceAverages.get(device.uid);
+
+    for (const id of chain) {
+      const total = totals.get(id) || { devices: 0, reporting: 0, sums: {}, counts: {} };
+      totals.set(id, total);
+      total.devices += 1;
+      if (!averages) continue;
+
+      total.reporting += 1;
+      metrics.forEach(metric => {
+        if (typeof averages[metric] !== 'number') return;
+        total.sums[metric] = (total.sums[metric] || 0) + averages[metric];
+        total.counts[metric] = (total.counts[metric] || 0) + 1;
+      });
+    }
+  }
+
+  const readings = new Map();
+  for (const [id, { devices: count, reporting, sums, counts }] of totals) {
+    const averages = {};
+    metrics.forEach(metric => {
+      averages[metric] = counts[metric] ? metricRegistry.round(metric, sums[metric] / counts[metric]) : null;
+    });
+    readings.set(id, { devices: count, reporting, averages });
+  }
+  return readings;
+};
+
+module.exports = {
+  DEFAULT_READING_METRICS,
+  subtree,
+  subtreeIds,
+  nodesByName,
+  effectiveTimezone,
+  buildTree,
+  nodeReadings
+};
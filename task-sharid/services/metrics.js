@@ -0,0 +1,318 @@
+const path = require('path');
+
+// Built-in metric definitions. `aliases` are the wire names devices may use.
+const BUILTIN_METRICS = [
+  { name: 'temperature', label: 'Temperature', unit: '°C', precision: 2, min: -40, max: 125, aliases: ['temp'] },
+  { name: 'humidity', label: 'Humidity', unit: '%', precision: 2, min: 0, max: 100, aliases: ['hum', 'rh'] },
+  { name: 'pm25', label: 'PM2.5', unit: 'µg/m³', precision: 2, min: 0, max: 1000, aliases: ['pm2.5', 'pm2_5'] },
+  { name: 'co2', label: 'CO2', unit: 'ppm', precision: 0, min: 0, max: 10000, aliases: ['eco2'] },
+  { name: 'voc', label: 'VOC', unit: 'ppb', precision: 0, min: 0, max: 60000, aliases: ['tvoc'] },
+  { name: 'noise', label: 'Noise', unit: 'dB', precision: 1, min: 0, max: 140, aliases: ['db', 'spl'] },
+  { name: 'pressure', label: 'Pressure', unit: 'hPa', precision: 1, min: 300, max: 1100, aliases: ['press', 'baro'] }
+];
+
+// Comfort metrics derived from temperature (°C) and relative humidity (%)
+const dewPoint = ({ temperature, humidity }) => {
+  // Magnus formula (Sonntag constants)
+  const a = 17.62;
+  const b = 243.12;
+  const gamma = Math.log(humidity / 100) + (a * temperature) / (b + temperature);
+  return (b * gamma) / (a - gamma);
+};
+
+const heatIndex = ({ temperature, humidity }) => {
+  // NWS: Steadman's simple formula, the Rothfusz regression from 80 °F
+  const t = temperature * 9 / 5 + 32;
+  const rh = humidity;
+  let index = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((index + t) / 2 >= 80) {
+    index = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh
+      - 0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+      + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    if (rh < 13 && t >= 80 && t <= 112) {
+      index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      index += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+
+  return (index - 32) * 5 / 9;
+};
+
+const absoluteHumidity = ({ temperature, humidity }) =>
+  (6.112 * Math.exp((17.67 * temperature) / (temperature + 243.5)) * humidity * 2.1674) / (273.15 + temperature);
+
+// Computed at ingestion from the metrics in `inputs` and stored with the reading
+const BUILTIN_DERIVED_METRICS = [
+  { name: 'dewPoint', label: 'Dew Point', unit: '°C', precision: 1, min: -80, max: 125, inputs: ['temperature', 'humidity'], compute: dewPoint },
+  { name: 'heatIndex', label: 'Heat Index', unit: '°C', precision: 1, min: -40, max: 200, inputs: ['temperature', 'humidity'], compute: heatIndex },
+  { name: 'absoluteHumidity', label: 'Absolute Humidity', unit: 'g/m³', precision: 2, min: 0, max: 1000, inputs: ['temperature', 'humidity'], compute: absoluteHumidity }
+];
+
+// Seconds without contact before a device is shown as `warning` / `offline`
+// (PRESENCE_WARNING_SECONDS, PRESENCE_OFFLINE_SECONDS); device types may override
+const DEFAULT_PRESENCE = {
+  warningAfterSeconds: parseInt(process.env.PRESENCE_WARNING_SECONDS) || 5 * 60,
+  offlineAfterSeconds: parseInt(process.env.PRESENCE_OFFLINE_SECONDS) || 30 * 60
+};
+
+// Metrics each device type reports. `required` defaults to `metrics`.
+const BUILTIN_DEVICE_TYPES = {
+  default: { metrics: ['temperature', 'humidity', 'pm25'] },
+  sensor: { metrics: ['temperature', 'humidity', 'pm25'] },
+  environmental: { metrics: ['temperature', 'humidity', 'pm25'] },
+  'air-quality': { metrics: ['pm25', 'co2', 'voc', 'temperature', 'humidity'], required: ['pm25', 'co2'] },
+  acoustic: { metrics: ['noise'] },
+  // Weather stations usually report every 10-15 minutes
+  weather: {
+    metrics: ['temperature', 'humidity', 'pressure'],
+    presence: { warningAfterSeconds: 20 * 60, offlineAfterSeconds: 60 * 60 }
+  }
+};
+
+// Reads a Mongoose Map or a plain object into a plain object
+const toPlainData = (data) => {
+  if (!data) return {};
+  if (data instanceof Map) return Object.fromEntries(data);
+  if (typeof data.toObject === 'function') return data.toObject();
+  return { ...data };
+};
+
+class MetricRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.aliases = new Map();
+    this.deviceTypes = new Map();
+    // name -> { inputs, compute }, in registration order
+    this.derivations = new Map();
+  }
+
+  defineMetric(definition) {
+    const { name } = definition;
+    if (!name || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid metric name "${name}"`);
+    }
+
+    const metric = {
+      label: name,
+      unit: '',
+      precision: 2,
+      min: undefined,
+      max: undefined,
+      aliases: [],
+      ...definition
+    };
+
+    this.metrics.set(name, metric);
+    this.aliases.set(name, name);
+    for (const alias of metric.aliases) {
+      this.aliases.set(alias, name);
+    }
+    return this;
+  }
+
+  // A metric computed from others: `compute(values)` gets the reading's
+  // values once every metric in `inputs` is present and returns a number.
+  // Derived metrics may use ones registered before them.
+  defineDerivedMetric({ inputs, compute, ...definition }) {
+    if (!Array.isArray(inputs) || inputs.length === 0 || typeof compute !== 'function') {
+      throw new Error(`Derived metric "${definition.name}" needs inputs and a compute(values) function`);
+    }
+
+    const unknown = inputs.filter(name => !this.metrics.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Derived metric "${definition.name}" uses unknown metrics: ${unknown.join(', ')}`);
+    }
+
+    this.defineMetric({ ...definition, derived: true, inputs: [...inputs] });
+    this.derivations.set(definition.name, { inputs, compute });
+    return this;
+  }
+
+  defineDeviceType(deviceType, { metrics, required, presence }) {
+    const unknown = metrics.filter(name => !this.metrics.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Device type "${deviceType}" uses unknown metrics: ${unknown.join(', ')}`);
+    }
+
+    const thresholds = { ...DEFAULT_PRESENCE, ...presence };
+    if (thresholds.warningAfterSeconds > thresholds.offlineAfterSeconds) {
+      throw new Error(`Device type "${deviceType}": warningAfterSeconds must not exceed offlineAfterSeconds`);
+    }
+
+    this.deviceTypes.set(deviceType, {
+      metrics: [...metrics],
+      required: required ? [...required] : [...metrics],
+      presence: thresholds
+    });
+    return this;
+  }
+
+  getMetric(name) {
+    return this.metrics.get(name);
+  }
+
+  // Maps a wire name ("temp", "pm2.5") to the metric name, if known
+  resolveName(key) {
+    return this.aliases.get(key);
+  }
+
+  getDeviceType(deviceType) {
+    return this.deviceTypes.get(deviceType) || this.deviceTypes.get('default');
+  }
+
+  // Names of the configured device types, including 'default'
+  listDeviceTypes() {
+    return Array.from(this.deviceTypes.keys());
+  }
+
+  // `{ warningAfterSeconds, offlineAfterSeconds }` for a device type
+  getPresence(deviceType) {
+    return this.getDeviceType(deviceType).presence;
+  }
+
+  getDeviceTypeMetrics(deviceType) {
+    return this.getDeviceType(deviceType).metrics.map(name => this.metrics.get(name));
+  }
+
+  // Names of the metrics the device types report plus the derived metrics
+  // computed from them
+  getReportedMetrics(deviceTypes) {
+    const names = new Set();
+    deviceTypes.forEach(type => this.getDeviceType(type).metrics.forEach(name => names.add(name)));
+
+    for (const [name, { inputs }] of this.derivations) {
+      if (inputs.every(input => names.has(input))) names.add(name);
+    }
+    return Array.from(names);
+  }
+
+  // Returns a list of `{ metric, reason, message }` problems (empty when valid)
+  validate(deviceType, data) {
+    const values = toPlainData(data);
+    const profile = this.getDeviceType(deviceType);
+    const errors = [];
+
+    for (const name of profile.required) {
+      if (values[name] === undefined || values[name] === null) {
+        errors.push({ metric: name, reason: 'missing_metric', message: `Missing required metric "${name}"` });
+      }
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+      const metric = this.metrics.get(name);
+      if (!metric) {
+        errors.push({ metric: name, reason: 'unknown_metric', message: `Unknown metric "${name}"` });
+        continue;
+      }
+
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ metric: name, reason: 'invalid_value', message: `Metric "${name}" is not a number` });
+        continue;
+      }
+
+      if ((metric.min !== undefined && value < metric.min) || (metric.max !== undefined && value > metric.max)) {
+        errors.push({
+          metric: name,
+          reason: 'out_of_range',
+          message: `Metric "${name}" value ${value} is outside ${metric.min}..${metric.max} ${metric.unit}`.trim()
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  // Values of the derived metrics whose inputs are in `data`, rounded to
+  // their precision like readings. A formula that throws or returns no finite
+  // number is skipped.
+  derive(data) {
+    const values = toPlainData(data);
+    const derived = {};
+
+    for (const [name, { inputs, compute }] of this.derivations) {
+      if (!inputs.every(input => typeof values[input] === 'number')) continue;
+
+      try {
+        const value = compute(values);
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          derived[name] = this.round(name, value);
+          values[name] = derived[name];
+        }
+      } catch (error) {
+        console.warn(`⚠️ Derived metric "${name}" failed: ${error.message}`);
+      }
+    }
+
+    return derived;
+  }
+
+  round(name, value) {
+    const metric = this.metrics.get(name);
+    const precision = metric ? metric.precision : 2;
+    return parseFloat(Number(value).toFixed(precision));
+  }
+
+  // Rounds every known metric to its precision for API responses
+  formatData(data) {
+    const formatted = {};
+    for (const [name, value] of Object.entries(toPlainData(data))) {
+      if (typeof value === 'number') {
+        formatted[name] = this.round(name, value);
+      }
+    }
+    return formatted;
+  }
+
+  // Extra metrics / device types from a JSON or JS module:
+  // { "metrics": [{ "name": "lux", "unit": "lx", ... }],
+  //   "deviceTypes": { "light": { "metrics": ["lux"], "presence": { "offlineAfterSeconds": 600 } } } }
+  // JS modules can add `derived: [{ name, inputs, compute }]`
+  loadConfig(config) {
+    for (const metric of config.metrics || []) {
+      this.defineMetric(metric);
+    }
+    for (const metric of config.derived || []) {
+      this.defineDerivedMetric(metric);
+    }
+    for (const [deviceType, profile] of Object.entries(config.deviceTypes || {})) {
+      this.defineDeviceType(deviceType, profile);
+    }
+    return this;
+  }
+
+  // METRICS_CONFIG: path to a JSON/JS file passed to loadConfig
+  configureFromEnv(env = process.env) {
+    if (env.METRICS_CONFIG) {
+      this.loadConfig(require(path.resolve(process.cwd(), env.METRICS_CONFIG)));
+      console.log(`📏 Loaded metric definitions from ${env.METRICS_CONFIG}`);
+    }
+    return this;
+  }
+
+  toJSON() {
+    return {
+      metrics: Array.from(this.metrics.values()),
+      deviceTypes: Object.fromEntries(this.deviceTypes)
+    };
+  }
+}
+
+const createDefaultRegistry = () => {
+  const registry = new MetricRegistry();
+  BUILTIN_METRICS.forEach(metric => registry.defineMetric(metric));
+  BUILTIN_DERIVED_METRICS.forEach(metric => registry.defineDerivedMetric(metric));
+  Object.entries(BUILTIN_DEVICE_TYPES).forEach(([type, profile]) => registry.defineDeviceType(type, profile));
+  return registry;
+};
+
+const metricRegistry = createDefaultRegistry();
+
+module.exports = {
+  metricRegistry,
+  MetricRegistry,
+  createDefaultRegistry,
+  toPlainData
+};
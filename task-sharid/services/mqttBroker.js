@@ -0,0 +1,162 @@
+const net = require('net');
+const crypto = require('crypto');
+const { WebSocketServer, createWebSocketStream } = require('ws');
+const Aedes = require('aedes');
+const Device = require('../models/Device');
+
+const DEFAULTS = {
+  port: parseInt(process.env.MQTT_BROKER_PORT) || 1883,
+  wsPort: parseInt(process.env.MQTT_BROKER_WS_PORT) || 8083,
+  host: process.env.MQTT_BROKER_HOST || '0.0.0.0'
+};
+
+// Topics a device may use, keyed by its uid
+const deviceTopics = (uid) => ({
+  publish: [`/application/out/${uid}`, `/application/ack/${uid}`, `/application/status/${uid}`],
+  subscribe: [`/application/in/${uid}`]
+});
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// In-process MQTT broker (aedes) with TCP and WebSocket listeners, used when
+// MQTT_BROKER_MODE=embedded. Devices log in with their uid as username and
+// their device secret as password, and may only use their own topics. The
+// MQTT_USERNAME / MQTT_PASSWORD account, if set, has full access (tools, bridges).
+class EmbeddedBroker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.aedes = null;
+    this.tcpServer = null;
+    this.wsServer = null;
+    this.startedAt = null;
+  }
+
+  get isRunning() {
+    return this.aedes !== null && !this.aedes.closed;
+  }
+
+  async start() {
+    if (this.isRunning) return this.aedes;
+
+    this.aedes = new Aedes();
+    this.aedes.authenticate = (client, username, password, callback) => {
+      this.authenticate(client, username, password)
+        .then(ok => callback(null, ok))
+        .catch(error => {
+          console.error('❌ MQTT broker authentication error:', error);
+          callback(Object.assign(error, { returnCode: 3 }), false);
+        });
+    };
+    this.aedes.authorizePublish = (client, packet, callback) => {
+      callback(this.isAllowed(client, 'publish', packet.topic) ? null : new Error(`Not authorized to publish to ${packet.topic}`));
+    };
+    this.aedes.authorizeSubscribe = (client, subscription, callback) => {
+      // Negate (SUBACK 128) instead of dropping the connection
+      callback(null, this.isAllowed(client, 'subscribe', subscription.topic) ? subscription : null);
+    };
+
+    this.aedes.on('clientError', (client, error) => {
+      console.warn(`⚠️ MQTT client ${client ? client.id : 'unknown'} error: ${error.message}`);
+    });
+
+    this.tcpServer = net.createServer(this.aedes.handle);
+    await new Promise((resolve, reject) => {
+      this.tcpServer.once('error', reject);
+      this.tcpServer.listen(this.options.port, this.options.host, resolve);
+    });
+
+    this.wsServer = new WebSocketServer({ port: this.options.wsPort, host: this.options.host });
+    this.wsServer.on('connection', (socket, req) => {
+      const stream = createWebSocketStream(socket);
+      this.aedes.handle(stream, req);
+    });
+    await new Promise((resolve, reject) => {
+      this.wsServer.once('error', reject);
+      this.wsServer.once('listening', resolve);
+    });
+
+    this.startedAt = new Date();
+    console.log(`🛰️  Embedded MQTT broker listening on mqtt://${this.options.host}:${this.options.port} and ws://${this.options.host}:${this.options.wsPort}`);
+    return this.aedes;
+  }
+
+  // Resolves true when the client may connect
+  async authenticate(client, username, password) {
+    const secret = password ? password.toString() : '';
+
+    const serviceUser = process.env.MQTT_USERNAME;
+    if (serviceUser && username === serviceUser) {
+      const ok = safeEqual(secret, process.env.MQTT_PASSWORD || '');
+      if (ok) client.service = true;
+      return ok;
+    }
+
+    if (!username) {
+      console.warn(`⚠️ MQTT client ${client.id} rejected: no username`);
+      return false;
+    }
+
+    const device = await Device.findOne({ uid: username }).select('+secretHash');
+    if (!device || device.deletedAt || device.deactivatedAt || !device.verifySecret(secret)) {
+      console.warn(`⚠️ MQTT client ${client.id} rejected: invalid credentials for ${username}`);
+      return false;
+    }
+
+    client.deviceUid = device.uid;
+    return true;
+  }
+
+  isAllowed(client, action, topic) {
+    // Server-side publishes (e.g. stale Last Will without a client)
+    if (!client) return true;
+    if (client.service) return !topic.startsWith('$SYS/') || action === 'subscribe';
+    if (!client.deviceUid) return false;
+    return deviceTopics(client.deviceUid)[action].includes(topic);
+  }
+
+  // Drop live sessions of a device, e.g. after its secret was rotated or revoked
+  disconnectDevice(uid) {
+    if (!this.isRunning) return 0;
+
+    const clients = Object.values(this.aedes.clients).filter(client => client.deviceUid === uid);
+    clients.forEach(client => client.close());
+    return clients.length;
+  }
+
+  async stop() {
+    if (!this.aedes) return;
+
+    console.log('🛑 Stopping embedded MQTT broker...');
+    // Closing aedes disconnects all clients, so the listeners can close
+    await new Promise(resolve => this.aedes.close(resolve));
+    if (this.wsServer) {
+      await new Promise(resolve => this.wsServer.close(resolve));
+    }
+    if (this.tcpServer) {
+      await new Promise(resolve => this.tcpServer.close(resolve));
+    }
+
+    this.aedes = null;
+    this.tcpServer = null;
+    this.wsServer = null;
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning,
+      port: this.options.port,
+      wsPort: this.options.wsPort,
+      clients: this.isRunning ? this.aedes.connectedClients : 0,
+      startedAt: this.startedAt
+    };
+  }
+}
+
+// Create singleton instance
+const embeddedBroker = new EmbeddedBroker();
+
+module.exports = embeddedBroker;
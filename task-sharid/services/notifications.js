@@ -0,0 +1,251 @@
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const NotificationChannel = require('../models/NotificationChannel');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const alertEngine = require('./alerts');
+const silenceService = require('./silences');
+const { getSender } = require('./channels');
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.NOTIFY_CHECK_INTERVAL_SECONDS) || 30) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 4;
+// Wait before the 2nd, 3rd, ... attempt; the last delay repeats
+const RETRY_DELAYS_SECONDS = [30, 120, 600];
+
+const retryDelayMs = (attempts) => {
+  const index = Math.min(attempts - 1, RETRY_DELAYS_SECONDS.length - 1);
+  return RETRY_DELAYS_SECONDS[index] * 1000;
+};
+
+const uniqueIds = (ids) => [...new Set(ids.map(id => id.toString()))];
+
+const buildContext = (event, alert, rule, escalationLevel = 0) => ({
+  event,
+  alert: alert.toAPIResponse(),
+  rule: rule
+    ? { id: rule._id, name: rule.name, condition: rule.describeCondition() }
+    : { id: alert.rule, name: alert.ruleName, condition: alert.condition },
+  escalationLevel,
+  timestamp: new Date().toISOString()
+});
+
+// Delivers alert events to the notification channels of their rule:
+// - 'triggered' and 'resolved' go to `rule.channels`; resolutions also reach
+//   the channels of escalation steps that were notified
+// - an alert still open `afterMinutes` after it triggered is sent to the
+//   channels of that escalation step ('escalation')
+//
+// Alerts raised during a silence are not sent, and escalations wait while a
+// silence or maintenance window covers the device.
+//
+// Every delivery is saved with its attempts. Failed deliveries are retried
+// with backoff until NOTIFY_MAX_ATTEMPTS is reached.
+class NotificationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.onTriggered = (alert, rule) => {
+      if (alert.silence) return;
+      this.notify(alert, rule, rule.channels, 'triggered')
+        .catch(error => console.error('❌ Alert notification failed:', error));
+    };
+    this.onResolved = (alert) => {
+      if (alert.silence) return;
+      this.notifyResolved(alert)
+        .catch(error => console.error('❌ Alert notification failed:', error));
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    alertEngine.on('triggered', this.onTriggered);
+    alertEngine.on('resolved', this.onResolved);
+
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    alertEngine.off('triggered', this.onTriggered);
+    alertEngine.off('resolved', this.onResolved);
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Escalations and retries; skipped while the previous run is still busy
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.escalate();
+      await this.retryDue();
+    } catch (error) {
+      console.error('❌ Notification check failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async notify(alert, rule, channelIds, event, escalationLevel = 0) {
+    if (!channelIds || channelIds.length === 0) return [];
+
+    const channels = await NotificationChannel.find({
+      _id: { $in: uniqueIds(channelIds) },
+      enabled: true
+    }).select('+webhook.secret');
+
+    const context = buildContext(event, alert, rule, escalationLevel);
+    return Promise.all(channels.map(channel => this.deliver(channel, context, { alert: alert._id })));
+  }
+
+  async notifyResolved(alert) {
+    const rule = await AlertRule.findById(alert.rule);
+    if (!rule) return [];
+
+    const escalated = rule.escalations
+      .slice(0, alert.escalationLevel)
+      .flatMap(step => step.channels);
+
+    return this.notify(alert, rule, [...rule.channels, ...escalated], 'resolved', alert.escalationLevel);
+  }
+
+  // Send a sample event so a channel can be checked before it is used.
+  // Test deliveries are tried once.
+  async test(channel) {
+    const now = new Date();
+    const alert = new Alert({
+      ruleName: 'Test notification',
+      condition: 'temperature > 30',
+      severity: 'info',
+      deviceId: 'test-device',
+      metric: 'temperature',
+      triggerValue: 31.5,
+      lastValue: 31.5,
+      message: `Test notification from channel "${channel.name}"`,
+      triggeredAt: now
+    });
+
+    const context = buildContext('test', alert, null);
+    return this.deliver(channel, context, { retry: false });
+  }
+
+  async deliver(channel, context, { alert, retry = true } = {}) {
+    const delivery = new NotificationDelivery({
+      alert,
+      channel: channel._id,
+      channelName: channel.name,
+      channelType: channel.type,
+      event: context.event,
+      escalationLevel: context.escalationLevel,
+      target: getSender(channel.type).describeTarget(channel),
+      context
+    });
+
+    await this.attempt(delivery, channel, { retry });
+    return delivery;
+  }
+
+  async attempt(delivery, channel, { retry = true } = {}) {
+    const started = Date.now();
+    const record = { at: new Date(started) };
+
+    try {
+      const result = await getSender(channel.type).send(channel, delivery.context);
+      Object.assign(record, { success: true, statusCode: result.statusCode });
+    } catch (error) {
+      Object.assign(record, { success: false, statusCode: error.statusCode, error: error.message });
+    }
+
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (record.success) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = record.at;
+      delivery.nextAttemptAt = undefined;
+    } else if (retry && delivery.attempts.length < MAX_ATTEMPTS) {
+      delivery.status = 'pending';
+      delivery.lastError = record.error;
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts.length));
+    } else {
+      delivery.status = 'failed';
+      delivery.lastError = record.error;
+      delivery.nextAttemptAt = undefined;
+      console.warn(`⚠️ Notification to "${delivery.channelName}" failed after ${delivery.attempts.length} attempt(s): ${record.error}`);
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  async retryDue() {
+    const due = await NotificationDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() }
+    }).sort({ nextAttemptAt: 1 }).limit(100);
+
+    for (const delivery of due) {
+      const channel = await NotificationChannel.findById(delivery.channel).select('+webhook.secret');
+
+      if (!channel || !channel.enabled) {
+        delivery.status = 'failed';
+        delivery.lastError = channel ? 'Channel disabled' : 'Channel deleted';
+        delivery.nextAttemptAt = undefined;
+        await delivery.save();
+        continue;
+      }
+
+      await this.attempt(delivery, channel);
+    }
+  }
+
+  // Notify the escalation steps that came due for alerts nobody acknowledged
+  async escalate() {
+    const alerts = await Alert.find({ status: 'open' });
+    if (alerts.length === 0) return;
+
+    const rules = await AlertRule.find({
+      _id: { $in: uniqueIds(alerts.map(alert => alert.rule)) },
+      'escalations.0': { $exists: true }
+    });
+    const rulesById = new Map(rules.map(rule => [rule._id.toString(), rule]));
+    const now = Date.now();
+
+    for (const alert of alerts) {
+      const rule = rulesById.get(alert.rule.toString());
+      if (!rule) continue;
+
+      const device = await alertEngine.getDevice(alert.deviceId);
+      if (await silenceService.find(device)) continue;
+
+      // Steps are stored in `afterMinutes` order
+      const steps = rule.escalations;
+      let level = alert.escalationLevel;
+
+      while (level < steps.length && now - alert.triggeredAt >= steps[level].afterMinutes * 60 * 1000) {
+        // Claim the step so it is only sent once, even if the alert changed meanwhile
+        const claimed = await Alert.findOneAndUpdate(
+          { _id: alert._id, status: 'open', escalationLevel: level },
+          { $set: { escalationLevel: level + 1 } },
+          { new: true }
+        );
+        if (!claimed) break;
+
+        level += 1;
+        alert.escalationLevel = level;
+        alertEngine.track(claimed);
+        console.warn(`📣 Escalating alert (level ${level}): ${alert.message}`);
+        await this.notify(claimed, rule, steps[level - 1].channels, 'escalation', level);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
@@ -0,0 +1,230 @@
+const Device = require('../models/Device');
+const silenceService = require('./silences');
+const { metricRegistry } = require('./metrics');
+
+const STATUS_TOPIC_PREFIX = '/application/status/';
+const STATUS_TOPIC_FILTER = `${STATUS_TOPIC_PREFIX}+`;
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.PRESENCE_CHECK_INTERVAL_SECONDS) || 30) * 1000;
+
+// Device status from its last contact and the presence limits of its type.
+// A device that reported itself offline (Last Will) after its last contact
+// stays offline.
+const computeStatus = (device, now = Date.now()) => {
+  if (!device.lastSeen) return 'offline';
+
+  const lastSeen = new Date(device.lastSeen).getTime();
+  if (device.disconnectedAt && new Date(device.disconnectedAt).getTime() >= lastSeen) {
+    return 'offline';
+  }
+
+  const { warningAfterSeconds, offlineAfterSeconds } = metricRegistry.getPresence(device.deviceType);
+  const secondsAgo = (now - lastSeen) / 1000;
+
+  if (secondsAgo < warningAfterSeconds) return 'online';
+  if (secondsAgo < offlineAfterSeconds) return 'warning';
+  return 'offline';
+};
+
+// computeStatus as an aggregation expression, so device lists can filter and
+// sort by status in the database
+const statusExpression = (now = new Date()) => {
+  const types = metricRegistry.listDeviceTypes().filter(type => type !== 'default');
+  const limit = (field) => types.length === 0
+    ? metricRegistry.getPresence('default')[field]
+    : {
+      $switch: {
+        branches: types.map(type => ({
+          case: { $eq: ['$deviceType', type] },
+          then: metricRegistry.getPresence(type)[field]
+        })),
+        default: metricRegistry.getPresence('default')[field]
+      }
+    };
+  const secondsAgo = { $divide: [{ $subtract: [now, '$lastSeen'] }, 1000] };
+
+  return {
+    $switch: {
+      branches: [
+        { case: { $eq: [{ $ifNull: ['$lastSeen', null] }, null] }, then: 'offline' },
+        { case: { $gte: [{ $ifNull: ['$disconnectedAt', null] }, '$lastSeen'] }, then: 'offline' },
+        { case: { $lt: [secondsAgo, limit('warningAfterSeconds')] }, then: 'online' },
+        { case: { $lt: [secondsAgo, limit('offlineAfterSeconds')] }, then: 'warning' }
+      ],
+      default: 'offline'
+    }
+  };
+};
+
+// Tracks online/warning/offline per device, keeps Device.status and isActive
+// up to date and emits transitions over socket.io:
+// - `device:update` `{ deviceId, status, lastSeen }` on every change
+// - `system:notification` `device_online` / `device_offline`
+//
+// Devices can set an MQTT Last Will on /application/status/<uid> with payload
+// "offline" (and publish "online" after connecting) to be marked offline
+// immediately instead of after the offline limit.
+//
+// Offline notifications for devices under a silence or maintenance window are
+// suppressed and recorded as silenced events; status updates still go out.
+class PresenceMonitor {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.statuses = new Map();
+  }
+
+  setSocket(socketIo) {
+    this.io = socketIo;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.check().catch(error => console.error('❌ Presence check failed:', error));
+    this.timer = setInterval(() => {
+      this.check().catch(error => console.error('❌ Presence check failed:', error));
+    }, CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Re-evaluate every device and persist/emit the ones whose status changed
+  async check() {
+    const devices = await Device.find({ deletedAt: null }).select('uid location deviceType lastSeen disconnectedAt status').lean();
+    const now = Date.now();
+    const operations = [];
+
+    for (const device of devices) {
+      const status = computeStatus(device, now);
+      const previous = this.statuses.has(device.uid) ? this.statuses.get(device.uid) : device.status;
+      this.statuses.set(device.uid, status);
+
+      if (status !== device.status) {
+        operations.push({
+          updateOne: {
+            // Skip devices that were seen again since they were loaded
+            filter: { uid: device.uid, lastSeen: device.lastSeen },
+            update: { $set: { status, isActive: status !== 'offline' } }
+          }
+        });
+      }
+
+      if (status !== previous) {
+        this.notify(device, previous, status);
+      }
+    }
+
+    if (operations.length > 0) {
+      await Device.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  }
+
+  // Called by the ingestion pipeline once a device's readings were stored
+  // (the batch write already set status 'online' in the database)
+  markSeen(uid, lastSeen) {
+    const previous = this.statuses.get(uid);
+    this.statuses.set(uid, 'online');
+
+    if (previous !== 'online') {
+      this.notify({ uid, lastSeen }, previous, 'online');
+    }
+  }
+
+  isStatusTopic(topic) {
+    return topic.startsWith(STATUS_TOPIC_PREFIX);
+  }
+
+  // "online" / "offline", or JSON `{ "status": "offline" }`, on /application/status/<uid>
+  async handleStatusMessage(topic, message) {
+    const uid = topic.slice(STATUS_TOPIC_PREFIX.length);
+    const text = message.toString().trim();
+
+    let reported = text.toLowerCase();
+    if (text.startsWith('{')) {
+      try {
+        reported = String(JSON.parse(text).status || '').toLowerCase();
+      } catch (error) {
+        reported = '';
+      }
+    }
+
+    if (!['online', 'offline'].includes(reported)) {
+      console.warn(`⚠️ Ignored status message from ${uid}: ${text}`);
+      return null;
+    }
+
+    const now = new Date();
+    const update = reported === 'offline'
+      ? { $set: { status: 'offline', isActive: false, disconnectedAt: now } }
+      : { $set: { status: 'online', isActive: true, lastSeen: now } };
+
+    const device = await Device.findOneAndUpdate({ uid, deletedAt: null }, update, { new: true }).lean();
+    if (!device) {
+      console.warn(`⚠️ Status message for unknown device ${uid}`);
+      return null;
+    }
+
+    const previous = this.statuses.get(uid);
+    this.statuses.set(uid, reported);
+    if (previous !== reported) {
+      this.notify(device, previous, reported);
+    }
+    return reported;
+  }
+
+  // `device` needs uid and lastSeen, plus location and deviceType when offline
+  notify(device, previous, status) {
+    const { uid, lastSeen } = device;
+    console.log(`📶 Device ${uid} is ${status}${previous ? ` (was ${previous})` : ''}`);
+
+    if (status === 'offline') {
+      this.notifyOffline(device)
+        .catch(error => console.error('❌ Offline notification failed:', error));
+    }
+
+    if (!this.io) return;
+
+    this.io.emit('device:update', { deviceId: uid, status, lastSeen });
+
+    if (status === 'online' && previous === 'offline') {
+      this.io.emit('system:notification', {
+        type: 'device_online',
+        deviceId: uid,
+        message: `Device ${uid} is now online`
+      });
+    }
+  }
+
+  async notifyOffline(device) {
+    const message = `Device ${device.uid} went offline`;
+    const silence = await silenceService.find(device);
+
+    if (silence) {
+      await silenceService.record(silence, { event: 'device_offline', deviceId: device.uid, message });
+      return;
+    }
+
+    if (this.io) {
+      this.io.emit('system:notification', {
+        type: 'device_offline',
+        deviceId: device.uid,
+        message
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const presenceMonitor = new PresenceMonitor();
+
+module.exports = presenceMonitor;
+module.exports.computeStatus = computeStatus;
+module.exports.statusExpression = statusExpression;
+module.exports.STATUS_TOPIC_FILTER = STATUS_TOPIC_FILTER;
@@ -0,0 +1,314 @@
+const Telemetry = require('../models/Telemetry');
+const RollupState = require('../models/RollupState');
+const { TelemetryHourly, TelemetryDaily } = require('../models/TelemetryRollup');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Unlike `parseInt(...) || default`, keeps an explicit 0 ("keep forever")
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Retention policy in days, 0 keeps the data forever. Daily rollups are kept forever.
+const RAW_DAYS = envNumber('RETENTION_RAW_DAYS', 30);
+const HOURLY_DAYS = envNumber('RETENTION_HOURLY_DAYS', 365);
+const RAW_PAYLOAD_DAYS = envNumber('RETENTION_RAW_PAYLOAD_DAYS', 7);
+const INTERVAL_MS = envNumber('RETENTION_INTERVAL_MINUTES', 10) * 60 * 1000 || 10 * 60 * 1000;
+// Rolled up hours are recomputed this long after they end, for late readings
+const LATENESS_MS = envNumber('ROLLUP_LATENESS_HOURS', 6) * HOUR_MS;
+// Catching up on a large backlog is spread over several runs
+const MAX_RANGE_PER_RUN_MS = 7 * DAY_MS;
+
+const floorTo = (date, unitMs) => new Date(Math.floor(new Date(date).getTime() / unitMs) * unitMs);
+const minDate = (...dates) => new Date(Math.min(...dates.map(date => date.getTime())));
+const maxDate = (...dates) => new Date(Math.max(...dates.map(date => date.getTime())));
+
+// Rollup levels: hourly from raw readings, daily from hourly rollups
+const LEVELS = {
+  hour: {
+    unit: 'hour',
+    unitMs: HOUR_MS,
+    target: TelemetryHourly,
+    source: Telemetry,
+    timeField: 'timestamp',
+    // Per metric: the reading's value
+    unwind: { $objectToArray: '$data' },
+    accumulators: {
+      min: { $min: '$metric.v' },
+      max: { $max: '$metric.v' },
+      sum: { $sum: '$metric.v' },
+      count: { $sum: 1 }
+    },
+    readings: { $sum: 1 }
+  },
+  day: {
+    unit: 'day',
+    unitMs: DAY_MS,
+    target: TelemetryDaily,
+    source: TelemetryHourly,
+    timeField: 'bucket',
+    // Per metric: the hour's { min, max, sum, count }
+    unwind: { $objectToArray: '$stats' },
+    accumulators: {
+      min: { $min: '$metric.v.min' },
+      max: { $max: '$metric.v.max' },
+      sum: { $sum: '$metric.v.sum' },
+      count: { $sum: '$metric.v.count' }
+    },
+    readings: { $sum: '$count' }
+  }
+};
+
+// Keeps raw telemetry for RETENTION_RAW_DAYS, hourly rollups for
+// RETENTION_HOURLY_DAYS and daily rollups forever. A background job rolls up
+// completed hours and days and only then prunes what the policy expires.
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.run(), INTERVAL_MS);
+    this.timer.unref();
+    this.run();
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.running;
+  }
+
+  getPolicy() {
+    return {
+      rawDays: RAW_DAYS,
+      hourlyDays: HOURLY_DAYS,
+      rawPayloadDays: RAW_PAYLOAD_DAYS,
+      latenessHours: LATENESS_MS / HOUR_MS
+    };
+  }
+
+  async getStates() {
+    const states = await RollupState.find().lean();
+    const byResolution = { hour: null, day: null };
+    states.forEach(state => {
+      byResolution[state.resolution] = state.rolledUntil;
+    });
+    return byResolution;
+  }
+
+  setState(resolution, rolledUntil) {
+    return RollupState.updateOne(
+      { resolution },
+      { $set: { rolledUntil, lastRunAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  // Which time ranges each resolution can answer: `from` is where the
+  // retention policy cuts off (null: nothing removed), `until` how far rollups go
+  async getCoverage(now = new Date()) {
+    const states = await this.getStates();
+    return {
+      raw: { from: RAW_DAYS ? new Date(now - RAW_DAYS * DAY_MS) : null },
+      hour: { from: HOURLY_DAYS ? new Date(now - HOURLY_DAYS * DAY_MS) : null, until: states.hour },
+      day: { from: null, until: states.day }
+    };
+  }
+
+  // Oldest time whose rollups can still be recomputed from kept data: raw
+  // readings must cover the hour and hourly rollups the day. Null when
+  // nothing is removed. Rollups before it would be replaced by the new
+  // readings alone, so imports can't add readings there.
+  rebuildableFrom(now = new Date()) {
+    const cutoffs = [RAW_DAYS, HOURLY_DAYS]
+      .filter(Boolean)
+      .map(days => new Date(now - days * DAY_MS));
+    return cutoffs.length > 0 ? maxDate(...cutoffs) : null;
+  }
+
+  // Run one pass unless one is already going
+  run() {
+    if (!this.running) {
+      this.running = this.runOnce()
+        .catch(error => console.error('❌ Retention job failed:', error))
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  async runOnce(now = new Date()) {
+    const hours = await this.rollup('hour', now);
+    const days = await this.rollup('day', now);
+    const pruned = await this.prune(now);
+
+    if (hours || days || pruned.raw || pruned.hourly) {
+      console.log(`🗄️ Retention: ${hours} hourly and ${days} daily rollups written, ${pruned.raw} readings and ${pruned.hourly} hourly rollups removed`);
+    }
+    return { hours, days, ...pruned };
+  }
+
+  // Roll up completed buckets since the last run (and the lateness window
+  // before it). Returns the number of rollups written.
+  async rollup(resolution, now) {
+    const level = LEVELS[resolution];
+    const states = await this.getStates();
+    const rolledUntil = states[resolution];
+
+    // Only complete buckets, and days only as far as their hours are rolled up
+    let end = floorTo(now, level.unitMs);
+    if (resolution === 'day') {
+      if (!states.hour) return 0;
+      end = minDate(end, floorTo(states.hour, DAY_MS));
+    }
+
+    let start;
+    if (rolledUntil) {
+      start = floorTo(new Date(rolledUntil - LATENESS_MS), level.unitMs);
+    } else {
+      const oldest = await level.source.findOne().sort({ [level.timeField]: 1 }).select(level.timeField).lean();
+      if (!oldest) {
+        await this.setState(resolution, end);
+        return 0;
+      }
+      start = floorTo(oldest[level.timeField], level.unitMs);
+    }
+
+    end = minDate(end, new Date(start.getTime() + MAX_RANGE_PER_RUN_MS));
+    if (start >= end) return 0;
+
+    let written = 0;
+    for (let chunk = start; chunk < end; chunk = new Date(chunk.getTime() + DAY_MS)) {
+      written += await this.rollupRange(level, chunk, minDate(new Date(chunk.getTime() + DAY_MS), end));
+    }
+
+    await this.setState(resolution, rolledUntil ? maxDate(end, rolledUntil) : end);
+    return written;
+  }
+
+  // Recompute the rollups of the buckets holding [from, to] after readings
+  // were added there later (bulk import). Only ranges already rolled up and
+  // not older than rebuildableFrom() are redone; the next run picks up the
+  // rest. Returns the number of rollups written.
+  async rebuild(from, to) {
+    const states = await this.getStates();
+    const cutoff = this.rebuildableFrom();
+    if (cutoff) from = maxDate(new Date(from), cutoff);
+    let written = 0;
+
+    for (const resolution of ['hour', 'day']) {
+      const level = LEVELS[resolution];
+      if (!states[resolution]) continue;
+
+      const start = floorTo(from, level.unitMs);
+      const end = minDate(new Date(floorTo(to, level.unitMs).getTime() + level.unitMs), states[resolution]);
+      for (let chunk = start; chunk < end; chunk = new Date(chunk.getTime() + DAY_MS)) {
+        written += await this.rollupRange(level, chunk, minDate(new Date(chunk.getTime() + DAY_MS), end));
+      }
+    }
+
+    return written;
+  }
+
+  // Recompute the rollups of [from, to) from the level's source
+  async rollupRange(level, from, to) {
+    const match = { [level.timeField]: { $gte: from, $lt: to } };
+    const bucket = { $dateTrunc: { date: `$${level.timeField}`, unit: level.unit } };
+
+    const [metricRows, countRows] = await Promise.all([
+      level.source.aggregate([
+        { $match: match },
+        { $project: { deviceId: 1, bucket, metric: level.unwind } },
+        { $unwind: '$metric' },
+        { $group: { _id: { deviceId: '$deviceId', bucket: '$bucket', metric: '$metric.k' }, ...level.accumulators } }
+      ]),
+      level.source.aggregate([
+        { $match: match },
+        { $group: { _id: { deviceId: '$deviceId', bucket }, count: level.readings } }
+      ])
+    ]);
+
+    const rollups = new Map();
+    const keyOf = ({ deviceId, bucket: start }) => `${deviceId}\u0000${start.getTime()}`;
+
+    countRows.forEach(({ _id, count }) => {
+      rollups.set(keyOf(_id), { deviceId: _id.deviceId, bucket: _id.bucket, count, stats: {} });
+    });
+    metricRows.forEach(({ _id, min, max, sum, count }) => {
+      const rollup = rollups.get(keyOf(_id));
+      if (rollup && count > 0) rollup.stats[_id.metric] = { min, max, sum, count };
+    });
+
+    const operations = Array.from(rollups.values()).map(({ deviceId, bucket: start, count, stats }) => ({
+      updateOne: {
+        filter: { deviceId, bucket: start },
+        update: { $set: { count, stats } },
+        upsert: true
+      }
+    }));
+
+    if (operations.length > 0) {
+      await level.target.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  }
+
+  // Remove what the policy expires, but never data that isn't rolled up yet
+  async prune(now) {
+    const states = await this.getStates();
+    const result = { raw: 0, hourly: 0, payloads: 0 };
+
+    if (RAW_PAYLOAD_DAYS) {
+      const { modifiedCount } = await Telemetry.updateMany(
+        { timestamp: { $lt: new Date(now - RAW_PAYLOAD_DAYS * DAY_MS) }, rawPayload: { $exists: true } },
+        { $unset: { rawPayload: '' } }
+      );
+      result.payloads = modifiedCount;
+    }
+
+    if (RAW_DAYS && states.hour) {
+      const before = floorTo(minDate(new Date(now - RAW_DAYS * DAY_MS), new Date(states.hour - LATENESS_MS)), HOUR_MS);
+      const { deletedCount } = await Telemetry.deleteMany({ timestamp: { $lt: before } });
+      result.raw = deletedCount;
+    }
+
+    if (HOURLY_DAYS && states.day) {
+      const before = floorTo(minDate(new Date(now - HOURLY_DAYS * DAY_MS), new Date(states.day - DAY_MS)), DAY_MS);
+      const { deletedCount } = await TelemetryHourly.deleteMany({ bucket: { $lt: before } });
+      result.hourly = deletedCount;
+    }
+
+    return result;
+  }
+
+  async getStatus() {
+    const [coverage, raw, hourly, daily] = await Promise.all([
+      this.getCoverage(),
+      Telemetry.estimatedDocumentCount(),
+      TelemetryHourly.estimatedDocumentCount(),
+      TelemetryDaily.estimatedDocumentCount()
+    ]);
+
+    return {
+      policy: this.getPolicy(),
+      coverage,
+      documents: { raw, hourly, daily },
+      running: Boolean(this.running)
+    };
+  }
+}
+
+// Create singleton instance
+const retentionService = new RetentionService();
+
+module.exports = retentionService;
+module.exports.HOUR_MS = HOUR_MS;
+module.exports.DAY_MS = DAY_MS;
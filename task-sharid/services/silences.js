@@ -0,0 +1,69 @@
+const Silence = require('../models/Silence');
+const SilencedEvent = require('../models/SilencedEvent');
+
+// Current silences are cached; changes through the API reload them at once
+const CACHE_TTL_MS = 30 * 1000;
+
+// Looks up the silences and maintenance windows covering a device and keeps
+// the audit log of what they suppressed
+class SilenceService {
+  constructor() {
+    this.silences = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  invalidate() {
+    this.silences = null;
+  }
+
+  async load() {
+    if (this.silences && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.silences;
+    }
+
+    if (!this.loading) {
+      this.loading = Silence.find(Silence.currentFilter())
+        .then(silences => {
+          this.silences = silences;
+          this.loadedAt = Date.now();
+          return silences;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  // First active silence covering `device` (uid, location, deviceType) at
+  // `at`; `type` limits the search to silences or maintenance windows
+  async find(device, { type, at = new Date() } = {}) {
+    const silences = await this.load();
+    return silences.find(silence =>
+      (!type || silence.type === type) && silence.appliesTo(device) && silence.isActiveAt(at)
+    ) || null;
+  }
+
+  async record(silence, { event, deviceId, rule, alert, value, message }) {
+    console.log(`🔕 ${event} for ${deviceId} suppressed by ${silence.type} "${silence.name}"`);
+
+    return SilencedEvent.create({
+      silence: silence._id,
+      silenceName: silence.name,
+      silenceType: silence.type,
+      event,
+      deviceId,
+      rule,
+      alert,
+      value,
+      message
+    });
+  }
+}
+
+// Create singleton instance
+const silenceService = new SilenceService();
+
+module.exports = silenceService;
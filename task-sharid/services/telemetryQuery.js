@@ -0,0 +1,99 @@
+const Device = require('../models/Device');
+const { metricRegistry } = require('./metrics');
+
+const OPERATORS = {
+  '>=': '$gte',
+  '<=': '$lte',
+  '!=': '$ne',
+  '>': '$gt',
+  '<': '$lt',
+  '=': '$eq'
+};
+const CONDITION = /^\s*([\w.]+)\s*(>=|<=|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const metricName = (name) => metricRegistry.getMetric(name) ? name : metricRegistry.resolveName(name);
+
+// "temperature>25,humidity<=60" -> [{ metric, op, value }]
+const parseWhere = (where, errors) => toList(where).map(condition => {
+  const match = CONDITION.exec(condition);
+  const metric = match && metricName(match[1]);
+  if (!match) {
+    errors.push(`Invalid condition "${condition}", expected e.g. temperature>25`);
+  } else if (!metric) {
+    errors.push(`Unknown metric "${match[1]}"`);
+  }
+  return metric ? { metric, op: match[2], value: parseFloat(match[3]) } : null;
+}).filter(Boolean);
+
+// Check the telemetry filter parameters shared by the query, stats and
+// export endpoints: deviceIds, location, deviceType, from, to, where and
+// anomalous. Returns `{ values, errors }`; `values` is plain data (export
+// jobs store it).
+const parseFilters = (query) => {
+  const errors = [];
+  const values = {
+    deviceIds: toList(query.deviceIds),
+    location: query.location || undefined,
+    deviceType: query.deviceType || undefined,
+    from: query.from || undefined,
+    to: query.to || undefined,
+    where: parseWhere(query.where, errors),
+    anomalous: query.anomalous === undefined ? undefined : String(query.anomalous) === 'true'
+  };
+
+  for (const field of ['from', 'to']) {
+    if (values[field] && Number.isNaN(new Date(values[field]).getTime())) {
+      errors.push(`${field} must be a date`);
+    }
+  }
+  if (values.from && values.to && new Date(values.from) > new Date(values.to)) {
+    errors.push('from must be before to');
+  }
+
+  return { values, errors };
+};
+
+// Telemetry filter for parsed filters, and the devices they select
+// (`{ uid, deviceType }`). Readings of all devices match when no device
+// filter is given.
+const buildFilter = async ({ deviceIds = [], location, deviceType, from, to, where = [], anomalous }) => {
+  const filter = {};
+  const deviceFilter = {};
+  if (deviceIds.length > 0) deviceFilter.uid = { $in: deviceIds };
+  if (location) deviceFilter.location = location;
+  if (deviceType) deviceFilter.deviceType = deviceType;
+
+  const devices = await Device.find(deviceFilter).select('uid deviceType').lean();
+  if (Object.keys(deviceFilter).length > 0) {
+    filter.deviceId = { $in: devices.map(device => device.uid) };
+  }
+
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = new Date(from);
+    if (to) filter.timestamp.$lte = new Date(to);
+  }
+
+  for (const { metric, op, value } of where) {
+    const field = `data.${metric}`;
+    filter[field] = { ...filter[field], [OPERATORS[op]]: value };
+  }
+
+  if (anomalous !== undefined) {
+    filter.anomalous = anomalous ? true : { $ne: true };
+  }
+
+  return { filter, devices };
+};
+
+module.exports = {
+  toList,
+  parseFilters,
+  buildFilter
+};
@@ -1,10 +1,16 @@
 const mqtt = require('mqtt');
-const Device = require('../models/Device');
-const Telemetry = require('../models/Telemetry');
+const ingestionPipeline = require('../services/ingestion');
+const commandService = require('../services/commands');
+const presenceMonitor = require('../services/presence');
+const embeddedBroker = require('../services/mqttBroker');
+
+// Device telemetry, command acknowledgement and status (Last Will) topics
+const SUBSCRIPTIONS = ['/application/out/+', commandService.ACK_TOPIC_FILTER, presenceMonitor.STATUS_TOPIC_FILTER];
 
 class MQTTWorker {
   constructor() {
     this.client = null;
+    this.broker = null;
     this.io = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
@@ -13,6 +19,10 @@ class MQTTWorker {
 
   start(socketIo) {
     this.io = socketIo;
+    ingestionPipeline.setSocket(socketIo);
+    commandService.setSocket(socketIo);
+    commandService.setPublisher((topic, payload) => this.publish(topic, payload));
+    commandService.start();
     
     // Check if MQTT is enabled
     const mqttEnabled = process.env.MQTT_ENABLED !== 'false';
@@ -20,10 +30,47 @@ class MQTTWorker {
       console.log('📴 MQTT is disabled in configuration. Skipping MQTT connection.');
       return;
     }
+
+    if (process.env.MQTT_BROKER_MODE === 'embedded') {
+      this.startEmbedded();
+      return;
+    }
     
     this.connect();
   }
 
+  // Run the broker in-process and attach to it directly (no network client)
+  async startEmbedded() {
+    try {
+      const broker = await embeddedBroker.start();
+      this.attach(broker);
+    } catch (error) {
+      console.error('❌ Failed to start embedded MQTT broker:', error);
+      console.warn('   The application will continue without MQTT functionality.');
+    }
+  }
+
+  attach(broker) {
+    this.broker = broker;
+
+    SUBSCRIPTIONS.forEach(topic => {
+      // The broker waits for `callback` before delivering the next message,
+      // so a full ingestion queue applies backpressure here as well
+      broker.subscribe(topic, (packet, callback) => {
+        ingestionPipeline.waitForCapacity()
+          .then(() => {
+            this.handleMessage(packet.topic, packet.payload)
+              .catch(error => console.error('❌ Error handling MQTT message:', error));
+          })
+          .catch(error => console.error('❌ Error waiting for ingestion capacity:', error))
+          .finally(() => callback());
+      }, () => console.log(`📡 Subscribed to ${topic} on embedded broker`));
+    });
+
+    this.isConnected = true;
+    console.log('✅ Attached to embedded MQTT broker');
+  }
+
   connect() {
     const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883';
     const options = {
@@ -39,17 +86,23 @@ class MQTTWorker {
     
     this.client = mqtt.connect(brokerUrl, options);
 
+    // Backpressure: mqtt.js waits for this callback before reading the next
+    // packet, so a full ingestion queue pauses consumption from the broker
+    this.client.handleMessage = (packet, callback) => {
+      ingestionPipeline.waitForCapacity().then(() => callback());
+    };
+
     this.client.on('connect', () => {
       console.log('✅ Connected to MQTT broker');
       this.isConnected = true;
       this.reconnectAttempts = 0;
       
-      // Subscribe to device telemetry topic
-      this.client.subscribe('/application/out/+', (err) => {
+      // Subscribe to device telemetry, acknowledgement and status topics
+      this.client.subscribe(SUBSCRIPTIONS, (err) => {
         if (err) {
           console.error('❌ Failed to subscribe to MQTT topic:', err);
         } else {
-          console.log('📡 Subscribed to /application/out/+');
+          console.log(`📡 Subscribed to ${SUBSCRIPTIONS.join(', ')}`);
         }
       });
     });
@@ -98,179 +151,63 @@ class MQTTWorker {
 
   async handleMessage(topic, message) {
     try {
-      // Extract device ID from topic: /application/out/<device_id>
-      const topicParts = topic.split('/');
-      if (topicParts.length !== 4 || topicParts[1] !== 'application' || topicParts[2] !== 'out') {
-        console.warn(`⚠️ Invalid topic format: ${topic}`);
-        return;
-      }
+      console.log(`📨 Received message on topic: ${topic}`);
 
-      const deviceId = topicParts[3];
-      console.log(`📨 Received message from device: ${deviceId}`);
-
-      // Parse JSON payload
-      let payload;
-      try {
-        payload = JSON.parse(message.toString());
-      } catch (parseError) {
-        console.error('❌ Failed to parse JSON payload:', parseError);
+      if (commandService.isAckTopic(topic)) {
+        await commandService.handleAck(topic, message);
         return;
       }
 
-      // Validate payload structure
-      if (!this.validatePayload(payload)) {
-        console.warn('⚠️ Invalid payload structure:', payload);
+      if (presenceMonitor.isStatusTopic(topic)) {
+        await presenceMonitor.handleStatusMessage(topic, message);
         return;
       }
 
-      // Decode little-endian data
-      const decodedData = this.decodeLittleEndianData(payload.data);
-      
-      // Create telemetry record
-      const telemetryData = {
-        deviceId: deviceId,
-        uid: payload.uid || deviceId,
-        firmware: payload.fw || 'unknown',
-        tts: payload.tts || 0,
-        data: decodedData,
-        timestamp: new Date(),
-        receivedAt: new Date(),
-        rawPayload: message.toString()
-      };
-
-      // Save to database
-      const telemetry = new Telemetry(telemetryData);
-      await telemetry.save();
-
-      // Update or create device
-      await this.updateDevice(deviceId, payload);
-
-      // Emit real-time update to connected clients
-      if (this.io) {
-        this.io.emit('telemetry:new', {
-          deviceId: deviceId,
-          data: telemetry.toAPIResponse()
-        });
-        
-        this.io.emit('device:update', {
-          deviceId: deviceId,
-          lastSeen: new Date()
-        });
-      }
-
-      console.log(`✅ Processed telemetry for device ${deviceId}:`, {
-        temp: decodedData.temperature,
-        hum: decodedData.humidity,
-        pm25: decodedData.pm25
-      });
-
+      // Decode, validate and store; rejected messages go to the dead-letter store
+      await ingestionPipeline.ingestMqttMessage(topic, message);
     } catch (error) {
       console.error('❌ Error processing MQTT message:', error);
     }
   }
 
-  validatePayload(payload) {
-    return (
-      payload &&
-      typeof payload === 'object' &&
-      payload.data &&
-      typeof payload.data === 'object' &&
-      typeof payload.data.temp !== 'undefined' &&
-      typeof payload.data.hum !== 'undefined' &&
-      typeof payload.data['pm2.5'] !== 'undefined'
-    );
-  }
-
-  decodeLittleEndianData(data) {
-    try {
-      // Convert little-endian encoded values to floats
-      const temperature = this.littleEndianToFloat(data.temp);
-      const humidity = this.littleEndianToFloat(data.hum);
-      const pm25 = this.littleEndianToFloat(data['pm2.5']);
-
-      return {
-        temperature: parseFloat(temperature.toFixed(2)),
-        humidity: parseFloat(humidity.toFixed(2)),
-        pm25: parseFloat(pm25.toFixed(2))
-      };
-    } catch (error) {
-      console.error('❌ Error decoding little-endian data:', error);
-      // Fallback: treat as regular numbers if decoding fails
-      return {
-        temperature: parseFloat(data.temp) || 0,
-        humidity: parseFloat(data.hum) || 0,
-        pm25: parseFloat(data['pm2.5']) || 0
-      };
+  // Publish a downlink message; resolves once the broker has it (QoS 1)
+  publish(topic, payload, options = { qos: 1 }) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error('MQTT is not connected'));
     }
-  }
 
-  littleEndianToFloat(value) {
-    // If value is already a number, return it
-    if (typeof value === 'number') {
-      return value;
-    }
+    return new Promise((resolve, reject) => {
+      const done = (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      };
 
-    // If value is a string representing a hex number
-    if (typeof value === 'string') {
-      // Try to parse as hex first
-      if (value.startsWith('0x') || /^[0-9a-fA-F]+$/.test(value)) {
-        const hexValue = value.startsWith('0x') ? value : '0x' + value;
-        const intValue = parseInt(hexValue, 16);
-        
-        // Convert 32-bit integer to float (IEEE 754)
-        const buffer = Buffer.allocUnsafe(4);
-        buffer.writeUInt32LE(intValue, 0);
-        return buffer.readFloatLE(0);
-      }
-      
-      // Try to parse as regular number
-      const numValue = parseFloat(value);
-      if (!isNaN(numValue)) {
-        return numValue;
+      if (this.broker) {
+        this.broker.publish({
+          cmd: 'publish',
+          topic,
+          payload: Buffer.from(payload),
+          qos: options.qos || 0,
+          retain: Boolean(options.retain),
+          dup: false
+        }, done);
+        return;
       }
-    }
 
-    // If value is a buffer or array of bytes
-    if (Buffer.isBuffer(value) && value.length === 4) {
-      return value.readFloatLE(0);
-    }
-
-    if (Array.isArray(value) && value.length === 4) {
-      const buffer = Buffer.from(value);
-      return buffer.readFloatLE(0);
-    }
-
-    // Fallback: return as-is if it's a number, otherwise 0
-    return typeof value === 'number' ? value : 0;
+      this.client.publish(topic, payload, options, done);
+    });
   }
 
-  async updateDevice(deviceId, payload) {
-    try {
-      let device = await Device.findOne({ uid: deviceId });
-      
-      if (!device) {
-        // Create new device
-        device = new Device({
-          uid: deviceId,
-          name: `Device ${deviceId}`,
-          firmware: payload.fw || 'unknown',
-          lastSeen: new Date(),
-          isActive: true
-        });
-      } else {
-        // Update existing device
-        device.firmware = payload.fw || device.firmware;
-        device.lastSeen = new Date();
-        device.isActive = true;
-      }
-
-      await device.save();
-    } catch (error) {
-      console.error('❌ Error updating device:', error);
+  async stop() {
+    commandService.stop();
+    if (this.broker) {
+      this.broker = null;
+      this.isConnected = false;
+      await embeddedBroker.stop();
     }
-  }
-
-  stop() {
     if (this.client) {
       console.log('🛑 Stopping MQTT worker...');
       this.client.end();
@@ -281,7 +218,10 @@ class MQTTWorker {
   getStatus() {
     return {
       connected: this.isConnected,
-      reconnectAttempts: this.reconnectAttempts
+      mode: this.broker ? 'embedded' : 'external',
+      reconnectAttempts: this.reconnectAttempts,
+      broker: this.broker ? embeddedBroker.getStatus() : undefined,
+      ingestion: ingestionPipeline.getStats()
     };
   }
 }